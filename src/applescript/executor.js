@@ -1,56 +1,81 @@
 /**
  * AppleScript execution module
  * Handles execution of AppleScript via osascript
+ * Parameters reach a script's `on run argv` as positional arguments through
+ * execFile, never through a shell or the script source, so message text
+ * needs no escaping
  */
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const fs = require('fs/promises');
 const path = require('path');
 const { logger } = require('../utils/logger');
 
-// Promisify exec
-const execPromise = util.promisify(exec);
+// Promisify execFile
+const execFilePromise = util.promisify(execFile);
 
 // Path to AppleScript templates
 const SCRIPTS_DIR = path.join(__dirname, 'scripts');
 
+// Order in which each library script reads its argv
+const SCRIPT_ARGUMENTS = {
+  send_text: ['recipient', 'text', 'service'],
+  send_media: ['recipient', 'filePath', 'text', 'service'],
+  send_to_chat: ['chatId', 'text', 'filePath'],
+  lookup_buddy: ['handle']
+};
+
 /**
- * Execute an AppleScript file with parameters
- * @param {string} scriptName - Name of the script file (without extension)
- * @param {Object} params - Parameters to pass to the script
+ * Positional arguments for a script
+ * Missing optional parameters are passed as "", which the scripts treat as
+ * "none", so argv always has the length a script expects
+ * @param {string} scriptName - Name of the script (without extension)
+ * @param {Object|Array} params - Named parameters, or arguments in order
+ * @returns {Array<string>} - argv for the script
+ */
+function buildScriptArguments(scriptName, params = {}) {
+  let values;
+  if (Array.isArray(params)) {
+    values = params;
+  } else if (SCRIPT_ARGUMENTS[scriptName]) {
+    values = SCRIPT_ARGUMENTS[scriptName].map(name => params[name]);
+  } else if (Object.keys(params).length > 0) {
+    throw new Error(`No argument order defined for AppleScript: ${scriptName}`);
+  } else {
+    values = [];
+  }
+
+  return values.map(value => {
+    const arg = value === null || value === undefined ? '' : String(value);
+    // argv strings end at a NUL byte; refuse rather than send a truncated message
+    if (arg.includes('\0')) {
+      throw new Error(`AppleScript argument contains a NUL byte: ${scriptName}`);
+    }
+    return arg;
+  });
+}
+
+/**
+ * Execute an AppleScript file with positional arguments
+ * @param {string} scriptPath - Path to the script file
+ * @param {Array<string>} args - Arguments passed to the script's `on run argv`
  * @returns {Promise<string>} - Script execution result
  */
-async function executeAppleScriptFile(scriptPath, params = {}) {
+async function executeAppleScriptFile(scriptPath, args = []) {
   try {
-    // Build the osascript command
-    let command = `osascript "${scriptPath}"`;
-    
-    // Add parameters if provided
-    if (Object.keys(params).length > 0) {
-      const paramStrings = Object.entries(params).map(([key, value]) => {
-        // Escape quotes in string values
-        if (typeof value === 'string') {
-          value = value.replace(/"/g, '\\"');
-        }
-        return `${key}="${value}"`;
-      });
-      
-      command += ' ' + paramStrings.join(' ');
-    }
-    
-    // Execute the command
-    const { stdout, stderr } = await execPromise(command);
-    
+    const { stdout, stderr } = await execFilePromise('osascript', [scriptPath, ...args]);
+
     if (stderr) {
       logger.warn('AppleScript execution warning', { stderr });
     }
-    
+
     return stdout.trim();
   } catch (error) {
-    logger.error('AppleScript execution error', { 
+    // Arguments are message text and recipients; only their count is logged
+    logger.error('AppleScript execution error', {
       error: error.message,
       scriptPath,
-      params
+      argCount: args.length
     });
     throw error;
   }
@@ -59,44 +84,43 @@ async function executeAppleScriptFile(scriptPath, params = {}) {
 /**
  * Execute an AppleScript by name
  * @param {string} scriptName - Name of the script (without extension)
- * @param {Object} params - Parameters to pass to the script
+ * @param {Object|Array} params - Parameters to pass to the script
  * @returns {Promise<string>} - Script execution result
  */
 async function executeAppleScript(scriptName, params = {}) {
   // Check if script exists in scripts directory
   const scriptPath = path.join(SCRIPTS_DIR, `${scriptName}.applescript`);
-  
+  const args = buildScriptArguments(scriptName, params);
+
   try {
     await fs.access(scriptPath);
-    return executeAppleScriptFile(scriptPath, params);
   } catch (error) {
-    // If script file doesn't exist, try to execute inline script
     if (error.code === 'ENOENT') {
       logger.error('AppleScript file not found', { scriptName, scriptPath });
       throw new Error(`AppleScript file not found: ${scriptName}`);
     }
     throw error;
   }
+
+  return executeAppleScriptFile(scriptPath, args);
 }
 
 /**
  * Execute an inline AppleScript
+ * Only for fixed scripts; anything built from message data belongs in a
+ * script file that takes it as an argument
  * @param {string} script - AppleScript code
  * @returns {Promise<string>} - Script execution result
  */
 async function executeInlineAppleScript(script) {
   try {
-    // Create a temporary file
-    const tempFile = path.join('/tmp', `applescript_${Date.now()}.scpt`);
-    await fs.writeFile(tempFile, script);
-    
-    // Execute the script
-    const result = await executeAppleScriptFile(tempFile);
-    
-    // Clean up
-    await fs.unlink(tempFile);
-    
-    return result;
+    const { stdout, stderr } = await execFilePromise('osascript', ['-e', script]);
+
+    if (stderr) {
+      logger.warn('AppleScript execution warning', { stderr });
+    }
+
+    return stdout.trim();
   } catch (error) {
     logger.error('Inline AppleScript execution error', { error: error.message });
     throw error;
@@ -105,5 +129,7 @@ async function executeInlineAppleScript(script) {
 
 module.exports = {
   executeAppleScript,
-  executeInlineAppleScript
+  executeInlineAppleScript,
+  buildScriptArguments,
+  SCRIPT_ARGUMENTS
 };
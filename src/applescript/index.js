@@ -10,17 +10,20 @@ const { logger } = require('../utils/logger');
  * Send a text message via iMessage
  * @param {string} recipient - Phone number or email of recipient
  * @param {string} text - Message text to send
+ * @param {string} service - Service to send over ('iMessage' or 'SMS')
  * @returns {Promise<string>} - Result of the operation
  */
-async function sendTextMessage(recipient, text) {
+async function sendTextMessage(recipient, text, service = 'iMessage') {
   logger.info('Sending text message', { 
     recipient,
+    service,
     messageLength: text.length
   });
   
   return appleScriptQueue.enqueue('send_text', {
     recipient,
-    text
+    text,
+    service
   });
 }
 
@@ -29,11 +32,13 @@ async function sendTextMessage(recipient, text) {
  * @param {string} recipient - Phone number or email of recipient
  * @param {string} filePath - Absolute path to media file
  * @param {string} text - Optional message text to accompany media
+ * @param {string} service - Service to send over ('iMessage' or 'SMS')
  * @returns {Promise<string>} - Result of the operation
  */
-async function sendMediaMessage(recipient, filePath, text = '') {
+async function sendMediaMessage(recipient, filePath, text = '', service = 'iMessage') {
   logger.info('Sending media message', { 
     recipient,
+    service,
     filePath,
     hasText: text.length > 0
   });
@@ -41,10 +46,43 @@ async function sendMediaMessage(recipient, filePath, text = '') {
   return appleScriptQueue.enqueue('send_media', {
     recipient,
     filePath,
-    text
+    text,
+    service
   });
 }
 
+/**
+ * Send a message to an existing chat by its chat.db GUID
+ * Unlike the buddy-addressed sends this reaches group chats
+ * @param {string} chatId - Chat GUID (e.g. iMessage;+;chat123456)
+ * @param {string} text - Message text to send
+ * @param {string} filePath - Optional absolute path to a file to send first
+ * @returns {Promise<string>} - Result of the operation
+ */
+async function sendToChat(chatId, text = '', filePath = '') {
+  logger.info('Sending message to chat', {
+    chatId,
+    messageLength: text.length,
+    hasMedia: filePath.length > 0
+  });
+
+  return appleScriptQueue.enqueue('send_to_chat', {
+    chatId,
+    text,
+    filePath
+  });
+}
+
+/**
+ * Look up a buddy on the iMessage service
+ * @param {string} handle - Phone number or email
+ * @returns {Promise<string|null>} - The buddy's handle, or null if Messages does not know it
+ */
+async function lookupBuddy(handle) {
+  const result = await appleScriptQueue.enqueue('lookup_buddy', { handle });
+  return result || null;
+}
+
 /**
  * Check if Messages.app is running
  * @returns {Promise<boolean>} - Whether Messages.app is running
@@ -84,6 +122,8 @@ async function startMessagesApp() {
 module.exports = {
   sendTextMessage,
   sendMediaMessage,
+  sendToChat,
+  lookupBuddy,
   isMessagesRunning,
   startMessagesApp,
   appleScriptQueue
@@ -5,6 +5,10 @@
 const { logger } = require('../utils/logger');
 const { executeAppleScript, executeInlineAppleScript } = require('./executor');
 
+// A failed send may still have reached Messages, so sends are never retried
+// here; the messages_out claim and its lease decide whether a row goes again
+const NON_RETRYABLE_SCRIPTS = new Set(['send_text', 'send_media', 'send_to_chat']);
+
 class AppleScriptQueue {
   constructor() {
     this.queue = [];
@@ -27,7 +31,7 @@ class AppleScriptQueue {
         resolve,
         reject,
         attempts: 0,
-        maxAttempts: 3
+        maxAttempts: NON_RETRYABLE_SCRIPTS.has(scriptName) ? 0 : 3
       });
       
       logger.debug(`Task added to AppleScript queue: ${scriptName}`, { 
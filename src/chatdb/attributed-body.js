@@ -0,0 +1,161 @@
+/**
+ * Extracts text and attribute runs from a message's attributedBody
+ * (an NSAttributedString archived as a typedstream)
+ */
+const { decodeTypedStream, toPlainValue, TypedObject } = require('./typedstream');
+
+// Object replacement character Messages uses as the placeholder for inline attachments
+const ATTACHMENT_PLACEHOLDER = '\uFFFC';
+
+// Attribute keys written by Messages
+const ATTRIBUTES = {
+  PART: '__kIMMessagePartAttributeName',
+  LINK: '__kIMLinkAttributeName',
+  MENTION: '__kIMMentionConfirmedMention',
+  FILE_TRANSFER: '__kIMFileTransferGUIDAttributeName',
+  BOLD: '__kIMTextBoldAttributeName',
+  ITALIC: '__kIMTextItalicAttributeName',
+  UNDERLINE: '__kIMTextUnderlineAttributeName',
+  STRIKETHROUGH: '__kIMTextStrikethroughAttributeName',
+  TEXT_EFFECT: '__kIMTextEffectAttributeName'
+};
+
+const STYLE_ATTRIBUTES = {
+  [ATTRIBUTES.BOLD]: 'bold',
+  [ATTRIBUTES.ITALIC]: 'italic',
+  [ATTRIBUTES.UNDERLINE]: 'underline',
+  [ATTRIBUTES.STRIKETHROUGH]: 'strikethrough'
+};
+
+/**
+ * Find the archived NSAttributedString among the top-level values
+ * @param {Array} groups - Top-level typedstream value groups
+ * @returns {TypedObject|null}
+ */
+function findAttributedString(groups) {
+  for (const value of groups.flat()) {
+    if (value instanceof TypedObject && value.isKindOf('NSAttributedString')) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn an attribute dictionary into a run description
+ * @param {Object} attributes - Plain attribute dictionary
+ * @returns {Object} - Run fields
+ */
+function describeAttributes(attributes) {
+  const run = { type: 'text' };
+
+  if (attributes[ATTRIBUTES.PART] !== undefined) {
+    run.part = attributes[ATTRIBUTES.PART];
+  }
+
+  if (attributes[ATTRIBUTES.FILE_TRANSFER]) {
+    run.type = 'attachment';
+    run.attachment_guid = attributes[ATTRIBUTES.FILE_TRANSFER];
+  } else if (attributes[ATTRIBUTES.MENTION]) {
+    run.type = 'mention';
+    run.mention = attributes[ATTRIBUTES.MENTION];
+  } else if (attributes[ATTRIBUTES.LINK]) {
+    run.type = 'link';
+    run.url = attributes[ATTRIBUTES.LINK];
+  }
+
+  const styles = Object.keys(STYLE_ATTRIBUTES)
+    .filter(key => attributes[key])
+    .map(key => STYLE_ATTRIBUTES[key]);
+  if (styles.length > 0) {
+    run.styles = styles;
+  }
+
+  if (attributes[ATTRIBUTES.TEXT_EFFECT] !== undefined) {
+    run.effect = attributes[ATTRIBUTES.TEXT_EFFECT];
+  }
+
+  return run;
+}
+
+/**
+ * Decode an attributedBody blob
+ * @param {Buffer} buffer - attributedBody column value
+ * @returns {Object|null} - { text, runs } or null when there is no body
+ */
+function decodeAttributedBody(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const attributedString = findAttributedString(decodeTypedStream(buffer));
+  if (!attributedString) {
+    return null;
+  }
+
+  const [[stringObject], ...runGroups] = attributedString.contents;
+  const text = toPlainValue(stringObject) || '';
+
+  // Runs are [dictionary index, length] pairs; a dictionary follows the
+  // first time its index appears and is referenced by index afterwards
+  const dictionaries = new Map();
+  const runs = [];
+  let position = 0;
+
+  for (let i = 0; i < runGroups.length; i++) {
+    const [index, length] = runGroups[i];
+    if (typeof index !== 'number' || typeof length !== 'number') {
+      continue;
+    }
+
+    if (!dictionaries.has(index)) {
+      const next = runGroups[i + 1];
+      const dictionary = next && next[0] instanceof TypedObject ? toPlainValue(next[0]) : {};
+      dictionaries.set(index, dictionary || {});
+      if (next && next[0] instanceof TypedObject) {
+        i++;
+      }
+    }
+
+    // Lengths are in UTF-16 code units, which match JavaScript string indices
+    runs.push({
+      start: position,
+      length,
+      text: text.slice(position, position + length),
+      ...describeAttributes(dictionaries.get(index))
+    });
+    position += length;
+  }
+
+  return { text, runs };
+}
+
+/**
+ * Best-effort text for a chat.db row, falling back to attributedBody
+ * @param {string|null} text - message.text
+ * @param {Buffer|null} attributedBody - message.attributedBody
+ * @returns {Object} - { text, richText, decodeError }
+ */
+function resolveMessageText(text, attributedBody) {
+  let decoded = null;
+  let decodeError = null;
+
+  try {
+    decoded = decodeAttributedBody(attributedBody);
+  } catch (error) {
+    decodeError = error;
+  }
+
+  return {
+    text: text || (decoded ? decoded.text : text),
+    richText: decoded ? decoded.runs : null,
+    decodeError
+  };
+}
+
+module.exports = {
+  decodeAttributedBody,
+  resolveMessageText,
+  ATTACHMENT_PLACEHOLDER,
+  ATTRIBUTES
+};
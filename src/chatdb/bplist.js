@@ -0,0 +1,208 @@
+/**
+ * Decoder for binary property lists ("bplist00")
+ * chat.db stores per-message metadata such as message_summary_info in this format
+ */
+const { AppError, ErrorTypes } = require('../utils/error-handler');
+
+const MAGIC = 'bplist00';
+const TRAILER_SIZE = 32;
+
+// CFAbsoluteTime epoch (2001-01-01T00:00:00Z) in Unix milliseconds
+const CF_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// Nesting limit so a crafted or corrupt plist cannot recurse forever
+const MAX_DEPTH = 64;
+
+/**
+ * A CFKeyedArchiverUID reference (used by NSKeyedArchiver plists)
+ */
+class PlistUID {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+class BinaryPlistReader {
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new AppError('Binary plist data must be a Buffer', ErrorTypes.VALIDATION);
+    }
+
+    this.buffer = buffer;
+  }
+
+  fail(message, offset) {
+    return new AppError(`Invalid binary plist: ${message}`, ErrorTypes.VALIDATION, { offset });
+  }
+
+  ensure(offset, length) {
+    if (offset < 0 || offset + length > this.buffer.length) {
+      throw this.fail(`unexpected end of data (needed ${length} bytes)`, offset);
+    }
+  }
+
+  /**
+   * Read an unsigned big-endian integer of 1-8 bytes
+   */
+  readUInt(offset, size) {
+    this.ensure(offset, size);
+
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value = value * 256 + this.buffer[offset + i];
+    }
+    return value;
+  }
+
+  readTrailer() {
+    if (this.buffer.length < MAGIC.length + TRAILER_SIZE ||
+        this.buffer.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+      throw this.fail('missing bplist00 header', 0);
+    }
+
+    const start = this.buffer.length - TRAILER_SIZE;
+    this.offsetSize = this.buffer[start + 6];
+    this.refSize = this.buffer[start + 7];
+    this.objectCount = this.readUInt(start + 8, 8);
+    this.topObject = this.readUInt(start + 16, 8);
+    this.offsetTableOffset = this.readUInt(start + 24, 8);
+
+    if (!this.offsetSize || !this.refSize || this.topObject >= this.objectCount) {
+      throw this.fail('malformed trailer', start);
+    }
+    this.ensure(this.offsetTableOffset, this.objectCount * this.offsetSize);
+  }
+
+  objectOffset(ref) {
+    if (ref >= this.objectCount) {
+      throw this.fail(`object reference ${ref} out of range`, this.offsetTableOffset);
+    }
+    return this.readUInt(this.offsetTableOffset + ref * this.offsetSize, this.offsetSize);
+  }
+
+  /**
+   * Read the length of a data/string/collection object
+   * A low nibble of 0xF means the length follows as an integer object
+   * @returns {Object} - { length, start } where start is the first content byte
+   */
+  readLength(offset, nibble) {
+    if (nibble !== 0x0f) {
+      return { length: nibble, start: offset + 1 };
+    }
+
+    this.ensure(offset + 1, 1);
+    const marker = this.buffer[offset + 1];
+    if ((marker & 0xf0) !== 0x10) {
+      throw this.fail('expected integer length', offset + 1);
+    }
+
+    const size = 1 << (marker & 0x0f);
+    return { length: this.readUInt(offset + 2, size), start: offset + 2 + size };
+  }
+
+  readInteger(offset, size) {
+    this.ensure(offset, size);
+
+    if (size === 8) {
+      const value = this.buffer.readBigInt64BE(offset);
+      return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+    }
+    if (size === 16) {
+      // 128-bit integers only appear for values above INT64_MAX; keep the low 64 bits
+      return this.buffer.readBigUInt64BE(offset + 8);
+    }
+    return this.readUInt(offset, size);
+  }
+
+  readObject(ref, depth = 0) {
+    if (depth > MAX_DEPTH) {
+      throw this.fail('nesting too deep', null);
+    }
+
+    const offset = this.objectOffset(ref);
+    this.ensure(offset, 1);
+    const marker = this.buffer[offset];
+    const type = marker >> 4;
+    const nibble = marker & 0x0f;
+
+    switch (type) {
+      case 0x0:
+        if (marker === 0x08) return false;
+        if (marker === 0x09) return true;
+        return null;
+      case 0x1:
+        return this.readInteger(offset + 1, 1 << nibble);
+      case 0x2: {
+        const size = 1 << nibble;
+        this.ensure(offset + 1, size);
+        return size === 4 ? this.buffer.readFloatBE(offset + 1) : this.buffer.readDoubleBE(offset + 1);
+      }
+      case 0x3: {
+        this.ensure(offset + 1, 8);
+        return new Date(CF_EPOCH_MS + this.buffer.readDoubleBE(offset + 1) * 1000);
+      }
+      case 0x4: {
+        const { length, start } = this.readLength(offset, nibble);
+        this.ensure(start, length);
+        return Buffer.from(this.buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const { length, start } = this.readLength(offset, nibble);
+        this.ensure(start, length);
+        return this.buffer.toString('latin1', start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = this.readLength(offset, nibble);
+        this.ensure(start, length * 2);
+        const utf16 = Buffer.from(this.buffer.subarray(start, start + length * 2));
+        return utf16.swap16().toString('utf16le');
+      }
+      case 0x8:
+        return new PlistUID(this.readUInt(offset + 1, nibble + 1));
+      case 0xa: {
+        const { length, start } = this.readLength(offset, nibble);
+        const values = [];
+        for (let i = 0; i < length; i++) {
+          values.push(this.readObject(this.readUInt(start + i * this.refSize, this.refSize), depth + 1));
+        }
+        return values;
+      }
+      case 0xd: {
+        const { length, start } = this.readLength(offset, nibble);
+        const dictionary = {};
+        for (let i = 0; i < length; i++) {
+          const key = this.readObject(this.readUInt(start + i * this.refSize, this.refSize), depth + 1);
+          const valueRef = this.readUInt(start + (length + i) * this.refSize, this.refSize);
+          dictionary[String(key)] = this.readObject(valueRef, depth + 1);
+        }
+        return dictionary;
+      }
+      default:
+        throw this.fail(`unsupported object marker 0x${marker.toString(16)}`, offset);
+    }
+  }
+
+  /**
+   * Decode the whole plist
+   * @returns {*} - The top-level object
+   */
+  read() {
+    this.readTrailer();
+    return this.readObject(this.topObject);
+  }
+}
+
+/**
+ * Decode a binary property list
+ * @param {Buffer} buffer - bplist00 data
+ * @returns {*} - Plain JavaScript value (objects, arrays, strings, numbers, Dates, Buffers)
+ */
+function parseBinaryPlist(buffer) {
+  return new BinaryPlistReader(buffer).read();
+}
+
+module.exports = {
+  parseBinaryPlist,
+  BinaryPlistReader,
+  PlistUID
+};
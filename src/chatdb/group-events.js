@@ -0,0 +1,90 @@
+/**
+ * Parser for group chat system rows in chat.db
+ * Membership changes, renames and photo changes are stored as message rows
+ * with a non-zero item_type instead of text
+ */
+
+// message.item_type values for group events
+const ITEM_TYPES = {
+  PARTICIPANT_CHANGE: 1,
+  RENAME: 2,
+  GROUP_ACTION: 3
+};
+
+const EVENT_TYPES = {
+  PARTICIPANT_ADDED: 'participant_added',
+  PARTICIPANT_REMOVED: 'participant_removed',
+  PARTICIPANT_LEFT: 'participant_left',
+  RENAMED: 'renamed',
+  PHOTO_CHANGED: 'photo_changed',
+  PHOTO_REMOVED: 'photo_removed'
+};
+
+/**
+ * Whether a chat.db row records a group event
+ * @param {Object} row - Row with item_type
+ * @returns {boolean}
+ */
+function isGroupEvent(row) {
+  return Object.values(ITEM_TYPES).includes(Number(row.item_type));
+}
+
+/**
+ * Parse a group event row
+ * For participant changes handle_id is who made the change and other_handle
+ * is who was added or removed; null identifiers mean the account owner
+ * @param {Object} row - Row with item_type, group_action_type, group_title,
+ *   is_from_me, sender_id and other_handle_id/other_handle_service
+ * @returns {Object|null} - { type, actor, participant, name }, or null for
+ *   other rows and for actions this parser does not know (callers skip those)
+ */
+function parseGroupEvent(row) {
+  if (!isGroupEvent(row)) {
+    return null;
+  }
+
+  const itemType = Number(row.item_type);
+  const action = Number(row.group_action_type) || 0;
+  const actor = row.is_from_me === 1 ? null : row.sender_id || null;
+  const event = { type: null, actor, participant: null, name: null };
+
+  if (itemType === ITEM_TYPES.PARTICIPANT_CHANGE) {
+    if (action !== 0 && action !== 1) {
+      return null;
+    }
+    event.type = action === 0 ? EVENT_TYPES.PARTICIPANT_ADDED : EVENT_TYPES.PARTICIPANT_REMOVED;
+    event.participant = row.other_handle_id
+      ? { identifier: row.other_handle_id, service: row.other_handle_service || null }
+      : null;
+    return event;
+  }
+
+  if (itemType === ITEM_TYPES.RENAME) {
+    event.type = EVENT_TYPES.RENAMED;
+    event.name = row.group_title || null;
+    return event;
+  }
+
+  switch (action) {
+    case 0:
+      // The person leaving is the sender of the row
+      event.type = EVENT_TYPES.PARTICIPANT_LEFT;
+      event.participant = actor ? { identifier: actor, service: row.service_name || null } : null;
+      return event;
+    case 1:
+      event.type = EVENT_TYPES.PHOTO_CHANGED;
+      return event;
+    case 2:
+      event.type = EVENT_TYPES.PHOTO_REMOVED;
+      return event;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  parseGroupEvent,
+  isGroupEvent,
+  EVENT_TYPES,
+  ITEM_TYPES
+};
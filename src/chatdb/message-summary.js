@@ -0,0 +1,74 @@
+/**
+ * Decoder for message.message_summary_info
+ * On macOS 13+ the binary plist records every version of an edited message
+ * part ("ec"), which parts were edited ("ep") and which were unsent ("rp")
+ */
+const { parseBinaryPlist } = require('./bplist');
+const { decodeAttributedBody } = require('./attributed-body');
+const { appleTimeToISOString } = require('./timestamps');
+
+/**
+ * Convert an edit timestamp, which may be a plist date or a raw chat.db value
+ * @param {Date|number|bigint|undefined} value
+ * @returns {string|null} - ISO timestamp
+ */
+function editTimeToISOString(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  return typeof value === 'number' || typeof value === 'bigint' ? appleTimeToISOString(value) : null;
+}
+
+/**
+ * Normalise a list of part indexes
+ * @param {*} value - Plist array of integers
+ * @returns {Array<number>}
+ */
+function partList(value) {
+  return Array.isArray(value)
+    ? value.map(Number).filter(Number.isInteger).sort((a, b) => a - b)
+    : [];
+}
+
+/**
+ * Decode message_summary_info
+ * @param {Buffer|null} buffer - Column value
+ * @returns {Object} - { edits, editedParts, retractedParts }; edits is the full
+ *   history, one { part, edited_at, text } entry per version in send order
+ */
+function parseMessageSummary(buffer) {
+  const summary = { edits: [], editedParts: [], retractedParts: [] };
+  if (!buffer || buffer.length === 0) {
+    return summary;
+  }
+
+  const plist = parseBinaryPlist(buffer);
+  if (!plist || typeof plist !== 'object') {
+    return summary;
+  }
+
+  summary.editedParts = partList(plist.ep);
+  summary.retractedParts = partList(plist.rp);
+
+  const editedContent = plist.ec && typeof plist.ec === 'object' ? plist.ec : {};
+  const parts = Object.keys(editedContent).map(Number).filter(Number.isInteger).sort((a, b) => a - b);
+
+  for (const part of parts) {
+    const versions = Array.isArray(editedContent[part]) ? editedContent[part] : [];
+
+    for (const version of versions) {
+      const decoded = Buffer.isBuffer(version.t) ? decodeAttributedBody(version.t) : null;
+      summary.edits.push({
+        part,
+        edited_at: editTimeToISOString(version.d),
+        text: decoded ? decoded.text : null
+      });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  parseMessageSummary
+};
@@ -0,0 +1,752 @@
+/**
+ * In-process, read-only access to the Messages chat.db
+ * Replaces the sqlite3 CLI shell-outs used by inbound processing and thread sync
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logger } = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../utils/error-handler');
+const { dateToAppleTime, detectUnit } = require('./timestamps');
+
+// Default location of the Messages database
+const CHAT_DB_PATH = process.env.CHAT_DB_PATH
+  || path.join(process.env.HOME || '/tmp', 'Library/Messages/chat.db');
+
+// How long a query waits on a lock held by Messages.app before failing
+const BUSY_TIMEOUT_MS = 5000;
+
+// chat.style for group chats (1:1 chats are 45)
+const GROUP_CHAT_STYLE = 43;
+
+/**
+ * Reasons attached to chat.db errors (error.details.reason)
+ */
+const ChatDbErrorReasons = {
+  MISSING: 'CHAT_DB_MISSING',
+  FULL_DISK_ACCESS: 'FULL_DISK_ACCESS_REQUIRED',
+  CORRUPT: 'CHAT_DB_CORRUPT'
+};
+
+// SQLite error codes that mean the file is not a usable database
+const CORRUPTION_CODES = ['SQLITE_NOTADB', 'SQLITE_CORRUPT'];
+
+class ChatDbReader {
+  constructor({
+    dbPath = CHAT_DB_PATH,
+    DatabaseClass = Database,
+    loggerInstance = logger
+  } = {}) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.statements = new Map();
+    this.columnCache = new Map();
+    this.timeUnit = null;
+
+    // Store injected dependencies
+    this.Database = DatabaseClass;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Open chat.db read-only, validating access and integrity first
+   * @returns {Object} - Open database handle
+   */
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    this.checkAccess();
+
+    try {
+      // readonly + fileMustExist never creates or migrates anything; SQLite
+      // still reads committed frames from chat.db-wal, so no checkpoint is
+      // needed to see new messages and Messages.app keeps its write lock
+      this.db = new this.Database(this.dbPath, {
+        readonly: true,
+        fileMustExist: true,
+        timeout: BUSY_TIMEOUT_MS
+      });
+      this.db.pragma('query_only = ON');
+
+      // Force a read of the header and schema so a corrupt file fails here
+      const hasMessageTable = this.db
+        .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'message'")
+        .get();
+
+      if (!hasMessageTable) {
+        throw new AppError(
+          `${this.dbPath} is not a Messages database (no message table)`,
+          ErrorTypes.DATABASE,
+          { reason: ChatDbErrorReasons.CORRUPT, dbPath: this.dbPath }
+        );
+      }
+
+      this.logger.debug('Opened chat.db read-only', { dbPath: this.dbPath });
+      return this.db;
+    } catch (error) {
+      this.close();
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Verify chat.db exists and can be read by this process
+   * @throws {AppError} - When the file is missing or macOS denies access
+   */
+  checkAccess() {
+    let fd;
+    try {
+      // Opening the file (not just stat) is what TCC blocks without Full Disk Access
+      fd = fs.openSync(this.dbPath, 'r');
+    } catch (error) {
+      throw this.translateError(error);
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  /**
+   * Map filesystem and SQLite errors to descriptive AppErrors
+   * @param {Error} error - Original error
+   * @returns {Error} - Translated error
+   */
+  translateError(error) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    const details = { dbPath: this.dbPath, code: error.code };
+
+    if (error.code === 'ENOENT') {
+      return new AppError(
+        `chat.db not found at ${this.dbPath}. Is Messages.app signed in on this Mac?`,
+        ErrorTypes.DATABASE,
+        { ...details, reason: ChatDbErrorReasons.MISSING }
+      );
+    }
+
+    if (error.code === 'EPERM' || error.code === 'EACCES' || error.code === 'SQLITE_CANTOPEN' || error.code === 'SQLITE_AUTH') {
+      return new AppError(
+        'Cannot read chat.db. Grant Full Disk Access to the process running the daemon ' +
+        '(System Settings > Privacy & Security > Full Disk Access)',
+        ErrorTypes.PERMISSION,
+        { ...details, reason: ChatDbErrorReasons.FULL_DISK_ACCESS }
+      );
+    }
+
+    if (CORRUPTION_CODES.includes(error.code)) {
+      return new AppError(
+        `chat.db at ${this.dbPath} is corrupt or not a SQLite database: ${error.message}`,
+        ErrorTypes.DATABASE,
+        { ...details, reason: ChatDbErrorReasons.CORRUPT }
+      );
+    }
+
+    return new AppError(error.message, ErrorTypes.DATABASE, details);
+  }
+
+  /**
+   * Get (and cache) a prepared statement
+   * @param {string} sql - SQL with bound parameter placeholders
+   * @returns {Object} - Prepared statement
+   */
+  prepare(sql) {
+    const db = this.open();
+    let statement = this.statements.get(sql);
+
+    if (!statement) {
+      statement = db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+
+    return statement;
+  }
+
+  /**
+   * Run a query and return all rows
+   * @param {string} sql - SQL with bound parameter placeholders
+   * @param {Object|Array} params - Bound parameters
+   * @returns {Array} - Result rows
+   */
+  all(sql, params = []) {
+    return this.run(sql, params, statement => statement.all(params));
+  }
+
+  /**
+   * Run a query and return the first row
+   * @param {string} sql - SQL with bound parameter placeholders
+   * @param {Object|Array} params - Bound parameters
+   * @returns {Object|undefined} - First row
+   */
+  get(sql, params = []) {
+    return this.run(sql, params, statement => statement.get(params));
+  }
+
+  /**
+   * Execute a statement, closing the handle on fatal errors so the
+   * next call reopens (e.g. after Messages.app replaced the file)
+   */
+  run(sql, params, execute) {
+    try {
+      return execute(this.prepare(sql));
+    } catch (error) {
+      const translated = this.translateError(error);
+
+      if (CORRUPTION_CODES.includes(error.code) || error.code === 'SQLITE_CANTOPEN') {
+        this.close();
+      }
+
+      this.logger.error('Error querying chat.db', { error: translated.message, params });
+      throw translated;
+    }
+  }
+
+  /**
+   * Check whether a column exists; chat.db gains columns between macOS releases
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {boolean} - Whether the column exists
+   */
+  hasColumn(table, column) {
+    if (!this.columnCache.has(table)) {
+      const columns = this.open()
+        .prepare('SELECT name FROM pragma_table_info(?)')
+        .all(table)
+        .map(row => row.name);
+      this.columnCache.set(table, new Set(columns));
+    }
+
+    return this.columnCache.get(table).has(column);
+  }
+
+  /**
+   * Select expression for a column that may not exist on older schemas
+   * @param {string} alias - Table alias used in the query
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} as - Output column name
+   * @returns {string} - `alias.column AS as`, or `NULL AS as` when missing
+   */
+  optionalColumn(alias, table, column, as = column) {
+    return this.hasColumn(table, column)
+      ? `${alias}.${column} AS ${as}`
+      : `NULL AS ${as}`;
+  }
+
+  /**
+   * Query for new messages after a given ROWID
+   * @param {number} lastMessageId - ID of last processed message
+   * @param {number} limit - Maximum number of rows
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeFromMe - Also return messages sent by the account owner
+   *   (group events are returned either way)
+   * @returns {Array} - New messages
+   */
+  getNewMessages(lastMessageId, limit = 100, { includeFromMe = false } = {}) {
+    return this.queryMessages(`
+        m.ROWID > @lastMessageId
+        -- Group events the owner triggered are always needed to track membership
+        AND (@includeFromMe = 1 OR m.is_from_me = 0 OR ${this.itemTypeColumn()} IN (1, 2, 3))
+    `, { lastMessageId, limit, includeFromMe: includeFromMe ? 1 : 0 });
+  }
+
+  /**
+   * Query a page of historical messages for backfill, keyset-paginated on ROWID
+   * @param {Object} filters - Backfill filters
+   * @param {number} filters.afterId - Exclusive lower ROWID bound (the checkpoint)
+   * @param {number} filters.maxId - Inclusive upper ROWID bound
+   * @param {Date|null} filters.since - Only messages sent at or after this time
+   * @param {Date|null} filters.until - Only messages sent before this time
+   * @param {Array<string>|null} filters.chatGuids - Only these chats
+   * @param {boolean} filters.includeFromMe - Also return messages sent by the account owner
+   * @param {number} limit - Page size
+   * @returns {Array} - Messages in ROWID order
+   */
+  getBackfillMessages(filters, limit = 100) {
+    return this.queryMessages(
+      `m.ROWID > @afterId AND ${this.backfillConditions()}`,
+      { ...this.backfillParams(filters), limit }
+    );
+  }
+
+  /**
+   * Count the messages a backfill will visit after its checkpoint
+   * @param {Object} filters - Same filters as getBackfillMessages
+   * @returns {number}
+   */
+  countBackfillMessages(filters) {
+    const row = this.get(`
+      SELECT COUNT(*) as count
+      FROM
+        message m
+      JOIN
+        chat_message_join cmj ON m.ROWID = cmj.message_id
+      JOIN
+        chat c ON cmj.chat_id = c.ROWID
+      WHERE
+        m.ROWID > @afterId AND ${this.backfillConditions()}
+    `, this.backfillParams(filters));
+    return row ? row.count : 0;
+  }
+
+  /**
+   * WHERE conditions shared by the backfill queries
+   * @returns {string}
+   */
+  backfillConditions() {
+    return `
+        m.ROWID <= @maxId
+        AND (@since IS NULL OR m.date >= @since)
+        AND (@until IS NULL OR m.date < @until)
+        AND (@chatGuids IS NULL OR c.guid IN (SELECT value FROM json_each(@chatGuids)))
+        AND (@includeFromMe = 1 OR m.is_from_me = 0 OR ${this.itemTypeColumn()} IN (1, 2, 3))
+    `;
+  }
+
+  /**
+   * Bound parameters for backfillConditions
+   * @param {Object} filters - Backfill filters
+   * @returns {Object}
+   */
+  backfillParams({ afterId = 0, maxId, since = null, until = null, chatGuids = null, includeFromMe = false }) {
+    return {
+      afterId,
+      maxId,
+      since: since ? this.toChatDbTime(since) : null,
+      until: until ? this.toChatDbTime(until) : null,
+      chatGuids: chatGuids && chatGuids.length > 0 ? JSON.stringify(chatGuids) : null,
+      includeFromMe: includeFromMe ? 1 : 0
+    };
+  }
+
+  /**
+   * Convert a Date to this database's timestamp unit (nanoseconds since
+   * macOS 10.13, seconds before)
+   * @param {Date} date
+   * @returns {number}
+   */
+  toChatDbTime(date) {
+    if (!this.timeUnit) {
+      const sample = this.get('SELECT date FROM message WHERE date > 0 ORDER BY ROWID DESC LIMIT 1');
+      this.timeUnit = sample ? detectUnit(sample.date) : 'ns';
+    }
+    return dateToAppleTime(date, this.timeUnit);
+  }
+
+  /**
+   * Highest message ROWID in chat.db
+   * @returns {number}
+   */
+  getMaxMessageId() {
+    const row = this.get('SELECT MAX(ROWID) as max_id FROM message');
+    return row && row.max_id ? row.max_id : 0;
+  }
+
+  /**
+   * Marker that changes whenever chat.db may have changed since it was last
+   * taken: SQLite bumps data_version on every commit by another connection
+   * (Messages.app), and the row counts cover a handle that was reopened
+   * @returns {string}
+   */
+  getChangeMarker() {
+    const { data_version: version } = this.get('PRAGMA data_version');
+    const row = this.get('SELECT (SELECT MAX(ROWID) FROM message) as max_id, (SELECT COUNT(*) FROM chat) as chats');
+    return `${version}:${row.max_id || 0}:${row.chats}`;
+  }
+
+  /**
+   * Fetch one message by ROWID, with the same columns as getNewMessages
+   * @param {number} messageId - message.ROWID
+   * @returns {Object|undefined} - Message, or undefined once deleted from chat.db
+   */
+  getMessageById(messageId) {
+    return this.queryMessages('m.ROWID = @messageId', { messageId, limit: 1 })[0];
+  }
+
+  /**
+   * Messages this Mac sent to a 1:1 chat since a point in time, with their
+   * delivery state, to follow an iMessage send that may need to go as SMS
+   * The chat is matched by GUID or by the other person's handle, since
+   * Messages may file a new conversation under a GUID of its own
+   * @param {Object} options - Query options
+   * @param {string|null} options.chatGuid - chat.guid the send was addressed to
+   * @param {string} options.handle - Handle the send was addressed to
+   * @param {Date} options.since - Only messages sent at or after this time
+   * @returns {Array} - Sent messages in ROWID order
+   */
+  getSentMessages({ chatGuid = null, handle, since }) {
+    return this.all(`
+      SELECT
+        m.ROWID as message_id,
+        m.guid as message_guid,
+        m.text as message_text,
+        ${this.optionalColumn('m', 'message', 'attributedBody', 'attributed_body')},
+        m.cache_has_attachments,
+        m.date_delivered,
+        ${this.optionalColumn('m', 'message', 'is_delivered')},
+        ${this.optionalColumn('m', 'message', 'error')},
+        ${this.optionalColumn('m', 'message', 'service')},
+        c.guid as chat_guid
+      FROM
+        message m
+      JOIN
+        chat_message_join cmj ON m.ROWID = cmj.message_id
+      JOIN
+        chat c ON cmj.chat_id = c.ROWID
+      WHERE
+        m.is_from_me = 1
+        AND m.date >= @since
+        AND (c.guid = @chatGuid OR (c.style != ${GROUP_CHAT_STYLE} AND c.chat_identifier = @handle))
+      ORDER BY
+        m.ROWID ASC
+    `, { chatGuid, handle, since: this.toChatDbTime(since) });
+  }
+
+  /**
+   * Select expression for message.item_type (0 on schemas without it)
+   * @returns {string}
+   */
+  itemTypeColumn() {
+    return this.hasColumn('message', 'item_type') ? 'm.item_type' : '0';
+  }
+
+  /**
+   * Run the shared message SELECT with a WHERE clause, in ROWID order
+   * @param {string} where - SQL conditions using bound parameters
+   * @param {Object} params - Bound parameters, including limit
+   * @returns {Array} - Messages
+   */
+  queryMessages(where, params) {
+    const hasOtherHandle = this.hasColumn('message', 'other_handle');
+
+    return this.all(`
+      SELECT
+        m.ROWID as message_id,
+        m.guid as message_guid,
+        m.text as message_text,
+        ${this.optionalColumn('m', 'message', 'attributedBody', 'attributed_body')},
+        m.handle_id,
+        m.date as message_date,
+        m.date_delivered,
+        m.date_read,
+        m.is_from_me,
+        m.cache_has_attachments,
+        ${this.optionalColumn('m', 'message', 'associated_message_guid')},
+        ${this.optionalColumn('m', 'message', 'associated_message_type')},
+        ${this.optionalColumn('m', 'message', 'associated_message_emoji')},
+        ${this.optionalColumn('m', 'message', 'thread_originator_guid')},
+        ${this.optionalColumn('m', 'message', 'thread_originator_part')},
+        ${this.itemTypeColumn()} as item_type,
+        ${this.optionalColumn('m', 'message', 'group_action_type')},
+        ${this.optionalColumn('m', 'message', 'group_title')},
+        ${hasOtherHandle ? 'oh.id' : 'NULL'} as other_handle_id,
+        ${hasOtherHandle ? 'oh.service' : 'NULL'} as other_handle_service,
+        c.guid as chat_guid,
+        h.id as sender_id,
+        h.service as service_name
+      FROM
+        message m
+      JOIN
+        chat_message_join cmj ON m.ROWID = cmj.message_id
+      JOIN
+        chat c ON cmj.chat_id = c.ROWID
+      LEFT JOIN
+        handle h ON m.handle_id = h.ROWID
+      ${hasOtherHandle ? 'LEFT JOIN handle oh ON m.other_handle = oh.ROWID' : ''}
+      WHERE
+        ${where}
+      ORDER BY
+        m.ROWID ASC
+      LIMIT @limit
+    `, params);
+  }
+
+  /**
+   * Query already-seen messages that were edited or unsent after a point in time
+   * Edits only bump date_edited/date_retracted, never the ROWID, so
+   * getNewMessages cannot see them
+   * @param {number} lastMessageId - Only consider messages up to this ROWID
+   * @param {number} since - chat.db timestamp; rows changed after it are returned
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeFromMe - Also return messages sent by the account owner
+   * @returns {Array} - Changed messages (empty on schemas without edit support)
+   */
+  getChangedMessages(lastMessageId, since, { includeFromMe = false } = {}) {
+    if (!this.hasColumn('message', 'date_edited')) {
+      return [];
+    }
+
+    const dateRetracted = this.hasColumn('message', 'date_retracted') ? 'm.date_retracted' : '0';
+
+    return this.all(`
+      SELECT
+        m.ROWID as message_id,
+        m.guid as message_guid,
+        m.text as message_text,
+        ${this.optionalColumn('m', 'message', 'attributedBody', 'attributed_body')},
+        ${this.optionalColumn('m', 'message', 'message_summary_info')},
+        m.date_edited,
+        ${dateRetracted} as date_retracted,
+        m.is_from_me
+      FROM
+        message m
+      WHERE
+        m.ROWID <= @lastMessageId
+        AND (m.date_edited > @since OR ${dateRetracted} > @since)
+        AND (@includeFromMe = 1 OR m.is_from_me = 0)
+      ORDER BY
+        m.ROWID ASC
+    `, { lastMessageId, since, includeFromMe: includeFromMe ? 1 : 0 });
+  }
+
+  /**
+   * Query for attachments of a message
+   * @param {number} messageId - Message ROWID
+   * @returns {Array} - Attachments
+   */
+  getMessageAttachments(messageId) {
+    return this.all(`
+      SELECT
+        ${this.attachmentColumns()}
+      FROM
+        attachment a
+      JOIN
+        message_attachment_join maj ON a.ROWID = maj.attachment_id
+      WHERE
+        maj.message_id = @messageId
+    `, { messageId });
+  }
+
+  /**
+   * Query a single attachment, e.g. to retry an upload once it has downloaded
+   * @param {number} attachmentId - Attachment ROWID
+   * @returns {Object|undefined} - Attachment
+   */
+  getAttachment(attachmentId) {
+    return this.get(`
+      SELECT
+        ${this.attachmentColumns()}
+      FROM
+        attachment a
+      WHERE
+        a.ROWID = @attachmentId
+    `, { attachmentId });
+  }
+
+  /**
+   * Select list shared by the attachment queries
+   * @returns {string}
+   */
+  attachmentColumns() {
+    return `
+        a.ROWID as attachment_id,
+        a.guid as attachment_guid,
+        a.filename as attachment_filename,
+        a.mime_type,
+        a.transfer_name,
+        a.total_bytes,
+        ${this.optionalColumn('a', 'attachment', 'transfer_state')}`;
+  }
+
+  /**
+   * Get all chat threads
+   * @returns {Array} - Chat threads
+   */
+  getChatThreads() {
+    return this.all(`
+      SELECT
+        c.ROWID as chat_id,
+        c.guid as chat_guid,
+        c.display_name,
+        c.chat_identifier,
+        c.service_name,
+        c.style as chat_style,
+        ${this.lastMessageDateColumn()},
+        GROUP_CONCAT(h.id, ',') as handle_ids
+      FROM
+        chat c
+      LEFT JOIN
+        chat_handle_join chj ON c.ROWID = chj.chat_id
+      LEFT JOIN
+        handle h ON chj.handle_id = h.ROWID
+      GROUP BY
+        c.ROWID
+      ORDER BY
+        c.ROWID DESC
+    `);
+  }
+
+  /**
+   * Get one chat by GUID
+   * @param {string} chatGuid - chat.guid
+   * @returns {Object|undefined} - Chat, with the same columns as getChatThreads
+   */
+  getChatThread(chatGuid) {
+    return this.get(`
+      SELECT
+        c.ROWID as chat_id,
+        c.guid as chat_guid,
+        c.display_name,
+        c.chat_identifier,
+        c.service_name,
+        c.style as chat_style,
+        ${this.lastMessageDateColumn()}
+      FROM
+        chat c
+      WHERE
+        c.guid = @chatGuid
+    `, { chatGuid });
+  }
+
+  /**
+   * 1:1 chats with a handle, newest first
+   * Matches chat_identifier or the chat's participant, so a chat whose
+   * identifier is stored in another format is still found
+   * @param {string} handle - Normalized handle (E.164 number or email)
+   * @param {string|null} service - Only chats on this service (null for any)
+   * @returns {Array} - Chats, with the same columns as getChatThread
+   */
+  findDirectChats(handle, service = null) {
+    return this.all(`
+      SELECT DISTINCT
+        c.ROWID as chat_id,
+        c.guid as chat_guid,
+        c.display_name,
+        c.chat_identifier,
+        c.service_name,
+        c.style as chat_style,
+        ${this.lastMessageDateColumn()}
+      FROM
+        chat c
+      LEFT JOIN
+        chat_handle_join chj ON c.ROWID = chj.chat_id
+      LEFT JOIN
+        handle h ON chj.handle_id = h.ROWID
+      WHERE
+        c.style != ${GROUP_CHAT_STYLE}
+        AND (c.chat_identifier = @handle COLLATE NOCASE OR h.id = @handle COLLATE NOCASE)
+        AND (@service IS NULL OR c.service_name = @service)
+      ORDER BY
+        last_message_date DESC
+    `, { handle, service });
+  }
+
+  /**
+   * Select expression for the date of a chat's newest message
+   * @returns {string}
+   */
+  lastMessageDateColumn() {
+    return `(
+          SELECT MAX(lm.date)
+          FROM chat_message_join lcmj
+          JOIN message lm ON lm.ROWID = lcmj.message_id
+          WHERE lcmj.chat_id = c.ROWID
+        ) as last_message_date`;
+  }
+
+  /**
+   * Get participants of a chat
+   * @param {number} chatId - Chat ROWID
+   * @returns {Array} - Chat participants
+   */
+  getChatParticipants(chatId) {
+    return this.all(`
+      SELECT
+        h.id as identifier,
+        h.service as service_name,
+        h.country as country_code,
+        h.uncanonicalized_id as original_identifier
+      FROM
+        handle h
+      JOIN
+        chat_handle_join chj ON h.ROWID = chj.handle_id
+      WHERE
+        chj.chat_id = @chatId
+    `, { chatId });
+  }
+
+  /**
+   * Get the participants of every chat in one query
+   * @returns {Map<number, Array>} - Chat ROWID -> participants, as in getChatParticipants
+   */
+  getAllChatParticipants() {
+    const participants = new Map();
+    this.all(`
+      SELECT
+        chj.chat_id,
+        h.id as identifier,
+        h.service as service_name,
+        h.country as country_code,
+        h.uncanonicalized_id as original_identifier
+      FROM
+        handle h
+      JOIN
+        chat_handle_join chj ON h.ROWID = chj.handle_id
+      ORDER BY
+        chj.chat_id, h.ROWID
+    `).forEach(({ chat_id: chatId, ...participant }) => {
+      if (!participants.has(chatId)) {
+        participants.set(chatId, []);
+      }
+      participants.get(chatId).push(participant);
+    });
+    return participants;
+  }
+
+  /**
+   * Get every distinct handle (phone number or email address)
+   * @returns {Array<string>} - handle.id values
+   */
+  getHandleIds() {
+    return this.all('SELECT DISTINCT id FROM handle WHERE id IS NOT NULL ORDER BY id')
+      .map(row => row.id);
+  }
+
+  /**
+   * Get the Apple IDs and phone numbers this Mac's chats were sent from
+   * chat.account_login is prefixed with E: (email) or P: (phone)
+   * @returns {Array<string>} - Accounts, without the prefix
+   */
+  getAccounts() {
+    if (!this.hasColumn('chat', 'account_login')) {
+      return [];
+    }
+    const accounts = this.all('SELECT DISTINCT account_login FROM chat WHERE account_login IS NOT NULL')
+      .map(row => row.account_login.replace(/^[EP]:/i, ''))
+      .filter(Boolean);
+    return [...new Set(accounts)].sort();
+  }
+
+  /**
+   * Close the database handle and drop cached statements
+   */
+  close() {
+    this.statements.clear();
+    this.columnCache.clear();
+    this.timeUnit = null;
+
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch (error) {
+        this.logger.warn('Error closing chat.db', { error: error.message });
+      }
+      this.db = null;
+    }
+  }
+}
+
+// Singleton instance using default dependencies
+const chatDbReader = new ChatDbReader();
+
+module.exports = {
+  ChatDbReader, // Export the class for testing
+  chatDbReader, // Export the singleton for app use
+  ChatDbErrorReasons,
+  GROUP_CHAT_STYLE,
+  CHAT_DB_PATH
+};
@@ -0,0 +1,90 @@
+/**
+ * Parser for tapback (reaction) rows in chat.db
+ * Tapbacks are stored as their own message rows, pointing at the target
+ * message through associated_message_guid / associated_message_type
+ */
+
+// associated_message_type offsets; 2000 + n adds a reaction, 3000 + n removes it
+const REACTION_TYPES = {
+  0: 'love',
+  1: 'like',
+  2: 'dislike',
+  3: 'laugh',
+  4: 'emphasize',
+  5: 'question',
+  6: 'emoji',
+  7: 'sticker'
+};
+
+const ADD_BASE = 2000;
+const REMOVE_BASE = 3000;
+
+/**
+ * Split an associated_message_guid into the target GUID and message part
+ * Formats: "p:1/GUID" (part 1), "bp:GUID" (balloon plugin, part 0) or a bare GUID
+ * @param {string} associatedGuid - associated_message_guid value
+ * @returns {Object|null} - { guid, part }
+ */
+function parseAssociatedGuid(associatedGuid) {
+  if (!associatedGuid) {
+    return null;
+  }
+
+  const partMatch = /^p:(\d+)\/(.+)$/.exec(associatedGuid);
+  if (partMatch) {
+    return { guid: partMatch[2], part: parseInt(partMatch[1], 10) };
+  }
+
+  if (associatedGuid.startsWith('bp:')) {
+    return { guid: associatedGuid.slice(3), part: 0 };
+  }
+
+  return { guid: associatedGuid, part: 0 };
+}
+
+/**
+ * Whether a chat.db row is a tapback
+ * @param {Object} row - Row with associated_message_type
+ * @returns {boolean}
+ */
+function isTapback(row) {
+  const type = Number(row.associated_message_type);
+  const offset = type >= REMOVE_BASE ? type - REMOVE_BASE : type - ADD_BASE;
+  return type >= ADD_BASE && type < REMOVE_BASE + 1000 && REACTION_TYPES[offset] !== undefined;
+}
+
+/**
+ * Parse a tapback row
+ * @param {Object} row - Row with associated_message_type, associated_message_guid
+ *   and (on newer schemas) associated_message_emoji
+ * @returns {Object|null} - { action, reaction, emoji, targetGuid, targetPart } or null
+ */
+function parseTapback(row) {
+  if (!isTapback(row)) {
+    return null;
+  }
+
+  const target = parseAssociatedGuid(row.associated_message_guid);
+  if (!target) {
+    return null;
+  }
+
+  const type = Number(row.associated_message_type);
+  const isRemoval = type >= REMOVE_BASE;
+  const reaction = REACTION_TYPES[type - (isRemoval ? REMOVE_BASE : ADD_BASE)];
+
+  return {
+    action: isRemoval ? 'remove' : 'add',
+    reaction,
+    emoji: reaction === 'emoji' ? row.associated_message_emoji || null : null,
+    targetGuid: target.guid,
+    targetPart: target.part
+  };
+}
+
+module.exports = {
+  parseTapback,
+  parseAssociatedGuid,
+  isTapback,
+  REACTION_TYPES
+};
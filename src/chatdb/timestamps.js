@@ -0,0 +1,70 @@
+/**
+ * Conversion between chat.db timestamps and JavaScript dates
+ * chat.db counts from 2001-01-01 UTC (Core Data epoch); macOS 10.13+ stores
+ * nanoseconds, older schemas stored seconds
+ */
+
+// 2001-01-01T00:00:00Z in Unix milliseconds
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// Any value above this cannot be seconds (it would be ~300 years after 2001)
+const NANOSECOND_THRESHOLD = 1e10;
+
+/**
+ * Detect the unit of a chat.db timestamp
+ * @param {number|bigint} value - Raw column value
+ * @returns {string} - 'ns' or 's'
+ */
+function detectUnit(value) {
+  return Math.abs(Number(value)) > NANOSECOND_THRESHOLD ? 'ns' : 's';
+}
+
+/**
+ * Convert a chat.db timestamp to a Date
+ * @param {number|bigint|null} value - Raw column value
+ * @returns {Date|null} - Date, or null for empty values (chat.db uses 0 for "never")
+ */
+function appleTimeToDate(value) {
+  if (value === null || value === undefined || Number(value) === 0) {
+    return null;
+  }
+
+  let millis;
+  if (typeof value === 'bigint') {
+    millis = detectUnit(value) === 'ns' ? Number(value / 1000000n) : Number(value) * 1000;
+  } else {
+    millis = detectUnit(value) === 'ns' ? Math.round(value / 1e6) : value * 1000;
+  }
+
+  const date = new Date(APPLE_EPOCH_MS + millis);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a chat.db timestamp to an ISO string for Supabase
+ * @param {number|bigint|null} value - Raw column value
+ * @returns {string|null} - ISO timestamp or null
+ */
+function appleTimeToISOString(value) {
+  const date = appleTimeToDate(value);
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * Convert a Date to a chat.db timestamp, for range queries
+ * @param {Date|string|number} date - Date to convert
+ * @param {string} unit - 'ns' (default) or 's'
+ * @returns {number} - chat.db timestamp
+ */
+function dateToAppleTime(date, unit = 'ns') {
+  const millis = new Date(date).getTime() - APPLE_EPOCH_MS;
+  return unit === 'ns' ? millis * 1e6 : Math.floor(millis / 1000);
+}
+
+module.exports = {
+  appleTimeToDate,
+  appleTimeToISOString,
+  dateToAppleTime,
+  detectUnit,
+  APPLE_EPOCH_MS
+};
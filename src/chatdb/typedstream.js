@@ -0,0 +1,411 @@
+/**
+ * Decoder for NeXTSTEP/Apple "typedstream" archives (NSArchiver format)
+ * chat.db stores message bodies (attributedBody) and some summaries in this format
+ */
+const { AppError, ErrorTypes } = require('../utils/error-handler');
+
+// Head byte tags (interpreted as signed bytes)
+const TAG_INTEGER_2 = -127;
+const TAG_INTEGER_4 = -126;
+const TAG_FLOATING_POINT = -125;
+const TAG_NEW = -124;
+const TAG_NIL = -123;
+const TAG_END_OF_OBJECT = -122;
+
+// Reference numbers are written as signed integers starting here
+const FIRST_REFERENCE_NUMBER = -110;
+
+// Single-character integer type encodings; upper case are unsigned
+const INTEGER_TYPES = 'cCsSiIlLqQ';
+const UNSIGNED_TYPES = 'CSILQ';
+
+/**
+ * An archived Objective-C object
+ */
+class TypedObject {
+  constructor(archivedClass) {
+    this.archivedClass = archivedClass;
+    // Each entry is one group of values written with a single type encoding
+    this.contents = [];
+  }
+
+  get className() {
+    return this.archivedClass ? this.archivedClass.name : null;
+  }
+
+  /**
+   * Whether the object's class or one of its superclasses has the given name
+   * @param {string} name - Class name
+   * @returns {boolean}
+   */
+  isKindOf(name) {
+    for (let cls = this.archivedClass; cls; cls = cls.superclass) {
+      if (cls.name === name) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+class TypedStreamReader {
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new AppError('typedstream data must be a Buffer', ErrorTypes.VALIDATION);
+    }
+
+    this.buffer = buffer;
+    this.offset = 0;
+    this.sharedStrings = [];
+    this.sharedObjects = [];
+    this.littleEndian = true;
+  }
+
+  fail(message) {
+    return new AppError(`Invalid typedstream: ${message}`, ErrorTypes.VALIDATION, { offset: this.offset });
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw this.fail(`unexpected end of data (needed ${length} bytes)`);
+    }
+  }
+
+  readHeadByte() {
+    this.ensure(1);
+    return this.buffer.readInt8(this.offset++);
+  }
+
+  peekHeadByte() {
+    this.ensure(1);
+    return this.buffer.readInt8(this.offset);
+  }
+
+  readBytes(length) {
+    this.ensure(length);
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readInteger(head, signed) {
+    if (head === TAG_INTEGER_2) {
+      this.ensure(2);
+      const value = signed
+        ? (this.littleEndian ? this.buffer.readInt16LE(this.offset) : this.buffer.readInt16BE(this.offset))
+        : (this.littleEndian ? this.buffer.readUInt16LE(this.offset) : this.buffer.readUInt16BE(this.offset));
+      this.offset += 2;
+      return value;
+    }
+
+    if (head === TAG_INTEGER_4) {
+      this.ensure(4);
+      const value = signed
+        ? (this.littleEndian ? this.buffer.readInt32LE(this.offset) : this.buffer.readInt32BE(this.offset))
+        : (this.littleEndian ? this.buffer.readUInt32LE(this.offset) : this.buffer.readUInt32BE(this.offset));
+      this.offset += 4;
+      return value;
+    }
+
+    if (head >= TAG_INTEGER_2 && head <= TAG_END_OF_OBJECT) {
+      throw this.fail(`unexpected tag ${head} where an integer was expected`);
+    }
+
+    return signed ? head : head & 0xff;
+  }
+
+  readFloat(head, double) {
+    if (head !== TAG_FLOATING_POINT) {
+      return this.readInteger(head, true);
+    }
+
+    const size = double ? 8 : 4;
+    this.ensure(size);
+    let value;
+    if (double) {
+      value = this.littleEndian ? this.buffer.readDoubleLE(this.offset) : this.buffer.readDoubleBE(this.offset);
+    } else {
+      value = this.littleEndian ? this.buffer.readFloatLE(this.offset) : this.buffer.readFloatBE(this.offset);
+    }
+    this.offset += size;
+    return value;
+  }
+
+  referenceIndex(head) {
+    return this.readInteger(head, true) - FIRST_REFERENCE_NUMBER;
+  }
+
+  /**
+   * Read the stream header ("streamtyped" for little-endian archives)
+   */
+  readHeader() {
+    const version = this.readBytes(1)[0];
+    const signatureLength = this.readBytes(1)[0];
+    const signature = this.readBytes(signatureLength).toString('latin1');
+
+    if (signature === 'streamtyped') {
+      this.littleEndian = true;
+    } else if (signature === 'typedstream') {
+      this.littleEndian = false;
+    } else {
+      throw this.fail(`unknown signature "${signature}"`);
+    }
+
+    const systemVersion = this.readInteger(this.readHeadByte(), true);
+    return { version, signature, systemVersion };
+  }
+
+  readUnsharedString(head = this.readHeadByte()) {
+    if (head === TAG_NIL) {
+      return null;
+    }
+    const length = this.readInteger(head, false);
+    return this.readBytes(length);
+  }
+
+  readSharedString(head = this.readHeadByte()) {
+    if (head === TAG_NIL) {
+      return null;
+    }
+
+    if (head === TAG_NEW) {
+      const value = this.readUnsharedString().toString('latin1');
+      this.sharedStrings.push(value);
+      return value;
+    }
+
+    const index = this.referenceIndex(head);
+    if (index < 0 || index >= this.sharedStrings.length) {
+      throw this.fail(`shared string reference ${index} out of range`);
+    }
+    return this.sharedStrings[index];
+  }
+
+  readSharedObjectReference(head) {
+    const index = this.referenceIndex(head);
+    if (index < 0 || index >= this.sharedObjects.length) {
+      throw this.fail(`object reference ${index} out of range`);
+    }
+    return this.sharedObjects[index];
+  }
+
+  readClass(head = this.readHeadByte()) {
+    if (head === TAG_NIL) {
+      return null;
+    }
+
+    if (head === TAG_NEW) {
+      const archivedClass = { name: this.readSharedString(), version: 0, superclass: null };
+      archivedClass.version = this.readInteger(this.readHeadByte(), true);
+      this.sharedObjects.push(archivedClass);
+      archivedClass.superclass = this.readClass();
+      return archivedClass;
+    }
+
+    return this.readSharedObjectReference(head);
+  }
+
+  readObject(head = this.readHeadByte()) {
+    if (head === TAG_NIL) {
+      return null;
+    }
+
+    if (head !== TAG_NEW) {
+      return this.readSharedObjectReference(head);
+    }
+
+    // The object is numbered before its class is read
+    const object = new TypedObject(null);
+    this.sharedObjects.push(object);
+    object.archivedClass = this.readClass();
+
+    while (this.peekHeadByte() !== TAG_END_OF_OBJECT) {
+      object.contents.push(this.readTypedValues());
+    }
+    this.offset++;
+
+    return object;
+  }
+
+  readCString(head = this.readHeadByte()) {
+    if (head === TAG_NIL) {
+      return null;
+    }
+
+    if (head === TAG_NEW) {
+      const value = this.readSharedString();
+      this.sharedObjects.push(value);
+      return value;
+    }
+
+    return this.readSharedObjectReference(head);
+  }
+
+  /**
+   * Read one value for a single type encoding
+   * @param {string} type - Single Objective-C type encoding
+   * @returns {*} - Decoded value
+   */
+  readValue(type) {
+    if (type.length === 1 && INTEGER_TYPES.includes(type)) {
+      return this.readInteger(this.readHeadByte(), !UNSIGNED_TYPES.includes(type));
+    }
+
+    switch (type[0]) {
+      case 'f':
+        return this.readFloat(this.readHeadByte(), false);
+      case 'd':
+        return this.readFloat(this.readHeadByte(), true);
+      case '@':
+        return this.readObject();
+      case '#':
+        return this.readClass();
+      case '*':
+        return this.readCString();
+      case '+':
+        return this.readUnsharedString();
+      case '%':
+      case ':':
+        return this.readSharedString();
+      case '[': {
+        const match = /^\[(\d+)(.+)\]$/.exec(type);
+        if (!match) {
+          throw this.fail(`malformed array type ${type}`);
+        }
+        const count = parseInt(match[1], 10);
+        const elementType = match[2];
+        // Byte arrays are stored raw
+        if (elementType === 'c' || elementType === 'C') {
+          return this.readBytes(count);
+        }
+        return Array.from({ length: count }, () => this.readValue(elementType));
+      }
+      case '{': {
+        const fields = splitTypeEncoding(type.slice(type.indexOf('=') + 1, -1));
+        return fields.map(field => this.readValue(field));
+      }
+      default:
+        throw this.fail(`unsupported type encoding "${type}"`);
+    }
+  }
+
+  /**
+   * Read a group of values written with one type encoding string
+   * @returns {Array} - Values in the group
+   */
+  readTypedValues() {
+    const encoding = this.readSharedString();
+    if (encoding === null) {
+      throw this.fail('missing type encoding');
+    }
+    return splitTypeEncoding(encoding).map(type => this.readValue(type));
+  }
+
+  /**
+   * Read the whole stream
+   * @returns {Array} - Top-level value groups
+   */
+  readAll() {
+    this.readHeader();
+    const groups = [];
+    while (this.offset < this.buffer.length) {
+      groups.push(this.readTypedValues());
+    }
+    return groups;
+  }
+}
+
+/**
+ * Split a type encoding string like "iI" or "{_NSRange=QQ}@" into single types
+ * @param {string} encoding - Type encoding string
+ * @returns {Array<string>} - Individual type encodings
+ */
+function splitTypeEncoding(encoding) {
+  const types = [];
+  let index = 0;
+
+  while (index < encoding.length) {
+    const start = index;
+    const open = encoding[index];
+
+    if (open === '[' || open === '{' || open === '(') {
+      const close = { '[': ']', '{': '}', '(': ')' }[open];
+      let depth = 0;
+      do {
+        if (encoding[index] === open) depth++;
+        if (encoding[index] === close) depth--;
+        index++;
+      } while (depth > 0 && index < encoding.length);
+    } else {
+      index++;
+    }
+
+    types.push(encoding.slice(start, index));
+  }
+
+  return types;
+}
+
+/**
+ * Decode a typedstream buffer
+ * @param {Buffer} buffer - Archived data
+ * @returns {Array} - Top-level value groups
+ */
+function decodeTypedStream(buffer) {
+  return new TypedStreamReader(buffer).readAll();
+}
+
+/**
+ * Convert common Foundation objects to plain JavaScript values
+ * @param {*} value - Decoded value
+ * @returns {*} - Plain value
+ */
+function toPlainValue(value) {
+  if (!(value instanceof TypedObject)) {
+    return value;
+  }
+
+  const values = value.contents.flat();
+
+  if (value.isKindOf('NSString')) {
+    const bytes = values.find(Buffer.isBuffer);
+    return bytes ? bytes.toString('utf8') : '';
+  }
+
+  if (value.isKindOf('NSNumber')) {
+    return values.find(v => typeof v === 'number');
+  }
+
+  if (value.isKindOf('NSURL')) {
+    const parts = values.filter(v => v instanceof TypedObject).map(toPlainValue);
+    return parts.filter(p => typeof p === 'string').pop() || null;
+  }
+
+  if (value.isKindOf('NSData')) {
+    return values.find(Buffer.isBuffer) || Buffer.alloc(0);
+  }
+
+  if (value.isKindOf('NSDictionary')) {
+    const [count, ...entries] = values;
+    const result = {};
+    for (let i = 0; i < count * 2; i += 2) {
+      result[toPlainValue(entries[i])] = toPlainValue(entries[i + 1]);
+    }
+    return result;
+  }
+
+  if (value.isKindOf('NSArray')) {
+    const [count, ...items] = values;
+    return items.slice(0, count).map(toPlainValue);
+  }
+
+  return { className: value.className, values: values.map(toPlainValue) };
+}
+
+module.exports = {
+  decodeTypedStream,
+  toPlainValue,
+  splitTypeEncoding,
+  TypedStreamReader,
+  TypedObject
+};
@@ -0,0 +1,198 @@
+/**
+ * Change notifications for the Messages database
+ * Messages.app writes new rows to chat.db-wal (and touches chat.db-shm), so
+ * watching those files detects new messages without polling
+ */
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { CHAT_DB_PATH } = require('./reader');
+
+// Coalesce bursts of writes (one message touches -wal and -shm several times)
+const DEFAULT_DEBOUNCE_MS = 100;
+
+// Catches anything the OS failed to report, e.g. after sleep/wake
+const DEFAULT_SAFETY_POLL_MS = 30000;
+
+class ChatDbWatcher {
+  constructor({
+    dbPath = CHAT_DB_PATH,
+    onChange,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    safetyPollMs = DEFAULT_SAFETY_POLL_MS,
+    watchFunc = fs.watch,
+    setTimeoutFunc = global.setTimeout,
+    clearTimeoutFunc = global.clearTimeout,
+    setIntervalFunc = global.setInterval,
+    clearIntervalFunc = global.clearInterval,
+    loggerInstance = logger
+  } = {}) {
+    if (typeof onChange !== 'function') {
+      throw new Error('onChange handler must be a function');
+    }
+
+    this.dbPath = dbPath;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.safetyPollMs = safetyPollMs;
+    this.watchedFiles = new Set(['', '-wal', '-shm'].map(suffix => path.basename(dbPath) + suffix));
+
+    this.fsWatcher = null;
+    this.debounceTimer = null;
+    this.pollInterval = null;
+    this.running = false;
+    this.rerunRequested = false;
+    this.pendingTrigger = null;
+
+    // Store injected dependencies
+    this.watch = watchFunc;
+    this.setTimeout = setTimeoutFunc;
+    this.clearTimeout = clearTimeoutFunc;
+    this.setInterval = setIntervalFunc;
+    this.clearInterval = clearIntervalFunc;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Start watching and polling
+   */
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.logger.info('Starting chat.db watcher', {
+      dbPath: this.dbPath,
+      debounceMs: this.debounceMs,
+      safetyPollMs: this.safetyPollMs
+    });
+
+    this.startFsWatcher();
+    this.pollInterval = this.setInterval(() => {
+      // Re-arm the watcher if it died since the last poll
+      if (!this.fsWatcher) {
+        this.startFsWatcher();
+      }
+      this.trigger('poll');
+    }, this.safetyPollMs);
+
+    // Pick up anything that arrived while the daemon was stopped
+    this.trigger('start');
+  }
+
+  /**
+   * Watch the directory rather than the files: the -wal file is deleted and
+   * recreated on checkpoints, which would silently end a per-file watch
+   */
+  startFsWatcher() {
+    try {
+      this.fsWatcher = this.watch(path.dirname(this.dbPath), (eventType, filename) => {
+        // Some platforms omit the filename; treat that as a possible change
+        if (!filename || this.watchedFiles.has(filename.toString())) {
+          this.trigger('fs');
+        }
+      });
+
+      this.fsWatcher.on('error', error => {
+        this.logger.warn('chat.db watcher failed, relying on safety poll', { error: error.message });
+        this.closeFsWatcher();
+      });
+    } catch (error) {
+      this.logger.warn('Cannot watch chat.db, relying on safety poll', { error: error.message });
+      this.fsWatcher = null;
+    }
+  }
+
+  closeFsWatcher() {
+    if (this.fsWatcher) {
+      try {
+        this.fsWatcher.close();
+      } catch (error) {
+        this.logger.debug('Error closing chat.db watcher', { error: error.message });
+      }
+      this.fsWatcher = null;
+    }
+  }
+
+  /**
+   * Request a run of the change handler
+   * File events are debounced; runs never overlap, and a trigger during a
+   * run schedules exactly one follow-up run
+   * @param {string} source - What triggered the run (fs, poll, start, manual)
+   */
+  trigger(source = 'manual') {
+    if (source !== 'fs') {
+      this.flush(source);
+      return;
+    }
+
+    // Keep the first timer so a steady stream of writes cannot postpone the
+    // run indefinitely; latency stays bounded by debounceMs
+    if (!this.debounceTimer) {
+      this.debounceTimer = this.setTimeout(() => this.flush('fs'), this.debounceMs);
+    }
+  }
+
+  flush(source) {
+    if (this.debounceTimer) {
+      this.clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+
+    if (this.running) {
+      this.rerunRequested = true;
+      this.pendingTrigger = this.pendingTrigger || source;
+      return;
+    }
+
+    this.run(source);
+  }
+
+  async run(source) {
+    this.running = true;
+    try {
+      await this.onChange({ source });
+    } catch (error) {
+      this.logger.error('Error handling chat.db change', { error, source });
+    } finally {
+      this.running = false;
+    }
+
+    if (this.rerunRequested && this.pollInterval) {
+      const next = this.pendingTrigger;
+      this.rerunRequested = false;
+      this.pendingTrigger = null;
+      await this.run(next);
+    }
+  }
+
+  /**
+   * Stop watching and polling
+   */
+  stop() {
+    if (!this.pollInterval) {
+      return;
+    }
+
+    this.logger.info('Stopping chat.db watcher');
+    this.closeFsWatcher();
+    this.clearInterval(this.pollInterval);
+    this.pollInterval = null;
+
+    if (this.debounceTimer) {
+      this.clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+    this.rerunRequested = false;
+  }
+
+  isRunning() {
+    return !!this.pollInterval;
+  }
+}
+
+module.exports = {
+  ChatDbWatcher,
+  DEFAULT_DEBOUNCE_MS,
+  DEFAULT_SAFETY_POLL_MS
+};
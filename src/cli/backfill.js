@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Backfill chat.db history into Supabase
+ *
+ * Usage:
+ *   npm run backfill -- --days 30
+ *   npm run backfill -- --since 2024-01-01 --until 2024-07-01 --chat "iMessage;-;+15551234567"
+ *
+ * Stop with Ctrl-C and run the same command again to resume.
+ */
+const { parseArgs } = require('util');
+const { logger } = require('../utils/logger');
+const { runBackfill } = require('../supabase/backfill');
+
+const USAGE = `Usage: backfill [--days N | --since DATE] [--until DATE] [--chat GUID ...]
+                [--include-from-me] [--batch-size N] [--throttle-ms N] [--restart]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      days: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      chat: { type: 'string', multiple: true },
+      'include-from-me': { type: 'boolean' },
+      'batch-size': { type: 'string' },
+      'throttle-ms': { type: 'string' },
+      restart: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!values.days && !values.since && !values.until && !values.chat) {
+    console.error('Refusing to backfill all of chat.db without a range; pass --days, --since/--until or --chat');
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) {
+      process.exit(130);
+    }
+    logger.info('Stopping backfill after the current batch (Ctrl-C again to abort)');
+    stopping = true;
+  });
+
+  const result = await runBackfill({
+    days: values.days ? Number(values.days) : null,
+    since: values.since || null,
+    until: values.until || null,
+    chatGuids: values.chat || null,
+    ...(values['include-from-me'] !== undefined && { includeFromMe: values['include-from-me'] }),
+    ...(values['batch-size'] && { batchSize: parseInt(values['batch-size'], 10) }),
+    ...(values['throttle-ms'] && { throttleMs: parseInt(values['throttle-ms'], 10) }),
+    restart: values.restart,
+    shouldStop: () => stopping,
+    onProgress: ({ processed, failed, total, percent, etaMs }) => {
+      const eta = etaMs === null ? 'unknown' : `${Math.ceil(etaMs / 1000)}s`;
+      console.log(`Backfill ${percent}% (${processed + failed}/${total}, ${failed} failed), ETA ${eta}`);
+    }
+  });
+
+  process.exitCode = result.failed > 0 ? 2 : 0;
+}
+
+main().catch(error => {
+  logger.error('Backfill failed', { error: error.message });
+  process.exitCode = 1;
+});
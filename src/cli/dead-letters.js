@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Inspect inbound messages that failed to relay
+ *
+ * Usage:
+ *   npm run dead-letters                 # list dead-lettered messages
+ *   npm run dead-letters -- --all        # include messages still being retried
+ *   npm run dead-letters -- --retry      # requeue every dead-lettered message
+ *   npm run dead-letters -- --retry 1234 # requeue one message by chat.db ROWID
+ *   npm run dead-letters -- --outbox     # list offline writes Supabase rejected
+ *
+ * Requeued messages are retried by the running daemon on its next cycle.
+ */
+const { parseArgs } = require('util');
+const { relayStore, FailureStatus } = require('../store/relay-store');
+
+const USAGE = 'Usage: dead-letters [--all] [--json] [--retry [MESSAGE_ID]] [--outbox]';
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      retry: { type: 'boolean', default: false },
+      outbox: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values.retry) {
+    const messageId = positionals[0] ? parseInt(positionals[0], 10) : null;
+    if (positionals[0] && Number.isNaN(messageId)) {
+      console.error(`Invalid message ID: ${positionals[0]}`);
+      process.exitCode = 1;
+      return;
+    }
+    const requeued = relayStore.requeue(messageId);
+    console.log(`Requeued ${requeued} message(s) for retry`);
+    return;
+  }
+
+  if (values.outbox) {
+    const writes = relayStore.listFailedWrites();
+    if (values.json) {
+      console.log(JSON.stringify(writes, null, 2));
+      return;
+    }
+    console.log(`${writes.length} rejected offline write(s), ${relayStore.countPendingWrites()} waiting to flush`);
+    writes.forEach(write => {
+      console.log([write.id, write.table_name, write.operation, `attempts=${write.attempts}`, write.created_at, write.last_error || ''].join('\t'));
+    });
+    return;
+  }
+
+  const failures = relayStore.listFailures({ status: values.all ? null : FailureStatus.DEAD });
+  if (values.json) {
+    console.log(JSON.stringify(failures, null, 2));
+    return;
+  }
+
+  const counts = relayStore.getCounts();
+  console.log(`${counts.dead} dead-lettered, ${counts.pending} pending retry`);
+  failures.forEach(failure => {
+    console.log([
+      failure.message_id,
+      failure.status,
+      `attempts=${failure.attempts}`,
+      `last_failed_at=${failure.last_failed_at}`,
+      failure.chat_guid || '-',
+      failure.message_guid || '-',
+      failure.last_error || ''
+    ].join('\t'));
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Failed to read the relay store: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  relayStore.close();
+}
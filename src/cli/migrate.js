@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Apply Supabase migrations and check the live schema
+ *
+ * Usage:
+ *   npm run migrate                      # apply pending migrations
+ *   npm run migrate -- --status          # list applied and pending migrations
+ *   npm run migrate -- --to 12           # apply pending migrations up to version 12
+ *   npm run migrate -- --baseline 11     # record 01-11 as applied without running them
+ *   npm run migrate -- --verify          # compare the live schema with the code
+ *
+ * Applying migrations needs DATABASE_URL (a direct Postgres connection
+ * string); --verify only needs SUPABASE_URL and SUPABASE_KEY.
+ */
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { migrator, loadMigrations } = require('../database/migrator');
+
+const USAGE = 'Usage: migrate [--status] [--to VERSION] [--baseline VERSION] [--verify]';
+
+/**
+ * Parse a version argument
+ * @param {string} value - Raw argument
+ * @param {string} flag - Flag name, for the error message
+ * @returns {number|null}
+ */
+function parseVersion(value, flag) {
+  if (value === undefined) {
+    return null;
+  }
+  const version = parseInt(value, 10);
+  if (Number.isNaN(version)) {
+    throw new Error(`Invalid --${flag} version: ${value}`);
+  }
+  return version;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      status: { type: 'boolean', default: false },
+      to: { type: 'string' },
+      baseline: { type: 'string' },
+      verify: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values.verify) {
+    const { verifySchema } = require('../database/schema');
+    const result = await verifySchema();
+    console.log(result.diff || 'Schema matches the code');
+    if (!result.ok) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (values.status) {
+    const { applied, pending, modified, unknown } = await migrator.status();
+    applied.forEach(migration => {
+      const edited = modified.includes(migration) ? '  (edited after it was applied)' : '';
+      console.log(`applied  ${migration.name}${edited}`);
+    });
+    pending.forEach(migration => console.log(`pending  ${migration.name}`));
+    unknown.forEach(version => console.log(`unknown  version ${version} (applied by a newer daemon)`));
+    return;
+  }
+
+  const baseline = parseVersion(values.baseline, 'baseline');
+  if (baseline !== null) {
+    const recorded = await migrator.baseline(baseline);
+    console.log(`Recorded ${recorded.length} migration(s) as applied`);
+    return;
+  }
+
+  const target = parseVersion(values.to, 'to');
+  const applied = await migrator.migrate({ target });
+  if (applied.length === 0) {
+    console.log(`Up to date (${loadMigrations().length} migrations)`);
+    return;
+  }
+  applied.forEach(name => console.log(`applied  ${name}`));
+}
+
+main().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,8 +1,6 @@
-const { setupLogger } = require('../utils/logger');
+const { logger } = require('../utils/logger');
 const dotenv = require('dotenv');
 
-const logger = setupLogger();
-
 function loadConfig() {
     // Load environment variables from .env file
     dotenv.config();
@@ -19,7 +17,8 @@ function loadConfig() {
         throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
     }
 
-    // Default configuration
+    // Default configuration; the relay modules (inbound, threads, contacts,
+    // devices, outbound) read their own settings from the environment
     const config = {
         // Supabase configuration
         SUPABASE_URL: process.env.SUPABASE_URL,
@@ -27,7 +26,7 @@ function loadConfig() {
 
         // Logging configuration
         LOG_LEVEL: process.env.LOG_LEVEL || 'info',
-        ENABLE_SUPABASE_LOGGING: process.env.ENABLE_SUPABASE_LOGGING !== 'false',
+        ENABLE_SUPABASE_LOGGING: process.env.ENABLE_SUPABASE_LOGGING === 'true',
 
         // Polling configuration
         POLLING_INTERVAL: parseInt(process.env.POLLING_INTERVAL || '5000', 10),
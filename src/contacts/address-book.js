@@ -0,0 +1,229 @@
+/**
+ * Read-only access to the macOS AddressBook
+ * Contacts.app keeps one SQLite store per account: a local one at the top of
+ * the AddressBook directory and one per synced source (iCloud, Exchange...)
+ * under Sources/<UUID>. Phone numbers and email addresses from every store
+ * are indexed by their normalized form so chat.db handles can be matched to
+ * contact names
+ */
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const Database = require('better-sqlite3');
+const { logger } = require('../utils/logger');
+const { normalizeHandle, DEFAULT_PHONE_REGION } = require('./normalize');
+
+// Default location of the AddressBook stores
+const ADDRESS_BOOK_DIR = process.env.ADDRESS_BOOK_DIR
+  || path.join(process.env.HOME || '/tmp', 'Library/Application Support/AddressBook');
+
+// Store file name used by Contacts.app
+const ADDRESS_BOOK_FILE = /^AddressBook-v\d+\.abcddb$/;
+
+/**
+ * Name to show for an AddressBook record
+ * @param {Object} record - ZABCDRECORD row
+ * @returns {string|null}
+ */
+function contactName(record) {
+  const name = [record.first_name, record.last_name].filter(Boolean).join(' ');
+  return name || record.nickname || record.organization || null;
+}
+
+/**
+ * Emits 'change' when a refresh finds the AddressBook was modified
+ */
+class AddressBook extends EventEmitter {
+  constructor({
+    dir = ADDRESS_BOOK_DIR,
+    region = DEFAULT_PHONE_REGION,
+    DatabaseClass = Database,
+    fsModule = fs,
+    loggerInstance = logger
+  } = {}) {
+    super();
+    this.dir = dir;
+    this.region = region;
+    this.index = null;
+    this.signature = null;
+    this.unreadableLogged = false;
+
+    // Store injected dependencies
+    this.Database = DatabaseClass;
+    this.fs = fsModule;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Every AddressBook store: the local one, then one per account
+   * @returns {Array<string>} - Store paths
+   */
+  findStores() {
+    const stores = [];
+    const addStores = dir => {
+      this.fs.readdirSync(dir)
+        .filter(name => ADDRESS_BOOK_FILE.test(name))
+        .sort()
+        .forEach(name => stores.push(path.join(dir, name)));
+    };
+
+    addStores(this.dir);
+
+    const sourcesDir = path.join(this.dir, 'Sources');
+    if (this.fs.existsSync(sourcesDir)) {
+      this.fs.readdirSync(sourcesDir).sort().forEach(source => {
+        const sourceDir = path.join(sourcesDir, source);
+        if (this.fs.statSync(sourceDir).isDirectory()) {
+          addStores(sourceDir);
+        }
+      });
+    }
+
+    return stores;
+  }
+
+  /**
+   * Fingerprint of the stores on disk, including their WAL files, which
+   * change whenever Contacts.app saves an edit
+   * @param {Array<string>} stores - Store paths
+   * @returns {string}
+   */
+  storeSignature(stores) {
+    return stores.map(store => ['', '-wal'].map(suffix => {
+      try {
+        const stat = this.fs.statSync(store + suffix);
+        return `${stat.mtimeMs}:${stat.size}`;
+      } catch (error) {
+        return '-';
+      }
+    }).join('/')).join('|');
+  }
+
+  /**
+   * Read the contacts from one store
+   * @param {string} storePath - .abcddb path
+   * @returns {Array} - { contact_id, display_name, first_name, last_name, nickname, organization, handles }
+   */
+  readStore(storePath) {
+    const db = new this.Database(storePath, { readonly: true, fileMustExist: true });
+    try {
+      const contacts = new Map();
+      db.prepare(`
+        SELECT
+          Z_PK as pk,
+          ZUNIQUEID as contact_id,
+          ZFIRSTNAME as first_name,
+          ZLASTNAME as last_name,
+          ZNICKNAME as nickname,
+          ZORGANIZATION as organization
+        FROM ZABCDRECORD
+      `).all().forEach(({ pk, ...record }) => {
+        contacts.set(pk, {
+          ...record,
+          display_name: contactName(record),
+          handles: []
+        });
+      });
+
+      const addHandles = rows => rows.forEach(({ owner, value }) => {
+        const contact = contacts.get(owner);
+        if (contact && value) {
+          contact.handles.push(value);
+        }
+      });
+      addHandles(db.prepare('SELECT ZOWNER as owner, ZFULLNUMBER as value FROM ZABCDPHONENUMBER ORDER BY Z_PK').all());
+      addHandles(db.prepare('SELECT ZOWNER as owner, ZADDRESS as value FROM ZABCDEMAILADDRESS ORDER BY Z_PK').all());
+
+      // Groups and empty cards have nothing a handle could match
+      return [...contacts.values()].filter(contact => contact.display_name && contact.handles.length > 0);
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Re-read the AddressBook if any store changed since the last refresh
+   * A missing or unreadable AddressBook (no Full Disk Access, not a Mac)
+   * leaves the index empty rather than failing thread sync
+   * @returns {boolean} - Whether the contacts changed
+   */
+  refresh() {
+    let stores;
+    try {
+      stores = this.fs.existsSync(this.dir) ? this.findStores() : [];
+    } catch (error) {
+      if (!this.unreadableLogged) {
+        this.logger.warn('Cannot read the AddressBook; contact names will be missing', {
+          dir: this.dir,
+          error: error.message
+        });
+        this.unreadableLogged = true;
+      }
+      stores = [];
+    }
+
+    const signature = this.storeSignature(stores);
+    if (this.index && signature === this.signature) {
+      return false;
+    }
+
+    const index = new Map();
+    stores.forEach(store => {
+      try {
+        this.readStore(store).forEach(contact => {
+          contact.handles.forEach(handle => {
+            const key = normalizeHandle(handle, this.region);
+            // The local store comes first and wins over account copies
+            if (key && !index.has(key)) {
+              index.set(key, contact);
+            }
+          });
+        });
+      } catch (error) {
+        this.logger.warn('Error reading AddressBook store', { store, error: error.message });
+      }
+    });
+
+    const changed = this.index !== null;
+    this.index = index;
+    this.signature = signature;
+    this.logger.info('Loaded AddressBook contacts', { stores: stores.length, handles: index.size });
+
+    if (changed) {
+      this.emit('change');
+    }
+    return changed;
+  }
+
+  /**
+   * Contact for a chat.db handle
+   * @param {string} identifier - Phone number or email address
+   * @returns {Object|null} - Contact from readStore
+   */
+  lookup(identifier) {
+    if (!this.index) {
+      this.refresh();
+    }
+    return this.index.get(normalizeHandle(identifier, this.region)) || null;
+  }
+
+  /**
+   * Every contact with at least one phone number or email address
+   * @returns {Array} - Contacts from readStore
+   */
+  contacts() {
+    if (!this.index) {
+      this.refresh();
+    }
+    return [...new Set(this.index.values())];
+  }
+}
+
+// Singleton instance using default dependencies
+const addressBook = new AddressBook();
+
+module.exports = {
+  AddressBook,
+  addressBook,
+  ADDRESS_BOOK_DIR
+};
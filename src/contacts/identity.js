@@ -0,0 +1,119 @@
+/**
+ * Stable person IDs across handles and services
+ * Every normalized handle belongs to exactly one person. SMS and iMessage
+ * handles for the same number share a normalized form, and handles on the
+ * same AddressBook card share a person, so a person_id links all of
+ * someone's threads and messages. Assignments live in the local relay store
+ * and never change, except when an AddressBook card joins two people
+ */
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { relayStore } = require('../store/relay-store');
+const { addressBook } = require('./address-book');
+const { normalizeHandle, DEFAULT_PHONE_REGION } = require('./normalize');
+
+class IdentityResolver {
+  constructor({
+    store = relayStore,
+    contacts = addressBook,
+    region = DEFAULT_PHONE_REGION,
+    loggerInstance = logger
+  } = {}) {
+    this.region = region;
+    this.cache = new Map();
+
+    // Store injected dependencies
+    this.store = store;
+    this.contacts = contacts;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Canonical form of a handle
+   * @param {string} identifier - Phone number or email address
+   * @returns {string|null}
+   */
+  normalize(identifier) {
+    return normalizeHandle(identifier, this.region);
+  }
+
+  /**
+   * Normalized handles on a contact's card
+   * @param {Object} contact - Contact from AddressBook#lookup
+   * @returns {Array<string>}
+   */
+  contactHandles(contact) {
+    return [...new Set(contact.handles.map(handle => this.normalize(handle)).filter(Boolean))];
+  }
+
+  /**
+   * person_id of a handle, assigning one on first sight
+   * A handle on an AddressBook card joins the person of any other handle on
+   * that card
+   * @param {string} identifier - Phone number or email address
+   * @returns {string|null} - person_id, or null for an empty identifier
+   */
+  personId(identifier) {
+    const handle = this.normalize(identifier);
+    if (!handle) {
+      return null;
+    }
+    if (this.cache.has(handle)) {
+      return this.cache.get(handle);
+    }
+
+    const [known] = this.store.getPeople([handle]);
+    if (known) {
+      this.cache.set(handle, known.person_id);
+      return known.person_id;
+    }
+
+    const contact = this.contacts.lookup(identifier);
+    const handles = contact ? this.contactHandles(contact) : [handle];
+    const [relative] = this.store.getPeople(handles);
+    const personId = relative ? relative.person_id : crypto.randomUUID();
+
+    this.store.assignPerson([...new Set([handle, ...handles])], personId);
+    this.cache.set(handle, personId);
+    return personId;
+  }
+
+  /**
+   * Merge people whose handles an AddressBook card now joins
+   * The person seen first keeps its ID
+   * @returns {Array} - { from, to } person_id pairs that were merged
+   */
+  mergeContacts() {
+    const merges = [];
+    this.contacts.contacts().forEach(contact => {
+      const handles = this.contactHandles(contact);
+      const people = this.store.getPeople(handles);
+      if (people.length === 0) {
+        return;
+      }
+
+      const survivor = people[0].person_id;
+      new Set(people.map(person => person.person_id)).forEach(personId => {
+        if (personId !== survivor) {
+          this.store.mergePeople(personId, survivor);
+          merges.push({ from: personId, to: survivor });
+        }
+      });
+      this.store.assignPerson(handles, survivor);
+    });
+
+    if (merges.length > 0) {
+      this.cache.clear();
+      this.logger.info('Merged people joined by AddressBook contacts', { merges: merges.length });
+    }
+    return merges;
+  }
+}
+
+// Singleton instance using default dependencies
+const identityResolver = new IdentityResolver();
+
+module.exports = {
+  IdentityResolver,
+  identityResolver
+};
@@ -0,0 +1,115 @@
+/**
+ * Canonical forms for chat.db handles and AddressBook values
+ * Phone numbers become E.164 (+15551234567) and emails are lowercased, so
+ * `+1 (555) 123-4567`, `5551234567` and `+15551234567` compare equal.
+ * Numbers without a country code are read in the default region
+ */
+
+// Region used for numbers written without a country code
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+// Numbering rules per region: country code, trunk prefix dialled before
+// national numbers, and the international call prefix
+const PHONE_REGIONS = {
+  US: { code: '1', trunk: '1', intl: '011' },
+  CA: { code: '1', trunk: '1', intl: '011' },
+  GB: { code: '44', trunk: '0', intl: '00' },
+  IE: { code: '353', trunk: '0', intl: '00' },
+  AU: { code: '61', trunk: '0', intl: '0011' },
+  NZ: { code: '64', trunk: '0', intl: '00' },
+  DE: { code: '49', trunk: '0', intl: '00' },
+  FR: { code: '33', trunk: '0', intl: '00' },
+  NL: { code: '31', trunk: '0', intl: '00' },
+  ES: { code: '34', trunk: '', intl: '00' },
+  IT: { code: '39', trunk: '', intl: '00' },
+  MX: { code: '52', trunk: '', intl: '00' },
+  BR: { code: '55', trunk: '0', intl: '00' },
+  IN: { code: '91', trunk: '0', intl: '00' },
+  JP: { code: '81', trunk: '0', intl: '010' }
+};
+
+// Shorter numbers are SMS short codes, which have no E.164 form
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * E.164 form of a phone number
+ * @param {string} value - Phone number in any common format
+ * @param {string} region - Region for numbers without a country code
+ * @returns {string|null} - E.164 number, the bare digits of a short code or
+ *   a number that cannot be placed in a region, or null if not a phone number
+ */
+function normalizePhoneNumber(value, region = DEFAULT_PHONE_REGION) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  // Letters mean a business chat ID or similar, not a number
+  if (/[a-z]/i.test(text.replace(/(ext|x)\.?\s*\d+$/i, ''))) {
+    return null;
+  }
+
+  const digits = text.replace(/(ext|x)\.?\s*\d+$/i, '').replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  if (text.startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (digits.length < MIN_PHONE_DIGITS) {
+    return digits;
+  }
+
+  const rules = PHONE_REGIONS[String(region).toUpperCase()];
+  if (!rules) {
+    return digits.startsWith('00') ? `+${digits.slice(2)}` : digits;
+  }
+  if (digits.startsWith(rules.intl)) {
+    return `+${digits.slice(rules.intl.length)}`;
+  }
+
+  // North America: 10-digit numbers, optionally dialled with a leading 1
+  if (rules.code === '1') {
+    if (digits.length === 10) {
+      return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+      return `+${digits}`;
+    }
+    return digits;
+  }
+
+  if (rules.trunk && digits.startsWith(rules.trunk)) {
+    return `+${rules.code}${digits.slice(rules.trunk.length)}`;
+  }
+  // Written with the country code but no +
+  if (digits.startsWith(rules.code) && digits.length > 10) {
+    return `+${digits}`;
+  }
+  return `+${rules.code}${digits}`;
+}
+
+/**
+ * Canonical form of a chat.db handle or AddressBook value
+ * @param {string} identifier - Phone number or email address
+ * @param {string} region - Region for numbers without a country code
+ * @returns {string|null}
+ */
+function normalizeHandle(identifier, region = DEFAULT_PHONE_REGION) {
+  if (!identifier) {
+    return null;
+  }
+
+  const value = String(identifier).trim();
+  if (value.includes('@')) {
+    return value.toLowerCase();
+  }
+  return normalizePhoneNumber(value, region) || value.toLowerCase() || null;
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  normalizeHandle,
+  DEFAULT_PHONE_REGION,
+  PHONE_REGIONS
+};
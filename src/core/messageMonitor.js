@@ -1,61 +1,40 @@
-const { setupLogger } = require('../utils/logger');
-const { setupRealtimeSubscription } = require('../supabase/realtime');
-const { setupPollingFallback } = require('../supabase/polling');
-const { processIncomingMessage } = require('./messageProcessor');
-const { processOutgoingMessage } = require('./messageProcessor');
-
-const logger = setupLogger();
-
-async function startMessageMonitor({ supabase, mediaHandler, appleScriptQueue, config }) {
+const { logger } = require('../utils/logger');
+const { realtimeManager } = require('../supabase/realtime');
+const { processOutboundMessage } = require('../supabase/outbound');
+const { outboundClaims } = require('../supabase/claims');
+const { deviceRegistry } = require('../supabase/devices');
+
+/**
+ * Start sending messages_out rows for this Mac
+ * Rows arrive through Realtime (which falls back to polling on its own) and
+ * a periodic poll; inbound messages come from chat.db, not from here
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Object} options.config - Loaded configuration
+ * @param {Object} options.realtime - RealtimeManager to subscribe with
+ * @returns {Promise<Object>} - { stop }
+ */
+async function startMessageMonitor({ supabase, config, realtime = realtimeManager }) {
     logger.info('Starting message monitoring');
 
-    // Setup realtime subscription
-    const realtimeSubscription = await setupRealtimeSubscription(supabase, {
-        onMessage: async (message) => {
-            try {
-                await processIncomingMessage(message, {
-                    supabase,
-                    mediaHandler,
-                    appleScriptQueue
-                });
-            } catch (error) {
-                logger.error('Error processing incoming message:', error);
-            }
-        }
-    });
-
-    // Setup polling fallback
-    const pollingFallback = await setupPollingFallback(supabase, {
-        onMessage: async (message) => {
-            try {
-                await processIncomingMessage(message, {
-                    supabase,
-                    mediaHandler,
-                    appleScriptQueue
-                });
-            } catch (error) {
-                logger.error('Error processing incoming message from polling:', error);
-            }
-        },
-        interval: config.POLLING_INTERVAL || 5000
-    });
+    // Setup realtime subscription, with an initial poll for missed rows
+    await realtime.initialize(processOutboundMessage);
 
-    // Start monitoring outgoing messages
+    // Start monitoring outgoing messages; Realtime may deliver the same rows,
+    // so each one is claimed before it is sent
     const outgoingMonitor = setInterval(async () => {
         try {
-            const messages = await supabase
+            const query = supabase
                 .from('messages_out')
                 .select('*')
-                .eq('status', 'pending')
+                .eq('device_id', deviceRegistry.deviceId);
+            const messages = await outboundClaims.whereClaimable(query)
+                .order('created_at', { ascending: true })
                 .limit(10);
 
             if (messages.data && messages.data.length > 0) {
                 for (const message of messages.data) {
-                    await processOutgoingMessage(message, {
-                        supabase,
-                        mediaHandler,
-                        appleScriptQueue
-                    });
+                    await processOutboundMessage(message);
                 }
             }
         } catch (error) {
@@ -68,12 +47,11 @@ async function startMessageMonitor({ supabase, mediaHandler, appleScriptQueue, c
         stop: async () => {
             logger.info('Stopping message monitoring');
             clearInterval(outgoingMonitor);
-            await realtimeSubscription.unsubscribe();
-            await pollingFallback.stop();
+            realtime.shutdown();
         }
     };
 }
 
 module.exports = {
     startMessageMonitor
-}; 
\ No newline at end of file
+};
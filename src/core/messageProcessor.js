@@ -1,9 +1,6 @@
-const { setupLogger } = require('../utils/logger');
-const { executeAppleScript } = require('../applescript/executor');
+const { logger } = require('../utils/logger');
 const { downloadAndValidateMedia } = require('../media/handler');
 
-const logger = setupLogger();
-
 async function processIncomingMessage(message, { supabase, mediaHandler, appleScriptQueue }) {
     logger.info('Processing incoming message:', { messageId: message.id });
 
@@ -60,84 +57,6 @@ async function processIncomingMessage(message, { supabase, mediaHandler, appleSc
     }
 }
 
-async function processOutgoingMessage(message, { supabase, mediaHandler, appleScriptQueue }) {
-    logger.info('Processing outgoing message:', { messageId: message.id });
-
-    try {
-        // Update message status to processing
-        await supabase
-            .from('messages_out')
-            .update({ status: 'processing' })
-            .eq('id', message.id);
-
-        // Queue AppleScript command to send message
-        await appleScriptQueue.enqueue(async () => {
-            try {
-                // Handle media if present
-                let mediaPath = null;
-                if (message.media_url) {
-                    const mediaResult = await downloadAndValidateMedia(message.media_url, mediaHandler);
-                    if (!mediaResult.success) {
-                        throw new Error(`Failed to process media: ${mediaResult.error}`);
-                    }
-                    mediaPath = mediaResult.filePath;
-                }
-
-                // Execute AppleScript to send message
-                const script = `
-                    tell application "Messages"
-                        set targetService to 1st service whose service type = iMessage
-                        set targetBuddy to buddy "${message.recipient}" of targetService
-                        send "${message.text}" to targetBuddy
-                        ${mediaPath ? `send POSIX file "${mediaPath}" to targetBuddy` : ''}
-                    end tell
-                `;
-
-                await executeAppleScript(script);
-
-                // Update message status to sent
-                await supabase
-                    .from('messages_out')
-                    .update({ status: 'sent' })
-                    .eq('id', message.id);
-
-                logger.info('Successfully sent outgoing message:', { messageId: message.id });
-            } catch (error) {
-                logger.error('Error sending message via AppleScript:', {
-                    messageId: message.id,
-                    error
-                });
-
-                // Update message status to failed
-                await supabase
-                    .from('messages_out')
-                    .update({
-                        status: 'failed',
-                        error: error.message
-                    })
-                    .eq('id', message.id);
-
-                throw error;
-            }
-        });
-    } catch (error) {
-        logger.error('Error processing outgoing message:', {
-            messageId: message.id,
-            error
-        });
-
-        // Update message status to failed
-        await supabase
-            .from('messages_out')
-            .update({
-                status: 'failed',
-                error: error.message
-            })
-            .eq('id', message.id);
-    }
-}
-
 module.exports = {
-    processIncomingMessage,
-    processOutgoingMessage
+    processIncomingMessage
 }; 
\ No newline at end of file
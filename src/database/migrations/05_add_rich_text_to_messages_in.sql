@@ -0,0 +1,2 @@
+-- Store attributedBody formatting runs (links, mentions, attachment placeholders)
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS rich_text JSONB;
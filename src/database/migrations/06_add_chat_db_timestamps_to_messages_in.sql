@@ -0,0 +1,6 @@
+-- Timestamps converted from chat.db (Apple epoch) instead of relay time
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS date_delivered TIMESTAMPTZ;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS date_read TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_in_sent_at ON messages_in(sent_at);
@@ -0,0 +1,11 @@
+-- Messages the account owner sent are mirrored into messages_in as outbound-direction rows.
+-- origin is 'relay' when the daemon sent it (linked via messages_out_id) and 'device'
+-- when it was typed on the owner's iPhone or Mac.
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'inbound';
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS origin TEXT;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS messages_out_id UUID REFERENCES messages_out(id);
+
+-- chat.db GUID of the message a messages_out send produced
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS message_guid TEXT UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_in_direction ON messages_in(direction);
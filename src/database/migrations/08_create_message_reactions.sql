@@ -0,0 +1,27 @@
+-- Create message_reactions table (tapbacks from chat.db)
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reaction_guid TEXT UNIQUE NOT NULL,
+    message_guid TEXT NOT NULL,
+    message_part INTEGER NOT NULL DEFAULT 0,
+    chat_guid TEXT NOT NULL,
+    sender_id TEXT,
+    is_from_me BOOLEAN NOT NULL DEFAULT FALSE,
+    reaction TEXT NOT NULL,
+    emoji TEXT,
+    reacted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_guid ON message_reactions(message_guid);
+CREATE INDEX IF NOT EXISTS idx_message_reactions_chat_guid ON message_reactions(chat_guid);
+
+-- Add RLS policies
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on message_reactions" ON message_reactions
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
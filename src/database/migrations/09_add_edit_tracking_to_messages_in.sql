@@ -0,0 +1,9 @@
+-- Edits and unsends made in Messages after a message was relayed.
+-- edit_history holds every version of each edited part from chat.db's
+-- message_summary_info: [{ "part": 0, "edited_at": "...", "text": "..." }, ...]
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS edit_history JSONB;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS retracted BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS retracted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_in_retracted ON messages_in(retracted) WHERE retracted;
@@ -0,0 +1,10 @@
+-- Inline replies (chat.db thread_originator_guid / thread_originator_part).
+-- reply_to_id is resolved when the parent was relayed before the reply.
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS reply_to_message_guid TEXT;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS reply_to_part INTEGER;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS reply_to_id UUID REFERENCES messages_in(id) ON DELETE SET NULL;
+
+-- Parent message a queued send replies to
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS reply_to_message_guid TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_messages_in_reply_to_message_guid ON messages_in(reply_to_message_guid);
@@ -0,0 +1,27 @@
+-- Create thread_events table (group membership, rename and photo events from chat.db)
+CREATE TABLE IF NOT EXISTS thread_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_guid TEXT UNIQUE NOT NULL,
+    chat_guid TEXT NOT NULL,
+    thread_id UUID REFERENCES threads(id) ON DELETE SET NULL,
+    event_type TEXT NOT NULL,
+    actor_id TEXT,
+    participant_id TEXT,
+    display_name TEXT,
+    participants JSONB,
+    occurred_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_thread_events_chat_guid_occurred_at ON thread_events(chat_guid, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_thread_events_thread_id ON thread_events(thread_id);
+
+-- Add RLS policies
+ALTER TABLE thread_events ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on thread_events" ON thread_events
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
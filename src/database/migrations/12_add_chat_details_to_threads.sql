@@ -0,0 +1,9 @@
+-- Chat details written by thread sync and inbound thread resolution.
+-- Messages journaled while their thread's insert is still offline carry
+-- thread_id = null plus chat_guid; the fill_messages_in_thread_id trigger
+-- (migration 22) fills the ID in when they reach Supabase.
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS chat_identifier TEXT;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS service_name TEXT;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS participants JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS last_synced TIMESTAMPTZ;
@@ -0,0 +1,5 @@
+-- Date of the newest chat.db message in the thread; a change marks the
+-- thread for the next incremental sync.
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_threads_last_message_at ON threads(last_message_at DESC);
@@ -0,0 +1,25 @@
+-- Create contacts table (AddressBook names for chat.db handles)
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    handle TEXT UNIQUE NOT NULL,
+    contact_id TEXT,
+    display_name TEXT,
+    first_name TEXT,
+    last_name TEXT,
+    nickname TEXT,
+    organization TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_contacts_contact_id ON contacts(contact_id);
+
+-- Add RLS policies
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on contacts" ON contacts
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
@@ -0,0 +1,11 @@
+-- Stable person IDs across handles and services. SMS and iMessage handles
+-- for the same number, and handles on the same AddressBook card, share one.
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS person_id UUID;
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS person_id UUID;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS person_id UUID;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS normalized_handle TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_threads_person_id ON threads(person_id);
+CREATE INDEX IF NOT EXISTS idx_messages_in_person_id ON messages_in(person_id);
+CREATE INDEX IF NOT EXISTS idx_contacts_person_id ON contacts(person_id);
+CREATE INDEX IF NOT EXISTS idx_contacts_normalized_handle ON contacts(normalized_handle);
@@ -0,0 +1,4 @@
+-- Explicit recipient for an outgoing message (phone number or email). The
+-- message processor sends to it; when null, the thread's chat_identifier is
+-- used.
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS recipient TEXT;
@@ -0,0 +1,56 @@
+-- Create devices table (one row per Mac running the daemon)
+CREATE TABLE IF NOT EXISTS devices (
+    id UUID PRIMARY KEY,
+    name TEXT NOT NULL,
+    hostname TEXT,
+    accounts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    app_version TEXT,
+    os_version TEXT,
+    status TEXT NOT NULL DEFAULT 'online',
+    last_seen_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Add RLS policies
+ALTER TABLE devices ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on devices" ON devices
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- The Mac that relayed a thread or message, and the Mac a send is routed to
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES devices(id);
+ALTER TABLE messages_in ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES devices(id);
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES devices(id);
+
+CREATE INDEX IF NOT EXISTS idx_messages_in_device_id ON messages_in(device_id);
+CREATE INDEX IF NOT EXISTS idx_messages_out_device_id_status ON messages_out(device_id, status);
+
+-- Two Macs can have a chat with the same GUID (e.g. both message the same
+-- number), so a chat is unique per device rather than globally
+ALTER TABLE threads DROP CONSTRAINT IF EXISTS threads_chat_guid_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_threads_device_id_chat_guid ON threads(device_id, chat_guid);
+
+-- NULLs never conflict in a unique index, so threads from before devices
+-- (device_id IS NULL) keep chat_guid unique among themselves
+CREATE UNIQUE INDEX IF NOT EXISTS idx_threads_chat_guid_no_device ON threads(chat_guid) WHERE device_id IS NULL;
+
+-- Route sends to the Mac that owns the thread unless the row names a device
+CREATE OR REPLACE FUNCTION route_messages_out_to_device()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.device_id IS NULL THEN
+        SELECT device_id INTO NEW.device_id FROM threads WHERE id = NEW.thread_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS route_messages_out_to_device ON messages_out;
+CREATE TRIGGER route_messages_out_to_device
+    BEFORE INSERT ON messages_out
+    FOR EACH ROW
+    EXECUTE FUNCTION route_messages_out_to_device();
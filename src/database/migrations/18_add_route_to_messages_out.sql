@@ -0,0 +1,5 @@
+-- How each outgoing message was addressed: 'chat_id' for an existing chat
+-- (every group chat, and 1:1 chats already in chat.db) or 'buddy' for a new
+-- 1:1 conversation started from a normalized handle, and why
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS route TEXT;
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS route_reason TEXT;
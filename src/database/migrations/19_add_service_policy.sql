@@ -0,0 +1,8 @@
+-- Which service 1:1 sends in a thread use: 'imessage_only', 'sms_only', or
+-- 'imessage_then_sms' (resend as SMS when iMessage is not delivered). Null
+-- uses the daemon's OUTBOUND_SERVICE_POLICY
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS service_policy TEXT
+    CHECK (service_policy IN ('imessage_only', 'sms_only', 'imessage_then_sms'));
+
+-- Service an outgoing message actually went out on (iMessage, SMS)
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS service TEXT;
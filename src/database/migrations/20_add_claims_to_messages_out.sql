@@ -0,0 +1,10 @@
+-- Who is sending an outgoing message and until when. A row moves from
+-- 'pending' to 'processing' in one conditional update that sets these, so
+-- only one pickup path sends it; a 'processing' row whose lease has expired
+-- (the sender crashed) can be claimed again
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_out_claimable
+    ON messages_out (device_id, status, lease_expires_at);
@@ -0,0 +1,13 @@
+-- When an outgoing message should be sent (null: right away) and after when
+-- it must not be sent any more (null: no limit). A message whose window has
+-- passed gets status 'expired'. Setting status to 'cancelled' while it is
+-- still 'pending' stops it from being sent
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS send_at TIMESTAMPTZ;
+ALTER TABLE messages_out ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+ALTER TABLE messages_out DROP CONSTRAINT IF EXISTS messages_out_send_window;
+ALTER TABLE messages_out ADD CONSTRAINT messages_out_send_window
+    CHECK (expires_at IS NULL OR send_at IS NULL OR expires_at > send_at);
+
+CREATE INDEX IF NOT EXISTS idx_messages_out_send_at
+    ON messages_out (device_id, status, send_at);
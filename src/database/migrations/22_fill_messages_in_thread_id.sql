@@ -0,0 +1,19 @@
+-- A message relayed while its thread's insert was still journaled offline
+-- carries only chat_guid and device_id; look its thread up once the insert
+-- reaches Supabase (the thread's own journaled insert always goes first)
+CREATE OR REPLACE FUNCTION fill_messages_in_thread_id()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.thread_id IS NULL THEN
+        SELECT id INTO NEW.thread_id FROM threads
+        WHERE chat_guid = NEW.chat_guid AND device_id IS NOT DISTINCT FROM NEW.device_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS fill_messages_in_thread_id ON messages_in;
+CREATE TRIGGER fill_messages_in_thread_id
+    BEFORE INSERT OR UPDATE ON messages_in
+    FOR EACH ROW
+    EXECUTE FUNCTION fill_messages_in_thread_id();
@@ -0,0 +1,249 @@
+/**
+ * Versioned Supabase migrations
+ * Applies the numbered SQL files in ./migrations in order, over a direct
+ * Postgres connection (DATABASE_URL), and records each applied version in
+ * schema_migrations together with a checksum of the file
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../utils/error-handler');
+
+// Where the migration files live
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Postgres connection string (Supabase: Project Settings -> Database)
+const DATABASE_URL = process.env.DATABASE_URL;
+
+// Migration files are named <version>_<description>.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Serializes concurrent migrators (arbitrary, fixed advisory lock key)
+const MIGRATION_LOCK_KEY = 4242017;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`;
+
+/**
+ * Read the migration files, ordered by version
+ * @param {string} dir - Migrations directory
+ * @returns {Array} - { version, name, sql, checksum }
+ * @throws {AppError} - When two files share a version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+        name: file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new AppError(
+        `Migrations ${migrations[i - 1].name} and ${migration.name} share version ${migration.version}`,
+        ErrorTypes.DATABASE
+      );
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Compare migration files with the versions recorded in schema_migrations
+ * @param {Array} migrations - From loadMigrations
+ * @param {Array} appliedRows - schema_migrations rows (version, checksum)
+ * @returns {Object} - { applied, pending, modified, unknown }
+ */
+function compareMigrations(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map(row => [Number(row.version), row]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied: migrations.filter(migration => applied.has(migration.version)),
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    // Edited after being applied; the database will not see the edit
+    modified: migrations.filter(migration => applied.has(migration.version)
+      && applied.get(migration.version).checksum !== migration.checksum),
+    // Applied by a newer version of the daemon
+    unknown: [...applied.keys()].filter(version => !known.has(version)).sort((a, b) => a - b)
+  };
+}
+
+class Migrator {
+  constructor({
+    connectionString = DATABASE_URL,
+    migrationsDir = MIGRATIONS_DIR,
+    ClientClass = null,
+    loggerInstance = logger
+  } = {}) {
+    this.connectionString = connectionString;
+    this.migrationsDir = migrationsDir;
+
+    // Store injected dependencies
+    this.ClientClass = ClientClass;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Open a connection holding the migration lock
+   * @returns {Promise<Object>} - Connected pg client
+   * @throws {AppError} - When DATABASE_URL is not set
+   */
+  async connect() {
+    if (!this.connectionString) {
+      throw new AppError(
+        'DATABASE_URL is not set. Migrations need a direct Postgres connection string',
+        ErrorTypes.VALIDATION
+      );
+    }
+
+    // pg is only needed by the migrate command, so load it on demand
+    const Client = this.ClientClass || require('pg').Client;
+    const client = new Client({ connectionString: this.connectionString });
+    await client.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await client.query(CREATE_MIGRATIONS_TABLE);
+    } catch (error) {
+      await client.end();
+      throw error;
+    }
+    return client;
+  }
+
+  /**
+   * Release the lock and close the connection
+   * @param {Object} client - Client from connect
+   */
+  async disconnect(client) {
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Run a function with a locked connection
+   * @param {Function} work - async (client) => result
+   * @returns {Promise<*>}
+   */
+  async withClient(work) {
+    const client = await this.connect();
+    try {
+      return await work(client);
+    } finally {
+      await this.disconnect(client);
+    }
+  }
+
+  /**
+   * Applied, pending and modified migrations
+   * @param {Object} client - Connected client
+   * @returns {Promise<Object>} - See compareMigrations
+   */
+  async readStatus(client) {
+    const { rows } = await client.query('SELECT version, checksum FROM schema_migrations ORDER BY version');
+    return compareMigrations(loadMigrations(this.migrationsDir), rows);
+  }
+
+  /**
+   * Migration status of the database
+   * @returns {Promise<Object>} - See compareMigrations
+   */
+  async status() {
+    return this.withClient(client => this.readStatus(client));
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * Stops at the first failure; earlier migrations stay applied
+   * @param {Object} options - Migration options
+   * @param {number} options.target - Highest version to apply (default: all)
+   * @returns {Promise<Array>} - Names of the applied migrations
+   * @throws {AppError} - When a migration fails
+   */
+  async migrate({ target = null } = {}) {
+    return this.withClient(async client => {
+      const { pending, modified } = await this.readStatus(client);
+      modified.forEach(migration => {
+        this.logger.warn('Applied migration was edited afterwards', { migration: migration.name });
+      });
+
+      const applied = [];
+      for (const migration of pending.filter(m => target === null || m.version <= target)) {
+        this.logger.info('Applying migration', { migration: migration.name });
+        await client.query('BEGIN');
+        try {
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new AppError(`Migration ${migration.name} failed: ${error.message}`, ErrorTypes.DATABASE, {
+            migration: migration.name,
+            applied
+          });
+        }
+        applied.push(migration.name);
+      }
+
+      if (applied.length > 0) {
+        // Make PostgREST (the Supabase API) see the new columns right away
+        await client.query("NOTIFY pgrst, 'reload schema'");
+        this.logger.info('Migrations applied', { applied });
+      }
+      return applied;
+    });
+  }
+
+  /**
+   * Record migrations up to a version as applied without running them, for
+   * databases that were set up by hand before migrations were tracked
+   * @param {number} version - Highest version already present
+   * @returns {Promise<Array>} - Names of the migrations recorded
+   */
+  async baseline(version) {
+    return this.withClient(async client => {
+      const { pending } = await this.readStatus(client);
+      const recorded = [];
+      for (const migration of pending.filter(m => m.version <= version)) {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        recorded.push(migration.name);
+      }
+      this.logger.info('Recorded baseline migrations', { version, recorded: recorded.length });
+      return recorded;
+    });
+  }
+}
+
+// Singleton instance using default dependencies
+const migrator = new Migrator();
+
+module.exports = {
+  Migrator,
+  migrator,
+  loadMigrations,
+  compareMigrations,
+  MIGRATIONS_DIR
+};
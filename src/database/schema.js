@@ -0,0 +1,217 @@
+/**
+ * Startup check that the live Supabase schema matches the code
+ * Every column the daemon reads or writes is listed here. On startup each
+ * table is probed through the Supabase API, and the daemon refuses to run
+ * when something is missing instead of failing row by row later
+ */
+const { logger } = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../utils/error-handler');
+const { isConnectivityError } = require('../supabase/outbox');
+const { loadMigrations, compareMigrations, MIGRATIONS_DIR } = require('./migrator');
+
+// Tables and columns the daemon depends on
+const EXPECTED_SCHEMA = {
+  threads: [
+    'id', 'chat_guid', 'display_name', 'chat_identifier', 'service_name', 'is_group',
+    'participants', 'last_message_at', 'last_synced', 'person_id', 'device_id', 'service_policy'
+  ],
+  messages_in: [
+    'id', 'message_guid', 'thread_id', 'chat_guid', 'sender_id', 'person_id', 'device_id', 'service_name',
+    'direction', 'origin', 'messages_out_id', 'text', 'rich_text', 'reply_to_message_guid',
+    'reply_to_part', 'reply_to_id', 'has_attachments', 'attachments', 'sent_at', 'received_at',
+    'date_delivered', 'date_read', 'status', 'error', 'edited_at', 'edit_history', 'retracted',
+    'retracted_at'
+  ],
+  messages_out: [
+    'id', 'thread_id', 'device_id', 'recipient', 'text', 'media_url', 'media_type', 'status', 'error',
+    'message_guid', 'reply_to_message_guid', 'route', 'route_reason', 'service', 'claimed_by',
+    'claimed_at', 'lease_expires_at', 'send_at', 'expires_at', 'created_at', 'updated_at'
+  ],
+  message_reactions: [
+    'reaction_guid', 'message_guid', 'message_part', 'chat_guid', 'sender_id', 'is_from_me',
+    'reaction', 'emoji', 'reacted_at'
+  ],
+  thread_events: [
+    'event_guid', 'chat_guid', 'thread_id', 'event_type', 'actor_id', 'participant_id',
+    'display_name', 'participants', 'occurred_at'
+  ],
+  contacts: [
+    'handle', 'normalized_handle', 'person_id', 'contact_id', 'display_name', 'first_name',
+    'last_name', 'nickname', 'organization', 'updated_at'
+  ],
+  devices: [
+    'id', 'name', 'hostname', 'accounts', 'app_version', 'os_version', 'status', 'last_seen_at',
+    'updated_at'
+  ],
+  logs: ['id', 'level', 'message', 'metadata', 'created_at']
+};
+
+// PostgREST/Postgres codes for an unknown table or column
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+const MISSING_COLUMN_CODES = ['42703', 'PGRST204'];
+
+/**
+ * Select no rows of some columns through the Supabase API
+ * @param {Object} client - Supabase client
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Columns to select
+ * @returns {Promise<Object>} - { error, status }
+ */
+async function probe(client, table, columns) {
+  const { error, status } = await client.from(table).select(columns.join(',')).limit(0);
+  return { error, status };
+}
+
+/**
+ * Missing columns of one table
+ * @param {Object} client - Supabase client
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Expected columns
+ * @returns {Promise<Object>} - { missingTable, missingColumns }
+ * @throws {Object} - Supabase errors other than a missing table or column
+ */
+async function checkTable(client, table, columns) {
+  const { error, status } = await probe(client, table, columns);
+  if (!error) {
+    return { missingTable: false, missingColumns: [] };
+  }
+  if (MISSING_TABLE_CODES.includes(error.code)) {
+    return { missingTable: true, missingColumns: [] };
+  }
+  if (!MISSING_COLUMN_CODES.includes(error.code)) {
+    throw Object.assign(error, { status });
+  }
+
+  // PostgREST reports one missing column at a time, so check each
+  const missingColumns = [];
+  for (const column of columns) {
+    const result = await probe(client, table, [column]);
+    if (result.error) {
+      if (!MISSING_COLUMN_CODES.includes(result.error.code)) {
+        throw Object.assign(result.error, { status: result.status });
+      }
+      missingColumns.push(column);
+    }
+  }
+  return { missingTable: false, missingColumns };
+}
+
+/**
+ * Migrations recorded in schema_migrations
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Array|null>} - Rows, or null before the first migrate
+ */
+async function readAppliedMigrations(client) {
+  const { data, error, status } = await client.from('schema_migrations').select('version, checksum');
+  if (error) {
+    if (MISSING_TABLE_CODES.includes(error.code)) {
+      return null;
+    }
+    throw Object.assign(error, { status });
+  }
+  return data;
+}
+
+/**
+ * Human-readable description of schema differences
+ * @param {Object} result - From verifySchema
+ * @returns {string}
+ */
+function formatSchemaDiff(result) {
+  const lines = [];
+  result.missingTables.forEach(table => lines.push(`- table ${table}`));
+  Object.entries(result.missingColumns).forEach(([table, columns]) => {
+    columns.forEach(column => lines.push(`- column ${table}.${column}`));
+  });
+  if (result.migrations === null) {
+    lines.push('! schema_migrations is missing; run `npm run migrate` (or `npm run migrate -- --baseline <version>` on an existing database)');
+  } else {
+    result.migrations.pending.forEach(migration => lines.push(`! pending migration ${migration.name}`));
+    result.migrations.modified.forEach(migration => lines.push(`~ migration ${migration.name} changed after it was applied`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Compare the live schema with EXPECTED_SCHEMA and the migration files
+ * @param {Object} options - Verification options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.expected - Tables and columns to check
+ * @param {string} options.migrationsDir - Migrations directory
+ * @returns {Promise<Object>} - { ok, missingTables, missingColumns, migrations, diff }
+ * @throws {Object} - Supabase errors, including connectivity errors
+ */
+async function verifySchema({
+  client = require('../supabase/client').supabaseClient,
+  expected = EXPECTED_SCHEMA,
+  migrationsDir = MIGRATIONS_DIR
+} = {}) {
+  const missingTables = [];
+  const missingColumns = {};
+
+  for (const [table, columns] of Object.entries(expected)) {
+    const result = await checkTable(client, table, columns);
+    if (result.missingTable) {
+      missingTables.push(table);
+    } else if (result.missingColumns.length > 0) {
+      missingColumns[table] = result.missingColumns;
+    }
+  }
+
+  const appliedRows = await readAppliedMigrations(client);
+  const migrations = appliedRows === null
+    ? null
+    : compareMigrations(loadMigrations(migrationsDir), appliedRows);
+
+  const result = {
+    // Pending migrations alone are reported but do not stop the daemon
+    ok: missingTables.length === 0 && Object.keys(missingColumns).length === 0,
+    missingTables,
+    missingColumns,
+    migrations
+  };
+  result.diff = formatSchemaDiff(result);
+  return result;
+}
+
+/**
+ * Refuse to start against a schema that does not match the code
+ * An unreachable Supabase is not a mismatch: the daemon starts and journals
+ * writes until it is back
+ * @param {Object} options - See verifySchema
+ * @returns {Promise<Object>} - Result of verifySchema, or { ok: true, skipped: true }
+ * @throws {AppError} - When tables or columns are missing
+ */
+async function assertSchema(options = {}) {
+  let result;
+  try {
+    result = await verifySchema(options);
+  } catch (error) {
+    if (isConnectivityError(error, error.status)) {
+      logger.warn('Supabase unreachable; skipping schema verification', { error: error.message });
+      return { ok: true, skipped: true };
+    }
+    throw error;
+  }
+
+  if (!result.ok) {
+    throw new AppError(
+      `Supabase schema does not match this version of the daemon. Run \`npm run migrate\`. Differences:\n${result.diff}`,
+      ErrorTypes.DATABASE,
+      { missingTables: result.missingTables, missingColumns: result.missingColumns }
+    );
+  }
+  if (result.diff) {
+    logger.warn('Supabase schema has pending migrations', { diff: result.diff });
+  } else {
+    logger.info('Supabase schema verified');
+  }
+  return result;
+}
+
+module.exports = {
+  verifySchema,
+  assertSchema,
+  formatSchemaDiff,
+  EXPECTED_SCHEMA
+};
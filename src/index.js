@@ -1,65 +1,106 @@
 #!/usr/bin/env node
 
-const { setupLogger } = require('./utils/logger');
-const { validateEnvironment } = require('./core/bootstrap');
+// Modules read their settings from the environment when they are loaded
+require('dotenv').config();
+
+const { logger, supabaseTransport } = require('./utils/logger');
+const { runBootstrapChecks } = require('./core/bootstrap');
 const { startMessageMonitor } = require('./core/messageMonitor');
-const { initializeSupabase } = require('./supabase/client');
-const { setupMediaHandler } = require('./media/handler');
-const { setupAppleScriptQueue } = require('./applescript/queue');
+const { supabaseClient } = require('./supabase/client');
+const { ensureMediaDirExists } = require('./media/handler');
+const { appleScriptQueue } = require('./applescript/queue');
 const { loadConfig } = require('./config/loader');
+const { assertSchema } = require('./database/schema');
+const { setupDeviceHeartbeat } = require('./supabase/devices');
+const { setupDeliveryMonitor } = require('./supabase/delivery-monitor');
+const { setupOutboundScheduler } = require('./supabase/scheduler');
+const { setupInboundWatcher } = require('./supabase/inbound');
+const { setupThreadSync } = require('./supabase/sync');
+const { setupContactsSync } = require('./supabase/contacts');
 
 async function main() {
     try {
-        // Initialize logger
-        const logger = setupLogger();
         logger.info('Starting iMessage Relay Daemon v2');
 
         // Load configuration
         const config = loadConfig();
         logger.info('Configuration loaded');
 
-        // Validate environment and permissions
-        await validateEnvironment();
-        logger.info('Environment validation passed');
+        // Check Messages.app, automation permissions and paths; failures are
+        // logged and the daemon carries on in limited mode
+        await runBootstrapChecks();
+
+        // Refuse to run against a schema this version does not match
+        await assertSchema({ client: supabaseClient });
 
-        // Initialize Supabase client
-        const supabase = await initializeSupabase(config);
-        logger.info('Supabase client initialized');
+        // Ship logs (including those buffered since startup) to the logs table
+        if (supabaseTransport) {
+            supabaseTransport.start();
+        }
+
+        // Register this Mac in devices before anything creates threads
+        const deviceHeartbeat = setupDeviceHeartbeat();
+        await deviceHeartbeat.trigger();
 
         // Setup media handler
-        const mediaHandler = await setupMediaHandler(config);
+        await ensureMediaDirExists();
         logger.info('Media handler initialized');
 
-        // Setup AppleScript queue
-        const appleScriptQueue = setupAppleScriptQueue();
-        logger.info('AppleScript queue initialized');
-
         // Start message monitoring
-        await startMessageMonitor({
-            supabase,
-            mediaHandler,
-            appleScriptQueue,
+        const messageMonitor = await startMessageMonitor({
+            supabase: supabaseClient,
             config
         });
         logger.info('Message monitoring started');
 
+        // Load AddressBook names first; thread sync resends threads whose
+        // participants' names change
+        const contactsSync = setupContactsSync();
+
+        // Keep threads in step with chat.db chats before relaying into them
+        const threadSync = setupThreadSync();
+
+        // Relay new chat.db messages, edits and retractions to messages_in
+        const inboundWatcher = setupInboundWatcher();
+
+        // Resend iMessage sends that are not delivered as SMS
+        const deliveryMonitor = setupDeliveryMonitor();
+
+        // Send messages_out rows scheduled for later (send_at) when due
+        const outboundScheduler = setupOutboundScheduler();
+
         // Handle graceful shutdown
-        process.on('SIGTERM', async () => {
-            logger.info('Received SIGTERM signal');
-            await appleScriptQueue.shutdown();
+        const shutdown = async (signal) => {
+            logger.info(`Received ${signal} signal`);
+            inboundWatcher.stop();
+            threadSync.stop();
+            contactsSync.stop();
+            await messageMonitor.stop();
+            await outboundScheduler.stop();
+            await deliveryMonitor.stop();
+            appleScriptQueue.clearQueue(signal);
+            await deviceHeartbeat.stop();
+            if (supabaseTransport) {
+                await supabaseTransport.flush();
+            }
             process.exit(0);
-        });
+        };
 
-        process.on('SIGINT', async () => {
-            logger.info('Received SIGINT signal');
-            await appleScriptQueue.shutdown();
-            process.exit(0);
-        });
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
 
+        return { shutdown };
     } catch (error) {
         console.error('Fatal error during startup:', error);
         process.exit(1);
     }
 }
 
-main(); 
\ No newline at end of file
+// Only start the daemon when run directly, not when required
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    main
+};
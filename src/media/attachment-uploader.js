@@ -0,0 +1,133 @@
+/**
+ * Inbound attachment upload
+ * Copies files referenced by chat.db attachments into Supabase Storage so
+ * they are reachable off the Mac
+ */
+const crypto = require('crypto');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// Storage bucket for inbound attachments
+const INBOUND_ATTACHMENTS_BUCKET = process.env.INBOUND_ATTACHMENTS_BUCKET || 'inbound-attachments';
+
+// attachment.transfer_state once the file is fully on disk
+const TRANSFER_STATE_FINISHED = 5;
+
+/**
+ * Why an upload was deferred
+ */
+const DeferReasons = {
+  TRANSFER_INCOMPLETE: 'TRANSFER_INCOMPLETE',
+  FILE_MISSING: 'FILE_MISSING',
+  UPLOAD_FAILED: 'UPLOAD_FAILED'
+};
+
+/**
+ * Expand a leading ~ the way Messages writes attachment paths
+ * @param {string} filename - attachment.filename
+ * @returns {string} - Absolute path
+ */
+function expandHome(filename) {
+  const home = process.env.HOME || '/tmp';
+  return filename.replace(/^~(?=$|\/)/, home);
+}
+
+/**
+ * Deterministic storage key, so retries overwrite rather than duplicate
+ * @param {Object} attachment - chat.db attachment row
+ * @returns {string} - Object key within the bucket
+ */
+function storageKey(attachment) {
+  const name = path.basename(attachment.transfer_name || attachment.attachment_filename || 'attachment');
+  const safeName = name.replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${attachment.attachment_guid}/${safeName}`;
+}
+
+class AttachmentUploader {
+  constructor({
+    storageClient = null,
+    bucket = INBOUND_ATTACHMENTS_BUCKET,
+    fsModule = fsPromises,
+    loggerInstance = logger
+  } = {}) {
+    this.bucket = bucket;
+
+    // Store injected dependencies
+    this.storageClient = storageClient;
+    this.fs = fsModule;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Storage client, defaulting to the shared Supabase client's storage
+   * (loaded lazily so tests can inject a stand-in without Supabase credentials)
+   */
+  get storage() {
+    if (!this.storageClient) {
+      this.storageClient = require('../supabase/client').supabaseClient.storage;
+    }
+    return this.storageClient;
+  }
+
+  /**
+   * Upload one chat.db attachment
+   * @param {Object} attachment - Row from ChatDbReader#getMessageAttachments
+   * @returns {Promise<Object>} - { status: 'uploaded', storage_path, sha256, size_bytes }
+   *   or { status: 'deferred', reason, error }
+   */
+  async uploadAttachment(attachment) {
+    const transferState = attachment.transfer_state;
+    if (transferState !== null && transferState !== undefined && Number(transferState) !== TRANSFER_STATE_FINISHED) {
+      return { status: 'deferred', reason: DeferReasons.TRANSFER_INCOMPLETE };
+    }
+
+    if (!attachment.attachment_filename) {
+      return { status: 'deferred', reason: DeferReasons.FILE_MISSING };
+    }
+
+    let data;
+    try {
+      data = await this.fs.readFile(expandHome(attachment.attachment_filename));
+    } catch (error) {
+      // Not downloaded yet, or offloaded to iCloud ("Optimize Mac Storage")
+      if (error.code === 'ENOENT') {
+        return { status: 'deferred', reason: DeferReasons.FILE_MISSING };
+      }
+      this.logger.error('Failed to read attachment', { error: error.message, attachment_guid: attachment.attachment_guid });
+      return { status: 'deferred', reason: DeferReasons.FILE_MISSING, error: error.message };
+    }
+
+    const key = storageKey(attachment);
+    const { error } = await this.storage
+      .from(this.bucket)
+      .upload(key, data, {
+        contentType: attachment.mime_type || 'application/octet-stream',
+        upsert: true
+      });
+
+    if (error) {
+      this.logger.error('Failed to upload attachment', { error, attachment_guid: attachment.attachment_guid });
+      return { status: 'deferred', reason: DeferReasons.UPLOAD_FAILED, error: error.message };
+    }
+
+    return {
+      status: 'uploaded',
+      storage_path: `${this.bucket}/${key}`,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      size_bytes: data.length
+    };
+  }
+}
+
+// Singleton instance using default dependencies
+const attachmentUploader = new AttachmentUploader();
+
+module.exports = {
+  AttachmentUploader,
+  attachmentUploader,
+  DeferReasons,
+  expandHome,
+  storageKey,
+  INBOUND_ATTACHMENTS_BUCKET
+};
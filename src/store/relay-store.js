@@ -0,0 +1,630 @@
+/**
+ * Durable local store for relay bookkeeping
+ * A small SQLite database next to the relay state file. Inbound rows that
+ * could not be delivered to Supabase are kept here and retried with backoff
+ * until they succeed or are dead-lettered, Supabase writes made while
+ * offline are journaled here until they can be flushed, and resolved thread
+ * IDs and synced thread and contact hashes are cached so neither inbound
+ * relay nor thread sync has to ask Supabase what it already knows. The
+ * person_id assigned to each normalized handle is kept here too, as are
+ * small settings such as this Mac's device ID
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logger } = require('../utils/logger');
+
+// Default location of the local store
+const RELAY_STORE_PATH = process.env.RELAY_STORE_PATH
+  || path.join(process.env.HOME || '/tmp', '.imessage_relay_store.db');
+
+// Retry schedule for failed inbound rows
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.INBOUND_MAX_ATTEMPTS || '10', 10);
+
+/**
+ * Status of a failed inbound row
+ */
+const FailureStatus = {
+  PENDING: 'pending',
+  DEAD: 'dead'
+};
+
+/**
+ * Status of a journaled Supabase write
+ */
+const WriteStatus = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+// Schema versions, applied in order and tracked with PRAGMA user_version
+const SCHEMA = [
+  `
+    CREATE TABLE inbound_failures (
+      message_id INTEGER PRIMARY KEY,
+      message_guid TEXT,
+      chat_guid TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      first_failed_at TEXT NOT NULL,
+      last_failed_at TEXT NOT NULL,
+      next_attempt_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_inbound_failures_due ON inbound_failures(status, next_attempt_at);
+  `,
+  `
+    CREATE TABLE outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_outbox_status ON outbox(status, id);
+  `,
+  `
+    CREATE TABLE thread_ids (
+      chat_guid TEXT PRIMARY KEY,
+      thread_id TEXT NOT NULL,
+      resolved_at TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE thread_sync (
+      chat_guid TEXT PRIMARY KEY,
+      content_hash TEXT NOT NULL,
+      synced_at TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE contact_sync (
+      handle TEXT PRIMARY KEY,
+      content_hash TEXT NOT NULL,
+      synced_at TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE people (
+      handle TEXT PRIMARY KEY,
+      person_id TEXT NOT NULL,
+      assigned_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_people_person_id ON people(person_id);
+  `,
+  `
+    CREATE TABLE settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE delivery_checks (
+      messages_out_id TEXT PRIMARY KEY,
+      chat_guid TEXT,
+      recipient TEXT NOT NULL,
+      text TEXT,
+      file_path TEXT,
+      sent_at TEXT NOT NULL,
+      deadline TEXT NOT NULL,
+      message_guid TEXT
+    );
+  `
+];
+
+class RelayStore {
+  constructor({
+    dbPath = RELAY_STORE_PATH,
+    DatabaseClass = Database,
+    maxAttempts = MAX_ATTEMPTS,
+    loggerInstance = logger
+  } = {}) {
+    this.dbPath = dbPath;
+    this.maxAttempts = maxAttempts;
+    this.db = null;
+
+    // Store injected dependencies
+    this.Database = DatabaseClass;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Open (creating if needed) the store and bring its schema up to date
+   * @returns {Object} - Open database handle
+   */
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const db = new this.Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+
+    const version = db.pragma('user_version', { simple: true });
+    db.transaction(() => {
+      SCHEMA.slice(version).forEach(statement => db.exec(statement));
+      db.pragma(`user_version = ${SCHEMA.length}`);
+    })();
+
+    this.db = db;
+    return db;
+  }
+
+  /**
+   * When to retry after a given number of attempts
+   * @param {number} attempts - Attempts made so far
+   * @param {number} now - Reference time in ms
+   * @returns {string} - ISO timestamp
+   */
+  nextAttemptAt(attempts, now = Date.now()) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+    return new Date(now + delay).toISOString();
+  }
+
+  /**
+   * Record a failed delivery of a chat.db row
+   * Repeated failures back off exponentially; after maxAttempts the row is
+   * dead-lettered and no longer retried automatically
+   * @param {Object} message - chat.db row (message_id, message_guid, chat_guid)
+   * @param {Error|Object|string} error - Why it failed
+   * @returns {Object} - The stored failure
+   */
+  recordFailure(message, error) {
+    const db = this.open();
+    const now = new Date();
+    const errorMessage = typeof error === 'string' ? error : (error && error.message) || String(error);
+
+    return db.transaction(() => {
+      const existing = db
+        .prepare('SELECT attempts FROM inbound_failures WHERE message_id = ?')
+        .get(message.message_id);
+      const attempts = (existing ? existing.attempts : 0) + 1;
+      const status = attempts >= this.maxAttempts ? FailureStatus.DEAD : FailureStatus.PENDING;
+
+      db.prepare(`
+        INSERT INTO inbound_failures (
+          message_id, message_guid, chat_guid, status, attempts, last_error,
+          first_failed_at, last_failed_at, next_attempt_at
+        ) VALUES (
+          @message_id, @message_guid, @chat_guid, @status, @attempts, @last_error,
+          @now, @now, @next_attempt_at
+        )
+        ON CONFLICT(message_id) DO UPDATE SET
+          status = excluded.status,
+          attempts = excluded.attempts,
+          last_error = excluded.last_error,
+          last_failed_at = excluded.last_failed_at,
+          next_attempt_at = excluded.next_attempt_at
+      `).run({
+        message_id: message.message_id,
+        message_guid: message.message_guid || null,
+        chat_guid: message.chat_guid || null,
+        status,
+        attempts,
+        last_error: errorMessage,
+        now: now.toISOString(),
+        next_attempt_at: this.nextAttemptAt(attempts, now.getTime())
+      });
+
+      if (status === FailureStatus.DEAD) {
+        this.logger.error('Inbound message dead-lettered', {
+          message_id: message.message_id,
+          attempts,
+          error: errorMessage
+        });
+      }
+
+      return this.getFailure(message.message_id);
+    })();
+  }
+
+  /**
+   * Hold a chat.db row that could not be relayed because Supabase was
+   * unreachable
+   * The row is retried after the first backoff step like any other failure,
+   * but no attempt is counted, so an outage cannot dead-letter it
+   * @param {Object} message - chat.db row (message_id, message_guid, chat_guid)
+   * @param {Error|Object|string} error - Why it failed
+   * @returns {Object} - The stored failure
+   */
+  pauseFailure(message, error) {
+    const db = this.open();
+    const now = new Date();
+    const errorMessage = typeof error === 'string' ? error : (error && error.message) || String(error);
+
+    db.prepare(`
+      INSERT INTO inbound_failures (
+        message_id, message_guid, chat_guid, status, attempts, last_error,
+        first_failed_at, last_failed_at, next_attempt_at
+      ) VALUES (
+        @message_id, @message_guid, @chat_guid, @status, 0, @last_error,
+        @now, @now, @next_attempt_at
+      )
+      ON CONFLICT(message_id) DO UPDATE SET
+        last_error = excluded.last_error,
+        last_failed_at = excluded.last_failed_at,
+        next_attempt_at = excluded.next_attempt_at
+    `).run({
+      message_id: message.message_id,
+      message_guid: message.message_guid || null,
+      chat_guid: message.chat_guid || null,
+      status: FailureStatus.PENDING,
+      last_error: errorMessage,
+      now: now.toISOString(),
+      next_attempt_at: this.nextAttemptAt(1, now.getTime())
+    });
+
+    return this.getFailure(message.message_id);
+  }
+
+  /**
+   * Failed rows due for another attempt
+   * @param {number} limit - Maximum rows
+   * @returns {Array}
+   */
+  getDueFailures(limit = 50) {
+    return this.open().prepare(`
+      SELECT * FROM inbound_failures
+      WHERE status = @status AND next_attempt_at <= @now
+      ORDER BY message_id ASC
+      LIMIT @limit
+    `).all({ status: FailureStatus.PENDING, now: new Date().toISOString(), limit });
+  }
+
+  /**
+   * @param {number} messageId - chat.db ROWID
+   * @returns {Object|undefined}
+   */
+  getFailure(messageId) {
+    return this.open()
+      .prepare('SELECT * FROM inbound_failures WHERE message_id = ?')
+      .get(messageId);
+  }
+
+  /**
+   * List stored failures
+   * @param {Object} options
+   * @param {string|null} options.status - Only this status
+   * @returns {Array}
+   */
+  listFailures({ status = null } = {}) {
+    return this.open().prepare(`
+      SELECT * FROM inbound_failures
+      WHERE @status IS NULL OR status = @status
+      ORDER BY message_id ASC
+    `).all({ status });
+  }
+
+  /**
+   * Remove a row after it was delivered
+   * @param {number} messageId - chat.db ROWID
+   */
+  markSucceeded(messageId) {
+    this.open().prepare('DELETE FROM inbound_failures WHERE message_id = ?').run(messageId);
+  }
+
+  /**
+   * Put dead-lettered rows back in the retry queue
+   * @param {number|null} messageId - One row, or all dead rows when null
+   * @returns {number} - Rows requeued
+   */
+  requeue(messageId = null) {
+    const result = this.open().prepare(`
+      UPDATE inbound_failures
+      SET status = @pending, attempts = 0, next_attempt_at = @now
+      WHERE status = @dead AND (@messageId IS NULL OR message_id = @messageId)
+    `).run({
+      pending: FailureStatus.PENDING,
+      dead: FailureStatus.DEAD,
+      now: new Date().toISOString(),
+      messageId
+    });
+    return result.changes;
+  }
+
+  /**
+   * Counts by status
+   * @returns {Object} - { pending, dead }
+   */
+  getCounts() {
+    const counts = { [FailureStatus.PENDING]: 0, [FailureStatus.DEAD]: 0 };
+    this.open()
+      .prepare('SELECT status, COUNT(*) as count FROM inbound_failures GROUP BY status')
+      .all()
+      .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  /**
+   * Append a Supabase write to the outbox
+   * @param {Object} write - { table, operation, values, options, match }
+   * @returns {number} - Outbox entry ID
+   */
+  enqueueWrite({ table, operation, values, options = {}, match = {} }) {
+    const result = this.open().prepare(`
+      INSERT INTO outbox (table_name, operation, payload, status, created_at)
+      VALUES (@table, @operation, @payload, @status, @now)
+    `).run({
+      table,
+      operation,
+      payload: JSON.stringify({ values, options, match }),
+      status: WriteStatus.PENDING,
+      now: new Date().toISOString()
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Oldest pending writes, in the order they were made
+   * @param {number} limit - Maximum entries
+   * @returns {Array} - { id, table, operation, values, options, match, attempts }
+   */
+  getPendingWrites(limit = 100) {
+    return this.open().prepare(`
+      SELECT * FROM outbox WHERE status = @status ORDER BY id ASC LIMIT @limit
+    `).all({ status: WriteStatus.PENDING, limit }).map(row => ({
+      id: row.id,
+      table: row.table_name,
+      operation: row.operation,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      ...JSON.parse(row.payload)
+    }));
+  }
+
+  /**
+   * @returns {number} - Writes waiting to be flushed
+   */
+  countPendingWrites() {
+    return this.open()
+      .prepare('SELECT COUNT(*) as count FROM outbox WHERE status = ?')
+      .get(WriteStatus.PENDING).count;
+  }
+
+  /**
+   * Remove a write once Supabase accepted it
+   * @param {number} id - Outbox entry ID
+   */
+  completeWrite(id) {
+    this.open().prepare('DELETE FROM outbox WHERE id = ?').run(id);
+  }
+
+  /**
+   * Note an attempt that Supabase rejected
+   * @param {number} id - Outbox entry ID
+   * @param {string} error - Rejection reason
+   * @param {boolean} final - Stop retrying this write
+   */
+  failWrite(id, error, final = false) {
+    this.open().prepare(`
+      UPDATE outbox
+      SET attempts = attempts + 1, last_error = @error, status = @status
+      WHERE id = @id
+    `).run({ id, error, status: final ? WriteStatus.FAILED : WriteStatus.PENDING });
+  }
+
+  /**
+   * List writes Supabase rejected for good
+   * @returns {Array}
+   */
+  listFailedWrites() {
+    return this.open()
+      .prepare('SELECT * FROM outbox WHERE status = ? ORDER BY id ASC')
+      .all(WriteStatus.FAILED);
+  }
+
+  /**
+   * Known threads.id for a chat
+   * @param {string} chatGuid - Chat GUID
+   * @returns {string|null}
+   */
+  getThreadId(chatGuid) {
+    const row = this.open().prepare('SELECT thread_id FROM thread_ids WHERE chat_guid = ?').get(chatGuid);
+    return row ? row.thread_id : null;
+  }
+
+  /**
+   * Remember the threads.id for a chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} threadId - threads.id
+   */
+  saveThreadId(chatGuid, threadId) {
+    this.open().prepare(`
+      INSERT INTO thread_ids (chat_guid, thread_id, resolved_at) VALUES (@chatGuid, @threadId, @now)
+      ON CONFLICT(chat_guid) DO UPDATE SET thread_id = excluded.thread_id, resolved_at = excluded.resolved_at
+    `).run({ chatGuid, threadId, now: new Date().toISOString() });
+  }
+
+  /**
+   * Forget the threads.id for a chat
+   * @param {string} chatGuid - Chat GUID
+   */
+  deleteThreadId(chatGuid) {
+    this.open().prepare('DELETE FROM thread_ids WHERE chat_guid = ?').run(chatGuid);
+  }
+
+  /**
+   * Content hashes of threads as last sent to Supabase
+   * @returns {Map<string, string>} - chat_guid -> hash
+   */
+  getThreadHashes() {
+    return new Map(this.open()
+      .prepare('SELECT chat_guid, content_hash FROM thread_sync')
+      .all()
+      .map(row => [row.chat_guid, row.content_hash]));
+  }
+
+  /**
+   * Record the content hashes of threads just sent to Supabase
+   * @param {Array} entries - { chatGuid, hash }
+   */
+  saveThreadHashes(entries) {
+    const db = this.open();
+    const statement = db.prepare(`
+      INSERT INTO thread_sync (chat_guid, content_hash, synced_at) VALUES (@chatGuid, @hash, @now)
+      ON CONFLICT(chat_guid) DO UPDATE SET content_hash = excluded.content_hash, synced_at = excluded.synced_at
+    `);
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      entries.forEach(({ chatGuid, hash }) => statement.run({ chatGuid, hash, now }));
+    })();
+  }
+
+  /**
+   * Content hashes of the contacts last sent to Supabase
+   * @returns {Map<string, string>} - handle -> hash
+   */
+  getContactHashes() {
+    return new Map(this.open()
+      .prepare('SELECT handle, content_hash FROM contact_sync')
+      .all()
+      .map(row => [row.handle, row.content_hash]));
+  }
+
+  /**
+   * Record the content hashes of contacts just sent to Supabase
+   * @param {Array} entries - { handle, hash }
+   */
+  saveContactHashes(entries) {
+    const db = this.open();
+    const statement = db.prepare(`
+      INSERT INTO contact_sync (handle, content_hash, synced_at) VALUES (@handle, @hash, @now)
+      ON CONFLICT(handle) DO UPDATE SET content_hash = excluded.content_hash, synced_at = excluded.synced_at
+    `);
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      entries.forEach(({ handle, hash }) => statement.run({ handle, hash, now }));
+    })();
+  }
+
+  /**
+   * person_id assignments of normalized handles
+   * @param {Array<string>} handles - Normalized handles
+   * @returns {Array} - { handle, person_id, assigned_at }, oldest first
+   */
+  getPeople(handles) {
+    if (handles.length === 0) {
+      return [];
+    }
+    return this.open()
+      .prepare(`SELECT handle, person_id, assigned_at FROM people WHERE handle IN (${handles.map(() => '?').join(', ')}) ORDER BY assigned_at, rowid`)
+      .all(...handles);
+  }
+
+  /**
+   * Assign a person_id to normalized handles that have none
+   * @param {Array<string>} handles - Normalized handles
+   * @param {string} personId - person_id
+   */
+  assignPerson(handles, personId) {
+    const db = this.open();
+    const statement = db.prepare('INSERT OR IGNORE INTO people (handle, person_id, assigned_at) VALUES (?, ?, ?)');
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      handles.forEach(handle => statement.run(handle, personId, now));
+    })();
+  }
+
+  /**
+   * Move every handle of one person to another
+   * @param {string} fromPersonId - person_id being merged away
+   * @param {string} toPersonId - person_id that remains
+   * @returns {number} - Handles moved
+   */
+  mergePeople(fromPersonId, toPersonId) {
+    return this.open()
+      .prepare('UPDATE people SET person_id = ? WHERE person_id = ?')
+      .run(toPersonId, fromPersonId)
+      .changes;
+  }
+
+  /**
+   * Value of a local setting
+   * @param {string} key - Setting name
+   * @returns {string|null}
+   */
+  getSetting(key) {
+    const row = this.open().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Set a local setting
+   * @param {string} key - Setting name
+   * @param {string} value - Setting value
+   */
+  setSetting(key, value) {
+    this.open().prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(key, value, new Date().toISOString());
+  }
+
+  /**
+   * Follow the delivery of an iMessage send that may fall back to SMS
+   * @param {Object} check - { messagesOutId, chatGuid, recipient, text, filePath, sentAt, deadline }
+   */
+  addDeliveryCheck({ messagesOutId, chatGuid = null, recipient, text = null, filePath = null, sentAt, deadline }) {
+    this.open().prepare(`
+      INSERT OR REPLACE INTO delivery_checks
+        (messages_out_id, chat_guid, recipient, text, file_path, sent_at, deadline, message_guid)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NULL)
+    `).run(messagesOutId, chatGuid, recipient, text, filePath, sentAt, deadline);
+  }
+
+  /**
+   * Sends whose delivery is still being followed
+   * @returns {Array} - delivery_checks rows, oldest first
+   */
+  getDeliveryChecks() {
+    return this.open().prepare('SELECT * FROM delivery_checks ORDER BY sent_at, rowid').all();
+  }
+
+  /**
+   * Record the chat.db message a followed send produced
+   * @param {string} messagesOutId - messages_out.id
+   * @param {string} messageGuid - chat.db message GUID
+   */
+  setDeliveryCheckGuid(messagesOutId, messageGuid) {
+    this.open()
+      .prepare('UPDATE delivery_checks SET message_guid = ? WHERE messages_out_id = ?')
+      .run(messageGuid, messagesOutId);
+  }
+
+  /**
+   * Stop following a send
+   * @param {string} messagesOutId - messages_out.id
+   */
+  deleteDeliveryCheck(messagesOutId) {
+    this.open().prepare('DELETE FROM delivery_checks WHERE messages_out_id = ?').run(messagesOutId);
+  }
+
+  /**
+   * Close the database handle
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Singleton instance using default dependencies
+const relayStore = new RelayStore();
+
+module.exports = {
+  RelayStore,
+  relayStore,
+  FailureStatus,
+  WriteStatus,
+  RELAY_STORE_PATH
+};
@@ -0,0 +1,290 @@
+/**
+ * Historical backfill of chat.db into Supabase
+ * Walks chat.db in ROWID order below the live relay's cursor, upserting on
+ * message_guid, with its own checkpoint so it can be stopped and resumed
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { chatDbReader } = require('../chatdb/reader');
+const { syncThreads } = require('./sync');
+const { relayChatDbRow, loadState, saveState } = require('./inbound');
+const { relayStore } = require('../store/relay-store');
+const { isConnectivityError } = require('./outbox');
+const { writeFileAtomic } = require('../utils/atomic-file');
+
+// Backfill checkpoint, separate from the live relay state
+const BACKFILL_STATE_FILE = process.env.BACKFILL_STATE_FILE
+  || path.join(process.env.HOME || '/tmp', '.imessage_relay_backfill.json');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+// Pause between batches so live relay keeps priority for chat.db and Supabase
+const DEFAULT_THROTTLE_MS = 250;
+
+// Longest the backfill waits for live relay to drain before assuming it is not running
+const LIVE_YIELD_MAX_MS = 30000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed ROWIDs kept in the checkpoint for follow-up
+const MAX_RECORDED_FAILURES = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Turn since/until/days into a date range
+ * @param {Object} options
+ * @param {Date|string|null} options.since - Start of the range
+ * @param {Date|string|null} options.until - End of the range (exclusive)
+ * @param {number|null} options.days - "Last N days"; overrides since
+ * @param {Date} options.now - Reference time for days
+ * @returns {Object} - { since, until } as Dates or null
+ */
+function resolveBackfillRange({ since = null, until = null, days = null, now = new Date() } = {}) {
+  const toDate = (value, name) => {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+  };
+
+  const range = {
+    since: days ? new Date(now.getTime() - Number(days) * DAY_MS) : toDate(since, 'since'),
+    until: toDate(until, 'until')
+  };
+
+  if (range.since && range.until && range.since >= range.until) {
+    throw new Error('Backfill range is empty: since must be before until');
+  }
+  return range;
+}
+
+/**
+ * Load the backfill checkpoint
+ * @returns {Promise<Object|null>}
+ */
+async function loadCheckpoint() {
+  try {
+    return JSON.parse(await fs.readFile(BACKFILL_STATE_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the backfill checkpoint
+ * @param {Object} checkpoint
+ * @returns {Promise<void>}
+ */
+async function saveCheckpoint(checkpoint) {
+  try {
+    await writeFileAtomic(BACKFILL_STATE_FILE, JSON.stringify(checkpoint, null, 2));
+  } catch (error) {
+    logger.error('Failed to save backfill checkpoint', { error });
+  }
+}
+
+/**
+ * Identify a backfill by its filters, so a resume only continues the same job
+ */
+function backfillKey({ since, until, chatGuids, includeFromMe }) {
+  return JSON.stringify({
+    since: since ? since.toISOString() : null,
+    until: until ? until.toISOString() : null,
+    chatGuids: chatGuids && chatGuids.length > 0 ? [...chatGuids].sort() : null,
+    includeFromMe: !!includeFromMe
+  });
+}
+
+/**
+ * Run (or resume) a backfill
+ * @param {Object} options - Backfill options
+ * @param {Date|string} options.since - Only messages sent at or after this time
+ * @param {Date|string} options.until - Only messages sent before this time
+ * @param {number} options.days - Only the last N days (overrides since)
+ * @param {Array<string>} options.chatGuids - Only these chats
+ * @param {boolean} options.includeFromMe - Also backfill messages the owner sent
+ * @param {number} options.batchSize - Rows per batch
+ * @param {number} options.throttleMs - Pause between batches
+ * @param {boolean} options.restart - Ignore an unfinished checkpoint for the same filters
+ * @param {Function} options.onProgress - Called with progress after each batch
+ * @param {Function} options.shouldStop - Polled between batches; return true to stop
+ * @param {Function} options.sleepFunc - Injectable delay
+ * @returns {Promise<Object>} - Final progress, with completed/stopped flags
+ */
+async function runBackfill({
+  since = null,
+  until = null,
+  days = null,
+  chatGuids = null,
+  includeFromMe = process.env.MIRROR_FROM_ME_MESSAGES === 'true',
+  batchSize = DEFAULT_BATCH_SIZE,
+  throttleMs = DEFAULT_THROTTLE_MS,
+  restart = false,
+  onProgress = null,
+  shouldStop = () => false,
+  sleepFunc = sleep
+} = {}) {
+  const range = resolveBackfillRange({ since, until, days });
+  const filters = { ...range, chatGuids, includeFromMe };
+  const key = backfillKey(filters);
+
+  // Threads first, so rows that reference them resolve
+  await syncThreads();
+
+  let checkpoint = await loadCheckpoint();
+  const resuming = !restart && checkpoint && checkpoint.key === key && !checkpoint.completedAt;
+
+  if (resuming) {
+    logger.info('Resuming backfill', { afterId: checkpoint.afterId, processed: checkpoint.processed });
+  } else {
+    // Live relay owns everything above its cursor. On a fresh install the
+    // cursor starts at 0, so move it to the newest row and leave the
+    // history to the backfill instead of the 100-rows-per-tick crawl
+    const liveState = await loadState();
+    if (!liveState.lastMessageId) {
+      liveState.lastMessageId = chatDbReader.getMaxMessageId();
+      await saveState(liveState);
+      logger.info('Started live relay from the newest chat.db message', { lastMessageId: liveState.lastMessageId });
+    }
+
+    checkpoint = {
+      key,
+      maxId: liveState.lastMessageId,
+      afterId: 0,
+      total: 0,
+      processed: 0,
+      failed: 0,
+      failedMessageIds: [],
+      pendingAttachments: [],
+      startedAt: new Date().toISOString(),
+      completedAt: null
+    };
+    checkpoint.total = chatDbReader.countBackfillMessages({ ...filters, afterId: 0, maxId: checkpoint.maxId });
+    await saveCheckpoint(checkpoint);
+    logger.info('Starting backfill', { total: checkpoint.total, maxId: checkpoint.maxId, ...JSON.parse(key) });
+  }
+
+  const runStartedAt = Date.now();
+  const processedAtStart = checkpoint.processed + checkpoint.failed;
+  let liveIdle = false;
+
+  const progress = () => {
+    const done = checkpoint.processed + checkpoint.failed;
+    const doneThisRun = done - processedAtStart;
+    const remaining = Math.max(0, checkpoint.total - done);
+    const elapsedMs = Date.now() - runStartedAt;
+    return {
+      processed: checkpoint.processed,
+      failed: checkpoint.failed,
+      total: checkpoint.total,
+      percent: checkpoint.total > 0 ? Math.min(100, Math.round((done / checkpoint.total) * 1000) / 10) : 100,
+      etaMs: doneThisRun > 0 ? Math.round((elapsedMs / doneThisRun) * remaining) : null
+    };
+  };
+
+  // Wait while live relay has unprocessed rows; if its cursor does not move
+  // for LIVE_YIELD_MAX_MS the daemon is probably not running, so stop waiting
+  const yieldToLiveRelay = async () => {
+    if (liveIdle) {
+      return;
+    }
+
+    const startedAt = Date.now();
+    const { lastMessageId } = await loadState();
+    while (chatDbReader.getNewMessages((await loadState()).lastMessageId, 1, { includeFromMe }).length > 0) {
+      if (Date.now() - startedAt >= LIVE_YIELD_MAX_MS) {
+        if ((await loadState()).lastMessageId === lastMessageId) {
+          logger.warn('Live relay is not advancing; backfilling without yielding');
+          liveIdle = true;
+        }
+        return;
+      }
+      await sleepFunc(Math.max(throttleMs, 100));
+    }
+  };
+
+  while (!shouldStop()) {
+    await yieldToLiveRelay();
+
+    const rows = chatDbReader.getBackfillMessages({ ...filters, afterId: checkpoint.afterId, maxId: checkpoint.maxId }, batchSize);
+    if (rows.length === 0) {
+      checkpoint.completedAt = new Date().toISOString();
+      break;
+    }
+
+    for (const row of rows) {
+      let error = null;
+      let offline = false;
+      try {
+        const result = await relayChatDbRow(row, { upsert: true });
+        if (result.success) {
+          checkpoint.processed++;
+          checkpoint.pendingAttachments.push(...(result.deferredAttachments || []));
+          continue;
+        }
+        error = result.error || 'Supabase write failed';
+        offline = !!result.offline;
+      } catch (relayError) {
+        logger.error('Error backfilling message', { error: relayError, message_id: row.message_id });
+        error = relayError;
+        offline = isConnectivityError(relayError);
+      }
+
+      checkpoint.failed++;
+      if (checkpoint.failedMessageIds.length < MAX_RECORDED_FAILURES) {
+        checkpoint.failedMessageIds.push(row.message_id);
+      }
+
+      // The live relay's retry loop picks these up; an outage does not use
+      // up their attempts
+      try {
+        if (offline) {
+          relayStore.pauseFailure(row, error);
+        } else {
+          relayStore.recordFailure(row, error);
+        }
+      } catch (storeError) {
+        logger.error('Failed to queue backfill failure for retry', { error: storeError.message, message_id: row.message_id });
+      }
+    }
+
+    checkpoint.afterId = rows[rows.length - 1].message_id;
+    await saveCheckpoint(checkpoint);
+
+    const current = progress();
+    logger.info('Backfill progress', current);
+    if (onProgress) {
+      onProgress(current);
+    }
+
+    await sleepFunc(throttleMs);
+  }
+
+  if (checkpoint.completedAt && checkpoint.pendingAttachments.length > 0) {
+    // Hand attachments that were not downloaded yet to the live retry loop
+    const liveState = await loadState();
+    await saveState({
+      ...liveState,
+      pendingAttachments: [...(liveState.pendingAttachments || []), ...checkpoint.pendingAttachments]
+    });
+    checkpoint.pendingAttachments = [];
+  }
+  await saveCheckpoint(checkpoint);
+
+  const result = { ...progress(), completed: !!checkpoint.completedAt, stopped: !checkpoint.completedAt };
+  logger.info(result.completed ? 'Backfill complete' : 'Backfill stopped; run again to resume', result);
+  return result;
+}
+
+module.exports = {
+  runBackfill,
+  resolveBackfillRange,
+  loadCheckpoint,
+  BACKFILL_STATE_FILE
+};
@@ -0,0 +1,167 @@
+/**
+ * Atomic claiming of messages_out rows before they are sent
+ * Realtime, the polling fallback and the message monitor can all see the same
+ * pending row at once. A send only goes ahead for whoever moves the row from
+ * pending to processing in one conditional update, which records who claimed
+ * it and until when. A claim whose lease has run out (the daemon crashed
+ * mid-send) can be taken over. Rows scheduled for later (send_at) cannot be
+ * claimed before they are due, nor after their expires_at
+ */
+const { logger } = require('../utils/logger');
+const { deviceRegistry } = require('./devices');
+
+// How long a claim holds a row; must cover the slowest send (media download
+// plus AppleScript retries)
+const OUTBOUND_LEASE_MS = parseInt(process.env.OUTBOUND_LEASE_MS || '300000', 10);
+
+class OutboundClaims {
+  constructor({
+    client = null,
+    devices = deviceRegistry,
+    leaseMs = OUTBOUND_LEASE_MS,
+    pid = process.pid,
+    loggerInstance = logger
+  } = {}) {
+    this.leaseMs = leaseMs;
+    this.pid = pid;
+    this.active = new Set();
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.devices = devices;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Supabase client, loaded lazily so tests can inject a stand-in
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('./client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * Recorded in messages_out.claimed_by: the device and process sending
+   * @returns {string}
+   */
+  get claimerId() {
+    return `${this.devices.deviceId}:${this.pid}`;
+  }
+
+  /**
+   * Limit a messages_out query to rows that are due and can be claimed:
+   * pending, or processing under a lease that has run out. Rows left
+   * processing without a lease (from before claims) are not taken over;
+   * whether they were sent is unknown
+   * @param {Object} query - Supabase select or update query
+   * @param {Date} now - Current time
+   * @returns {Object} - The query
+   */
+  whereClaimable(query, now = new Date()) {
+    return query
+      .in('status', ['pending', 'processing'])
+      .or(`status.eq.pending,lease_expires_at.lt.${now.toISOString()}`)
+      .or(`send_at.is.null,send_at.lte.${now.toISOString()}`);
+  }
+
+  /**
+   * Claim a row for sending
+   * The update only matches while the row is still claimable, so of several
+   * concurrent callers exactly one gets the row back. A row cancelled before
+   * this point is never sent
+   * @param {Object} message - messages_out row as last seen
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - The claimed row, or null if someone else has it
+   */
+  async claim(message, now = new Date()) {
+    // Already being sent by this process (e.g. Realtime and a poll at once)
+    if (this.active.has(message.id)) {
+      return null;
+    }
+    this.active.add(message.id);
+
+    const query = this.client
+      .from('messages_out')
+      .update({
+        status: 'processing',
+        claimed_by: this.claimerId,
+        claimed_at: now.toISOString(),
+        lease_expires_at: new Date(now.getTime() + this.leaseMs).toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', message.id);
+
+    const { data: claimed, error } = await this.whereClaimable(query, now)
+      .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`)
+      .select()
+      .maybeSingle();
+
+    if (error || !claimed) {
+      this.active.delete(message.id);
+      if (error) {
+        this.logger.warn('Failed to claim outbound message', { error: error.message, message_id: message.id });
+      }
+      return null;
+    }
+
+    if (message.status === 'processing') {
+      this.logger.warn('Took over an expired claim', { message_id: message.id, claimed_by: message.claimed_by });
+    }
+    return claimed;
+  }
+
+  /**
+   * Mark a row whose send window has passed as expired instead of sending it
+   * Conditional like a claim, so a row that was sent or cancelled meanwhile
+   * keeps its status
+   * @param {Object} message - messages_out row with expires_at
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - Whether the row was expired
+   */
+  async expire(message, now = new Date()) {
+    const query = this.client
+      .from('messages_out')
+      .update({
+        status: 'expired',
+        error: `Not sent before expires_at (${message.expires_at})`,
+        updated_at: now.toISOString()
+      })
+      .eq('id', message.id)
+      .lte('expires_at', now.toISOString());
+
+    const { data: expired, error } = await this.whereClaimable(query, now).select().maybeSingle();
+
+    if (error) {
+      this.logger.warn('Failed to expire outbound message', { error: error.message, message_id: message.id });
+      return false;
+    }
+    if (expired) {
+      this.logger.info('Outbound message expired before it could be sent', {
+        message_id: message.id,
+        send_at: message.send_at,
+        expires_at: message.expires_at
+      });
+    }
+    return !!expired;
+  }
+
+  /**
+   * Forget a claim once its send has finished
+   * The row itself is left as the send set it (sent or failed)
+   * @param {string} messageId - messages_out.id
+   */
+  release(messageId) {
+    this.active.delete(messageId);
+  }
+}
+
+// Singleton instance using default dependencies
+const outboundClaims = new OutboundClaims();
+
+module.exports = {
+  OutboundClaims,
+  outboundClaims,
+  OUTBOUND_LEASE_MS
+};
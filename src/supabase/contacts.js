@@ -0,0 +1,201 @@
+/**
+ * AddressBook contacts sync
+ * Every chat.db handle found in the AddressBook gets a contacts row with the
+ * contact's name and organization. Rows are hashed like threads, so only
+ * handles whose contact changed (or was deleted) are sent
+ */
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { supabaseOutbox } = require('./outbox');
+const { relayStore } = require('../store/relay-store');
+const { chatDbReader } = require('../chatdb/reader');
+const { addressBook } = require('../contacts/address-book');
+const { identityResolver } = require('../contacts/identity');
+
+// Contacts per batched upsert
+const CONTACT_SYNC_BATCH_SIZE = 100;
+
+// How often the AddressBook is checked for changes
+const CONTACTS_REFRESH_INTERVAL_MS = parseInt(process.env.CONTACTS_REFRESH_INTERVAL_MS || '60000', 10);
+
+/**
+ * contacts row for a chat.db handle
+ * @param {string} handle - chat.db handle.id
+ * @param {Object|null} contact - Contact from AddressBook#lookup
+ * @returns {Object}
+ */
+function buildContactRow(handle, contact) {
+  return {
+    handle,
+    normalized_handle: identityResolver.normalize(handle),
+    person_id: identityResolver.personId(handle),
+    contact_id: contact ? contact.contact_id : null,
+    display_name: contact ? contact.display_name : null,
+    first_name: contact ? contact.first_name : null,
+    last_name: contact ? contact.last_name : null,
+    nickname: contact ? contact.nickname : null,
+    organization: contact ? contact.organization : null
+  };
+}
+
+/**
+ * Hash of a contacts row
+ * @param {Object} row - Row from buildContactRow
+ * @returns {string} - sha256 hex digest
+ */
+function contactHash(row) {
+  return crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex');
+}
+
+/**
+ * Point relayed messages of merged people at the surviving person_id
+ * Threads and contacts pick the new ID up through their content hashes
+ * @param {Array} merges - { from, to } from IdentityResolver#mergeContacts
+ */
+async function applyPersonMerges(merges) {
+  for (const { from, to } of merges) {
+    const { error } = await supabaseOutbox.write({
+      table: 'messages_in',
+      operation: 'update',
+      values: { person_id: to },
+      match: { person_id: from }
+    });
+    if (error) {
+      logger.error('Error merging person in messages_in', { error, from, to });
+    }
+  }
+}
+
+/**
+ * Sync AddressBook contacts of chat.db handles with Supabase
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Send every matched contact, changed or not
+ * @param {number} options.batchSize - Contacts per request
+ * @returns {Promise<Object>} - { total, matched, unchanged, updated, queued, failed }
+ */
+async function syncContacts({ force = false, batchSize = CONTACT_SYNC_BATCH_SIZE } = {}) {
+  addressBook.refresh();
+  await applyPersonMerges(identityResolver.mergeContacts());
+
+  const handles = chatDbReader.getHandleIds();
+  const syncedHashes = force ? new Map() : relayStore.getContactHashes();
+
+  let matched = 0;
+  const changed = [];
+  for (const handle of handles) {
+    const contact = addressBook.lookup(handle);
+    if (contact) {
+      matched++;
+    } else if (!syncedHashes.has(handle)) {
+      // Never matched, so there is nothing to clear in Supabase
+      continue;
+    }
+
+    const row = buildContactRow(handle, contact);
+    const hash = contactHash(row);
+    if (syncedHashes.get(handle) !== hash) {
+      changed.push({ row, hash });
+    }
+  }
+
+  let updated = 0;
+  let queued = 0;
+  let failed = 0;
+
+  for (let i = 0; i < changed.length; i += batchSize) {
+    const batch = changed.slice(i, i + batchSize);
+    const now = new Date().toISOString();
+    // Upserts on handle are idempotent, so a journaled batch counts as synced
+    const result = await supabaseOutbox.write({
+      table: 'contacts',
+      operation: 'upsert',
+      values: batch.map(({ row }) => ({ ...row, updated_at: now })),
+      options: { onConflict: 'handle' }
+    });
+
+    if (result.error) {
+      logger.error('Error syncing contact batch', { error: result.error, contacts: batch.length });
+      failed += batch.length;
+      continue;
+    }
+
+    if (result.queued) {
+      queued += batch.length;
+    } else {
+      updated += batch.length;
+    }
+    relayStore.saveContactHashes(batch.map(({ row, hash }) => ({ handle: row.handle, hash })));
+  }
+
+  const results = {
+    total: handles.length,
+    matched,
+    unchanged: handles.length - changed.length,
+    updated,
+    queued,
+    failed
+  };
+  if (changed.length > 0) {
+    logger.info('Contact synchronization complete', results);
+  }
+  return results;
+}
+
+/**
+ * Check the AddressBook for changes periodically and sync contacts
+ * Thread sync picks up renamed participants through the AddressBook's
+ * 'change' event
+ * @param {number} intervalMs - Interval between checks in milliseconds
+ * @returns {Object} - Scheduler control object
+ */
+function setupContactsSync(intervalMs = CONTACTS_REFRESH_INTERVAL_MS) {
+  let interval = null;
+  let running = null;
+
+  const run = () => {
+    if (!running) {
+      running = syncContacts()
+        .catch(error => {
+          logger.error('Error in scheduled contact sync', { error });
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (interval) {
+      return;
+    }
+    logger.info('Starting contact sync', { intervalMs });
+    interval = setInterval(run, intervalMs);
+    run();
+  };
+
+  const stop = () => {
+    if (!interval) {
+      return;
+    }
+    logger.info('Stopping contact sync');
+    clearInterval(interval);
+    interval = null;
+  };
+
+  // Start immediately
+  start();
+
+  return {
+    start,
+    stop,
+    trigger: run,
+    isRunning: () => !!interval
+  };
+}
+
+module.exports = {
+  syncContacts,
+  setupContactsSync,
+  buildContactRow
+};
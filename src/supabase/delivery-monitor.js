@@ -0,0 +1,256 @@
+/**
+ * SMS fallback for iMessage sends that are not delivered
+ * A 1:1 send under the imessage_then_sms policy goes out over iMessage and is
+ * followed in chat.db. If Messages records an error on it, or it is still not
+ * delivered when SMS_FALLBACK_TIMEOUT_MS runs out, it is sent again over SMS
+ * and messages_out records the service actually used. Followed sends are kept
+ * in the local relay store, so a restart does not drop or repeat them
+ */
+const fs = require('fs');
+const { logger } = require('../utils/logger');
+const { relayStore } = require('../store/relay-store');
+const { chatDbReader } = require('../chatdb/reader');
+const { resolveMessageText } = require('../chatdb/attributed-body');
+const { supabaseOutbox } = require('./outbox');
+const { chooseSendRoute, sendByRoute, routeFields, Services } = require('./send-route');
+
+// How long an iMessage send may stay undelivered before it is resent as SMS
+const SMS_FALLBACK_TIMEOUT_MS = parseInt(process.env.SMS_FALLBACK_TIMEOUT_MS || '60000', 10);
+
+// How often followed sends are checked against chat.db
+const DELIVERY_CHECK_INTERVAL_MS = 5000;
+
+// Messages stamps a send slightly after the daemon hands it over; allow for
+// clock granularity between the two
+const SENT_AT_SLACK_MS = 2000;
+
+class DeliveryMonitor {
+  constructor({
+    store = relayStore,
+    reader = chatDbReader,
+    outbox = supabaseOutbox,
+    send = sendByRoute,
+    timeoutMs = SMS_FALLBACK_TIMEOUT_MS,
+    loggerInstance = logger
+  } = {}) {
+    this.timeoutMs = timeoutMs;
+
+    // Store injected dependencies
+    this.store = store;
+    this.reader = reader;
+    this.outbox = outbox;
+    this.send = send;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Follow an iMessage send
+   * @param {Object} send - What was sent
+   * @param {string} send.messageId - messages_out.id
+   * @param {Object} send.route - From chooseSendRoute
+   * @param {string} send.text - Message text
+   * @param {string|null} send.filePath - File that was sent, if any
+   * @param {Date} send.sentAt - When the send was handed to Messages
+   */
+  watch({ messageId, route, text = '', filePath = null, sentAt = new Date() }) {
+    this.store.addDeliveryCheck({
+      messagesOutId: messageId,
+      chatGuid: route.chatGuid,
+      recipient: route.recipient,
+      text,
+      filePath,
+      sentAt: sentAt.toISOString(),
+      deadline: new Date(sentAt.getTime() + this.timeoutMs).toISOString()
+    });
+  }
+
+  /**
+   * Check every followed send once
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { delivered, fellBack, pending }
+   */
+  async check(now = new Date()) {
+    const counts = { delivered: 0, fellBack: 0, pending: 0 };
+    const checks = this.store.getDeliveryChecks();
+    const claimed = new Set(checks.map(check => check.message_guid).filter(Boolean));
+
+    for (const check of checks) {
+      const sent = this.findSentMessage(check, claimed);
+      if (sent && !check.message_guid) {
+        this.store.setDeliveryCheckGuid(check.messages_out_id, sent.message_guid);
+        claimed.add(sent.message_guid);
+      }
+
+      if (sent && sent.service === Services.SMS) {
+        // Messages sent it as a text message by itself
+        await this.recordService(check, Services.SMS);
+        counts.delivered++;
+      } else if (sent && sent.error) {
+        await this.fallBack(check, `iMessage failed with error ${sent.error}`);
+        counts.fellBack++;
+      } else if (sent && (sent.is_delivered || sent.date_delivered)) {
+        this.store.deleteDeliveryCheck(check.messages_out_id);
+        counts.delivered++;
+      } else if (now >= new Date(check.deadline)) {
+        await this.fallBack(check, `iMessage not delivered within ${Math.round(this.timeoutMs / 1000)}s`);
+        counts.fellBack++;
+      } else {
+        counts.pending++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * The chat.db row a followed send produced
+   * @param {Object} check - delivery_checks row
+   * @param {Set<string>} claimed - Message GUIDs already matched to other sends
+   * @returns {Object|null} - Row from ChatDbReader#getSentMessages
+   */
+  findSentMessage(check, claimed) {
+    const candidates = this.reader.getSentMessages({
+      chatGuid: check.chat_guid,
+      handle: check.recipient,
+      since: new Date(new Date(check.sent_at).getTime() - SENT_AT_SLACK_MS)
+    });
+
+    if (check.message_guid) {
+      return candidates.find(row => row.message_guid === check.message_guid) || null;
+    }
+
+    const normalize = value => (value || '').trim();
+    return candidates.find(row => {
+      if (claimed.has(row.message_guid)) {
+        return false;
+      }
+      if (!check.text) {
+        return !!row.cache_has_attachments;
+      }
+      return normalize(resolveMessageText(row.message_text, row.attributed_body).text) === normalize(check.text);
+    }) || null;
+  }
+
+  /**
+   * Send a followed message again over SMS
+   * @param {Object} check - delivery_checks row
+   * @param {string} reason - Why iMessage is given up on
+   * @returns {Promise<boolean>} - Whether the SMS send went out
+   */
+  async fallBack(check, reason) {
+    this.store.deleteDeliveryCheck(check.messages_out_id);
+    this.logger.info('Resending message as SMS', { message_id: check.messages_out_id, reason });
+
+    let route = null;
+    try {
+      if (check.file_path && !fs.existsSync(check.file_path)) {
+        throw new Error(`Media file no longer exists: ${check.file_path}`);
+      }
+      route = chooseSendRoute({ recipient: check.recipient }, {}, { service: Services.SMS, reader: this.reader });
+      route.reason = `SMS fallback: ${reason}`;
+      await this.send(route, { text: check.text || '', filePath: check.file_path });
+    } catch (error) {
+      this.logger.error('SMS fallback failed', { message_id: check.messages_out_id, error: error.message });
+      await this.update(check.messages_out_id, {
+        ...routeFields(route),
+        status: 'failed',
+        error: `${reason}; SMS fallback failed: ${error.message}`
+      });
+      return false;
+    }
+
+    await this.update(check.messages_out_id, { ...routeFields(route), status: 'sent' });
+    return true;
+  }
+
+  /**
+   * Record the service a followed send went out on and stop following it
+   * @param {Object} check - delivery_checks row
+   * @param {string} service - Service used
+   */
+  async recordService(check, service) {
+    this.store.deleteDeliveryCheck(check.messages_out_id);
+    await this.update(check.messages_out_id, { service });
+  }
+
+  /**
+   * Update a messages_out row; journaled if Supabase is unreachable
+   * @param {string} messageId - messages_out.id
+   * @param {Object} values - Fields to set
+   */
+  async update(messageId, values) {
+    const { error } = await this.outbox.write({
+      table: 'messages_out',
+      operation: 'update',
+      values: { ...values, updated_at: new Date().toISOString() },
+      match: { id: messageId }
+    });
+
+    if (error) {
+      this.logger.error('Failed to record SMS fallback', { error: error.message, message_id: messageId });
+    }
+  }
+}
+
+// Singleton instance using default dependencies
+const deliveryMonitor = new DeliveryMonitor();
+
+/**
+ * Check followed iMessage sends periodically
+ * @param {number} intervalMs - Interval between checks in milliseconds
+ * @param {Object} monitor - DeliveryMonitor to run
+ * @returns {Object} - Scheduler control object
+ */
+function setupDeliveryMonitor(intervalMs = DELIVERY_CHECK_INTERVAL_MS, monitor = deliveryMonitor) {
+  let interval = null;
+  let running = null;
+
+  const run = () => {
+    if (!running) {
+      running = monitor.check()
+        .catch(error => {
+          logger.error('Error checking message delivery', { error });
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (interval) {
+      return;
+    }
+    logger.info('Starting delivery monitor', { intervalMs });
+    interval = setInterval(run, intervalMs);
+    run();
+  };
+
+  const stop = async () => {
+    if (!interval) {
+      return;
+    }
+    logger.info('Stopping delivery monitor');
+    clearInterval(interval);
+    interval = null;
+    await running;
+  };
+
+  // Start immediately
+  start();
+
+  return {
+    start,
+    stop,
+    trigger: run,
+    isRunning: () => !!interval
+  };
+}
+
+module.exports = {
+  DeliveryMonitor,
+  deliveryMonitor,
+  setupDeliveryMonitor,
+  SMS_FALLBACK_TIMEOUT_MS
+};
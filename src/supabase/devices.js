@@ -0,0 +1,284 @@
+/**
+ * Device registry for running several Macs against one Supabase project
+ * Each Mac has a stable device ID, kept in the local relay store, and
+ * registers itself in devices with its name and the Apple IDs its chats
+ * use. Threads and messages carry the device_id of the Mac that relayed
+ * them, and messages_out rows are routed to the device that owns their thread
+ */
+const crypto = require('crypto');
+const os = require('os');
+const { logger } = require('../utils/logger');
+const { relayStore } = require('../store/relay-store');
+const { chatDbReader } = require('../chatdb/reader');
+const { isConnectivityError } = require('./outbox');
+const { version: APP_VERSION } = require('../../package.json');
+
+// Overrides the generated device ID, e.g. to keep it across a reinstall
+const DEVICE_ID = process.env.DEVICE_ID || null;
+
+// Name shown for this Mac in devices
+const DEVICE_NAME = process.env.DEVICE_NAME || os.hostname();
+
+// How often this Mac reports that it is alive
+const DEVICE_HEARTBEAT_INTERVAL_MS = parseInt(process.env.DEVICE_HEARTBEAT_INTERVAL_MS || '60000', 10);
+
+// Relay store settings
+const DEVICE_ID_SETTING = 'device_id';
+const ADOPTED_SETTING = 'adopted_unassigned_threads';
+
+// Chats per request when adopting threads from before device routing
+const ADOPT_BATCH_SIZE = 100;
+
+class DeviceRegistry {
+  constructor({
+    client = null,
+    store = relayStore,
+    reader = chatDbReader,
+    deviceId = DEVICE_ID,
+    name = DEVICE_NAME,
+    loggerInstance = logger
+  } = {}) {
+    this.configuredId = deviceId;
+    this.name = name;
+    this.id = null;
+    this.registered = false;
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.store = store;
+    this.reader = reader;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Supabase client, loaded lazily so tests can inject a stand-in
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('./client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * This Mac's device ID, generated and saved on first use
+   * @returns {string}
+   */
+  get deviceId() {
+    if (!this.id) {
+      this.id = this.configuredId || this.store.getSetting(DEVICE_ID_SETTING);
+      if (!this.id) {
+        this.id = crypto.randomUUID();
+        this.logger.info('Generated device ID', { device_id: this.id });
+      }
+      if (this.store.getSetting(DEVICE_ID_SETTING) !== this.id) {
+        this.store.setSetting(DEVICE_ID_SETTING, this.id);
+      }
+    }
+    return this.id;
+  }
+
+  /**
+   * devices row for this Mac
+   * @returns {Object}
+   */
+  buildDeviceRow() {
+    const now = new Date().toISOString();
+    return {
+      id: this.deviceId,
+      name: this.name,
+      hostname: os.hostname(),
+      accounts: this.reader.getAccounts(),
+      app_version: APP_VERSION,
+      os_version: os.release(),
+      status: 'online',
+      last_seen_at: now,
+      updated_at: now
+    };
+  }
+
+  /**
+   * Register (or refresh) this Mac in devices, then adopt threads created
+   * before device routing
+   * Heartbeats are not journaled: an unreachable Supabase only delays
+   * registration until the next heartbeat
+   * @returns {Promise<boolean>} - Whether Supabase accepted the registration
+   */
+  async register() {
+    const row = this.buildDeviceRow();
+    const { error, status } = await this.client
+      .from('devices')
+      .upsert(row, { onConflict: 'id' });
+
+    if (error) {
+      const log = isConnectivityError(error, status) ? 'warn' : 'error';
+      this.logger[log]('Failed to register device', { error: error.message, device_id: row.id });
+      return false;
+    }
+
+    if (!this.registered) {
+      this.registered = true;
+      this.logger.info('Registered device', { device_id: row.id, name: row.name, accounts: row.accounts.length });
+    }
+
+    try {
+      await this.adoptUnassignedThreads();
+    } catch (error) {
+      this.logger.error('Failed to adopt threads without a device', { error: error.message });
+    }
+    return true;
+  }
+
+  /**
+   * Report that this Mac is alive; registers first if that has not worked yet
+   * @returns {Promise<boolean>} - Whether Supabase accepted the heartbeat
+   */
+  async heartbeat() {
+    if (!this.registered) {
+      return this.register();
+    }
+
+    const now = new Date().toISOString();
+    const { error, status } = await this.client
+      .from('devices')
+      .update({ status: 'online', last_seen_at: now, updated_at: now })
+      .eq('id', this.deviceId);
+
+    if (error) {
+      const log = isConnectivityError(error, status) ? 'warn' : 'error';
+      this.logger[log]('Device heartbeat failed', { error: error.message, device_id: this.deviceId });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Mark this Mac offline on shutdown
+   * @returns {Promise<void>}
+   */
+  async markOffline() {
+    const { error } = await this.client
+      .from('devices')
+      .update({ status: 'offline', updated_at: new Date().toISOString() })
+      .eq('id', this.deviceId);
+
+    if (error) {
+      this.logger.warn('Failed to mark device offline', { error: error.message, device_id: this.deviceId });
+    }
+  }
+
+  /**
+   * Give this Mac the threads (and their messages) that were relayed before
+   * device routing existed, so later syncs update them instead of creating
+   * new per-device threads. Only chats in this Mac's chat.db are adopted,
+   * and only once
+   * @returns {Promise<number>} - Threads adopted
+   */
+  async adoptUnassignedThreads() {
+    if (this.store.getSetting(ADOPTED_SETTING)) {
+      return 0;
+    }
+
+    const chatGuids = this.reader.getChatThreads().map(chat => chat.chat_guid);
+    let adopted = 0;
+
+    for (let i = 0; i < chatGuids.length; i += ADOPT_BATCH_SIZE) {
+      const { data: threads, error } = await this.client
+        .from('threads')
+        .update({ device_id: this.deviceId })
+        .is('device_id', null)
+        .in('chat_guid', chatGuids.slice(i, i + ADOPT_BATCH_SIZE))
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+      if (!threads || threads.length === 0) {
+        continue;
+      }
+
+      const threadIds = threads.map(thread => thread.id);
+      for (const table of ['messages_in', 'messages_out']) {
+        const { error: messagesError } = await this.client
+          .from(table)
+          .update({ device_id: this.deviceId })
+          .is('device_id', null)
+          .in('thread_id', threadIds);
+
+        if (messagesError) {
+          throw messagesError;
+        }
+      }
+      adopted += threads.length;
+    }
+
+    this.store.setSetting(ADOPTED_SETTING, new Date().toISOString());
+    if (adopted > 0) {
+      this.logger.info('Adopted threads without a device', { count: adopted, device_id: this.deviceId });
+    }
+    return adopted;
+  }
+}
+
+// Singleton instance using default dependencies
+const deviceRegistry = new DeviceRegistry();
+
+/**
+ * Register this Mac and heartbeat periodically
+ * @param {number} intervalMs - Interval between heartbeats in milliseconds
+ * @param {Object} registry - DeviceRegistry to heartbeat
+ * @returns {Object} - Scheduler control object
+ */
+function setupDeviceHeartbeat(intervalMs = DEVICE_HEARTBEAT_INTERVAL_MS, registry = deviceRegistry) {
+  let interval = null;
+  let running = null;
+
+  const run = () => {
+    if (!running) {
+      running = registry.heartbeat()
+        .catch(error => {
+          logger.error('Error in device heartbeat', { error });
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (interval) {
+      return;
+    }
+    logger.info('Starting device heartbeat', { intervalMs, device_id: registry.deviceId });
+    interval = setInterval(run, intervalMs);
+    run();
+  };
+
+  const stop = async () => {
+    if (!interval) {
+      return;
+    }
+    logger.info('Stopping device heartbeat');
+    clearInterval(interval);
+    interval = null;
+    await running;
+    await registry.markOffline();
+  };
+
+  // Start immediately
+  start();
+
+  return {
+    start,
+    stop,
+    trigger: run,
+    isRunning: () => !!interval
+  };
+}
+
+module.exports = {
+  DeviceRegistry,
+  deviceRegistry,
+  setupDeviceHeartbeat
+};
@@ -4,20 +4,61 @@
  */
 const { logger } = require('../utils/logger');
 const { supabaseClient } = require('./client');
+const { chatDbReader } = require('../chatdb/reader');
+const { resolveMessageText } = require('../chatdb/attributed-body');
+const { appleTimeToDate, appleTimeToISOString, dateToAppleTime } = require('../chatdb/timestamps');
+const { parseTapback } = require('../chatdb/tapbacks');
+const { parseGroupEvent } = require('../chatdb/group-events');
+const { parseMessageSummary } = require('../chatdb/message-summary');
+const { findRelayedOutboundMessage } = require('./outbound');
+const { recordReaction } = require('./reactions');
+const { recordThreadEvent } = require('./thread-events');
+const { attachmentUploader } = require('../media/attachment-uploader');
+const { ChatDbWatcher } = require('../chatdb/watcher');
+const { relayStore, FailureStatus } = require('../store/relay-store');
+const { supabaseOutbox, isConnectivityError } = require('./outbox');
+const { threadResolver } = require('./thread-resolver');
+const { identityResolver } = require('../contacts/identity');
+const { writeFileAtomic } = require('../utils/atomic-file');
 const fs = require('fs/promises');
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
 
-// Promisify exec
-const execPromise = util.promisify(exec);
+// State file to track last processed message
+const STATE_FILE = process.env.RELAY_STATE_FILE
+  || path.join(process.env.HOME || '/tmp', '.imessage_relay_state.json');
 
-// Path to chat.db (would be configured properly in production)
-const CHAT_DB_PATH = path.join(process.env.HOME || '/tmp', 'Library/Messages/chat.db');
-const ATTACHMENTS_DIR = path.join(process.env.HOME || '/tmp', 'Library/Messages/Attachments');
+// Also relay messages the account owner sent from the Mac or their other devices
+const MIRROR_FROM_ME = process.env.MIRROR_FROM_ME_MESSAGES === 'true';
 
-// State file to track last processed message
-const STATE_FILE = path.join(process.env.HOME || '/tmp', '.imessage_relay_state.json');
+// Messages can be edited for 15 minutes and unsent for 2; look back a little
+// further so a slow cycle cannot miss a change
+const CHANGE_LOOKBACK_MS = 20 * 60 * 1000;
+
+// File events are coalesced for this long before a processing cycle runs
+const INBOUND_DEBOUNCE_MS = parseInt(process.env.INBOUND_DEBOUNCE_MS || '100', 10);
+
+// Safety-net poll for changes the filesystem watcher missed
+const INBOUND_SAFETY_POLL_MS = parseInt(process.env.INBOUND_SAFETY_POLL_MS || '30000', 10);
+
+// Target time from a message landing in chat.db to the daemon picking it up
+const DETECTION_LATENCY_SLA_MS = 1000;
+
+// Retry schedule for attachments that are still downloading or in iCloud
+const ATTACHMENT_RETRY_BASE_MS = 30 * 1000;
+const ATTACHMENT_RETRY_MAX_MS = 60 * 60 * 1000;
+const ATTACHMENT_MAX_ATTEMPTS = 12;
+
+// Failed inbound rows retried per cycle
+const FAILED_RETRY_BATCH = 50;
+
+// message_guid -> edit/retract timestamps already pushed to Supabase, so
+// unchanged rows inside the lookback window are not rewritten every cycle
+const syncedChanges = new Map();
+
+// When the previous processing cycle started; rows older than that were
+// already in chat.db then (downtime, a full page, late iCloud sync) and are
+// catch-up rather than detection latency
+let lastCycleAt = null;
 
 /**
  * Load the last processed message state
@@ -28,6 +69,9 @@ async function loadState() {
     const data = await fs.readFile(STATE_FILE, 'utf8');
     return JSON.parse(data);
   } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Relay state file is unreadable, using default state', { error: error.message });
+    }
     // If file doesn't exist or is invalid, return default state
     return {
       lastMessageId: 0,
@@ -43,203 +87,427 @@ async function loadState() {
  */
 async function saveState(state) {
   try {
-    await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+    // Replace the file in one step so a crash cannot leave it truncated
+    await writeFileAtomic(STATE_FILE, JSON.stringify(state, null, 2));
   } catch (error) {
     logger.error('Failed to save state', { error });
   }
 }
 
 /**
- * Query for new messages in chat.db
- * @param {number} lastMessageId - ID of last processed message
- * @returns {Promise<Array>} - New messages
+ * Part index of the message a reply points at
+ * chat.db stores thread_originator_part as "part:start:length", e.g. "0:0:11"
+ * @param {string|null} originatorPart - thread_originator_part value
+ * @returns {number|null}
+ */
+function parseOriginatorPart(originatorPart) {
+  if (originatorPart === null || originatorPart === undefined || originatorPart === '') {
+    return null;
+  }
+  const part = parseInt(String(originatorPart).split(':')[0], 10);
+  return Number.isNaN(part) ? null : part;
+}
+
+/**
+ * Find the messages_in row a reply points at
+ * @param {string} messageGuid - GUID of the parent message
+ * @returns {Promise<string|null>} - Parent row ID, or null when it was never relayed
+ */
+async function resolveReplyParent(messageGuid) {
+  const { data, error } = await supabaseClient
+    .from('messages_in')
+    .select('id')
+    .eq('message_guid', messageGuid)
+    .maybeSingle();
+
+  if (error) {
+    // The GUID is still recorded, so the link can be resolved later
+    logger.warn('Failed to resolve reply parent', { error, message_guid: messageGuid });
+    return null;
+  }
+
+  return data ? data.id : null;
+}
+
+/**
+ * Attachment entry for messages_in.attachments
+ * @param {Object} attachment - chat.db attachment row
+ * @param {Object} upload - Result from AttachmentUploader#uploadAttachment
+ * @returns {Object}
+ */
+function describeAttachment(attachment, upload) {
+  const uploaded = upload.status === 'uploaded';
+  return {
+    attachment_guid: attachment.attachment_guid,
+    mime_type: attachment.mime_type,
+    filename: attachment.transfer_name || path.basename(attachment.attachment_filename || '') || null,
+    size_bytes: uploaded ? upload.size_bytes : attachment.total_bytes,
+    storage_path: uploaded ? upload.storage_path : null,
+    sha256: uploaded ? upload.sha256 : null,
+    upload_status: uploaded ? 'uploaded' : 'pending'
+  };
+}
+
+/**
+ * When to retry a deferred upload, backing off exponentially
+ * @param {number} attempts - Attempts made so far
+ * @returns {string} - ISO timestamp
+ */
+function nextAttachmentRetry(attempts) {
+  const delay = Math.min(ATTACHMENT_RETRY_BASE_MS * 2 ** (attempts - 1), ATTACHMENT_RETRY_MAX_MS);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+/**
+ * Relay one chat.db row to Supabase
+ * Group events go to thread_events, tapbacks to message_reactions and
+ * everything else to messages_in
+ * @param {Object} message - Row from ChatDbReader#getNewMessages
+ * @param {Object} options - Relay options
+ * @param {boolean} options.upsert - Upsert on message_guid instead of inserting (backfill)
+ * @returns {Promise<Object>} - { kind, success, error, offline, queued, fromMe, withAttachments, deferredAttachments }
+ *   kind is 'thread_event', 'reaction', 'skipped' or 'message'; offline is
+ *   set when the row failed only because Supabase was unreachable
  */
-async function queryNewMessages(lastMessageId) {
-  const query = `
-    SELECT 
-      m.ROWID as message_id,
-      m.guid as message_guid,
-      m.text as message_text,
-      m.handle_id,
-      m.date as message_date,
-      m.is_from_me,
-      m.cache_has_attachments,
-      c.guid as chat_guid,
-      h.id as sender_id,
-      h.service as service_name
-    FROM 
-      message m
-    JOIN 
-      chat_message_join cmj ON m.ROWID = cmj.message_id
-    JOIN 
-      chat c ON cmj.chat_id = c.ROWID
-    LEFT JOIN 
-      handle h ON m.handle_id = h.ROWID
-    WHERE 
-      m.ROWID > ${lastMessageId}
-      AND m.is_from_me = 0
-    ORDER BY 
-      m.ROWID ASC
-    LIMIT 100;
-  `;
+async function relayChatDbRow(message, { upsert = false } = {}) {
+  // Group membership/rename/photo rows go to thread_events
+  const groupEvent = parseGroupEvent(message);
+  if (groupEvent) {
+    const result = await recordThreadEvent(groupEvent, {
+      eventGuid: message.message_guid,
+      chatGuid: message.chat_guid,
+      deviceId: threadResolver.deviceId,
+      occurredAt: appleTimeToISOString(message.message_date)
+    });
+    return {
+      kind: 'thread_event',
+      success: result.success,
+      error: result.error || null,
+      offline: !!result.offline,
+      queued: !!result.queued
+    };
+  }
   
-  try {
-    // Create a temporary file for the query
-    const tempQueryFile = path.join('/tmp', `chat_db_query_${Date.now()}.sql`);
-    await fs.writeFile(tempQueryFile, query);
-    
-    // Execute the query using sqlite3
-    const { stdout, stderr } = await execPromise(`sqlite3 -json "${CHAT_DB_PATH}" < "${tempQueryFile}"`);
+  // Other system rows (unknown group actions, newer item types) have no
+  // text to relay and would otherwise arrive as empty messages
+  if (Number(message.item_type) !== 0) {
+    logger.warn('Skipping unrecognised chat.db system row', {
+      message_id: message.message_id,
+      item_type: message.item_type,
+      group_action_type: message.group_action_type
+    });
+    return { kind: 'skipped', success: true, error: null };
+  }
+  
+  // Tapbacks go to message_reactions instead of being relayed as
+  // plain "Loved “…”" messages
+  const tapback = parseTapback(message);
+  if (tapback) {
+    const result = await recordReaction(tapback, {
+      reactionGuid: message.message_guid,
+      chatGuid: message.chat_guid,
+      senderId: message.is_from_me === 1 ? null : message.sender_id,
+      isFromMe: message.is_from_me === 1,
+      reactedAt: appleTimeToISOString(message.message_date)
+    });
+    return { kind: 'reaction', success: result.success, error: result.error || null, queued: !!result.queued };
+  }
+  
+  // Upload attachments; files not on disk yet are retried by
+  // processDeferredAttachments once Messages has downloaded them
+  const attachmentEntries = [];
+  const deferredAttachments = [];
+  if (message.cache_has_attachments) {
+    const attachments = chatDbReader.getMessageAttachments(message.message_id);
     
-    if (stderr) {
-      logger.warn('Warning during chat.db query', { stderr });
+    for (const attachment of attachments) {
+      const upload = await attachmentUploader.uploadAttachment(attachment);
+      attachmentEntries.push(describeAttachment(attachment, upload));
+      
+      if (upload.status !== 'uploaded') {
+        deferredAttachments.push({
+          message_guid: message.message_guid,
+          attachment_id: attachment.attachment_id,
+          attachment_guid: attachment.attachment_guid,
+          // The row's whole attachments JSON, so updating it needs no read
+          attachments: attachmentEntries,
+          reason: upload.reason,
+          attempts: 1,
+          next_attempt_at: nextAttachmentRetry(1)
+        });
+      }
     }
-    
-    // Clean up
-    await fs.unlink(tempQueryFile);
-    
-    // Parse the JSON result
-    return stdout.trim() ? JSON.parse(stdout) : [];
-  } catch (error) {
-    logger.error('Error querying chat.db for new messages', { error });
-    throw error;
   }
+  
+  // Recent macOS versions leave text NULL and only fill attributedBody
+  const body = resolveMessageText(message.message_text, message.attributed_body);
+  if (body.decodeError) {
+    logger.warn('Failed to decode attributedBody', {
+      error: body.decodeError.message,
+      message_id: message.message_id
+    });
+  }
+  
+  const sentAt = appleTimeToISOString(message.message_date);
+  
+  // New chats get a thread created here; while its insert is journaled the
+  // ID is null and Supabase fills thread_id in from chat_guid and device_id
+  const threadId = await threadResolver.resolve(message.chat_guid);
+  
+  // Sent rows either echo a messages_out send by this daemon (origin
+  // "relay") or were typed on the owner's iPhone/Mac (origin "device");
+  // there are no sends yet in a thread Supabase does not have
+  const isFromMe = message.is_from_me === 1;
+  let relayedMessage = null;
+  if (isFromMe && threadId) {
+    relayedMessage = await findRelayedOutboundMessage({
+      threadId,
+      messageGuid: message.message_guid,
+      text: body.text,
+      sentAt
+    });
+  }
+  
+  // Inline replies; sends made through the relay keep the parent they
+  // were queued with even though AppleScript cannot thread them
+  const replyToGuid = message.thread_originator_guid
+    || (relayedMessage ? relayedMessage.reply_to_message_guid : null)
+    || null;
+  const replyToId = replyToGuid ? await resolveReplyParent(replyToGuid) : null;
+  
+  // Prepare message data for Supabase
+  const messageData = {
+    message_guid: message.message_guid,
+    thread_id: threadId,
+    chat_guid: message.chat_guid,
+    sender_id: isFromMe ? null : message.sender_id,
+    // Same person across SMS/iMessage and all of their numbers and emails
+    person_id: isFromMe ? null : identityResolver.personId(message.sender_id),
+    // The Mac that relayed it
+    device_id: threadResolver.deviceId,
+    service_name: message.service_name,
+    direction: isFromMe ? 'outbound' : 'inbound',
+    origin: isFromMe ? (relayedMessage ? 'relay' : 'device') : null,
+    messages_out_id: relayedMessage ? relayedMessage.id : null,
+    text: body.text,
+    rich_text: body.richText,
+    reply_to_message_guid: replyToGuid,
+    reply_to_part: message.thread_originator_guid ? parseOriginatorPart(message.thread_originator_part) : null,
+    reply_to_id: replyToId,
+    has_attachments: attachmentEntries.length > 0,
+    attachments: attachmentEntries,
+    // chat.db records a single arrival time for incoming rows, so it is
+    // both when the message was sent and when this Mac received it
+    sent_at: sentAt,
+    received_at: sentAt || new Date().toISOString(),
+    date_delivered: appleTimeToISOString(message.date_delivered),
+    date_read: appleTimeToISOString(message.date_read),
+    status: 'received'
+  };
+  
+  // Journaled locally and flushed later when Supabase is unreachable
+  const { error, queued } = await supabaseOutbox.write(upsert
+    ? { table: 'messages_in', operation: 'upsert', values: messageData, options: { onConflict: 'message_guid' } }
+    : { table: 'messages_in', operation: 'insert', values: messageData });
+  
+  if (error) {
+    logger.error('Failed to insert inbound message to Supabase', { 
+      error, 
+      message_id: message.message_id 
+    });
+  }
+  
+  return {
+    kind: 'message',
+    success: !error,
+    error: error || null,
+    queued: !!queued,
+    fromMe: isFromMe,
+    withAttachments: attachmentEntries.length > 0,
+    deferredAttachments: error ? [] : deferredAttachments
+  };
 }
 
 /**
- * Query for attachments of a message
- * @param {number} messageId - Message ID
- * @returns {Promise<Array>} - Attachments
+ * Queue a row that could not be relayed in the local retry store
+ * @param {Object} message - chat.db row
+ * @param {Error|Object|string} error - Why the relay failed
+ * @param {boolean} offline - Supabase was unreachable; hold the row without counting an attempt
+ * @returns {boolean} - Whether the failure was stored
  */
-async function queryMessageAttachments(messageId) {
-  const query = `
-    SELECT 
-      a.ROWID as attachment_id,
-      a.guid as attachment_guid,
-      a.filename as attachment_filename,
-      a.mime_type,
-      a.transfer_name,
-      a.total_bytes
-    FROM 
-      attachment a
-    JOIN 
-      message_attachment_join maj ON a.ROWID = maj.attachment_id
-    WHERE 
-      maj.message_id = ${messageId};
-  `;
-  
+function recordInboundFailure(message, error, offline = false) {
   try {
-    // Create a temporary file for the query
-    const tempQueryFile = path.join('/tmp', `attachment_query_${Date.now()}.sql`);
-    await fs.writeFile(tempQueryFile, query);
-    
-    // Execute the query using sqlite3
-    const { stdout, stderr } = await execPromise(`sqlite3 -json "${CHAT_DB_PATH}" < "${tempQueryFile}"`);
-    
-    if (stderr) {
-      logger.warn('Warning during attachment query', { stderr });
+    if (offline) {
+      relayStore.pauseFailure(message, error);
+    } else {
+      relayStore.recordFailure(message, error);
     }
-    
-    // Clean up
-    await fs.unlink(tempQueryFile);
-    
-    // Parse the JSON result
-    return stdout.trim() ? JSON.parse(stdout) : [];
-  } catch (error) {
-    logger.error('Error querying message attachments', { error, messageId });
-    throw error;
+    return true;
+  } catch (storeError) {
+    logger.error('Failed to record inbound failure; holding the cursor', {
+      error: storeError.message,
+      message_id: message.message_id
+    });
+    return false;
   }
 }
 
 /**
  * Process new inbound messages
+ * @param {Object} options - Processing options
+ * @param {boolean} options.includeFromMe - Mirror is_from_me rows as outbound-direction records
  * @returns {Promise<Object>} - Processing results
  */
-async function processInboundMessages() {
+async function processInboundMessages({ includeFromMe = MIRROR_FROM_ME } = {}) {
   try {
     // Load last processed state
     const state = await loadState();
     const lastMessageId = state.lastMessageId;
+    const pendingAttachments = state.pendingAttachments || [];
+    const previousCycleAt = lastCycleAt;
+    lastCycleAt = Date.now();
+    
+    // While the offline journal is full, leave new rows in chat.db (which
+    // keeps them durably) instead of growing the journal further
+    if (supabaseOutbox.isBackpressured()) {
+      logger.warn('Supabase outbox is full, pausing inbound relay', { pending: supabaseOutbox.pendingCount() });
+      return { processed: 0, withAttachments: 0, fromMe: 0, reactions: 0, threadEvents: 0, skipped: 0, failed: 0, paused: 0, queued: 0, backpressured: true };
+    }
     
     // Query for new messages
-    const newMessages = await queryNewMessages(lastMessageId);
+    const newMessages = chatDbReader.getNewMessages(lastMessageId, 100, { includeFromMe });
+    const detectedAt = Date.now();
     
     if (newMessages.length === 0) {
-      return { processed: 0, withAttachments: 0, failed: 0 };
+      return { processed: 0, withAttachments: 0, fromMe: 0, reactions: 0, threadEvents: 0, skipped: 0, failed: 0, paused: 0, queued: 0 };
     }
     
     logger.info(`Found ${newMessages.length} new inbound messages`);
     
+    // Detection latency: chat.db date -> the cycle that picked the row up,
+    // for rows that reached chat.db since the previous cycle
+    const latencies = [];
+    let catchUp = 0;
+    let oldestCatchUp = null;
+    for (const message of newMessages) {
+      const messageDate = appleTimeToDate(message.message_date);
+      if (!messageDate) {
+        continue;
+      }
+      if (previousCycleAt === null || messageDate.getTime() < previousCycleAt) {
+        catchUp++;
+        if (!oldestCatchUp || messageDate < oldestCatchUp) {
+          oldestCatchUp = messageDate;
+        }
+        continue;
+      }
+      const latencyMs = Math.max(0, detectedAt - messageDate.getTime());
+      latencies.push(latencyMs);
+      logger.debug('Detected chat.db message', { message_id: message.message_id, detection_latency_ms: latencyMs });
+    }
+    if (catchUp > 0) {
+      logger.info('Catching up on chat.db messages from before the last cycle', {
+        messages: catchUp,
+        oldest_sent_at: oldestCatchUp.toISOString()
+      });
+    }
+    const overSla = latencies.filter(latencyMs => latencyMs > DETECTION_LATENCY_SLA_MS).length;
+    if (overSla > 0) {
+      logger.warn('Inbound detection latency above SLA', {
+        messages: overSla,
+        sla_ms: DETECTION_LATENCY_SLA_MS,
+        max_latency_ms: Math.max(...latencies)
+      });
+    }
+    
     let processed = 0;
     let withAttachments = 0;
+    let fromMe = 0;
+    let reactions = 0;
+    let threadEvents = 0;
+    let skipped = 0;
     let failed = 0;
+    let paused = 0;
+    let queued = 0;
     let maxMessageId = lastMessageId;
     
     // Process each message
     for (const message of newMessages) {
+      let result = null;
+      let failure = null;
+      let offline = false;
       try {
-        // Track highest message ID
-        if (message.message_id > maxMessageId) {
-          maxMessageId = message.message_id;
-        }
-        
-        // Check for attachments
-        let attachments = [];
-        if (message.cache_has_attachments) {
-          attachments = await queryMessageAttachments(message.message_id);
-          if (attachments.length > 0) {
-            withAttachments++;
-          }
-        }
-        
-        // Prepare message data for Supabase
-        const messageData = {
-          message_guid: message.message_guid,
-          chat_guid: message.chat_guid,
-          sender_id: message.sender_id,
-          service_name: message.service_name,
-          text: message.message_text,
-          has_attachments: attachments.length > 0,
-          attachments: attachments.map(a => ({
-            attachment_guid: a.attachment_guid,
-            mime_type: a.mime_type,
-            filename: a.attachment_filename,
-            size_bytes: a.total_bytes
-          })),
-          received_at: new Date().toISOString(),
-          status: 'received'
-        };
-        
-        // Insert message into Supabase
-        const { error } = await supabaseClient
-          .from('messages_in')
-          .insert(messageData);
-        
-        if (error) {
-          logger.error('Failed to insert inbound message to Supabase', { 
-            error, 
-            message_id: message.message_id 
-          });
-          failed++;
-        } else {
-          processed++;
+        result = await relayChatDbRow(message);
+        if (!result.success) {
+          failure = result.error || 'Supabase write failed';
+          offline = !!result.offline;
         }
       } catch (error) {
         logger.error('Error processing inbound message', { 
           error, 
           message_id: message.message_id 
         });
-        failed++;
+        failure = error;
+        offline = isConnectivityError(error);
+      }
+      
+      if (failure) {
+        if (offline) {
+          paused++;
+        } else {
+          failed++;
+        }
+        // The cursor may only pass a failed row once it is safely in the
+        // retry store; otherwise stop here and pick it up next cycle
+        if (!recordInboundFailure(message, failure, offline)) {
+          break;
+        }
+        maxMessageId = message.message_id;
+        continue;
+      }
+      
+      maxMessageId = message.message_id;
+      if (result.queued) queued++;
+      
+      switch (result.kind) {
+        case 'thread_event':
+          threadEvents++;
+          break;
+        case 'reaction':
+          reactions++;
+          break;
+        case 'skipped':
+          skipped++;
+          break;
+        default:
+          processed++;
+          if (result.fromMe) fromMe++;
+          if (result.withAttachments) withAttachments++;
+          pendingAttachments.push(...result.deferredAttachments);
       }
     }
     
-    // Update state with highest processed message ID
+    // Advance the cursor past rows that were relayed or queued for retry
     await saveState({
+      ...state,
       lastMessageId: maxMessageId,
+      pendingAttachments,
       lastProcessedTime: new Date().toISOString()
     });
     
-    const results = { processed, withAttachments, failed };
+    const results = {
+      processed,
+      withAttachments,
+      fromMe,
+      reactions,
+      threadEvents,
+      skipped,
+      failed,
+      paused,
+      queued,
+      catchUp,
+      maxDetectionLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null
+    };
     logger.info('Inbound message processing complete', results);
     return results;
   } catch (error) {
@@ -248,49 +516,346 @@ async function processInboundMessages() {
   }
 }
 
+/**
+ * Update one entry of a messages_in row's attachments JSON
+ * The whole array is written from the copy kept with the deferred entries,
+ * through the outbox, so it is journaled behind the row's insert while
+ * Supabase is down
+ * @param {Object} entry - Deferred attachment entry
+ * @param {Object} changes - Fields to merge into the attachment
+ * @param {Map} snapshots - message_guid -> latest attachments written this cycle
+ * @returns {Promise<Object|null>} - Supabase error, or null once written or journaled
+ */
+async function updateAttachmentEntry(entry, changes, snapshots) {
+  const current = snapshots.get(entry.message_guid) || entry.attachments || [];
+  const attachments = current.map(attachment =>
+    attachment.attachment_guid === entry.attachment_guid ? { ...attachment, ...changes } : attachment
+  );
+
+  const { error } = await supabaseOutbox.write({
+    table: 'messages_in',
+    operation: 'update',
+    values: { attachments },
+    match: { message_guid: entry.message_guid }
+  });
+
+  if (!error) {
+    // Later entries of the same message build on this version
+    snapshots.set(entry.message_guid, attachments);
+  }
+  return error || null;
+}
+
+/**
+ * Retry attachment uploads that were deferred because the file was not on
+ * disk yet (still downloading, or offloaded to iCloud) or the upload failed
+ * @returns {Promise<Object>} - Processing results
+ */
+async function processDeferredAttachments() {
+  const state = await loadState();
+  const pending = state.pendingAttachments || [];
+  if (pending.length === 0) {
+    return { uploaded: 0, deferred: 0, failed: 0 };
+  }
+
+  const now = new Date().toISOString();
+  const remaining = [];
+  const snapshots = new Map();
+  let uploaded = 0;
+  let deferred = 0;
+  let failed = 0;
+
+  for (const entry of pending) {
+    if (entry.next_attempt_at > now) {
+      remaining.push(entry);
+      continue;
+    }
+
+    try {
+      const attachment = chatDbReader.getAttachment(entry.attachment_id);
+      if (!attachment) {
+        // Deleted from Messages before it ever downloaded
+        await updateAttachmentEntry(entry, { upload_status: 'failed' }, snapshots);
+        failed++;
+        continue;
+      }
+
+      const upload = await attachmentUploader.uploadAttachment(attachment);
+      if (upload.status === 'uploaded') {
+        const error = await updateAttachmentEntry(entry, describeAttachment(attachment, upload), snapshots);
+
+        if (!error) {
+          uploaded++;
+          continue;
+        }
+        logger.error('Failed to record uploaded attachment', { error, attachment_guid: entry.attachment_guid });
+      }
+
+      const attempts = entry.attempts + 1;
+      if (attempts >= ATTACHMENT_MAX_ATTEMPTS) {
+        logger.warn('Giving up on attachment upload', {
+          attachment_guid: entry.attachment_guid,
+          reason: upload.reason,
+          attempts
+        });
+        await updateAttachmentEntry(entry, { upload_status: 'failed' }, snapshots);
+        failed++;
+        continue;
+      }
+
+      remaining.push({
+        ...entry,
+        reason: upload.reason || entry.reason,
+        attempts,
+        next_attempt_at: nextAttachmentRetry(attempts)
+      });
+      deferred++;
+    } catch (error) {
+      logger.error('Error retrying attachment upload', { error, attachment_guid: entry.attachment_guid });
+      remaining.push({ ...entry, next_attempt_at: nextAttachmentRetry(entry.attempts) });
+      deferred++;
+    }
+  }
+
+  await saveState({
+    ...(await loadState()),
+    pendingAttachments: remaining.map(entry => ({
+      ...entry,
+      attachments: snapshots.get(entry.message_guid) || entry.attachments
+    }))
+  });
+
+  const results = { uploaded, deferred, failed };
+  if (uploaded + failed > 0) {
+    logger.info('Deferred attachment uploads processed', results);
+  }
+  return results;
+}
+
+/**
+ * Retry inbound rows that previously failed to relay
+ * Rows are re-read from chat.db and upserted, so a write that did reach
+ * Supabase before the error is not duplicated
+ * @param {Object} options - Processing options
+ * @param {number} options.limit - Maximum rows to retry per cycle
+ * @returns {Promise<Object>} - Processing results
+ */
+async function processFailedMessages({ limit = FAILED_RETRY_BATCH } = {}) {
+  const due = relayStore.getDueFailures(limit);
+  if (due.length === 0) {
+    return { recovered: 0, failed: 0, paused: 0, dead: 0 };
+  }
+
+  const deferredAttachments = [];
+  let recovered = 0;
+  let failed = 0;
+  let paused = 0;
+  let dead = 0;
+
+  for (const failure of due) {
+    const message = chatDbReader.getMessageById(failure.message_id);
+    if (!message) {
+      // Deleted from Messages since it failed; nothing left to relay
+      logger.warn('Dropping failed inbound message no longer in chat.db', { message_id: failure.message_id });
+      relayStore.markSucceeded(failure.message_id);
+      continue;
+    }
+
+    let error = null;
+    let offline = false;
+    try {
+      const result = await relayChatDbRow(message, { upsert: true });
+      if (result.success) {
+        relayStore.markSucceeded(message.message_id);
+        deferredAttachments.push(...(result.deferredAttachments || []));
+        recovered++;
+        continue;
+      }
+      error = result.error || 'Supabase write failed';
+      offline = !!result.offline;
+    } catch (relayError) {
+      logger.error('Error retrying inbound message', { error: relayError, message_id: message.message_id });
+      error = relayError;
+      offline = isConnectivityError(relayError);
+    }
+
+    // An outage does not use up the row's attempts
+    if (offline) {
+      relayStore.pauseFailure(message, error);
+      paused++;
+      continue;
+    }
+
+    const stored = relayStore.recordFailure(message, error);
+    if (stored.status === FailureStatus.DEAD) {
+      dead++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (deferredAttachments.length > 0) {
+    const state = await loadState();
+    await saveState({
+      ...state,
+      pendingAttachments: [...(state.pendingAttachments || []), ...deferredAttachments]
+    });
+  }
+
+  const results = { recovered, failed, paused, dead };
+  logger.info('Failed inbound messages retried', results);
+  return results;
+}
+
+/**
+ * Push edits and unsends of already-relayed messages to messages_in
+ * @param {Object} options - Processing options
+ * @param {boolean} options.includeFromMe - Also sync edits to the owner's mirrored messages
+ * @returns {Promise<Object>} - Processing results
+ */
+async function processMessageChanges({ includeFromMe = MIRROR_FROM_ME } = {}) {
+  const state = await loadState();
+  const checkStartedAt = new Date();
+
+  // Resume from the last completed check when the daemon was down for a while
+  const lookbackStart = checkStartedAt.getTime() - CHANGE_LOOKBACK_MS;
+  const lastCheck = state.lastChangeCheck ? new Date(state.lastChangeCheck).getTime() : lookbackStart;
+  const since = dateToAppleTime(Math.min(lastCheck, lookbackStart));
+
+  const changedMessages = chatDbReader.getChangedMessages(state.lastMessageId, since, { includeFromMe });
+
+  let edited = 0;
+  let retracted = 0;
+  let queued = 0;
+  let failed = 0;
+  // Changes written or journaled, so later passes skip them
+  const seen = new Map();
+
+  for (const message of changedMessages) {
+    const signature = `${message.date_edited}:${message.date_retracted}`;
+
+    if (syncedChanges.get(message.message_guid) === signature) {
+      seen.set(message.message_guid, signature);
+      continue;
+    }
+
+    try {
+      let summary = { edits: [], retractedParts: [] };
+      try {
+        summary = parseMessageSummary(message.message_summary_info);
+      } catch (error) {
+        logger.warn('Failed to decode message_summary_info', {
+          error: error.message,
+          message_id: message.message_id
+        });
+      }
+
+      // chat.db already holds the latest version (or nothing, once unsent)
+      const body = resolveMessageText(message.message_text, message.attributed_body);
+      const isRetracted = Number(message.date_retracted) > 0 || summary.retractedParts.length > 0;
+
+      const changes = {
+        text: body.text,
+        rich_text: body.richText,
+        edited_at: appleTimeToISOString(message.date_edited),
+        retracted: isRetracted,
+        retracted_at: appleTimeToISOString(message.date_retracted)
+      };
+      if (summary.edits.length > 0) {
+        changes.edit_history = summary.edits;
+      }
+
+      // Journaled behind the insert of the row itself when Supabase is down
+      const { error, queued: journaled } = await supabaseOutbox.write({
+        table: 'messages_in',
+        operation: 'update',
+        values: changes,
+        match: { message_guid: message.message_guid }
+      });
+
+      if (error) {
+        logger.error('Failed to sync message edit to Supabase', { error, message_id: message.message_id });
+        failed++;
+        continue;
+      }
+
+      seen.set(message.message_guid, signature);
+      if (journaled) queued++;
+      if (isRetracted) {
+        retracted++;
+      } else {
+        edited++;
+      }
+    } catch (error) {
+      logger.error('Error syncing message edit', { error, message_id: message.message_id });
+      failed++;
+    }
+  }
+
+  // Only remember rows still inside the window
+  syncedChanges.clear();
+  seen.forEach((signature, guid) => syncedChanges.set(guid, signature));
+
+  // Keep the old checkpoint on failure so the next cycle retries
+  if (failed === 0) {
+    await saveState({ ...(await loadState()), lastChangeCheck: checkStartedAt.toISOString() });
+  }
+
+  const results = { edited, retracted, queued, failed };
+  if (edited + retracted + failed > 0) {
+    logger.info('Message edit sync complete', results);
+  }
+  return results;
+}
+
 /**
  * Setup inbound message watcher
- * @param {number} intervalMs - Polling interval in milliseconds
+ * Runs a processing cycle whenever chat.db or its WAL changes, with a slow
+ * safety-net poll for changes the OS did not report
+ * @param {number} intervalMs - Safety-net polling interval in milliseconds
+ * @param {Object} options - Watcher options; the rest go to processInboundMessages
+ * @param {number} options.debounceMs - How long to coalesce bursts of file events
  * @returns {Object} - Watcher control object
  */
-function setupInboundWatcher(intervalMs = 5000) {
-  let interval = null;
+function setupInboundWatcher(intervalMs = INBOUND_SAFETY_POLL_MS, options = {}) {
+  const { debounceMs = INBOUND_DEBOUNCE_MS, ...processOptions } = options;
   
-  const start = () => {
-    if (interval) return;
-    
-    logger.info(`Starting inbound message watcher (interval: ${intervalMs}ms)`);
-    
-    interval = setInterval(async () => {
+  const watcher = new ChatDbWatcher({
+    dbPath: chatDbReader.dbPath,
+    debounceMs,
+    safetyPollMs: intervalMs,
+    onChange: async () => {
       try {
-        await processInboundMessages();
+        // Earlier offline writes go first so Supabase sees them in order
+        await supabaseOutbox.flush();
+        await processInboundMessages(processOptions);
+        await processFailedMessages();
+        await processMessageChanges(processOptions);
+        await processDeferredAttachments();
       } catch (error) {
         logger.error('Error in inbound watcher cycle', { error });
       }
-    }, intervalMs);
-  };
-  
-  const stop = () => {
-    if (!interval) return;
-    
-    logger.info('Stopping inbound message watcher');
-    clearInterval(interval);
-    interval = null;
-  };
+    }
+  });
   
   // Start immediately
-  start();
+  watcher.start();
   
   return {
-    start,
-    stop,
-    isRunning: () => !!interval
+    start: () => watcher.start(),
+    stop: () => watcher.stop(),
+    trigger: () => watcher.trigger(),
+    isRunning: () => watcher.isRunning()
   };
 }
 
 module.exports = {
   setupInboundWatcher,
   processInboundMessages,
+  relayChatDbRow,
+  processMessageChanges,
+  processDeferredAttachments,
+  processFailedMessages,
   loadState,
   saveState
 };
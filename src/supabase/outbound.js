@@ -4,16 +4,51 @@
  */
 const { logger } = require('../utils/logger');
 const { supabaseClient } = require('./client');
+const { supabaseOutbox } = require('./outbox');
 const { downloadAndValidateMedia } = require('../media/handler');
 const { appleScriptQueue } = require('../applescript/queue');
-const { sendTextMessage, sendMediaMessage } = require('../applescript');
+const { chooseSendRoute, sendByRoute, routeFields, servicePolicyFor, Services, ServicePolicies } = require('./send-route');
+const { deliveryMonitor } = require('./delivery-monitor');
+const { outboundClaims } = require('./claims');
+
+// How far apart a messages_out update and the chat.db row it produced may be
+const RELAY_MATCH_WINDOW_MS = 10 * 60 * 1000;
 
 /**
  * Process an outbound message from Supabase
+ * Realtime and polling can both deliver the same row; only the caller that
+ * claims it sends it, the others return skipped. So do rows not due yet
+ * (send_at) and rows cancelled meanwhile. Rows past their expires_at are
+ * marked expired instead of being sent late
  * @param {Object} message - Message data from Supabase
  * @returns {Promise<Object>} - Processing result
  */
 async function processOutboundMessage(message) {
+  const now = new Date();
+  if (message.expires_at && new Date(message.expires_at) <= now) {
+    const expired = await outboundClaims.expire(message, now);
+    return expired ? { success: false, expired: true } : { success: false, skipped: true };
+  }
+
+  const claimed = await outboundClaims.claim(message, now);
+  if (!claimed) {
+    logger.debug('Outbound message already claimed', { message_id: message.id });
+    return { success: false, skipped: true };
+  }
+
+  try {
+    return await sendClaimedMessage(claimed);
+  } finally {
+    outboundClaims.release(message.id);
+  }
+}
+
+/**
+ * Send a claimed outbound message
+ * @param {Object} message - messages_out row as claimed
+ * @returns {Promise<Object>} - Processing result
+ */
+async function sendClaimedMessage(message) {
   try {
     logger.info('Processing outbound message', { 
       message_id: message.id,
@@ -21,9 +56,6 @@ async function processOutboundMessage(message) {
       has_media: !!message.media_url
     });
     
-    // Update message status to processing
-    await updateMessageStatus(message.id, 'processing');
-    
     // Get thread information from Supabase
     const { data: thread, error: threadError } = await supabaseClient
       .from('threads')
@@ -40,22 +72,45 @@ async function processOutboundMessage(message) {
       return { success: false, error: 'Thread not found' };
     }
     
-    // Determine recipient
-    const recipient = thread.chat_identifier || thread.display_name;
-    if (!recipient) {
-      logger.error('No valid recipient found for thread', { thread_id: thread.id });
-      await updateMessageStatus(message.id, 'failed', 'No valid recipient');
-      return { success: false, error: 'No valid recipient' };
+    // Address the send by chat id where chat.db has the chat, on the service
+    // the thread's policy starts with
+    const policy = servicePolicyFor(thread);
+    let route;
+    try {
+      route = chooseSendRoute(message, thread, {
+        service: policy === ServicePolicies.SMS_ONLY ? Services.SMS : Services.IMESSAGE
+      });
+    } catch (error) {
+      logger.error('Failed to route outbound message', { error: error.message, thread_id: thread.id });
+      await updateMessageStatus(message.id, 'failed', error.message);
+      return { success: false, error: error.message };
+    }
+    route.smsFallback = policy === ServicePolicies.IMESSAGE_THEN_SMS && !route.isGroup && route.service === Services.IMESSAGE;
+    logger.debug('Routed outbound message', {
+      message_id: message.id,
+      route: route.route,
+      service: route.service,
+      reason: route.reason
+    });
+    
+    if (message.reply_to_message_guid) {
+      // The Messages AppleScript dictionary cannot send inline replies; the
+      // parent stays on messages_out and is copied onto the mirrored
+      // messages_in row once the send shows up in chat.db
+      logger.debug('Sending reply as a regular message', {
+        message_id: message.id,
+        reply_to_message_guid: message.reply_to_message_guid
+      });
     }
     
     // Process based on message type
     if (message.media_url) {
       // Media message
-      const mediaResult = await processMediaMessage(message, recipient);
+      const mediaResult = await processMediaMessage(message, route);
       return mediaResult;
     } else {
       // Text-only message
-      const textResult = await processTextMessage(message, recipient);
+      const textResult = await processTextMessage(message, route);
       return textResult;
     }
   } catch (error) {
@@ -72,16 +127,18 @@ async function processOutboundMessage(message) {
 /**
  * Process a text-only message
  * @param {Object} message - Message data
- * @param {string} recipient - Message recipient
+ * @param {Object} route - From chooseSendRoute
  * @returns {Promise<Object>} - Processing result
  */
-async function processTextMessage(message, recipient) {
+async function processTextMessage(message, route) {
   try {
     // Send the message via AppleScript
-    await sendTextMessage(recipient, message.text);
+    const sentAt = new Date();
+    await sendByRoute(route, { text: message.text });
     
     // Update message status to sent
-    await updateMessageStatus(message.id, 'sent');
+    await updateMessageStatus(message.id, 'sent', null, routeFields(route));
+    followDelivery(message, route, { text: message.text, sentAt });
     
     logger.info('Text message sent successfully', { message_id: message.id });
     return { success: true };
@@ -91,7 +148,7 @@ async function processTextMessage(message, recipient) {
       message_id: message.id 
     });
     
-    await updateMessageStatus(message.id, 'failed', error.message);
+    await updateMessageStatus(message.id, 'failed', error.message, routeFields(route));
     return { success: false, error: error.message };
   }
 }
@@ -99,10 +156,10 @@ async function processTextMessage(message, recipient) {
 /**
  * Process a media message
  * @param {Object} message - Message data
- * @param {string} recipient - Message recipient
+ * @param {Object} route - From chooseSendRoute
  * @returns {Promise<Object>} - Processing result
  */
-async function processMediaMessage(message, recipient) {
+async function processMediaMessage(message, route) {
   try {
     // Download and validate media
     const mediaResult = await downloadAndValidateMedia(
@@ -119,17 +176,20 @@ async function processMediaMessage(message, recipient) {
       await updateMessageStatus(
         message.id, 
         'failed', 
-        `Media validation failed: ${mediaResult.reason}`
+        `Media validation failed: ${mediaResult.reason}`,
+        routeFields(route)
       );
       
       return { success: false, error: mediaResult.reason };
     }
     
     // Send the media message via AppleScript
-    await sendMediaMessage(recipient, mediaResult.filePath, message.text || '');
+    const sentAt = new Date();
+    await sendByRoute(route, { text: message.text || '', filePath: mediaResult.filePath });
     
     // Update message status to sent
-    await updateMessageStatus(message.id, 'sent');
+    await updateMessageStatus(message.id, 'sent', null, routeFields(route));
+    followDelivery(message, route, { text: message.text || '', filePath: mediaResult.filePath, sentAt });
     
     logger.info('Media message sent successfully', { message_id: message.id });
     return { success: true, filePath: mediaResult.filePath };
@@ -139,21 +199,40 @@ async function processMediaMessage(message, recipient) {
       message_id: message.id 
     });
     
-    await updateMessageStatus(message.id, 'failed', error.message);
+    await updateMessageStatus(message.id, 'failed', error.message, routeFields(route));
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Follow an iMessage send so it can be resent as SMS if it is not delivered
+ * @param {Object} message - Message data
+ * @param {Object} route - From chooseSendRoute
+ * @param {Object} content - { text, filePath, sentAt }
+ */
+function followDelivery(message, route, content) {
+  if (!route.smsFallback) {
+    return;
+  }
+  try {
+    deliveryMonitor.watch({ messageId: message.id, route, ...content });
+  } catch (error) {
+    logger.error('Failed to follow message delivery', { error: error.message, message_id: message.id });
+  }
+}
+
 /**
  * Update message status in Supabase
  * @param {string} messageId - Message ID
  * @param {string} status - New status
  * @param {string} errorMessage - Optional error message
+ * @param {Object} fields - Other messages_out fields to update (optional)
  * @returns {Promise<void>}
  */
-async function updateMessageStatus(messageId, status, errorMessage = null) {
+async function updateMessageStatus(messageId, status, errorMessage = null, fields = {}) {
   try {
     const updateData = {
+      ...fields,
       status,
       updated_at: new Date().toISOString()
     };
@@ -162,10 +241,13 @@ async function updateMessageStatus(messageId, status, errorMessage = null) {
       updateData.error = errorMessage;
     }
     
-    const { error } = await supabaseClient
-      .from('messages_out')
-      .update(updateData)
-      .eq('id', messageId);
+    // Journaled and applied in order if Supabase is unreachable
+    const { error } = await supabaseOutbox.write({
+      table: 'messages_out',
+      operation: 'update',
+      values: updateData,
+      match: { id: messageId }
+    });
     
     if (error) {
       logger.error('Failed to update message status', { 
@@ -181,7 +263,87 @@ async function updateMessageStatus(messageId, status, errorMessage = null) {
   }
 }
 
+/**
+ * Find the messages_out row that produced a sent (is_from_me) chat.db message,
+ * so the daemon's own sends are not mirrored back as device-origin messages.
+ * A match is linked by recording the chat.db message_guid on messages_out.
+ * @param {Object} sent - Sent message from chat.db
+ * @param {string} sent.threadId - threads.id of the chat it was sent to
+ * @param {string} sent.messageGuid - chat.db message GUID
+ * @param {string} sent.text - Message text
+ * @param {string} sent.sentAt - ISO send time from chat.db
+ * @returns {Promise<Object|null>} - Matching messages_out row, or null
+ */
+async function findRelayedOutboundMessage({ threadId, messageGuid, text, sentAt }) {
+  // Already linked on an earlier pass (e.g. after a restart)
+  const { data: linked, error: linkedError } = await supabaseClient
+    .from('messages_out')
+    .select('*')
+    .eq('message_guid', messageGuid)
+    .maybeSingle();
+
+  if (linkedError) {
+    throw linkedError;
+  }
+  if (linked) {
+    return linked;
+  }
+
+  const sentTime = sentAt ? new Date(sentAt).getTime() : Date.now();
+  const { data: candidates, error } = await supabaseClient
+    .from('messages_out')
+    .select('*')
+    .eq('thread_id', threadId)
+    .in('status', ['processing', 'sent'])
+    .is('message_guid', null)
+    .gte('updated_at', new Date(sentTime - RELAY_MATCH_WINDOW_MS).toISOString())
+    .order('updated_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  const normalize = value => (value || '').trim();
+  const match = (candidates || []).find(candidate => normalize(candidate.text) === normalize(text));
+  if (!match) {
+    return null;
+  }
+
+  // Conditional on message_guid still being empty so two chat.db rows
+  // with the same text cannot claim the same send
+  const { error: claimError, queued } = await supabaseOutbox.write({
+    table: 'messages_out',
+    operation: 'update',
+    values: { message_guid: messageGuid },
+    match: { id: match.id, message_guid: null }
+  });
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  // Journaled behind earlier offline writes; it is applied in order when
+  // they are flushed
+  if (queued) {
+    return { ...match, message_guid: messageGuid };
+  }
+
+  const { data: claimed, error: claimedError } = await supabaseClient
+    .from('messages_out')
+    .select('*')
+    .eq('id', match.id)
+    .eq('message_guid', messageGuid)
+    .maybeSingle();
+
+  if (claimedError) {
+    throw claimedError;
+  }
+
+  return claimed || null;
+}
+
 module.exports = {
   processOutboundMessage,
-  updateMessageStatus
+  updateMessageStatus,
+  findRelayedOutboundMessage
 };
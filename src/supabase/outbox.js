@@ -0,0 +1,241 @@
+/**
+ * Store-and-forward for Supabase writes
+ * Writes go straight to Supabase while it is reachable. When it is not, they
+ * are journaled in the local relay store and flushed in order once
+ * connectivity returns, so the Mac can run disconnected without losing data
+ */
+const { logger } = require('../utils/logger');
+const { relayStore } = require('../store/relay-store');
+
+// Pending writes above which the relay stops reading new chat.db rows
+const OUTBOX_MAX_PENDING = parseInt(process.env.OUTBOX_MAX_PENDING || '10000', 10);
+
+// Rejected writes are retried this many times before being parked as failed
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Writes flushed per batch, and the most flushed per call so one cycle stays bounded
+const FLUSH_BATCH_SIZE = 100;
+const MAX_FLUSH_PER_CALL = 1000;
+
+/**
+ * Whether a Supabase response means the server could not be reached, as
+ * opposed to it rejecting the request
+ * @param {Object} error - error from a Supabase response
+ * @param {number} status - HTTP status from the response (0 when the request never completed)
+ * @returns {boolean}
+ */
+function isConnectivityError(error, status = null) {
+  if (!error) {
+    return false;
+  }
+  if (status === 0 || [502, 503, 504].includes(status)) {
+    return true;
+  }
+  return /fetch failed|network|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN/i.test(error.message || '');
+}
+
+/**
+ * A write that already reached Supabase before the journal entry was
+ * flushed (e.g. the response was lost) fails on the unique key
+ * @param {Object} error - error from a Supabase response
+ * @returns {boolean}
+ */
+function isAlreadyApplied(error) {
+  return !!error && error.code === '23505';
+}
+
+class SupabaseOutbox {
+  constructor({
+    client = null,
+    store = relayStore,
+    maxPending = OUTBOX_MAX_PENDING,
+    loggerInstance = logger
+  } = {}) {
+    this.maxPending = maxPending;
+    this.flushing = null;
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.store = store;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Supabase client, loaded lazily so tests can inject a stand-in
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('./client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * Send one write to Supabase
+   * @param {Object} write - { table, operation, values, options, match }
+   * @returns {Promise<Object>} - Supabase response
+   */
+  async execute({ table, operation, values, options = {}, match = {} }) {
+    let query = this.client.from(table);
+
+    switch (operation) {
+      case 'insert':
+        query = query.insert(values);
+        break;
+      case 'upsert':
+        query = query.upsert(values, options);
+        break;
+      case 'update':
+        query = query.update(values);
+        break;
+      case 'delete':
+        query = query.delete();
+        break;
+      default:
+        throw new Error(`Unsupported outbox operation: ${operation}`);
+    }
+
+    Object.entries(match).forEach(([column, value]) => {
+      query = value === null ? query.is(column, null) : query.eq(column, value);
+    });
+
+    return query;
+  }
+
+  /**
+   * Write to Supabase, or journal the write when Supabase is unreachable
+   * Writes are also journaled while earlier ones are still pending, so they
+   * reach Supabase in the order they were made
+   * @param {Object} write - Write to make
+   * @param {string} write.table - Table name
+   * @param {string} write.operation - insert, upsert, update or delete
+   * @param {Object} write.values - Row or changes (none for delete)
+   * @param {Object} write.options - upsert options (onConflict, ignoreDuplicates)
+   * @param {Object} write.match - Equality filters for update and delete; null matches IS NULL
+   * @returns {Promise<Object>} - { success, queued, error }
+   */
+  async write(write) {
+    if (this.store.countPendingWrites() > 0) {
+      this.store.enqueueWrite(write);
+      return { success: true, queued: true, error: null };
+    }
+
+    let response;
+    try {
+      response = await this.execute(write);
+    } catch (error) {
+      response = { error, status: 0 };
+    }
+
+    if (isConnectivityError(response.error, response.status)) {
+      this.store.enqueueWrite(write);
+      this.logger.warn('Supabase unreachable, journaled write for later', {
+        table: write.table,
+        operation: write.operation,
+        error: response.error.message
+      });
+      return { success: true, queued: true, error: null };
+    }
+
+    return { success: !response.error, queued: false, error: response.error || null };
+  }
+
+  /**
+   * Flush journaled writes in order
+   * Stops at the first write that cannot reach Supabase; a write Supabase
+   * rejects is retried on later flushes and eventually parked as failed
+   * @returns {Promise<Object>} - { flushed, failed, pending }
+   */
+  async flush() {
+    // Callers share one in-flight flush so entries are never sent twice
+    if (!this.flushing) {
+      this.flushing = this.flushPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushPending() {
+    let flushed = 0;
+    let failed = 0;
+    let blocked = false;
+
+    while (!blocked && flushed + failed < MAX_FLUSH_PER_CALL) {
+      const writes = this.store.getPendingWrites(FLUSH_BATCH_SIZE);
+      if (writes.length === 0) {
+        break;
+      }
+
+      for (const write of writes) {
+        let response;
+        try {
+          response = await this.execute(write);
+        } catch (error) {
+          response = { error, status: 0 };
+        }
+
+        if (isConnectivityError(response.error, response.status)) {
+          blocked = true;
+          break;
+        }
+
+        if (!response.error || isAlreadyApplied(response.error)) {
+          this.store.completeWrite(write.id);
+          flushed++;
+          continue;
+        }
+
+        const final = write.attempts + 1 >= MAX_WRITE_ATTEMPTS;
+        this.store.failWrite(write.id, response.error.message, final);
+        this.logger.error('Supabase rejected journaled write', {
+          error: response.error,
+          table: write.table,
+          operation: write.operation,
+          outbox_id: write.id,
+          attempts: write.attempts + 1
+        });
+
+        if (final) {
+          failed++;
+          continue;
+        }
+
+        // Keep order: later writes may depend on this one
+        blocked = true;
+        break;
+      }
+    }
+
+    const results = { flushed, failed, pending: this.store.countPendingWrites() };
+    if (flushed + failed > 0) {
+      this.logger.info('Flushed journaled Supabase writes', results);
+    }
+    return results;
+  }
+
+  /**
+   * @returns {number} - Writes waiting to be flushed
+   */
+  pendingCount() {
+    return this.store.countPendingWrites();
+  }
+
+  /**
+   * Whether the journal is too large to keep accepting new work
+   * @returns {boolean}
+   */
+  isBackpressured() {
+    return this.pendingCount() >= this.maxPending;
+  }
+}
+
+// Singleton instance using default dependencies
+const supabaseOutbox = new SupabaseOutbox();
+
+module.exports = {
+  SupabaseOutbox,
+  supabaseOutbox,
+  isConnectivityError,
+  OUTBOX_MAX_PENDING
+};
@@ -1,6 +1,4 @@
-const { setupLogger } = require('../utils/logger');
-
-const logger = setupLogger();
+const { logger } = require('../utils/logger');
 
 async function setupPollingFallback(supabase, { onMessage, interval = 5000 }) {
     logger.info('Setting up polling fallback');
@@ -13,14 +11,16 @@ async function setupPollingFallback(supabase, { onMessage, interval = 5000 }) {
 
         try {
             const now = new Date();
+            // received_at is the chat.db time and can be hours old when the
+            // daemon catches up, so new rows are found by insert time
             const query = supabase
                 .from('messages_in')
                 .select('*')
                 .eq('status', 'received')
-                .order('received_at', { ascending: true });
+                .order('created_at', { ascending: true });
 
             if (lastPollTime) {
-                query.gt('received_at', lastPollTime.toISOString());
+                query.gt('created_at', lastPollTime.toISOString());
             }
 
             const { data: messages, error } = await query;
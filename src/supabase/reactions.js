@@ -0,0 +1,92 @@
+/**
+ * Tapback (reaction) persistence
+ * Writes parsed chat.db tapbacks to the message_reactions table
+ */
+const { logger } = require('../utils/logger');
+const { supabaseOutbox } = require('./outbox');
+
+/**
+ * Outbox match for one sender's reactions on one message part
+ */
+function senderAndTarget({ senderId, isFromMe, targetGuid, targetPart }) {
+  return {
+    message_guid: targetGuid,
+    message_part: targetPart,
+    is_from_me: isFromMe,
+    sender_id: senderId || null
+  };
+}
+
+/**
+ * Apply a tapback to message_reactions
+ * A sender has one reaction per message part: adding replaces their previous
+ * one and removing deletes the matching reaction. Writes go through the
+ * outbox, so while Supabase is unreachable they are journaled in order
+ * @param {Object} tapback - Parsed tapback (see chatdb/tapbacks)
+ * @param {Object} source - chat.db row details
+ * @param {string} source.reactionGuid - GUID of the tapback row itself
+ * @param {string} source.chatGuid - Chat GUID
+ * @param {string|null} source.senderId - Handle of the sender, null for the owner
+ * @param {boolean} source.isFromMe - Whether the owner reacted
+ * @param {string|null} source.reactedAt - ISO time of the tapback
+ * @returns {Promise<Object>} - { success, action, queued, error }
+ */
+async function recordReaction(tapback, { reactionGuid, chatGuid, senderId, isFromMe, reactedAt }) {
+  const target = senderAndTarget({
+    senderId,
+    isFromMe,
+    targetGuid: tapback.targetGuid,
+    targetPart: tapback.targetPart
+  });
+
+  if (tapback.action === 'remove') {
+    const match = { ...target, reaction: tapback.reaction };
+    if (tapback.emoji) {
+      match.emoji = tapback.emoji;
+    }
+
+    const { error, queued } = await supabaseOutbox.write({ table: 'message_reactions', operation: 'delete', match });
+    if (error) {
+      logger.error('Failed to remove reaction', { error, reaction_guid: reactionGuid });
+      return { success: false, action: 'remove', queued: false, error };
+    }
+    return { success: true, action: 'remove', queued };
+  }
+
+  const { error: clearError } = await supabaseOutbox.write({
+    table: 'message_reactions',
+    operation: 'delete',
+    match: target
+  });
+  if (clearError) {
+    logger.error('Failed to replace previous reaction', { error: clearError, reaction_guid: reactionGuid });
+    return { success: false, action: 'add', queued: false, error: clearError };
+  }
+
+  const { error, queued } = await supabaseOutbox.write({
+    table: 'message_reactions',
+    operation: 'upsert',
+    values: {
+      reaction_guid: reactionGuid,
+      message_guid: tapback.targetGuid,
+      message_part: tapback.targetPart,
+      chat_guid: chatGuid,
+      sender_id: senderId,
+      is_from_me: isFromMe,
+      reaction: tapback.reaction,
+      emoji: tapback.emoji,
+      reacted_at: reactedAt
+    },
+    options: { onConflict: 'reaction_guid' }
+  });
+
+  if (error) {
+    logger.error('Failed to insert reaction', { error, reaction_guid: reactionGuid });
+    return { success: false, action: 'add', queued: false, error };
+  }
+  return { success: true, action: 'add', queued };
+}
+
+module.exports = {
+  recordReaction
+};
@@ -1,15 +1,23 @@
 /**
  * Implements M4: Supabase Realtime Fallback Redundancy
- * Manages Realtime subscription with polling fallback
+ * Manages Realtime subscription with polling fallback. Only messages_out
+ * rows routed to this Mac's device are picked up. Both paths can see the
+ * same row; the handler claims it before sending (see claims.js)
  */
 const { supabaseClient } = require('./client');
 const { logger } = require('../utils/logger');
+const { deviceRegistry } = require('./devices');
+const { outboundClaims } = require('./claims');
+const { outboundScheduler } = require('./scheduler');
 
 class RealtimeManager {
   constructor({ 
     setIntervalFunc = global.setInterval, 
     clearIntervalFunc = global.clearInterval, 
     supabaseClientInstance = supabaseClient,
+    devices = deviceRegistry,
+    claims = outboundClaims,
+    scheduler = outboundScheduler,
     loggerInstance = logger 
   } = {}) {
     this.subscription = null;
@@ -24,6 +32,9 @@ class RealtimeManager {
     this.setInterval = setIntervalFunc;
     this.clearInterval = clearIntervalFunc;
     this.supabaseClient = supabaseClientInstance;
+    this.devices = devices;
+    this.claims = claims;
+    this.scheduler = scheduler;
     this.logger = loggerInstance;
   }
   
@@ -58,7 +69,8 @@ class RealtimeManager {
   }
   
   /**
-   * Setup Realtime subscription to messages_out table
+   * Setup Realtime subscription to messages_out rows for this device
+   * Realtime filters on a single column, so the pending check is done here
    */
   setupRealtimeSubscription() {
     this.subscription = this.supabaseClient
@@ -69,9 +81,18 @@ class RealtimeManager {
           event: 'INSERT',
           schema: 'public',
           table: 'messages_out',
-          filter: 'status=eq.pending'
+          filter: `device_id=eq.${this.devices.deviceId}`
         },
         (payload) => {
+          if (payload.new.status !== 'pending') {
+            return;
+          }
+          
+          // Scheduled for later; sent by the outbound scheduler when due
+          if (this.scheduler.defer(payload.new)) {
+            return;
+          }
+          
           this.logger.debug('Received Realtime message', { 
             message_id: payload.new.id,
             thread_id: payload.new.thread_id
@@ -150,16 +171,18 @@ class RealtimeManager {
   
   /**
    * Poll for pending messages in Supabase
+   * Also picks up rows whose claim expired, e.g. after a crash mid-send
    */
   async pollPendingMessages() {
     try {
       this.lastPollTime = new Date();
       
       // Query for pending messages
-      const { data, error } = await this.supabaseClient
+      const query = this.supabaseClient
         .from('messages_out')
         .select('*')
-        .eq('status', 'pending')
+        .eq('device_id', this.devices.deviceId);
+      const { data, error } = await this.claims.whereClaimable(query, this.lastPollTime)
         .order('created_at', { ascending: true });
       
       if (error) {
@@ -0,0 +1,213 @@
+/**
+ * Scheduled outbound messages
+ * A messages_out row with a send_at in the future is held here until it is
+ * due and then handed to processOutboundMessage, which claims it (so it is
+ * sent once however many paths see it), or marks it expired once its
+ * expires_at has passed. Supabase stays the record of what is scheduled:
+ * upcoming rows are reloaded periodically and on startup, so a restart
+ * neither misses nor repeats a send and a cancelled row drops out. Due times
+ * are compared against the wall clock on every tick, and a change of the
+ * system clock (or waking from sleep) reloads the schedule straight away
+ */
+const { performance } = require('perf_hooks');
+const { logger } = require('../utils/logger');
+const { deviceRegistry } = require('./devices');
+const { processOutboundMessage } = require('./outbound');
+
+// How often upcoming rows are reloaded from Supabase; rows due within twice
+// this are held locally
+const OUTBOUND_SCHEDULE_REFRESH_MS = parseInt(process.env.OUTBOUND_SCHEDULE_REFRESH_MS || '60000', 10);
+
+// How often due rows are dispatched; the most a send can be late by
+const SCHEDULER_TICK_MS = 1000;
+
+// Wall clock and monotonic clock drifting apart by more than this between
+// ticks means the system clock was changed or the Mac slept
+const CLOCK_JUMP_MS = 5000;
+
+class OutboundScheduler {
+  constructor({
+    client = null,
+    devices = deviceRegistry,
+    send = processOutboundMessage,
+    refreshMs = OUTBOUND_SCHEDULE_REFRESH_MS,
+    monotonicNow = () => performance.now(),
+    loggerInstance = logger
+  } = {}) {
+    this.refreshMs = refreshMs;
+    this.scheduled = new Map();
+    this.nextRefreshAt = null;
+    this.lastTick = null;
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.devices = devices;
+    this.send = send;
+    this.monotonicNow = monotonicNow;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Supabase client, loaded lazily so tests can inject a stand-in
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('./client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * Hold a row until its send_at if it is not due yet
+   * @param {Object} message - messages_out row
+   * @param {Date} now - Current time
+   * @returns {boolean} - Whether the row was held (false: send it now)
+   */
+  defer(message, now = new Date()) {
+    if (!message.send_at || new Date(message.send_at) <= now) {
+      return false;
+    }
+
+    this.scheduled.set(message.id, { message, heldAt: this.monotonicNow() });
+    this.logger.debug('Scheduled outbound message', { message_id: message.id, send_at: message.send_at });
+    return true;
+  }
+
+  /**
+   * Reload pending rows due within the refresh horizon, overdue ones included
+   * Rows that are no longer pending (cancelled, or sent elsewhere) drop out
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - Whether the schedule was reloaded
+   */
+  async refresh(now = new Date()) {
+    const startedAt = this.monotonicNow();
+    const horizon = new Date(now.getTime() + 2 * this.refreshMs);
+
+    const { data, error } = await this.client
+      .from('messages_out')
+      .select('*')
+      .eq('device_id', this.devices.deviceId)
+      .eq('status', 'pending')
+      .lte('send_at', horizon.toISOString())
+      .order('send_at', { ascending: true });
+
+    if (error) {
+      this.logger.warn('Failed to load scheduled messages', { error: error.message });
+      return false;
+    }
+
+    const scheduled = new Map((data || []).map(message => [message.id, { message, heldAt: startedAt }]));
+    // Keep rows Realtime handed over while the query was running
+    for (const [id, entry] of this.scheduled) {
+      if (entry.heldAt > startedAt && !scheduled.has(id)) {
+        scheduled.set(id, entry);
+      }
+    }
+    this.scheduled = scheduled;
+    return true;
+  }
+
+  /**
+   * Reload the schedule if it is time to, then dispatch every due row
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { dispatched, scheduled }
+   */
+  async tick(now = new Date()) {
+    const monotonic = this.monotonicNow();
+    if (this.lastTick) {
+      const drift = (now.getTime() - this.lastTick.wall) - (monotonic - this.lastTick.monotonic);
+      if (Math.abs(drift) > CLOCK_JUMP_MS) {
+        this.logger.warn('System clock changed, reloading scheduled messages', { drift_ms: Math.round(drift) });
+        this.nextRefreshAt = null;
+      }
+    }
+    this.lastTick = { wall: now.getTime(), monotonic };
+
+    if (this.nextRefreshAt === null || now.getTime() >= this.nextRefreshAt) {
+      // Retried at the next refresh if Supabase is unreachable; nothing can
+      // be claimed until it is back anyway
+      await this.refresh(now);
+      this.nextRefreshAt = now.getTime() + this.refreshMs;
+    }
+
+    const due = [...this.scheduled.values()]
+      .map(entry => entry.message)
+      .filter(message => new Date(message.send_at) <= now)
+      .sort((a, b) => new Date(a.send_at) - new Date(b.send_at));
+
+    for (const message of due) {
+      this.scheduled.delete(message.id);
+      this.logger.info('Dispatching scheduled message', { message_id: message.id, send_at: message.send_at });
+      try {
+        await this.send(message);
+      } catch (error) {
+        this.logger.error('Error dispatching scheduled message', { error: error.message, message_id: message.id });
+      }
+    }
+
+    return { dispatched: due.length, scheduled: this.scheduled.size };
+  }
+}
+
+// Singleton instance using default dependencies
+const outboundScheduler = new OutboundScheduler();
+
+/**
+ * Dispatch scheduled messages as they fall due
+ * @param {number} intervalMs - Interval between ticks in milliseconds
+ * @param {Object} scheduler - OutboundScheduler to run
+ * @returns {Object} - Scheduler control object
+ */
+function setupOutboundScheduler(intervalMs = SCHEDULER_TICK_MS, scheduler = outboundScheduler) {
+  let interval = null;
+  let running = null;
+
+  const run = () => {
+    if (!running) {
+      running = scheduler.tick()
+        .catch(error => {
+          logger.error('Error running outbound scheduler', { error });
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (interval) {
+      return;
+    }
+    logger.info('Starting outbound scheduler', { intervalMs });
+    interval = setInterval(run, intervalMs);
+    run();
+  };
+
+  const stop = async () => {
+    if (!interval) {
+      return;
+    }
+    logger.info('Stopping outbound scheduler');
+    clearInterval(interval);
+    interval = null;
+    await running;
+  };
+
+  // Start immediately
+  start();
+
+  return {
+    start,
+    stop,
+    trigger: run,
+    isRunning: () => !!interval
+  };
+}
+
+module.exports = {
+  OutboundScheduler,
+  outboundScheduler,
+  setupOutboundScheduler,
+  OUTBOUND_SCHEDULE_REFRESH_MS
+};
@@ -0,0 +1,176 @@
+/**
+ * Addressing and service selection for outbound sends
+ * Existing chats, including every group chat, are addressed by chat id so a
+ * message lands in the conversation its thread mirrors. Only a 1:1 send with
+ * no chat in chat.db starts a new conversation, through a buddy lookup of the
+ * normalized handle. 1:1 sends go over the service the thread's (or the
+ * global) service policy picks; group chats always use their own service
+ */
+const { sendTextMessage, sendMediaMessage, sendToChat } = require('../applescript');
+const { chatDbReader, GROUP_CHAT_STYLE } = require('../chatdb/reader');
+const { normalizeHandle } = require('../contacts/normalize');
+const { logger } = require('../utils/logger');
+
+/**
+ * How a send is addressed (messages_out.route)
+ */
+const SendRoutes = {
+  CHAT_ID: 'chat_id',
+  BUDDY: 'buddy'
+};
+
+/**
+ * Messages services (chat.service_name, messages_out.service)
+ */
+const Services = {
+  IMESSAGE: 'iMessage',
+  SMS: 'SMS'
+};
+
+/**
+ * Which service 1:1 sends use (threads.service_policy, OUTBOUND_SERVICE_POLICY)
+ */
+const ServicePolicies = {
+  IMESSAGE_ONLY: 'imessage_only',
+  SMS_ONLY: 'sms_only',
+  IMESSAGE_THEN_SMS: 'imessage_then_sms'
+};
+
+// Service policy for threads that do not set their own. SMS fallback can
+// deliver a message twice, so it is only used when a thread or this opts in
+const OUTBOUND_SERVICE_POLICY = process.env.OUTBOUND_SERVICE_POLICY || ServicePolicies.IMESSAGE_ONLY;
+
+/**
+ * Service policy for a thread
+ * @param {Object} thread - threads row
+ * @param {string} fallback - Policy for threads without one
+ * @returns {string} - One of ServicePolicies
+ */
+function servicePolicyFor(thread, fallback = OUTBOUND_SERVICE_POLICY) {
+  const policies = Object.values(ServicePolicies);
+  const policy = thread.service_policy || fallback;
+  if (policies.includes(policy)) {
+    return policy;
+  }
+
+  logger.warn('Unknown service policy, sending over iMessage only', { policy, thread_id: thread.id });
+  return ServicePolicies.IMESSAGE_ONLY;
+}
+
+/**
+ * Newest 1:1 chat in chat.db with a handle
+ * @param {string} handle - Normalized handle
+ * @param {string|null} service - Only chats on this service
+ * @param {Object} reader - ChatDbReader
+ * @returns {Object|null} - Chat, with the columns of getChatThread
+ */
+function findDirectChat(handle, service, reader) {
+  const [chat] = reader.findDirectChats(handle, service || null);
+  return chat || null;
+}
+
+/**
+ * Choose how to address a send
+ * messages_out.recipient sends to that handle instead of the thread's chat
+ * @param {Object} message - messages_out row
+ * @param {Object} thread - threads row
+ * @param {Object} options - Routing options
+ * @param {string|null} options.service - Service for 1:1 sends (null for any)
+ * @param {Object} options.reader - ChatDbReader to look chats up in
+ * @returns {Object} - { route, chatGuid, recipient, service, isGroup, reason }
+ * @throws {Error} - When the message cannot be addressed
+ */
+function chooseSendRoute(message, thread, { service = null, reader = chatDbReader } = {}) {
+  const chat = thread.chat_guid ? reader.getChatThread(thread.chat_guid) : null;
+
+  if (!message.recipient) {
+    if (chat && chat.chat_style === GROUP_CHAT_STYLE) {
+      return {
+        route: SendRoutes.CHAT_ID,
+        chatGuid: chat.chat_guid,
+        recipient: null,
+        service: chat.service_name,
+        isGroup: true,
+        reason: 'Group chat found in chat.db'
+      };
+    }
+    if (!chat && (thread.is_group || (thread.chat_guid || '').includes(';+;'))) {
+      // A group cannot be recreated from a handle
+      throw new Error('Group chat not found in chat.db');
+    }
+    if (chat && (!service || chat.service_name === service)) {
+      return {
+        route: SendRoutes.CHAT_ID,
+        chatGuid: chat.chat_guid,
+        recipient: normalizeHandle(chat.chat_identifier),
+        service: chat.service_name,
+        isGroup: false,
+        reason: '1:1 chat found in chat.db'
+      };
+    }
+  }
+
+  const recipient = normalizeHandle(message.recipient || (chat ? chat.chat_identifier : thread.chat_identifier));
+  if (!recipient) {
+    throw new Error('No valid recipient');
+  }
+
+  const direct = findDirectChat(recipient, service, reader);
+  if (direct) {
+    return {
+      route: SendRoutes.CHAT_ID,
+      chatGuid: direct.chat_guid,
+      recipient,
+      service: direct.service_name,
+      isGroup: false,
+      reason: message.recipient ? '1:1 chat with recipient found in chat.db' : '1:1 chat with thread handle found in chat.db'
+    };
+  }
+
+  return {
+    route: SendRoutes.BUDDY,
+    chatGuid: null,
+    recipient,
+    service: service || Services.IMESSAGE,
+    isGroup: false,
+    reason: 'No chat with recipient in chat.db; starting a new conversation'
+  };
+}
+
+/**
+ * Send text and/or a file the way a route says
+ * @param {Object} route - From chooseSendRoute
+ * @param {Object} content - What to send
+ * @param {string} content.text - Message text ("" for none)
+ * @param {string|null} content.filePath - File to send (null for none)
+ * @returns {Promise<string>} - Result of the script
+ */
+function sendByRoute(route, { text = '', filePath = null }) {
+  if (route.route === SendRoutes.CHAT_ID) {
+    return sendToChat(route.chatGuid, text, filePath || '');
+  }
+  if (filePath) {
+    return sendMediaMessage(route.recipient, filePath, text, route.service);
+  }
+  return sendTextMessage(route.recipient, text, route.service);
+}
+
+/**
+ * messages_out fields recording how a send was addressed
+ * @param {Object|null} route - From chooseSendRoute
+ * @returns {Object}
+ */
+function routeFields(route) {
+  return route ? { route: route.route, route_reason: route.reason, service: route.service } : {};
+}
+
+module.exports = {
+  chooseSendRoute,
+  sendByRoute,
+  routeFields,
+  servicePolicyFor,
+  SendRoutes,
+  Services,
+  ServicePolicies,
+  OUTBOUND_SERVICE_POLICY
+};
@@ -4,73 +4,29 @@
  */
 const { logger } = require('../utils/logger');
 const { supabaseClient } = require('./client');
-const { exec } = require('child_process');
-const util = require('util');
-const fs = require('fs/promises');
-const path = require('path');
+const { supabaseOutbox, isConnectivityError } = require('./outbox');
+const { threadResolver, buildThreadData, threadHash } = require('./thread-resolver');
+const { relayStore } = require('../store/relay-store');
+const { chatDbReader } = require('../chatdb/reader');
+const { addressBook } = require('../contacts/address-book');
+const { identityResolver } = require('../contacts/identity');
 
-// Promisify exec
-const execPromise = util.promisify(exec);
+// Threads per batched upsert
+const THREAD_SYNC_BATCH_SIZE = 100;
 
-// Path to chat.db (would be configured properly in production)
-const CHAT_DB_PATH = path.join(process.env.HOME || '/tmp', 'Library/Messages/chat.db');
+// How often chat.db chats are checked for changes
+const THREAD_SYNC_INTERVAL_MS = parseInt(process.env.THREAD_SYNC_INTERVAL_MS || '300000', 10);
 
-/**
- * Execute SQL query on chat.db
- * @param {string} query - SQL query to execute
- * @returns {Promise<Array>} - Query results
- */
-async function queryChatDb(query) {
-  try {
-    // Create a temporary file for the query
-    const tempQueryFile = path.join('/tmp', `chat_db_query_${Date.now()}.sql`);
-    await fs.writeFile(tempQueryFile, query);
-    
-    // Execute the query using sqlite3
-    const { stdout, stderr } = await execPromise(`sqlite3 -json "${CHAT_DB_PATH}" < "${tempQueryFile}"`);
-    
-    if (stderr) {
-      logger.warn('Warning during chat.db query', { stderr });
-    }
-    
-    // Clean up
-    await fs.unlink(tempQueryFile);
-    
-    // Parse the JSON result
-    return stdout.trim() ? JSON.parse(stdout) : [];
-  } catch (error) {
-    logger.error('Error querying chat.db', { error, query });
-    throw error;
-  }
-}
+// chat.db change marker and thread count of the last sync that Supabase
+// confirmed in full; while the marker is unchanged there is nothing to rescan
+let lastScan = null;
 
 /**
  * Get all chat threads from chat.db
  * @returns {Promise<Array>} - Chat threads
  */
 async function getChatThreads() {
-  const query = `
-    SELECT 
-      c.ROWID as chat_id,
-      c.guid as chat_guid,
-      c.display_name,
-      c.chat_identifier,
-      c.service_name,
-      c.style as chat_style,
-      GROUP_CONCAT(h.id, ',') as handle_ids
-    FROM 
-      chat c
-    LEFT JOIN 
-      chat_handle_join chj ON c.ROWID = chj.chat_id
-    LEFT JOIN 
-      handle h ON chj.handle_id = h.ROWID
-    GROUP BY 
-      c.ROWID
-    ORDER BY 
-      c.ROWID DESC;
-  `;
-  
-  return queryChatDb(query);
+  return chatDbReader.getChatThreads();
 }
 
 /**
@@ -79,117 +35,163 @@ async function getChatThreads() {
  * @returns {Promise<Array>} - Chat participants
  */
 async function getChatParticipants(chatId) {
-  const query = `
-    SELECT 
-      h.id as identifier,
-      h.service as service_name,
-      h.country as country_code,
-      h.uncanonicalized_id as original_identifier
-    FROM 
-      handle h
-    JOIN 
-      chat_handle_join chj ON h.ROWID = chj.handle_id
-    WHERE 
-      chj.chat_id = ${chatId};
-  `;
-  
-  return queryChatDb(query);
+  return chatDbReader.getChatParticipants(chatId);
+}
+
+/**
+ * Look up the threads.id of several chats in one request
+ * @param {Array<string>} chatGuids - Chat GUIDs
+ * @returns {Promise<Object>} - { ids: Map chat_guid -> id, offline }
+ * @throws {Error} - When Supabase rejects the lookup
+ */
+async function findThreadIds(chatGuids) {
+  const { data, error, status } = await supabaseClient
+    .from('threads')
+    .select('id, chat_guid')
+    .eq('device_id', threadResolver.deviceId)
+    .in('chat_guid', chatGuids);
+
+  if (error) {
+    if (!isConnectivityError(error, status)) {
+      throw error;
+    }
+    // Unreachable: fall back to the IDs this Mac already knows
+    const ids = new Map();
+    chatGuids.forEach(chatGuid => {
+      const cached = threadResolver.cachedId(chatGuid);
+      if (cached) {
+        ids.set(chatGuid, cached);
+      }
+    });
+    return { ids, offline: true };
+  }
+
+  const ids = new Map(data.map(row => [row.chat_guid, row.id]));
+  ids.forEach((threadId, chatGuid) => threadResolver.remember(chatGuid, threadId));
+  return { ids, offline: false };
+}
+
+/**
+ * Send one batch of changed threads
+ * @param {Array} batch - { threadData, hash }
+ * @returns {Promise<Object>} - { inserted, updated, queued }
+ * @throws {Error} - When Supabase rejects a write
+ */
+async function syncThreadBatch(batch) {
+  const { ids } = await findThreadIds(batch.map(({ threadData }) => threadData.chat_guid));
+  const existing = batch.filter(({ threadData }) => ids.has(threadData.chat_guid));
+  const created = batch.filter(({ threadData }) => !ids.has(threadData.chat_guid));
+  const synced = [];
+  const results = { inserted: 0, updated: 0, queued: 0 };
+
+  if (existing.length > 0) {
+    // No id in the payload, so the upsert only ever updates these rows
+    const { error, queued } = await supabaseOutbox.write({
+      table: 'threads',
+      operation: 'upsert',
+      values: existing.map(({ threadData }) => threadData),
+      options: { onConflict: 'device_id,chat_guid' }
+    });
+    if (error) {
+      throw error;
+    }
+    results[queued ? 'queued' : 'updated'] += existing.length;
+    synced.push(...existing);
+  }
+
+  if (created.length > 0) {
+    const { queued } = await threadResolver.createThreads(created.map(({ threadData }) => threadData));
+    results[queued ? 'queued' : 'inserted'] += created.length;
+    // A journaled create is skipped if the thread already existed, so only
+    // record it as synced once Supabase has confirmed it
+    if (!queued) {
+      synced.push(...created);
+    }
+  }
+
+  relayStore.saveThreadHashes(synced.map(({ threadData, hash }) => ({ chatGuid: threadData.chat_guid, hash })));
+  return results;
 }
 
 /**
  * Sync chat threads with Supabase
+ * Only threads whose content (name, participants, last message date)
+ * changed since the last sync are sent, as batched upserts on this Mac's
+ * device_id and chat_guid. Chats are not rescanned at all while chat.db is
+ * unchanged since the last sync that Supabase confirmed in full
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Send every thread, changed or not
+ * @param {number} options.batchSize - Threads per request
  * @returns {Promise<Object>} - Sync results
  */
-async function syncThreads() {
+async function syncThreads({ force = false, batchSize = THREAD_SYNC_BATCH_SIZE } = {}) {
   try {
+    const marker = chatDbReader.getChangeMarker();
+    if (!force && lastScan && lastScan.marker === marker) {
+      logger.debug('chat.db unchanged since the last thread sync; skipping');
+      return {
+        total: lastScan.total,
+        unchanged: lastScan.total,
+        inserted: 0,
+        updated: 0,
+        queued: 0,
+        failed: 0,
+        skipped: true
+      };
+    }
+
     logger.info('Starting chat thread synchronization');
     
-    // Get all chat threads from chat.db
+    // Get all chat threads and their participants from chat.db
     const chatThreads = await getChatThreads();
-    logger.info(`Found ${chatThreads.length} chat threads in chat.db`);
+    const participantsByChat = chatDbReader.getAllChatParticipants();
+    const syncedHashes = force ? new Map() : relayStore.getThreadHashes();
+    
+    const changed = [];
+    for (const thread of chatThreads) {
+      const threadData = buildThreadData(thread, participantsByChat.get(thread.chat_id) || [], {
+        contacts: addressBook,
+        identities: identityResolver,
+        deviceId: threadResolver.deviceId
+      });
+      const hash = threadHash(threadData);
+      if (syncedHashes.get(thread.chat_guid) !== hash) {
+        changed.push({ threadData, hash });
+      }
+    }
+    logger.info(`Found ${chatThreads.length} chat threads in chat.db, ${changed.length} changed`);
     
     let inserted = 0;
     let updated = 0;
+    let queued = 0;
     let failed = 0;
     
-    // Process each chat thread
-    for (const thread of chatThreads) {
+    for (let i = 0; i < changed.length; i += batchSize) {
+      const batch = changed.slice(i, i + batchSize);
       try {
-        // Get participants for this chat
-        const participants = await getChatParticipants(thread.chat_id);
-        
-        // Prepare thread data for Supabase
-        const threadData = {
-          chat_guid: thread.chat_guid,
-          display_name: thread.display_name || null,
-          chat_identifier: thread.chat_identifier,
-          service_name: thread.service_name,
-          is_group: thread.chat_style === 43, // 43 is group chat
-          participants: participants.map(p => ({
-            identifier: p.identifier,
-            service: p.service_name
-          })),
-          last_synced: new Date().toISOString()
-        };
-        
-        // Check if thread already exists in Supabase
-        const { data: existingThread, error: fetchError } = await supabaseClient
-          .from('threads')
-          .select('id')
-          .eq('chat_guid', thread.chat_guid)
-          .maybeSingle();
-        
-        if (fetchError) {
-          logger.error('Error checking for existing thread', { 
-            error: fetchError, 
-            chat_guid: thread.chat_guid 
-          });
-          failed++;
-          continue;
-        }
-        
-        if (existingThread) {
-          // Update existing thread
-          const { error: updateError } = await supabaseClient
-            .from('threads')
-            .update(threadData)
-            .eq('id', existingThread.id);
-          
-          if (updateError) {
-            logger.error('Error updating thread', { 
-              error: updateError, 
-              thread_id: existingThread.id 
-            });
-            failed++;
-          } else {
-            updated++;
-          }
-        } else {
-          // Insert new thread
-          const { error: insertError } = await supabaseClient
-            .from('threads')
-            .insert(threadData);
-          
-          if (insertError) {
-            logger.error('Error inserting thread', { 
-              error: insertError, 
-              chat_guid: thread.chat_guid 
-            });
-            failed++;
-          } else {
-            inserted++;
-          }
-        }
+        const results = await syncThreadBatch(batch);
+        inserted += results.inserted;
+        updated += results.updated;
+        queued += results.queued;
       } catch (error) {
-        logger.error('Error processing chat thread', { 
+        logger.error('Error syncing chat thread batch', { 
           error, 
-          chat_id: thread.chat_id 
+          threads: batch.length 
         });
-        failed++;
+        failed += batch.length;
       }
     }
     
-    const results = { total: chatThreads.length, inserted, updated, failed };
+    const results = {
+      total: chatThreads.length,
+      unchanged: chatThreads.length - changed.length,
+      inserted,
+      updated,
+      queued,
+      failed
+    };
+    // Journaled or failed threads have no stored hash yet, so look again
+    lastScan = queued === 0 && failed === 0 ? { marker, total: chatThreads.length } : null;
     logger.info('Chat thread synchronization complete', results);
     return results;
   } catch (error) {
@@ -198,8 +200,84 @@ async function syncThreads() {
   }
 }
 
+/**
+ * Run thread sync periodically, and early when inbound relay sees a chat
+ * that had no thread or the AddressBook changes
+ * @param {number} intervalMs - Interval between syncs in milliseconds
+ * @returns {Object} - Scheduler control object
+ */
+function setupThreadSync(intervalMs = THREAD_SYNC_INTERVAL_MS) {
+  let interval = null;
+  let running = null;
+  let rerunRequested = false;
+  
+  // Runs never overlap; requests during a run schedule one follow-up run
+  const run = () => {
+    if (running) {
+      rerunRequested = true;
+      return running;
+    }
+    
+    running = (async () => {
+      do {
+        rerunRequested = false;
+        try {
+          await syncThreads();
+        } catch (error) {
+          logger.error('Error in scheduled thread sync', { error });
+        }
+      } while (rerunRequested && interval);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+  
+  // Thread data also depends on things outside chat.db (contact names, and
+  // threads Supabase may have lost), so these always rescan
+  const rescan = () => {
+    lastScan = null;
+    return run();
+  };
+  const onUnknownChat = () => rescan();
+  const onContactsChange = () => rescan();
+  
+  const start = () => {
+    if (interval) {
+      return;
+    }
+    logger.info('Starting thread sync', { intervalMs });
+    interval = setInterval(run, intervalMs);
+    threadResolver.on('unknown-chat', onUnknownChat);
+    addressBook.on('change', onContactsChange);
+    run();
+  };
+  
+  const stop = () => {
+    if (!interval) {
+      return;
+    }
+    logger.info('Stopping thread sync');
+    clearInterval(interval);
+    interval = null;
+    threadResolver.off('unknown-chat', onUnknownChat);
+    addressBook.off('change', onContactsChange);
+  };
+  
+  // Start immediately
+  start();
+  
+  return {
+    start,
+    stop,
+    trigger: run,
+    isRunning: () => !!interval
+  };
+}
+
 module.exports = {
   syncThreads,
+  setupThreadSync,
   getChatThreads,
   getChatParticipants
 };
@@ -0,0 +1,128 @@
+/**
+ * Group chat event persistence
+ * Records membership, rename and photo events in thread_events and applies
+ * them to the matching threads row without waiting for a full sync
+ */
+const { logger } = require('../utils/logger');
+const { supabaseClient } = require('./client');
+const { supabaseOutbox, isConnectivityError } = require('./outbox');
+const { EVENT_TYPES } = require('../chatdb/group-events');
+
+/**
+ * Apply a membership event to a participant list
+ * @param {Array} participants - Current { identifier, service } entries
+ * @param {Object} event - Parsed group event
+ * @returns {Array} - Participants after the event
+ */
+function applyMembershipChange(participants, event) {
+  const current = Array.isArray(participants) ? participants : [];
+
+  // A null participant is the account owner, who is not listed
+  if (!event.participant) {
+    return current;
+  }
+
+  const others = current.filter(p => p.identifier !== event.participant.identifier);
+
+  if (event.type === EVENT_TYPES.PARTICIPANT_ADDED) {
+    return [...others, event.participant];
+  }
+  return others;
+}
+
+/**
+ * Record a group event and update the thread it belongs to
+ * The writes go through the outbox; only the thread lookup needs Supabase
+ * to be reachable, and offline says when it was not
+ * @param {Object} event - Parsed group event (see chatdb/group-events)
+ * @param {Object} source - chat.db row details
+ * @param {string} source.eventGuid - GUID of the system row
+ * @param {string} source.chatGuid - Chat GUID
+ * @param {string} source.deviceId - Device whose thread the chat is
+ * @param {string|null} source.occurredAt - ISO time of the event
+ * @returns {Promise<Object>} - { success, queued, offline, error }
+ */
+async function recordThreadEvent(event, { eventGuid, chatGuid, deviceId, occurredAt }) {
+  const { data: thread, error: threadError, status } = await supabaseClient
+    .from('threads')
+    .select('id, participants, display_name')
+    .eq('device_id', deviceId)
+    .eq('chat_guid', chatGuid)
+    .maybeSingle();
+
+  if (threadError) {
+    const offline = isConnectivityError(threadError, status);
+    const log = offline ? 'warn' : 'error';
+    logger[log]('Failed to fetch thread for group event', { error: threadError, event_guid: eventGuid });
+    return { success: false, queued: false, offline, error: threadError };
+  }
+
+  const isMembershipChange = [
+    EVENT_TYPES.PARTICIPANT_ADDED,
+    EVENT_TYPES.PARTICIPANT_REMOVED,
+    EVENT_TYPES.PARTICIPANT_LEFT
+  ].includes(event.type);
+
+  // Membership after the event, so each event row doubles as an audit
+  // record of who was in the conversation from that point on
+  const participants = thread
+    ? (isMembershipChange ? applyMembershipChange(thread.participants, event) : thread.participants || [])
+    : null;
+
+  const { error: insertError, queued } = await supabaseOutbox.write({
+    table: 'thread_events',
+    operation: 'upsert',
+    values: {
+      event_guid: eventGuid,
+      chat_guid: chatGuid,
+      thread_id: thread ? thread.id : null,
+      event_type: event.type,
+      actor_id: event.actor,
+      participant_id: event.participant ? event.participant.identifier : null,
+      display_name: event.name,
+      participants,
+      occurred_at: occurredAt
+    },
+    options: { onConflict: 'event_guid', ignoreDuplicates: true }
+  });
+
+  if (insertError) {
+    logger.error('Failed to insert thread event', { error: insertError, event_guid: eventGuid });
+    return { success: false, queued: false, offline: false, error: insertError };
+  }
+
+  // Threads that have not been synced yet pick the change up in syncThreads
+  if (!thread) {
+    return { success: true, queued, offline: false };
+  }
+
+  const changes = {};
+  if (isMembershipChange) {
+    changes.participants = participants;
+  }
+  if (event.type === EVENT_TYPES.RENAMED) {
+    changes.display_name = event.name;
+  }
+
+  if (Object.keys(changes).length > 0) {
+    const { error: updateError } = await supabaseOutbox.write({
+      table: 'threads',
+      operation: 'update',
+      values: changes,
+      match: { id: thread.id }
+    });
+
+    if (updateError) {
+      logger.error('Failed to apply group event to thread', { error: updateError, thread_id: thread.id });
+      return { success: false, queued: false, offline: false, error: updateError };
+    }
+  }
+
+  logger.info('Recorded group event', { event_type: event.type, thread_id: thread.id });
+  return { success: true, queued, offline: false };
+}
+
+module.exports = {
+  recordThreadEvent,
+  applyMembershipChange
+};
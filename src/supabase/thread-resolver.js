@@ -0,0 +1,287 @@
+/**
+ * chat_guid -> threads.id resolution for inbound relay
+ * Lookups are cached in memory and in the local relay store. A chat that has
+ * no thread yet gets one created on the spot from chat.db, so messages from
+ * brand-new conversations do not wait for the next syncThreads. Threads
+ * belong to this Mac's device, so lookups only ever see this Mac's threads
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('../utils/logger');
+const { chatDbReader, GROUP_CHAT_STYLE } = require('../chatdb/reader');
+const { appleTimeToISOString } = require('../chatdb/timestamps');
+const { relayStore } = require('../store/relay-store');
+const { addressBook } = require('../contacts/address-book');
+const { identityResolver } = require('../contacts/identity');
+const { supabaseOutbox, isConnectivityError } = require('./outbox');
+const { deviceRegistry } = require('./devices');
+
+/**
+ * threads row for a chat.db chat
+ * Participants get their normalized handle and person_id, and their name and
+ * organization when they are in the AddressBook. An unnamed 1:1 chat is named
+ * after the other person and carries their person_id
+ * @param {Object} chat - Row from ChatDbReader#getChatThread/getChatThreads
+ * @param {Array} participants - Rows from ChatDbReader#getChatParticipants
+ * @param {Object} options - Lookups (optional)
+ * @param {Object} options.contacts - AddressBook to look participants up in
+ * @param {Object} options.identities - IdentityResolver assigning person_ids
+ * @param {string} options.deviceId - Device the thread belongs to
+ * @returns {Object}
+ */
+function buildThreadData(chat, participants, { contacts = null, identities = null, deviceId = null } = {}) {
+  const isGroup = chat.chat_style === GROUP_CHAT_STYLE;
+  const threadParticipants = participants.map(p => {
+    const participant = {
+      identifier: p.identifier,
+      service: p.service_name
+    };
+    if (identities) {
+      participant.normalized_identifier = identities.normalize(p.identifier);
+      participant.person_id = identities.personId(p.identifier);
+    }
+    const contact = contacts && contacts.lookup(p.identifier);
+    if (contact) {
+      participant.name = contact.display_name;
+      participant.organization = contact.organization || null;
+    }
+    return participant;
+  });
+
+  const counterpart = !isGroup && threadParticipants.length === 1 ? threadParticipants[0] : null;
+  const threadData = {
+    chat_guid: chat.chat_guid,
+    display_name: chat.display_name || (counterpart && counterpart.name) || null,
+    chat_identifier: chat.chat_identifier,
+    service_name: chat.service_name,
+    is_group: isGroup,
+    participants: threadParticipants,
+    last_message_at: appleTimeToISOString(chat.last_message_date),
+    last_synced: new Date().toISOString()
+  };
+  if (identities) {
+    threadData.person_id = counterpart ? counterpart.person_id : null;
+  }
+  if (deviceId) {
+    threadData.device_id = deviceId;
+  }
+  return threadData;
+}
+
+/**
+ * Hash of a thread's content, ignoring when it was synced, so unchanged
+ * threads can be skipped
+ * @param {Object} threadData - Row from buildThreadData
+ * @returns {string} - sha256 hex digest
+ */
+function threadHash(threadData) {
+  const content = { ...threadData };
+  delete content.last_synced;
+  content.participants = [...content.participants]
+    .sort((a, b) => a.identifier.localeCompare(b.identifier));
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Emits 'unknown-chat' (chatGuid) when a message arrives for a chat that had
+ * no thread, so thread sync can run early
+ */
+class ThreadResolver extends EventEmitter {
+  constructor({
+    client = null,
+    reader = chatDbReader,
+    store = relayStore,
+    outbox = supabaseOutbox,
+    contacts = addressBook,
+    identities = identityResolver,
+    devices = deviceRegistry,
+    loggerInstance = logger
+  } = {}) {
+    super();
+    this.cache = new Map();
+    // Chats whose thread insert is journaled and not yet confirmed by Supabase
+    this.unconfirmed = new Set();
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.reader = reader;
+    this.store = store;
+    this.outbox = outbox;
+    this.contacts = contacts;
+    this.identities = identities;
+    this.devices = devices;
+    this.logger = loggerInstance;
+  }
+
+  /**
+   * Supabase client, loaded lazily so tests can inject a stand-in
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('./client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * Device whose threads this resolver creates and looks up
+   * @returns {string}
+   */
+  get deviceId() {
+    return this.devices.deviceId;
+  }
+
+  /**
+   * Cached threads.id for a chat, without touching Supabase
+   * @param {string} chatGuid - Chat GUID
+   * @returns {string|null}
+   */
+  cachedId(chatGuid) {
+    if (!this.cache.has(chatGuid)) {
+      const threadId = this.store.getThreadId(chatGuid);
+      if (!threadId) {
+        return null;
+      }
+      this.cache.set(chatGuid, threadId);
+    }
+    return this.cache.get(chatGuid);
+  }
+
+  /**
+   * Cache the threads.id for a chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} threadId - threads.id
+   */
+  remember(chatGuid, threadId) {
+    this.unconfirmed.delete(chatGuid);
+    if (this.cache.get(chatGuid) === threadId) {
+      return;
+    }
+    this.cache.set(chatGuid, threadId);
+    this.store.saveThreadId(chatGuid, threadId);
+  }
+
+  /**
+   * Resolve a chat to its threads.id, creating the thread if it does not exist
+   * While the thread's insert is journaled there is no confirmed ID yet, and
+   * messages are keyed by chat_guid instead (Supabase fills in thread_id)
+   * @param {string} chatGuid - Chat GUID
+   * @returns {Promise<string|null>} - threads.id, or null until Supabase has the thread
+   * @throws {Error} - When the chat is unknown or Supabase rejects the lookup
+   */
+  async resolve(chatGuid) {
+    const cached = this.cachedId(chatGuid);
+    if (cached) {
+      return cached;
+    }
+
+    const { data, error, status } = await this.client
+      .from('threads')
+      .select('id')
+      .eq('device_id', this.deviceId)
+      .eq('chat_guid', chatGuid)
+      .maybeSingle();
+
+    if (error && !isConnectivityError(error, status)) {
+      throw error;
+    }
+
+    if (data) {
+      this.remember(chatGuid, data.id);
+      return data.id;
+    }
+
+    if (this.unconfirmed.has(chatGuid)) {
+      if (this.store.countPendingWrites() > 0) {
+        return null;
+      }
+      // Flushed without creating the thread (e.g. parked as failed)
+      this.unconfirmed.delete(chatGuid);
+    }
+
+    const chat = this.reader.getChatThread(chatGuid);
+    if (!chat) {
+      throw new Error(`Chat ${chatGuid} not found in chat.db`);
+    }
+
+    const { threadId } = await this.createThread(
+      buildThreadData(chat, this.reader.getChatParticipants(chat.chat_id), {
+        contacts: this.contacts,
+        identities: this.identities,
+        deviceId: this.deviceId
+      })
+    );
+    this.emit('unknown-chat', chatGuid);
+    return threadId;
+  }
+
+  /**
+   * Create a thread, or journal its insert while Supabase is unreachable
+   * @param {Object} threadData - Row from buildThreadData
+   * @returns {Promise<Object>} - { threadId, queued }; threadId is null when queued
+   * @throws {Error} - When Supabase rejects the insert
+   */
+  async createThread(threadData) {
+    const { threadIds, queued } = await this.createThreads([threadData]);
+    return { threadId: threadIds.get(threadData.chat_guid) || null, queued };
+  }
+
+  /**
+   * Create several threads in one request (see createThread)
+   * @param {Array} threadDataList - Rows from buildThreadData
+   * @returns {Promise<Object>} - { threadIds: Map chat_guid -> id, queued }; no IDs when queued
+   * @throws {Error} - When Supabase rejects the insert
+   */
+  async createThreads(threadDataList) {
+    const threadIds = new Map(threadDataList.map(threadData => [
+      threadData.chat_guid,
+      this.cachedId(threadData.chat_guid) || crypto.randomUUID()
+    ]));
+
+    // ignoreDuplicates: never rewrite the id of a thread created meanwhile
+    const { error, queued } = await this.outbox.write({
+      table: 'threads',
+      operation: 'upsert',
+      values: threadDataList.map(threadData => ({ id: threadIds.get(threadData.chat_guid), ...threadData })),
+      options: { onConflict: 'device_id,chat_guid', ignoreDuplicates: true }
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (queued) {
+      // Another writer may create the thread first, and ignoreDuplicates
+      // then drops this ID, so it is not handed out until Supabase has the row
+      threadIds.forEach((threadId, chatGuid) => this.unconfirmed.add(chatGuid));
+      return { threadIds: new Map(), queued: true };
+    }
+
+    // Pick up the winner if another writer created a thread first
+    const { data, error: fetchError } = await this.client
+      .from('threads')
+      .select('id, chat_guid')
+      .eq('device_id', this.deviceId)
+      .in('chat_guid', [...threadIds.keys()]);
+
+    if (fetchError) {
+      // Not confirmed either way; resolve() looks the threads up again
+      return { threadIds: new Map(), queued: false };
+    }
+
+    const confirmed = new Map((data || []).map(row => [row.chat_guid, row.id]));
+    confirmed.forEach((threadId, chatGuid) => this.remember(chatGuid, threadId));
+    this.logger.info('Created threads for new chats', { count: confirmed.size });
+    return { threadIds: confirmed, queued: false };
+  }
+}
+
+// Singleton instance using default dependencies
+const threadResolver = new ThreadResolver();
+
+module.exports = {
+  ThreadResolver,
+  threadResolver,
+  buildThreadData,
+  threadHash
+};
@@ -0,0 +1,42 @@
+/**
+ * Crash-safe file writes
+ * Writes go to a temporary file in the same directory, are flushed to disk
+ * and then renamed over the target, so readers see either the old or the
+ * new contents and never a truncated file
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Atomically replace a file's contents
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} data - New contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w', 0o600);
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -4,6 +4,7 @@
  */
 const winston = require('winston');
 const { redactPII } = require('./pii-redactor');
+const { SupabaseTransport } = require('./supabase-transport');
 
 // Custom format for structured JSON logs
 const jsonFormat = winston.format.combine(
@@ -63,14 +64,19 @@ const logger = winston.createLogger({
   ]
 });
 
-// Add Supabase transport if enabled (will be implemented later)
-// if (process.env.ENABLE_SUPABASE_LOGGING !== 'false') {
-//   logger.add(new SupabaseTransport({ level: 'info' }));
-// }
+// Add Supabase transport if enabled (ENABLE_SUPABASE_LOGGING=true). It receives
+// entries after redaction and buffers them until supabaseTransport.start() is
+// called once the client is up
+const supabaseTransport = process.env.ENABLE_SUPABASE_LOGGING === 'true'
+  ? new SupabaseTransport()
+  : null;
+if (supabaseTransport) {
+  logger.add(supabaseTransport);
+}
 
 // Add convenience method for critical errors
 logger.critical = function(message, meta = {}) {
   this.error(message, { ...meta, critical: true });
 };
 
-module.exports = { logger };
+module.exports = { logger, supabaseTransport };
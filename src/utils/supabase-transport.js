@@ -0,0 +1,344 @@
+/**
+ * Winston transport that ships log entries to the Supabase logs table
+ * Entries are buffered in memory and inserted in batches. The buffer is
+ * bounded: under pressure the least important entries are dropped first,
+ * and a count of what was dropped is sent once Supabase accepts writes again.
+ * Logging never waits on Supabase, and the transport reports its own
+ * failures on stderr rather than through the logger it belongs to
+ */
+const os = require('os');
+const { Transport } = require('winston');
+
+// Level of an entry before any format (e.g. colorize) rewrote info.level
+const LEVEL = Symbol.for('level');
+
+// Least important level sent to Supabase
+const SUPABASE_LOG_LEVEL = process.env.SUPABASE_LOG_LEVEL || 'info';
+
+// Entries held in memory while waiting to be sent
+const SUPABASE_LOG_BUFFER_SIZE = parseInt(process.env.SUPABASE_LOG_BUFFER_SIZE || '1000', 10);
+
+// Entries per insert, and how often a partial batch is sent
+const SUPABASE_LOG_BATCH_SIZE = 50;
+const SUPABASE_LOG_FLUSH_MS = 5000;
+
+// Longest wait between attempts while Supabase is failing
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Fallback priorities when the transport is used outside a logger
+const NPM_LEVELS = { error: 0, warn: 1, info: 2, http: 3, verbose: 4, debug: 5, silly: 6 };
+
+// Fields winston adds that are stored in their own columns or not at all
+const RESERVED_FIELDS = ['level', 'message', 'timestamp'];
+
+/**
+ * Copy of a metadata value that survives JSON encoding
+ * Errors keep their message and stack, and circular references are cut
+ * @param {*} value - Metadata value
+ * @returns {*}
+ */
+function toJson(value) {
+  const seen = new WeakSet();
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    if (item instanceof Error) {
+      return { name: item.name, message: item.message, code: item.code, stack: item.stack };
+    }
+    if (typeof item === 'bigint') {
+      return item.toString();
+    }
+    if (item && typeof item === 'object') {
+      if (seen.has(item)) {
+        return '[Circular]';
+      }
+      seen.add(item);
+    }
+    return item;
+  }) ?? null);
+}
+
+/**
+ * Build a logs row from a winston info object
+ * @param {Object} info - Log entry, after redaction
+ * @param {string} host - Hostname recorded with every entry
+ * @returns {Object} - { level, message, metadata, created_at }
+ */
+function buildLogRow(info, host) {
+  const metadata = { host };
+  Object.keys(info)
+    .filter(key => !RESERVED_FIELDS.includes(key))
+    .forEach(key => {
+      metadata[key] = info[key];
+    });
+
+  return {
+    level: info[LEVEL] || info.level,
+    message: typeof info.message === 'string' ? info.message : JSON.stringify(toJson(info.message)),
+    metadata: toJson(metadata),
+    created_at: info.timestamp || new Date().toISOString()
+  };
+}
+
+class SupabaseTransport extends Transport {
+  constructor({
+    level = SUPABASE_LOG_LEVEL,
+    bufferSize = SUPABASE_LOG_BUFFER_SIZE,
+    batchSize = SUPABASE_LOG_BATCH_SIZE,
+    flushIntervalMs = SUPABASE_LOG_FLUSH_MS,
+    host = os.hostname(),
+    client = null,
+    stderr = process.stderr
+  } = {}) {
+    super({ level });
+    this.bufferSize = bufferSize;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.host = host;
+    this.buffer = [];
+    this.dropped = {};
+    this.flushing = null;
+    this.timer = null;
+    this.retryDelayMs = 0;
+    this.retryAt = 0;
+    this.failing = false;
+
+    // Store injected dependencies
+    this.clientInstance = client;
+    this.stderr = stderr;
+  }
+
+  /**
+   * Supabase client, loaded lazily because the client module logs through
+   * the logger this transport is attached to
+   */
+  get client() {
+    if (!this.clientInstance) {
+      this.clientInstance = require('../supabase/client').supabaseClient;
+    }
+    return this.clientInstance;
+  }
+
+  /**
+   * Priority of a level (0 is the most important)
+   * @param {string} level - Level name
+   * @returns {number}
+   */
+  priority(level) {
+    const levels = this.levels || NPM_LEVELS;
+    return level in levels ? levels[level] : Object.keys(levels).length;
+  }
+
+  /**
+   * Buffer one entry; called by winston
+   * @param {Object} info - Log entry, after the logger's formats ran
+   * @param {Function} callback - Called once the entry is buffered
+   */
+  log(info, callback) {
+    this.add(buildLogRow(info, this.host));
+    setImmediate(() => this.emit('logged', info));
+
+    if (this.timer && this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+    callback();
+  }
+
+  /**
+   * Add a row, making room by dropping the least important entry if needed
+   * @param {Object} row - logs row
+   */
+  add(row) {
+    if (this.buffer.length < this.bufferSize) {
+      this.buffer.push(row);
+      return;
+    }
+
+    // Oldest entry of the least important level in the buffer
+    let victim = 0;
+    this.buffer.forEach((entry, i) => {
+      if (this.priority(entry.level) > this.priority(this.buffer[victim].level)) {
+        victim = i;
+      }
+    });
+
+    if (this.priority(row.level) >= this.priority(this.buffer[victim].level)) {
+      this.countDropped(row.level);
+      return;
+    }
+    this.countDropped(this.buffer[victim].level);
+    this.buffer.splice(victim, 1);
+    this.buffer.push(row);
+  }
+
+  /**
+   * @param {string} level - Level of a dropped entry
+   */
+  countDropped(level) {
+    this.dropped[level] = (this.dropped[level] || 0) + 1;
+  }
+
+  /**
+   * Start sending buffered entries on a timer
+   * Entries logged before this are kept (within the buffer bound) and sent
+   * with the first batch
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    this.timer.unref();
+    this.flush();
+  }
+
+  /**
+   * Stop the timer; buffered entries are kept
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send buffered entries in batches
+   * Callers share one in-flight flush. While Supabase is failing, flushes
+   * wait out an increasing delay
+   * @returns {Promise<number>} - Entries sent
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendBuffered().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * @returns {Promise<number>} - Entries sent
+   */
+  async sendBuffered() {
+    if (Date.now() < this.retryAt) {
+      return 0;
+    }
+
+    let sent = 0;
+    while (this.buffer.length > 0 || Object.keys(this.dropped).length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+      const dropped = this.dropped;
+      this.dropped = {};
+      if (Object.keys(dropped).length > 0) {
+        batch.push(this.droppedRow(dropped));
+      }
+
+      const error = await this.insert(batch);
+      if (!error) {
+        sent += batch.length;
+        this.recovered();
+        continue;
+      }
+
+      if (error.retryable) {
+        // Put the batch back in front of anything logged meanwhile; the
+        // summary row is rebuilt from the counts on the next attempt
+        const entries = Object.keys(dropped).length > 0 ? batch.slice(0, -1) : batch;
+        const newer = this.buffer;
+        this.buffer = [];
+        entries.concat(newer).forEach(row => this.add(row));
+        Object.entries(dropped).forEach(([level, count]) => {
+          this.dropped[level] = (this.dropped[level] || 0) + count;
+        });
+        this.backOff(error);
+      } else {
+        // Supabase rejected the rows themselves; retrying would not help
+        this.report(`Supabase logging dropped ${batch.length} entries: ${error.message}`);
+      }
+      break;
+    }
+    return sent;
+  }
+
+  /**
+   * Insert rows into logs
+   * @param {Array<Object>} rows - logs rows
+   * @returns {Promise<Object|null>} - { message, retryable } or null on success
+   */
+  async insert(rows) {
+    try {
+      const { error, status } = await this.client.from('logs').insert(rows);
+      if (!error) {
+        return null;
+      }
+      return { message: error.message, retryable: !status || status === 429 || status >= 500 };
+    } catch (error) {
+      return { message: error.message, retryable: true };
+    }
+  }
+
+  /**
+   * Summary row for entries dropped while the buffer was full
+   * @param {Object} dropped - Count per level
+   * @returns {Object} - logs row
+   */
+  droppedRow(dropped) {
+    const total = Object.values(dropped).reduce((sum, count) => sum + count, 0);
+    return {
+      level: 'warn',
+      message: `Dropped ${total} log entries while the Supabase log buffer was full`,
+      metadata: { host: this.host, service: 'imessage-relay-daemon', dropped },
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Wait longer before the next attempt
+   * @param {Object} error - From insert
+   */
+  backOff(error) {
+    this.retryDelayMs = Math.min(Math.max(this.retryDelayMs * 2, this.flushIntervalMs), MAX_RETRY_DELAY_MS);
+    this.retryAt = Date.now() + this.retryDelayMs;
+    if (!this.failing) {
+      this.failing = true;
+      this.report(`Supabase logging paused, buffering up to ${this.bufferSize} entries: ${error.message}`);
+    }
+  }
+
+  recovered() {
+    this.retryDelayMs = 0;
+    this.retryAt = 0;
+    if (this.failing) {
+      this.failing = false;
+      this.report('Supabase logging resumed');
+    }
+  }
+
+  /**
+   * Report a problem with the transport itself
+   * Written to stderr: logging it would feed it back into this transport
+   * @param {string} message - Problem description
+   */
+  report(message) {
+    this.stderr.write(`[supabase-transport] ${message}\n`);
+  }
+
+  /**
+   * Stop the timer and send what is buffered; called by logger.close()
+   * @param {Function} callback - Called once the final flush settles
+   */
+  close(callback) {
+    this.stop();
+    this.retryAt = 0;
+    this.flush().then(() => {
+      if (callback) {
+        callback();
+      }
+    });
+  }
+}
+
+module.exports = {
+  SupabaseTransport,
+  buildLogRow,
+  SUPABASE_LOG_LEVEL
+};
@@ -0,0 +1,101 @@
+/**
+ * Builds throwaway AddressBook directories with the subset of the
+ * Contacts.app (.abcddb) schema the daemon reads
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE ZABCDRECORD (
+    Z_PK INTEGER PRIMARY KEY,
+    Z_ENT INTEGER,
+    ZUNIQUEID TEXT,
+    ZFIRSTNAME TEXT,
+    ZLASTNAME TEXT,
+    ZNICKNAME TEXT,
+    ZORGANIZATION TEXT,
+    ZNAME TEXT
+  );
+  CREATE TABLE ZABCDPHONENUMBER (
+    Z_PK INTEGER PRIMARY KEY,
+    ZOWNER INTEGER,
+    ZLABEL TEXT,
+    ZFULLNUMBER TEXT
+  );
+  CREATE TABLE ZABCDEMAILADDRESS (
+    Z_PK INTEGER PRIMARY KEY,
+    ZOWNER INTEGER,
+    ZLABEL TEXT,
+    ZADDRESS TEXT,
+    ZADDRESSNORMALIZED TEXT
+  );
+`;
+
+/**
+ * Create an AddressBook directory fixture in a fresh temp directory
+ * @returns {Object} - { dir, addStore, cleanup }
+ */
+function createAddressBookFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'addressbook-fixture-'));
+  const databases = [];
+
+  /**
+   * Add a store: the local one, or one under Sources/<source>
+   * @param {string} source - Account source directory name (optional)
+   * @returns {Object} - { dbPath, db, addContact, updateContact, deleteContact }
+   */
+  const addStore = (source = null) => {
+    const storeDir = source ? path.join(dir, 'Sources', source) : dir;
+    fs.mkdirSync(storeDir, { recursive: true });
+    const dbPath = path.join(storeDir, 'AddressBook-v22.abcddb');
+    const db = new Database(dbPath);
+    db.exec(SCHEMA);
+    databases.push(db);
+
+    const addContact = ({ phones = [], emails = [], ...record }) => {
+      const uniqueId = `${crypto.randomUUID()}:ABPerson`;
+      const result = db.prepare(`
+        INSERT INTO ZABCDRECORD (Z_ENT, ZUNIQUEID, ZFIRSTNAME, ZLASTNAME, ZNICKNAME, ZORGANIZATION)
+        VALUES (19, @uniqueId, @first_name, @last_name, @nickname, @organization)
+      `).run({ uniqueId, first_name: null, last_name: null, nickname: null, organization: null, ...record });
+      const owner = Number(result.lastInsertRowid);
+
+      phones.forEach(number => db
+        .prepare('INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZLABEL, ZFULLNUMBER) VALUES (?, ?, ?)')
+        .run(owner, '_$!<Mobile>!$_', number));
+      emails.forEach(address => db
+        .prepare('INSERT INTO ZABCDEMAILADDRESS (ZOWNER, ZLABEL, ZADDRESS, ZADDRESSNORMALIZED) VALUES (?, ?, ?, ?)')
+        .run(owner, '_$!<Home>!$_', address, address.toLowerCase()));
+      return uniqueId;
+    };
+
+    const updateContact = (uniqueId, changes) => {
+      const columns = Object.keys(changes);
+      db.prepare(`UPDATE ZABCDRECORD SET ${columns.map(c => `Z${c.replace('_', '').toUpperCase()} = @${c}`).join(', ')} WHERE ZUNIQUEID = @uniqueId`)
+        .run({ ...changes, uniqueId });
+    };
+
+    const deleteContact = uniqueId => {
+      const { Z_PK: owner } = db.prepare('SELECT Z_PK FROM ZABCDRECORD WHERE ZUNIQUEID = ?').get(uniqueId);
+      db.prepare('DELETE FROM ZABCDPHONENUMBER WHERE ZOWNER = ?').run(owner);
+      db.prepare('DELETE FROM ZABCDEMAILADDRESS WHERE ZOWNER = ?').run(owner);
+      db.prepare('DELETE FROM ZABCDRECORD WHERE Z_PK = ?').run(owner);
+    };
+
+    return { dbPath, db, addContact, updateContact, deleteContact };
+  };
+
+  const cleanup = () => {
+    databases.filter(db => db.open).forEach(db => db.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { dir, addStore, cleanup };
+}
+
+module.exports = {
+  createAddressBookFixture
+};
@@ -0,0 +1,109 @@
+/**
+ * Minimal binary plist (bplist00) encoder used to build message_summary_info fixtures
+ * Supports the value types chat.db writes: dictionaries, arrays, strings,
+ * integers, reals, booleans, Dates and Buffers
+ */
+const CF_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+function lengthMarker(type, length) {
+  if (length < 15) {
+    return Buffer.from([(type << 4) | length]);
+  }
+  return Buffer.concat([Buffer.from([(type << 4) | 0x0f]), encodeInteger(length)]);
+}
+
+function encodeInteger(value) {
+  if (value >= 0 && value < 0x100) {
+    return Buffer.from([0x10, value]);
+  }
+  if (value >= 0 && value < 0x10000) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = 0x11;
+    buffer.writeUInt16BE(value, 1);
+    return buffer;
+  }
+  const buffer = Buffer.alloc(9);
+  buffer[0] = 0x13;
+  buffer.writeBigInt64BE(BigInt(value), 1);
+  return buffer;
+}
+
+/**
+ * Encode a value as a binary plist (one-byte object references)
+ * @param {*} value - Top-level value
+ * @returns {Buffer} - bplist00 data
+ */
+function buildBinaryPlist(value) {
+  const objects = [];
+
+  const add = item => {
+    const index = objects.length;
+    objects.push(null);
+
+    let encoded;
+    if (item === null || item === undefined) {
+      encoded = Buffer.from([0x00]);
+    } else if (typeof item === 'boolean') {
+      encoded = Buffer.from([item ? 0x09 : 0x08]);
+    } else if (typeof item === 'bigint' || (typeof item === 'number' && Number.isInteger(item))) {
+      encoded = encodeInteger(item);
+    } else if (typeof item === 'number') {
+      encoded = Buffer.alloc(9);
+      encoded[0] = 0x23;
+      encoded.writeDoubleBE(item, 1);
+    } else if (item instanceof Date) {
+      encoded = Buffer.alloc(9);
+      encoded[0] = 0x33;
+      encoded.writeDoubleBE((item.getTime() - CF_EPOCH_MS) / 1000, 1);
+    } else if (Buffer.isBuffer(item)) {
+      encoded = Buffer.concat([lengthMarker(0x4, item.length), item]);
+    } else if (typeof item === 'string') {
+      if (/^[\u0000-\u007f]*$/.test(item)) {
+        encoded = Buffer.concat([lengthMarker(0x5, item.length), Buffer.from(item, 'latin1')]);
+      } else {
+        const utf16 = Buffer.from(item, 'utf16le').swap16();
+        encoded = Buffer.concat([lengthMarker(0x6, utf16.length / 2), utf16]);
+      }
+    } else if (Array.isArray(item)) {
+      const refs = item.map(add);
+      encoded = Buffer.concat([lengthMarker(0xa, refs.length), Buffer.from(refs)]);
+    } else {
+      const keys = Object.keys(item);
+      const keyRefs = keys.map(add);
+      const valueRefs = keys.map(key => add(item[key]));
+      encoded = Buffer.concat([lengthMarker(0xd, keys.length), Buffer.from(keyRefs), Buffer.from(valueRefs)]);
+    }
+
+    objects[index] = encoded;
+    return index;
+  };
+
+  add(value);
+  if (objects.length > 255) {
+    throw new Error('buildBinaryPlist only supports up to 255 objects');
+  }
+
+  const header = Buffer.from('bplist00', 'latin1');
+  const offsets = [];
+  let position = header.length;
+  for (const object of objects) {
+    offsets.push(position);
+    position += object.length;
+  }
+
+  const offsetTable = Buffer.alloc(offsets.length * 2);
+  offsets.forEach((offset, i) => offsetTable.writeUInt16BE(offset, i * 2));
+
+  const trailer = Buffer.alloc(32);
+  trailer[6] = 2;
+  trailer[7] = 1;
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(0n, 16);
+  trailer.writeBigUInt64BE(BigInt(position), 24);
+
+  return Buffer.concat([header, ...objects, offsetTable, trailer]);
+}
+
+module.exports = {
+  buildBinaryPlist
+};
@@ -0,0 +1,144 @@
+/**
+ * Builds throwaway chat.db fixtures with the subset of the Messages schema
+ * the daemon reads
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE handle (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    country TEXT,
+    service TEXT NOT NULL,
+    uncanonicalized_id TEXT
+  );
+  CREATE TABLE chat (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT,
+    guid TEXT UNIQUE NOT NULL,
+    style INTEGER,
+    chat_identifier TEXT,
+    service_name TEXT,
+    display_name TEXT,
+    account_login TEXT
+  );
+  CREATE TABLE message (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT,
+    guid TEXT UNIQUE NOT NULL,
+    text TEXT,
+    attributedBody BLOB,
+    handle_id INTEGER DEFAULT 0,
+    date INTEGER,
+    date_read INTEGER DEFAULT 0,
+    date_delivered INTEGER DEFAULT 0,
+    is_from_me INTEGER DEFAULT 0,
+    is_delivered INTEGER DEFAULT 0,
+    error INTEGER DEFAULT 0,
+    service TEXT,
+    cache_has_attachments INTEGER DEFAULT 0,
+    associated_message_guid TEXT,
+    associated_message_type INTEGER DEFAULT 0,
+    associated_message_emoji TEXT,
+    date_edited INTEGER DEFAULT 0,
+    date_retracted INTEGER DEFAULT 0,
+    message_summary_info BLOB,
+    thread_originator_guid TEXT,
+    thread_originator_part TEXT,
+    item_type INTEGER DEFAULT 0,
+    group_action_type INTEGER DEFAULT 0,
+    group_title TEXT,
+    other_handle INTEGER DEFAULT 0
+  );
+  CREATE TABLE chat_message_join (
+    chat_id INTEGER REFERENCES chat (ROWID),
+    message_id INTEGER REFERENCES message (ROWID),
+    PRIMARY KEY (chat_id, message_id)
+  );
+  CREATE TABLE chat_handle_join (
+    chat_id INTEGER REFERENCES chat (ROWID),
+    handle_id INTEGER REFERENCES handle (ROWID),
+    UNIQUE (chat_id, handle_id)
+  );
+  CREATE TABLE attachment (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT,
+    guid TEXT UNIQUE NOT NULL,
+    filename TEXT,
+    mime_type TEXT,
+    transfer_name TEXT,
+    total_bytes INTEGER DEFAULT 0,
+    transfer_state INTEGER DEFAULT 5
+  );
+  CREATE TABLE message_attachment_join (
+    message_id INTEGER REFERENCES message (ROWID),
+    attachment_id INTEGER REFERENCES attachment (ROWID),
+    UNIQUE (message_id, attachment_id)
+  );
+`;
+
+/**
+ * Create an empty chat.db fixture in a fresh temp directory
+ * @param {Object} options - Fixture options
+ * @param {boolean} options.wal - Put the database in WAL mode like Messages.app does
+ * @returns {Object} - { dbPath, db, dir, insert helpers, cleanup }
+ */
+function createChatDbFixture({ wal = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatdb-fixture-'));
+  const dbPath = path.join(dir, 'chat.db');
+  const db = new Database(dbPath);
+
+  if (wal) {
+    db.pragma('journal_mode = WAL');
+  }
+  db.exec(SCHEMA);
+
+  const insert = (table, row) => {
+    const columns = Object.keys(row);
+    const result = db
+      .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+      .run(row);
+    return Number(result.lastInsertRowid);
+  };
+
+  const addHandle = (id, service = 'iMessage', extra = {}) =>
+    insert('handle', { id, service, country: 'us', uncanonicalized_id: id, ...extra });
+
+  const addChat = (guid, { handles = [], style = 45, ...extra } = {}) => {
+    const chatId = insert('chat', {
+      guid,
+      style,
+      chat_identifier: guid.split(';').pop(),
+      service_name: 'iMessage',
+      ...extra
+    });
+    handles.forEach(handleId => insert('chat_handle_join', { chat_id: chatId, handle_id: handleId }));
+    return chatId;
+  };
+
+  const addMessage = (chatId, message) => {
+    const messageId = insert('message', message);
+    insert('chat_message_join', { chat_id: chatId, message_id: messageId });
+    return messageId;
+  };
+
+  const addAttachment = (messageId, attachment) => {
+    const attachmentId = insert('attachment', attachment);
+    insert('message_attachment_join', { message_id: messageId, attachment_id: attachmentId });
+    return attachmentId;
+  };
+
+  const cleanup = () => {
+    if (db.open) {
+      db.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { dir, dbPath, db, insert, addHandle, addChat, addMessage, addAttachment, cleanup };
+}
+
+module.exports = {
+  createChatDbFixture,
+  SCHEMA
+};
@@ -0,0 +1,44 @@
+/**
+ * In-memory stand-in for Supabase Storage used by tests
+ * Supports the bucket upload API the daemon uses
+ */
+class FakeStorage {
+  constructor() {
+    // "bucket/key" -> { data, contentType }
+    this.objects = new Map();
+    this.online = true;
+    this.uploads = [];
+  }
+
+  from(bucket) {
+    return {
+      upload: async (key, data, { contentType, upsert = false } = {}) => {
+        const objectPath = `${bucket}/${key}`;
+        this.uploads.push(objectPath);
+
+        if (!this.online) {
+          return { data: null, error: { message: 'TypeError: fetch failed', statusCode: '0' } };
+        }
+        if (this.objects.has(objectPath) && !upsert) {
+          return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+
+        this.objects.set(objectPath, { data: Buffer.from(data), contentType });
+        return { data: { path: key }, error: null };
+      }
+    };
+  }
+
+  // Simulate connectivity loss and recovery
+  stop() {
+    this.online = false;
+  }
+
+  start() {
+    this.online = true;
+  }
+}
+
+module.exports = {
+  FakeStorage
+};
@@ -0,0 +1,317 @@
+/**
+ * In-memory stand-in for the Supabase client used by tests
+ * Supports the subset of the PostgREST query builder the daemon uses
+ */
+const crypto = require('crypto');
+
+const NETWORK_ERROR = { message: 'TypeError: fetch failed', details: '', hint: '', code: '' };
+
+// Like Postgres, NULLs never conflict on a unique key
+const isNull = value => value === null || value === undefined;
+
+class FakeQuery {
+  constructor(supabase, table) {
+    this.supabase = supabase;
+    this.table = table;
+    this.operation = 'select';
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.ordering = [];
+    this.rowLimit = null;
+    this.returning = false;
+    this.cardinality = 'many';
+    this.columns = null;
+  }
+
+  select(columns) {
+    if (this.operation === 'select') {
+      this.columns = columns || null;
+      return this;
+    }
+    this.returning = true;
+    return this;
+  }
+
+  insert(rows, options = {}) {
+    this.operation = 'insert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => row[column] === value); }
+  neq(column, value) { return this.filter(row => row[column] !== value); }
+  gt(column, value) { return this.filter(row => row[column] !== null && row[column] !== undefined && row[column] > value); }
+  gte(column, value) { return this.filter(row => row[column] !== null && row[column] !== undefined && row[column] >= value); }
+  lt(column, value) { return this.filter(row => row[column] !== null && row[column] !== undefined && row[column] < value); }
+  lte(column, value) { return this.filter(row => row[column] !== null && row[column] !== undefined && row[column] <= value); }
+  is(column, value) { return this.filter(row => (row[column] === undefined ? null : row[column]) === value); }
+  in(column, values) { return this.filter(row => values.includes(row[column])); }
+
+  or(expression) {
+    // Supports "col.op.value,col.op.value" with eq, is, lt, lte, gt, gte
+    const clauses = expression.split(',').map(clause => {
+      const [column, op, ...rest] = clause.split('.');
+      const raw = rest.join('.');
+      const value = raw === 'null' ? null : raw;
+      return row => {
+        const current = row[column] === undefined ? null : row[column];
+        switch (op) {
+          case 'eq': return String(current) === value;
+          case 'is': return current === value;
+          case 'lt': return current !== null && current < value;
+          case 'lte': return current !== null && current <= value;
+          case 'gt': return current !== null && current > value;
+          case 'gte': return current !== null && current >= value;
+          default: throw new Error(`Unsupported or() operator ${op}`);
+        }
+      };
+    });
+    return this.filter(row => clauses.some(clause => clause(row)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  execute() {
+    const supabase = this.supabase;
+    supabase.calls.push({ table: this.table, operation: this.operation, payload: this.payload });
+
+    if (!supabase.online) {
+      return { data: null, error: NETWORK_ERROR, status: 0 };
+    }
+
+    const failure = supabase.failures.find(f => f.table === this.table && f.operation === this.operation);
+    if (failure) {
+      return { data: null, error: failure.error, status: 500 };
+    }
+
+    const schemaError = supabase.checkSchema(this.table, this.columns);
+    if (schemaError) {
+      return { data: null, ...schemaError };
+    }
+
+    const rows = supabase.table(this.table);
+    let result;
+
+    switch (this.operation) {
+      case 'insert': {
+        const inserted = [];
+        for (const row of [].concat(this.payload)) {
+          const conflict = supabase.findConflict(this.table, row);
+          if (conflict) {
+            return {
+              data: null,
+              error: { message: 'duplicate key value violates unique constraint', code: '23505' },
+              status: 409
+            };
+          }
+          inserted.push(supabase.insertRow(this.table, row));
+        }
+        result = inserted;
+        break;
+      }
+      case 'upsert': {
+        const onConflict = (this.options.onConflict || 'id').split(',');
+        result = [];
+        for (const row of [].concat(this.payload)) {
+          const existing = rows.find(r => onConflict.every(column => !isNull(row[column]) && r[column] === row[column]));
+          if (existing) {
+            if (!this.options.ignoreDuplicates) {
+              Object.assign(existing, row);
+              result.push(existing);
+            }
+          } else {
+            result.push(supabase.insertRow(this.table, row));
+          }
+        }
+        break;
+      }
+      case 'update': {
+        result = rows.filter(row => this.matches(row));
+        result.forEach(row => Object.assign(row, this.payload));
+        break;
+      }
+      case 'delete': {
+        result = rows.filter(row => this.matches(row));
+        supabase.tables[this.table] = rows.filter(row => !this.matches(row));
+        break;
+      }
+      default:
+        result = rows.filter(row => this.matches(row));
+    }
+
+    result = this.sortAndLimit(result).map(row => ({ ...row }));
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null, status: 200 };
+    }
+
+    if (this.cardinality !== 'many') {
+      if (result.length > 1) {
+        return { data: null, error: { message: 'multiple rows returned', code: 'PGRST116' }, status: 406 };
+      }
+      if (result.length === 0 && this.cardinality === 'single') {
+        return { data: null, error: { message: 'no rows returned', code: 'PGRST116' }, status: 406 };
+      }
+      return { data: result[0] || null, error: null, status: 200 };
+    }
+
+    return { data: result, error: null, status: 200 };
+  }
+
+  sortAndLimit(rows) {
+    let sorted = rows;
+    if (this.ordering.length > 0) {
+      sorted = [...rows].sort((a, b) => {
+        for (const { column, ascending } of this.ordering) {
+          if (a[column] === b[column]) continue;
+          const direction = ascending ? 1 : -1;
+          return a[column] > b[column] ? direction : -direction;
+        }
+        return 0;
+      });
+    }
+    return this.rowLimit === null ? sorted : sorted.slice(0, this.rowLimit);
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+}
+
+class FakeSupabase {
+  /**
+   * @param {Object} options
+   * @param {Object} options.uniques - Unique columns per table, e.g. { messages_in: ['message_guid'] }
+   * @param {Object} options.schema - Columns per table; when set, selects of
+   *   other tables or columns fail like PostgREST does
+   * @param {Object} options.triggers - (row, supabase) => row per table, run
+   *   on every inserted row like a BEFORE INSERT trigger
+   */
+  constructor({ uniques = {}, schema = null, triggers = {} } = {}) {
+    this.tables = {};
+    this.uniques = uniques;
+    this.schema = schema;
+    this.triggers = triggers;
+    this.online = true;
+    this.failures = [];
+    this.calls = [];
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  insertRow(table, row) {
+    const now = new Date().toISOString();
+    let stored = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...row };
+    if (this.triggers[table]) {
+      stored = this.triggers[table](stored, this);
+    }
+    this.table(table).push(stored);
+    return stored;
+  }
+
+  findConflict(table, row) {
+    const columns = this.uniques[table] || [];
+    return this.table(table).find(existing =>
+      columns.some(column => !isNull(row[column]) && existing[column] === row[column])
+    );
+  }
+
+  checkSchema(table, columns) {
+    if (!this.schema) {
+      return null;
+    }
+    if (!this.schema[table]) {
+      return {
+        error: { message: `Could not find the table 'public.${table}' in the schema cache`, code: 'PGRST205' },
+        status: 404
+      };
+    }
+    const unknown = (columns || '*').split(',').map(column => column.trim())
+      .find(column => column !== '*' && !this.schema[table].includes(column));
+    if (unknown) {
+      return { error: { message: `column ${table}.${unknown} does not exist`, code: '42703' }, status: 400 };
+    }
+    return null;
+  }
+
+  /**
+   * Make every request to a table/operation fail with the given error
+   */
+  failOn(table, operation, error = { message: 'simulated failure', code: 'XX000' }) {
+    this.failures.push({ table, operation, error });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  // Simulate connectivity loss and recovery
+  stop() {
+    this.online = false;
+  }
+
+  start() {
+    this.online = true;
+  }
+}
+
+module.exports = {
+  FakeSupabase,
+  NETWORK_ERROR
+};
@@ -0,0 +1,204 @@
+/**
+ * Minimal typedstream (NSArchiver) encoder used to build attributedBody fixtures
+ * Follows the same sharing rules as Foundation: type strings and class names go in
+ * the shared string table, classes/objects/C strings in the shared object table
+ */
+const TAG_INTEGER_2 = 0x81;
+const TAG_INTEGER_4 = 0x82;
+const TAG_NEW = 0x84;
+const TAG_NIL = 0x85;
+const TAG_END_OF_OBJECT = 0x86;
+const FIRST_REFERENCE_NUMBER = -110;
+
+class TypedStreamWriter {
+  constructor() {
+    this.chunks = [];
+    this.strings = new Map();
+    this.objects = new Map();
+    this.objectCount = 0;
+  }
+
+  bytes(...values) {
+    this.chunks.push(Buffer.from(values));
+  }
+
+  integer(value) {
+    if (value >= -110 && value <= 127) {
+      this.bytes(value & 0xff);
+    } else if (value >= -32768 && value <= 32767) {
+      const buffer = Buffer.alloc(3);
+      buffer[0] = TAG_INTEGER_2;
+      buffer.writeInt16LE(value, 1);
+      this.chunks.push(buffer);
+    } else {
+      const buffer = Buffer.alloc(5);
+      buffer[0] = TAG_INTEGER_4;
+      buffer.writeInt32LE(value, 1);
+      this.chunks.push(buffer);
+    }
+  }
+
+  reference(index) {
+    this.integer(index + FIRST_REFERENCE_NUMBER);
+  }
+
+  unsharedString(buffer) {
+    this.integer(buffer.length);
+    this.chunks.push(buffer);
+  }
+
+  sharedString(value) {
+    if (this.strings.has(value)) {
+      this.reference(this.strings.get(value));
+      return;
+    }
+    this.strings.set(value, this.strings.size);
+    this.bytes(TAG_NEW);
+    this.unsharedString(Buffer.from(value, 'latin1'));
+  }
+
+  header() {
+    this.bytes(4, 11);
+    this.chunks.push(Buffer.from('streamtyped', 'latin1'));
+    this.integer(1000);
+  }
+
+  // classChain: [['NSMutableString', 1], ['NSString', 1], ['NSObject', 0]]
+  archivedClass(classChain) {
+    if (classChain.length === 0) {
+      this.bytes(TAG_NIL);
+      return;
+    }
+    const [[name, version], ...superclasses] = classChain;
+    const key = `class:${name}`;
+    if (this.objects.has(key)) {
+      this.reference(this.objects.get(key));
+      return;
+    }
+    this.bytes(TAG_NEW);
+    this.sharedString(name);
+    this.integer(version);
+    this.objects.set(key, this.objectCount++);
+    this.archivedClass(superclasses);
+  }
+
+  // Writes a new object; `writeContents` emits its typed value groups
+  object(classChain, writeContents) {
+    this.bytes(TAG_NEW);
+    this.objectCount++;
+    this.archivedClass(classChain);
+    writeContents();
+    this.bytes(TAG_END_OF_OBJECT);
+  }
+
+  cString(value) {
+    const key = `cstring:${value}`;
+    if (this.objects.has(key)) {
+      this.reference(this.objects.get(key));
+      return;
+    }
+    this.bytes(TAG_NEW);
+    this.objects.set(key, this.objectCount++);
+    this.sharedString(value);
+  }
+
+  // Objective-C values
+  nsString(value) {
+    this.object([['NSString', 1], ['NSObject', 0]], () => {
+      this.sharedString('+');
+      this.unsharedString(Buffer.from(value, 'utf8'));
+    });
+  }
+
+  nsNumber(value) {
+    this.object([['NSNumber', 0], ['NSValue', 0], ['NSObject', 0]], () => {
+      this.sharedString('*');
+      this.cString('q');
+      this.sharedString('q');
+      this.integer(value);
+    });
+  }
+
+  nsUrl(value) {
+    this.object([['NSURL', 0], ['NSObject', 0]], () => {
+      this.sharedString('c');
+      this.integer(0);
+      this.sharedString('@');
+      this.nsString(value);
+    });
+  }
+
+  nsValue(value) {
+    if (typeof value === 'number') {
+      this.nsNumber(value);
+    } else if (value && value.url) {
+      this.nsUrl(value.url);
+    } else {
+      this.nsString(String(value));
+    }
+  }
+
+  nsDictionary(entries) {
+    this.object([['NSDictionary', 0], ['NSObject', 0]], () => {
+      const keys = Object.keys(entries);
+      this.sharedString('i');
+      this.integer(keys.length);
+      keys.forEach(key => {
+        this.sharedString('@');
+        this.nsString(key);
+        this.sharedString('@');
+        this.nsValue(entries[key]);
+      });
+    });
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Build an attributedBody blob
+ * @param {string} text - Plain string
+ * @param {Array} runs - [{ length, attributes }] covering the string (UTF-16 lengths);
+ *   attribute values are numbers, strings or { url }
+ * @returns {Buffer} - typedstream bytes
+ */
+function buildAttributedBody(text, runs = [{ length: text.length, attributes: { __kIMMessagePartAttributeName: 0 } }]) {
+  const writer = new TypedStreamWriter();
+  writer.header();
+  writer.sharedString('@');
+
+  writer.object([['NSMutableAttributedString', 0], ['NSAttributedString', 0], ['NSObject', 0]], () => {
+    writer.sharedString('@');
+    writer.object([['NSMutableString', 1], ['NSString', 1], ['NSObject', 0]], () => {
+      writer.sharedString('+');
+      writer.unsharedString(Buffer.from(text, 'utf8'));
+    });
+
+    const seen = new Map();
+    runs.forEach(run => {
+      const key = JSON.stringify(run.attributes);
+      const isNew = !seen.has(key);
+      if (isNew) {
+        seen.set(key, seen.size + 1);
+      }
+
+      writer.sharedString('iI');
+      writer.integer(seen.get(key));
+      writer.integer(run.length);
+
+      if (isNew) {
+        writer.sharedString('@');
+        writer.nsDictionary(run.attributes);
+      }
+    });
+  });
+
+  return writer.toBuffer();
+}
+
+module.exports = {
+  TypedStreamWriter,
+  buildAttributedBody
+};
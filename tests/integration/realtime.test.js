@@ -73,6 +73,7 @@ describe('Supabase Realtime Manager Integration', () => {
     // Create a new instance for testing with injected dependencies
     realtimeManagerInstanceForTest = new RealtimeManager({
       supabaseClientInstance: supabaseStub,
+      devices: { deviceId: 'device-1' },
       loggerInstance: loggerStub
     });
 
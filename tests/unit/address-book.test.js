@@ -0,0 +1,92 @@
+/**
+ * Unit tests for reading contacts from AddressBook fixtures
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { createAddressBookFixture } = require('../fixtures/address-book');
+
+describe('AddressBook', () => {
+  let fixture;
+  let local;
+  let addressBook;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+
+    fixture = createAddressBookFixture();
+    local = fixture.addStore();
+    addressBook = new AddressBook({ dir: fixture.dir, loggerInstance: logger });
+  });
+
+  afterEach(() => {
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should match phone numbers in any format and emails in any case', () => {
+    local.addContact({
+      first_name: 'Alice',
+      last_name: 'Smith',
+      organization: 'Acme',
+      phones: ['(555) 123-4567'],
+      emails: ['Alice@Example.com']
+    });
+
+    expect(addressBook.lookup('+15551234567')).to.include({ display_name: 'Alice Smith', organization: 'Acme' });
+    expect(addressBook.lookup('alice@example.com').display_name).to.equal('Alice Smith');
+    expect(addressBook.lookup('+15557654321')).to.be.null;
+  });
+
+  it('should read every account store, preferring the local one', () => {
+    local.addContact({ first_name: 'Alice', phones: ['+1 555 123 4567'] });
+    const icloud = fixture.addStore('8A1C2F7E-ICLOUD');
+    icloud.addContact({ first_name: 'Alice (iCloud)', phones: ['5551234567'] });
+    icloud.addContact({ organization: 'Pizza Place', phones: ['+1 555 000 1111'] });
+
+    expect(addressBook.lookup('+15551234567').display_name).to.equal('Alice');
+    expect(addressBook.lookup('+15550001111')).to.include({ display_name: 'Pizza Place', first_name: null });
+  });
+
+  it('should skip groups and cards without a name', () => {
+    local.db.prepare('INSERT INTO ZABCDRECORD (Z_ENT, ZNAME) VALUES (?, ?)').run(20, 'Family');
+    local.addContact({ phones: ['+15551234567'] });
+
+    expect(addressBook.lookup('+15551234567')).to.be.null;
+  });
+
+  it('should reload and emit change only when a store was modified', () => {
+    const aliceId = local.addContact({ first_name: 'Alice', phones: ['+15551234567'] });
+    const onChange = sinon.spy();
+    addressBook.on('change', onChange);
+
+    expect(addressBook.refresh()).to.be.false;
+    expect(addressBook.refresh()).to.be.false;
+
+    local.updateContact(aliceId, { last_name: 'Jones' });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(local.dbPath, later, later);
+
+    expect(addressBook.refresh()).to.be.true;
+    expect(onChange.calledOnce).to.be.true;
+    expect(addressBook.lookup('+15551234567').display_name).to.equal('Alice Jones');
+  });
+
+  it('should treat a missing AddressBook as empty', () => {
+    const missing = new AddressBook({ dir: path.join(fixture.dir, 'nope'), loggerInstance: logger });
+    expect(missing.lookup('+15551234567')).to.be.null;
+    expect(missing.refresh()).to.be.false;
+  });
+
+  it('should read national numbers in the configured region', () => {
+    local.addContact({ first_name: 'Priya', phones: ['07700 900123'] });
+    const british = new AddressBook({ dir: fixture.dir, region: 'GB', loggerInstance: logger });
+
+    expect(british.lookup('+447700900123').display_name).to.equal('Priya');
+    expect(addressBook.lookup('+447700900123')).to.be.null;
+  });
+});
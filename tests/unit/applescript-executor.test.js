@@ -0,0 +1,113 @@
+/**
+ * Unit tests for AppleScript argument passing and the send-script library
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+
+const SCRIPTS_DIR = path.join(__dirname, '../../src/applescript/scripts');
+
+// Text that would break or inject into a script built by string splicing
+const HOSTILE_TEXT = 'She said "hi" \\o/\nsee C:\\path\\to\r\n"; do shell script "rm -rf ~" --\t🎉👍🏽 $(id) `id`';
+
+describe('AppleScript executor', () => {
+  let executor;
+  let calls;
+  let osascript;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    // Stand-in for osascript that echoes the argv a script would see
+    calls = [];
+    osascript = args => Promise.resolve({ stdout: JSON.stringify(args), stderr: '' });
+    const execFile = () => {
+      throw new Error('expected the promisified execFile');
+    };
+    execFile[util.promisify.custom] = (file, args, options = {}) => {
+      calls.push({ file, args, options });
+      return osascript(args);
+    };
+
+    executor = proxyquire('../../src/applescript/executor', {
+      child_process: { execFile, '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const run = async (scriptName, params) => JSON.parse(await executor.executeAppleScript(scriptName, params));
+
+  it('should pass quotes, backslashes, newlines and emoji to the script unchanged', async () => {
+    const [scriptPath, recipient, text, service] = await run('send_text', {
+      recipient: '+15551234567',
+      text: HOSTILE_TEXT
+    });
+
+    expect(scriptPath).to.equal(path.join(SCRIPTS_DIR, 'send_text.applescript'));
+    expect(recipient).to.equal('+15551234567');
+    expect(text).to.equal(HOSTILE_TEXT);
+    expect(service).to.equal('');
+    expect(calls[0].file).to.equal('osascript');
+    expect(calls[0].options.shell).to.not.be.ok;
+  });
+
+  it('should pass arguments in the order each script reads them', async () => {
+    const [, ...media] = await run('send_media', {
+      text: 'caption "quoted"',
+      filePath: '/tmp/it\'s a "photo".jpg',
+      recipient: 'friend@example.com'
+    });
+    expect(media).to.deep.equal(['friend@example.com', '/tmp/it\'s a "photo".jpg', 'caption "quoted"', '']);
+
+    const [, ...chat] = await run('send_to_chat', { chatId: 'iMessage;+;chat123456', text: '✈️\n' });
+    expect(chat).to.deep.equal(['iMessage;+;chat123456', '✈️\n', '']);
+
+    const [, ...lookup] = await run('lookup_buddy', { handle: 'a"b\\c' });
+    expect(lookup).to.deep.equal(['a"b\\c']);
+  });
+
+  it('should refuse arguments it cannot pass intact', () => {
+    expect(() => executor.buildScriptArguments('send_text', { recipient: 'x', text: 'a\0b' }))
+      .to.throw('NUL byte');
+    expect(() => executor.buildScriptArguments('script1', { recipient: 'x' }))
+      .to.throw('No argument order defined');
+    expect(executor.buildScriptArguments('script1', ['a "b"', 2])).to.deep.equal(['a "b"', '2']);
+  });
+
+  it('should not log message text when a script fails', async () => {
+    osascript = () => Promise.reject(new Error('execution error'));
+
+    try {
+      await executor.executeAppleScript('send_text', { recipient: '+15551234567', text: 'secret plans' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.equal('execution error');
+    }
+    expect(JSON.stringify(logger.error.firstCall.args)).to.not.include('secret plans');
+  });
+
+  it('should pass inline scripts as an argument instead of through a file or shell', async () => {
+    const script = 'tell application "Messages" to get name';
+    expect(JSON.parse(await executor.executeInlineAppleScript(script))).to.deep.equal(['-e', script]);
+  });
+
+  it('should have a script for every library entry that reads every argument', () => {
+    Object.entries(executor.SCRIPT_ARGUMENTS).forEach(([scriptName, args]) => {
+      const source = fs.readFileSync(path.join(SCRIPTS_DIR, `${scriptName}.applescript`), 'utf8');
+      expect(source).to.include('on run argv');
+      args.forEach((arg, i) => {
+        expect(source, `${scriptName} argument ${arg}`).to.include(`item ${i + 1} of argv`);
+      });
+      expect(source).to.not.include(`item ${args.length + 1} of argv`);
+    });
+  });
+});
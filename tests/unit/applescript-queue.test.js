@@ -90,6 +90,23 @@ describe('AppleScript Queue Module', () => {
         expect(loggerStub.error.callCount).to.equal(4);
       }
     });
+
+    it('should not retry send scripts', async () => {
+      executeAppleScriptStub.rejects(new Error('execution failed'));
+
+      for (const scriptName of ['send_text', 'send_media', 'send_to_chat']) {
+        executeAppleScriptStub.resetHistory();
+        let caught = null;
+        try {
+          await appleScriptQueue.enqueue(scriptName, { recipient: '+15551234567' });
+        } catch (err) {
+          caught = err;
+        }
+        expect(caught.message).to.equal('execution failed');
+        expect(executeAppleScriptStub.calledOnce, scriptName).to.be.true;
+      }
+      expect(loggerStub.info.calledWith(sinon.match(/Retrying AppleScript/))).to.be.false;
+    });
   });
 
   describe('enqueueInline', () => {
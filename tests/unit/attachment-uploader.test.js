@@ -0,0 +1,96 @@
+/**
+ * Unit tests for inbound attachment uploads
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { AttachmentUploader, DeferReasons, expandHome, storageKey } = require('../../src/media/attachment-uploader');
+const { FakeStorage } = require('../fixtures/fake-storage');
+
+describe('AttachmentUploader', () => {
+  let dir;
+  let storage;
+  let uploader;
+  let originalHome;
+
+  const attachment = (overrides = {}) => ({
+    attachment_id: 1,
+    attachment_guid: 'att-1',
+    attachment_filename: '~/Library/Messages/Attachments/ab/12/IMG 0001.jpeg',
+    mime_type: 'image/jpeg',
+    transfer_name: 'IMG 0001.jpeg',
+    total_bytes: 5,
+    transfer_state: 5,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'error');
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = dir;
+
+    storage = new FakeStorage();
+    uploader = new AttachmentUploader({ storageClient: storage, bucket: 'inbound-attachments' });
+  });
+
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  const writeFile = contents => {
+    const filePath = path.join(dir, 'Library/Messages/Attachments/ab/12/IMG 0001.jpeg');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+  };
+
+  it('should expand ~ and upload under a deterministic key', async () => {
+    writeFile('hello');
+
+    const result = await uploader.uploadAttachment(attachment());
+
+    expect(expandHome('~/Library/x')).to.equal(path.join(dir, 'Library/x'));
+    expect(result).to.deep.equal({
+      status: 'uploaded',
+      storage_path: 'inbound-attachments/att-1/IMG_0001.jpeg',
+      sha256: crypto.createHash('sha256').update('hello').digest('hex'),
+      size_bytes: 5
+    });
+    expect(storage.objects.get('inbound-attachments/att-1/IMG_0001.jpeg').contentType).to.equal('image/jpeg');
+
+    // Retrying the same attachment overwrites the same object
+    await uploader.uploadAttachment(attachment());
+    expect(storage.objects.size).to.equal(1);
+    expect(storageKey(attachment())).to.equal('att-1/IMG_0001.jpeg');
+  });
+
+  it('should defer attachments that have not finished transferring', async () => {
+    writeFile('partial');
+
+    const result = await uploader.uploadAttachment(attachment({ transfer_state: 1 }));
+
+    expect(result).to.deep.equal({ status: 'deferred', reason: DeferReasons.TRANSFER_INCOMPLETE });
+    expect(storage.uploads).to.be.empty;
+  });
+
+  it('should defer files that are not on disk', async () => {
+    const result = await uploader.uploadAttachment(attachment());
+    expect(result).to.deep.equal({ status: 'deferred', reason: DeferReasons.FILE_MISSING });
+  });
+
+  it('should defer failed uploads', async () => {
+    writeFile('hello');
+    storage.stop();
+
+    const result = await uploader.uploadAttachment(attachment());
+
+    expect(result).to.include({ status: 'deferred', reason: DeferReasons.UPLOAD_FAILED });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for typedstream / attributedBody decoding
+ */
+const { describe, it } = require('mocha');
+const { decodeAttributedBody, resolveMessageText, ATTACHMENT_PLACEHOLDER } = require('../../src/chatdb/attributed-body');
+const { decodeTypedStream, splitTypeEncoding } = require('../../src/chatdb/typedstream');
+const { buildAttributedBody } = require('../fixtures/typedstream');
+
+const PART = '__kIMMessagePartAttributeName';
+
+describe('attributedBody decoding', () => {
+  describe('splitTypeEncoding', () => {
+    it('should split compound type encodings', () => {
+      expect(splitTypeEncoding('iI')).to.deep.equal(['i', 'I']);
+      expect(splitTypeEncoding('@[16c]{_NSRange=QQ}i')).to.deep.equal(['@', '[16c]', '{_NSRange=QQ}', 'i']);
+    });
+  });
+
+  describe('decodeTypedStream', () => {
+    it('should reject data without a typedstream signature', () => {
+      expect(() => decodeTypedStream(Buffer.from('bplist00'))).to.throw(/Invalid typedstream/);
+    });
+
+    it('should reject truncated data', () => {
+      const body = buildAttributedBody('Hello there');
+      expect(() => decodeTypedStream(body.subarray(0, body.length - 10))).to.throw(/unexpected end of data/);
+    });
+  });
+
+  describe('decodeAttributedBody', () => {
+    it('should extract plain text', () => {
+      const decoded = decodeAttributedBody(buildAttributedBody('Hello world'));
+
+      expect(decoded.text).to.equal('Hello world');
+      expect(decoded.runs).to.deep.equal([
+        { start: 0, length: 11, text: 'Hello world', type: 'text', part: 0 }
+      ]);
+    });
+
+    it('should handle multi-byte text and UTF-16 run lengths', () => {
+      const text = 'Café 👍🏽 ok';
+      const decoded = decodeAttributedBody(buildAttributedBody(text, [
+        { length: 5, attributes: { [PART]: 0 } },
+        { length: 4, attributes: { [PART]: 0, __kIMTextBoldAttributeName: 1 } },
+        { length: 3, attributes: { [PART]: 0 } }
+      ]));
+
+      expect(decoded.text).to.equal(text);
+      expect(decoded.runs.map(r => r.text)).to.deep.equal(['Café ', '👍🏽', ' ok']);
+      expect(decoded.runs[1].styles).to.deep.equal(['bold']);
+    });
+
+    it('should describe links, mentions and attachment placeholders', () => {
+      const text = `Hey @Sam see https://example.com ${ATTACHMENT_PLACEHOLDER}`;
+      const decoded = decodeAttributedBody(buildAttributedBody(text, [
+        { length: 4, attributes: { [PART]: 0 } },
+        { length: 4, attributes: { [PART]: 0, __kIMMentionConfirmedMention: '+15551230001' } },
+        { length: 5, attributes: { [PART]: 0 } },
+        { length: 19, attributes: { [PART]: 0, __kIMLinkAttributeName: { url: 'https://example.com' } } },
+        { length: 1, attributes: { [PART]: 0 } },
+        { length: 1, attributes: { [PART]: 1, __kIMFileTransferGUIDAttributeName: 'at_0_ABC' } }
+      ]));
+
+      expect(decoded.text).to.equal(text);
+      expect(decoded.runs[1]).to.include({ type: 'mention', mention: '+15551230001', text: '@Sam' });
+      expect(decoded.runs[3]).to.include({ type: 'link', url: 'https://example.com', text: 'https://example.com' });
+      expect(decoded.runs[5]).to.include({ type: 'attachment', attachment_guid: 'at_0_ABC', part: 1 });
+      expect(decoded.runs[5].text).to.equal(ATTACHMENT_PLACEHOLDER);
+    });
+
+    it('should reuse attribute dictionaries referenced by index', () => {
+      const decoded = decodeAttributedBody(buildAttributedBody('aabbaa', [
+        { length: 2, attributes: { [PART]: 0 } },
+        { length: 2, attributes: { [PART]: 0, __kIMTextItalicAttributeName: 1 } },
+        { length: 2, attributes: { [PART]: 0 } }
+      ]));
+
+      expect(decoded.runs.map(r => r.styles)).to.deep.equal([undefined, ['italic'], undefined]);
+      expect(decoded.runs[2]).to.include({ start: 4, text: 'aa' });
+    });
+
+    it('should handle long strings that need multi-byte lengths', () => {
+      const text = 'x'.repeat(5000);
+      expect(decodeAttributedBody(buildAttributedBody(text)).text).to.equal(text);
+    });
+
+    it('should return null for empty input', () => {
+      expect(decodeAttributedBody(null)).to.be.null;
+      expect(decodeAttributedBody(Buffer.alloc(0))).to.be.null;
+    });
+  });
+
+  describe('resolveMessageText', () => {
+    it('should fall back to attributedBody when text is null', () => {
+      const result = resolveMessageText(null, buildAttributedBody('Only in the body'));
+
+      expect(result.text).to.equal('Only in the body');
+      expect(result.richText).to.have.lengthOf(1);
+      expect(result.decodeError).to.be.null;
+    });
+
+    it('should prefer the text column when present', () => {
+      const result = resolveMessageText('From text column', buildAttributedBody('From body'));
+      expect(result.text).to.equal('From text column');
+    });
+
+    it('should report decode errors without throwing', () => {
+      const result = resolveMessageText('kept', Buffer.from('not a typedstream'));
+
+      expect(result.text).to.equal('kept');
+      expect(result.richText).to.be.null;
+      expect(result.decodeError).to.be.an('error');
+    });
+  });
+});
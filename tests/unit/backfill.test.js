@@ -0,0 +1,207 @@
+/**
+ * Unit tests for historical backfill against a fixture chat.db
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { dateToAppleTime } = require('../../src/chatdb/timestamps');
+const { AttachmentUploader } = require('../../src/media/attachment-uploader');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+const { FakeStorage } = require('../fixtures/fake-storage');
+const { RelayStore, FailureStatus } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { ThreadResolver, buildThreadData, threadHash } = require('../../src/supabase/thread-resolver');
+const { DeviceRegistry } = require('../../src/supabase/devices');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Backfill', () => {
+  let fixture;
+  let reader;
+  let supabase;
+  let backfill;
+  let store;
+  let handleId;
+  let chatA;
+  let chatB;
+
+  const CHAT_A = 'iMessage;-;+15551234567';
+  const CHAT_B = 'iMessage;-;+15557654321';
+
+  const daysAgo = days => dateToAppleTime(new Date(Date.now() - days * DAY_MS));
+  const readLiveState = () => JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+  const guids = () => supabase.table('messages_in').map(m => m.message_guid).sort();
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    handleId = fixture.addHandle('+15551234567');
+    chatA = fixture.addChat(CHAT_A, { handles: [handleId] });
+    chatB = fixture.addChat(CHAT_B, { handles: [handleId] });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    supabase = new FakeSupabase({ uniques: { messages_in: ['message_guid'], threads: ['chat_guid'] } });
+
+    process.env.RELAY_STATE_FILE = path.join(fixture.dir, 'state.json');
+    process.env.BACKFILL_STATE_FILE = path.join(fixture.dir, 'backfill.json');
+
+    const client = { supabaseClient: supabase, '@noCallThru': true };
+    const readerStub = { chatDbReader: reader, '@noCallThru': true };
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    const storeStub = { relayStore: store, FailureStatus, '@noCallThru': true };
+    const outbox = new SupabaseOutbox({ client: supabase, store, loggerInstance: logger });
+    const outboxStub = { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true };
+    const addressBook = new AddressBook({ dir: path.join(fixture.dir, 'AddressBook'), loggerInstance: logger });
+    const identities = new IdentityResolver({ store, contacts: addressBook });
+    const identityStub = { identityResolver: identities, '@noCallThru': true };
+    const devices = new DeviceRegistry({ client: supabase, store, reader, loggerInstance: logger });
+    const resolverStub = {
+      threadResolver: new ThreadResolver({ client: supabase, reader, store, outbox, devices, contacts: addressBook, identities, loggerInstance: logger }),
+      buildThreadData,
+      threadHash,
+      '@noCallThru': true
+    };
+
+    const inbound = proxyquire('../../src/supabase/inbound', {
+      './client': client,
+      '../chatdb/reader': readerStub,
+      './outbound': proxyquire('../../src/supabase/outbound', {
+        './client': client,
+        './outbox': outboxStub,
+        '../applescript': { '@noCallThru': true },
+        '../media/handler': { '@noCallThru': true },
+        '../applescript/queue': { '@noCallThru': true }
+      }),
+      './reactions': proxyquire('../../src/supabase/reactions', { './outbox': outboxStub }),
+      './thread-events': proxyquire('../../src/supabase/thread-events', { './client': client, './outbox': outboxStub }),
+      '../media/attachment-uploader': {
+        attachmentUploader: new AttachmentUploader({ storageClient: new FakeStorage() }),
+        '@noCallThru': true
+      },
+      '../store/relay-store': storeStub,
+      './outbox': outboxStub,
+      './thread-resolver': resolverStub,
+      '../contacts/identity': identityStub
+    });
+
+    backfill = proxyquire('../../src/supabase/backfill', {
+      '../chatdb/reader': readerStub,
+      '../store/relay-store': storeStub,
+      './outbox': outboxStub,
+      './sync': proxyquire('../../src/supabase/sync', {
+        './client': client,
+        './outbox': outboxStub,
+        './thread-resolver': resolverStub,
+        '../store/relay-store': storeStub,
+        '../chatdb/reader': readerStub,
+        '../contacts/address-book': { addressBook, '@noCallThru': true },
+        '../contacts/identity': identityStub
+      }),
+      './inbound': inbound
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    delete process.env.RELAY_STATE_FILE;
+    delete process.env.BACKFILL_STATE_FILE;
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  describe('resolveBackfillRange', () => {
+    it('should turn "last N days" into a since date', () => {
+      const now = new Date('2024-03-31T00:00:00Z');
+      expect(backfill.resolveBackfillRange({ days: 30, now }).since.toISOString()).to.equal('2024-03-01T00:00:00.000Z');
+    });
+
+    it('should reject invalid and empty ranges', () => {
+      expect(() => backfill.resolveBackfillRange({ since: 'yesterday-ish' })).to.throw(/Invalid since/);
+      expect(() => backfill.resolveBackfillRange({ since: '2024-02-01', until: '2024-01-01' })).to.throw(/empty/);
+    });
+  });
+
+  it('should sync threads, then backfill the last N days below the live cursor', async () => {
+    fixture.addMessage(chatA, { guid: 'old', text: 'too old', handle_id: handleId, date: daysAgo(60) });
+    fixture.addMessage(chatA, { guid: 'recent-1', text: 'hi', handle_id: handleId, date: daysAgo(5) });
+    fixture.addMessage(chatB, { guid: 'recent-2', text: 'hey', handle_id: handleId, date: daysAgo(1) });
+
+    // Already relayed live; the upsert must not duplicate it
+    supabase.insertRow('messages_in', { message_guid: 'recent-2', text: 'hey' });
+
+    const result = await backfill.runBackfill({ days: 30, throttleMs: 0, sleepFunc: async () => {} });
+
+    expect(result).to.include({ completed: true, processed: 2, failed: 0, total: 2, percent: 100 });
+    expect(guids()).to.deep.equal(['recent-1', 'recent-2']);
+    expect(supabase.table('threads').map(t => t.chat_guid).sort()).to.deep.equal([CHAT_A, CHAT_B]);
+
+    // Fresh install: live relay starts at the newest row instead of crawling history
+    expect(readLiveState().lastMessageId).to.equal(3);
+  });
+
+  it('should only backfill the selected chats', async () => {
+    fixture.addMessage(chatA, { guid: 'a-1', text: 'a', handle_id: handleId, date: daysAgo(1) });
+    fixture.addMessage(chatB, { guid: 'b-1', text: 'b', handle_id: handleId, date: daysAgo(1) });
+
+    await backfill.runBackfill({ chatGuids: [CHAT_B], throttleMs: 0, sleepFunc: async () => {} });
+
+    expect(guids()).to.deep.equal(['b-1']);
+  });
+
+  it('should stop between batches and resume from its checkpoint', async () => {
+    for (let i = 1; i <= 5; i++) {
+      fixture.addMessage(chatA, { guid: `m-${i}`, text: `message ${i}`, handle_id: handleId, date: daysAgo(1) });
+    }
+
+    const progress = [];
+    let batches = 0;
+    const first = await backfill.runBackfill({
+      days: 7,
+      batchSize: 2,
+      throttleMs: 0,
+      sleepFunc: async () => {},
+      onProgress: update => { progress.push(update); batches++; },
+      shouldStop: () => batches >= 1
+    });
+
+    expect(first).to.include({ stopped: true, processed: 2, total: 5 });
+    expect(progress[0]).to.include({ percent: 40 });
+    expect(progress[0].etaMs).to.be.a('number');
+    expect(guids()).to.deep.equal(['m-1', 'm-2']);
+
+    const second = await backfill.runBackfill({ days: 7, batchSize: 2, throttleMs: 0, sleepFunc: async () => {} });
+
+    expect(second).to.include({ completed: true, processed: 5, total: 5 });
+    expect(guids()).to.deep.equal(['m-1', 'm-2', 'm-3', 'm-4', 'm-5']);
+  });
+
+  it('should wait for live relay to drain before each batch', async () => {
+    fixture.addMessage(chatA, { guid: 'history', text: 'old', handle_id: handleId, date: daysAgo(2) });
+    fs.writeFileSync(process.env.RELAY_STATE_FILE, JSON.stringify({ lastMessageId: 1 }));
+    fixture.addMessage(chatA, { guid: 'live', text: 'new', handle_id: handleId, date: daysAgo(0) });
+
+    const relayedWhenWaiting = [];
+    const sleepFunc = async () => {
+      relayedWhenWaiting.push(supabase.table('messages_in').length);
+      // Live relay catches up while the backfill waits
+      fs.writeFileSync(process.env.RELAY_STATE_FILE, JSON.stringify({ lastMessageId: 2 }));
+    };
+
+    await backfill.runBackfill({ days: 7, throttleMs: 0, sleepFunc });
+
+    expect(relayedWhenWaiting[0]).to.equal(0);
+    expect(guids()).to.deep.equal(['history']);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for the in-process chat.db reader
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const { ChatDbReader, ChatDbErrorReasons } = require('../../src/chatdb/reader');
+const { ErrorTypes } = require('../../src/utils/error-handler');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+
+describe('ChatDbReader', () => {
+  let fixture;
+  let reader;
+  let loggerStub;
+
+  beforeEach(() => {
+    fixture = createChatDbFixture();
+
+    loggerStub = {
+      debug: sinon.stub(),
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub()
+    };
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: loggerStub });
+  });
+
+  afterEach(() => {
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  describe('getNewMessages', () => {
+    it('should return inbound messages after the given ROWID in order', () => {
+      const handleId = fixture.addHandle('+15551234567');
+      const chatId = fixture.addChat('iMessage;-;+15551234567', { handles: [handleId] });
+      fixture.addMessage(chatId, { guid: 'msg-1', text: 'first', handle_id: handleId, date: 1 });
+      fixture.addMessage(chatId, { guid: 'msg-2', text: 'second', handle_id: handleId, date: 2 });
+      fixture.addMessage(chatId, { guid: 'msg-3', text: 'mine', is_from_me: 1, date: 3 });
+
+      const all = reader.getNewMessages(0);
+      expect(all.map(m => m.message_guid)).to.deep.equal(['msg-1', 'msg-2']);
+      expect(all[0]).to.include({
+        message_text: 'first',
+        chat_guid: 'iMessage;-;+15551234567',
+        sender_id: '+15551234567',
+        service_name: 'iMessage'
+      });
+
+      const later = reader.getNewMessages(all[0].message_id);
+      expect(later.map(m => m.message_guid)).to.deep.equal(['msg-2']);
+    });
+
+    it('should respect the limit', () => {
+      const chatId = fixture.addChat('iMessage;-;+15551234567');
+      for (let i = 0; i < 5; i++) {
+        fixture.addMessage(chatId, { guid: `msg-${i}`, text: `m${i}`, date: i });
+      }
+
+      expect(reader.getNewMessages(0, 2)).to.have.lengthOf(2);
+    });
+
+    it('should bind values instead of interpolating them into SQL', () => {
+      const chatId = fixture.addChat('iMessage;-;+15551234567');
+      fixture.addMessage(chatId, { guid: 'msg-1', text: 'hello', date: 1 });
+
+      expect(reader.getNewMessages('0 OR 1=1; DROP TABLE message; --')).to.deep.equal([]);
+      expect(reader.getNewMessages(0)).to.have.lengthOf(1);
+    });
+
+    it('should see rows committed to the WAL while another connection is writing', () => {
+      const chatId = fixture.addChat('iMessage;-;+15551234567');
+      expect(reader.getNewMessages(0)).to.have.lengthOf(0);
+
+      // Messages.app keeps writing while the reader is open
+      fixture.addMessage(chatId, { guid: 'msg-1', text: 'hello', date: 1 });
+      expect(fs.existsSync(`${fixture.dbPath}-wal`)).to.be.true;
+      expect(reader.getNewMessages(0)).to.have.lengthOf(1);
+
+      fixture.addMessage(chatId, { guid: 'msg-2', text: 'again', date: 2 });
+      expect(reader.getNewMessages(0)).to.have.lengthOf(2);
+    });
+  });
+
+  describe('getMessageAttachments', () => {
+    it('should return attachments joined to a message', () => {
+      const chatId = fixture.addChat('iMessage;-;+15551234567');
+      const messageId = fixture.addMessage(chatId, { guid: 'msg-1', cache_has_attachments: 1, date: 1 });
+      fixture.addAttachment(messageId, {
+        guid: 'att-1',
+        filename: '~/Library/Messages/Attachments/ab/12/IMG_0001.jpeg',
+        mime_type: 'image/jpeg',
+        transfer_name: 'IMG_0001.jpeg',
+        total_bytes: 2048
+      });
+
+      const attachments = reader.getMessageAttachments(messageId);
+      expect(attachments).to.have.lengthOf(1);
+      expect(attachments[0]).to.include({
+        attachment_guid: 'att-1',
+        mime_type: 'image/jpeg',
+        total_bytes: 2048
+      });
+    });
+  });
+
+  describe('threads', () => {
+    it('should list chats with their participants', () => {
+      const alice = fixture.addHandle('+15551230001');
+      const bob = fixture.addHandle('bob@example.com');
+      const chatId = fixture.addChat('iMessage;+;chat123', { handles: [alice, bob], style: 43, display_name: 'Team' });
+
+      const threads = reader.getChatThreads();
+      expect(threads).to.have.lengthOf(1);
+      expect(threads[0]).to.include({ chat_id: chatId, chat_guid: 'iMessage;+;chat123', chat_style: 43, display_name: 'Team' });
+      expect(reader.getChatThread('iMessage;+;chat123')).to.include({ chat_id: chatId, display_name: 'Team' });
+      expect(reader.getChatThread('iMessage;-;unknown')).to.be.undefined;
+
+      const participants = reader.getChatParticipants(chatId);
+      expect(participants.map(p => p.identifier).sort()).to.deep.equal(['+15551230001', 'bob@example.com']);
+    });
+
+    it('should find 1:1 chats with a handle by identifier or participant, newest first', () => {
+      const alice = fixture.addHandle('+15551230001');
+      const sms = fixture.addChat('SMS;-;+15551230001', { handles: [alice], service_name: 'SMS' });
+      const imessage = fixture.addChat('iMessage;-;+15551230001', { handles: [alice] });
+      fixture.addChat('iMessage;+;chat123', { handles: [alice], style: 43 });
+      const bob = fixture.addHandle('bob@example.com');
+      const legacy = fixture.addChat('iMessage;-;Bob@Example.com', { handles: [bob], chat_identifier: 'Bob@Example.com' });
+      fixture.addMessage(sms, { guid: 'sms-1', text: 'old', handle_id: alice, date: 1 });
+      fixture.addMessage(imessage, { guid: 'im-1', text: 'new', handle_id: alice, date: 2 });
+
+      expect(reader.findDirectChats('+15551230001').map(chat => chat.chat_id)).to.deep.equal([imessage, sms]);
+      expect(reader.findDirectChats('+15551230001', 'SMS').map(chat => chat.chat_id)).to.deep.equal([sms]);
+      expect(reader.findDirectChats('bob@example.com').map(chat => chat.chat_id)).to.deep.equal([legacy]);
+      expect(reader.findDirectChats('+15559999999')).to.be.empty;
+    });
+  });
+
+  describe('hasColumn / optionalColumn', () => {
+    it('should fall back to NULL for columns missing from older schemas', () => {
+      expect(reader.hasColumn('message', 'text')).to.be.true;
+      expect(reader.hasColumn('message', 'ck_record_id')).to.be.false;
+      expect(reader.optionalColumn('m', 'message', 'text')).to.equal('m.text AS text');
+      expect(reader.optionalColumn('m', 'message', 'ck_record_id')).to.equal('NULL AS ck_record_id');
+    });
+  });
+
+  describe('read-only access', () => {
+    it('should not allow writes through the reader connection', () => {
+      const db = reader.open();
+      expect(() => db.exec("INSERT INTO handle (id, service) VALUES ('x', 'SMS')")).to.throw();
+    });
+  });
+
+  describe('error reporting', () => {
+    it('should report a missing database', () => {
+      const missing = new ChatDbReader({
+        dbPath: path.join(fixture.dir, 'nope.db'),
+        loggerInstance: loggerStub
+      });
+
+      try {
+        missing.open();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.type).to.equal(ErrorTypes.DATABASE);
+        expect(error.details.reason).to.equal(ChatDbErrorReasons.MISSING);
+        expect(error.message).to.include('chat.db not found');
+      }
+    });
+
+    it('should report missing Full Disk Access', () => {
+      const permissionError = Object.assign(new Error('Operation not permitted'), { code: 'EPERM' });
+      sinon.stub(fs, 'openSync').throws(permissionError);
+
+      try {
+        reader.open();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.type).to.equal(ErrorTypes.PERMISSION);
+        expect(error.details.reason).to.equal(ChatDbErrorReasons.FULL_DISK_ACCESS);
+        expect(error.message).to.include('Full Disk Access');
+      }
+    });
+
+    it('should report a corrupt database', () => {
+      const corruptPath = path.join(fixture.dir, 'corrupt.db');
+      fs.writeFileSync(corruptPath, Buffer.alloc(4096, 0x41));
+      const corrupt = new ChatDbReader({ dbPath: corruptPath, loggerInstance: loggerStub });
+
+      try {
+        corrupt.open();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.type).to.equal(ErrorTypes.DATABASE);
+        expect(error.details.reason).to.equal(ChatDbErrorReasons.CORRUPT);
+      }
+      expect(corrupt.db).to.be.null;
+    });
+
+    it('should reject a SQLite file that is not a Messages database', () => {
+      fixture.db.exec('DROP TABLE chat_message_join; DROP TABLE message');
+
+      try {
+        reader.open();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.details.reason).to.equal(ChatDbErrorReasons.CORRUPT);
+        expect(error.message).to.include('not a Messages database');
+      }
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the chat.db change watcher
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbWatcher } = require('../../src/chatdb/watcher');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+
+describe('ChatDbWatcher', () => {
+  let clock;
+  let fsWatcher;
+  let listener;
+  let watchFunc;
+  let onChange;
+  let watcher;
+
+  const createWatcher = (overrides = {}) => new ChatDbWatcher({
+    dbPath: '/Users/test/Library/Messages/chat.db',
+    onChange,
+    debounceMs: 100,
+    safetyPollMs: 30000,
+    watchFunc,
+    setTimeoutFunc: (...args) => clock.setTimeout(...args),
+    clearTimeoutFunc: id => clock.clearTimeout(id),
+    setIntervalFunc: (...args) => clock.setInterval(...args),
+    clearIntervalFunc: id => clock.clearInterval(id),
+    loggerInstance: logger,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+    sinon.stub(logger, 'debug');
+
+    clock = sinon.useFakeTimers();
+    onChange = sinon.stub().resolves();
+    watchFunc = sinon.spy((dir, callback) => {
+      listener = callback;
+      fsWatcher = new EventEmitter();
+      fsWatcher.close = sinon.spy();
+      return fsWatcher;
+    });
+
+    watcher = createWatcher();
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    clock.restore();
+    sinon.restore();
+  });
+
+  it('should watch the Messages directory and run once on start', async () => {
+    watcher.start();
+    await clock.tickAsync(0);
+
+    expect(watchFunc.firstCall.args[0]).to.equal('/Users/test/Library/Messages');
+    expect(onChange.calledOnceWith({ source: 'start' })).to.be.true;
+  });
+
+  it('should coalesce a burst of WAL writes into one run', async () => {
+    watcher.start();
+    await clock.tickAsync(0);
+    onChange.resetHistory();
+
+    listener('change', 'chat.db-wal');
+    listener('change', 'chat.db-shm');
+    listener('change', 'chat.db-wal');
+    await clock.tickAsync(99);
+    expect(onChange.called).to.be.false;
+
+    await clock.tickAsync(1);
+    expect(onChange.calledOnceWith({ source: 'fs' })).to.be.true;
+  });
+
+  it('should ignore other files in the directory', async () => {
+    watcher.start();
+    await clock.tickAsync(0);
+    onChange.resetHistory();
+
+    listener('rename', 'Attachments');
+    listener('change', 'chat.db-journal');
+    await clock.tickAsync(200);
+
+    expect(onChange.called).to.be.false;
+  });
+
+  it('should never overlap runs and follow up once after a busy run', async () => {
+    let finishRun;
+    onChange.callsFake(() => new Promise(resolve => { finishRun = resolve; }));
+
+    watcher.start();
+    await clock.tickAsync(0);
+
+    listener('change', 'chat.db-wal');
+    await clock.tickAsync(100);
+    listener('change', 'chat.db-wal');
+    await clock.tickAsync(100);
+    expect(onChange.callCount).to.equal(1);
+
+    finishRun();
+    await clock.tickAsync(0);
+    expect(onChange.callCount).to.equal(2);
+    finishRun();
+  });
+
+  it('should fall back to the safety poll and re-arm a failed watcher', async () => {
+    watcher.start();
+    await clock.tickAsync(0);
+    onChange.resetHistory();
+
+    fsWatcher.emit('error', new Error('EMFILE'));
+    expect(watcher.fsWatcher).to.be.null;
+
+    await clock.tickAsync(30000);
+
+    expect(onChange.calledOnceWith({ source: 'poll' })).to.be.true;
+    expect(watchFunc.callCount).to.equal(2);
+  });
+
+  describe('with a real chat.db', () => {
+    let fixture;
+
+    beforeEach(() => {
+      clock.restore();
+      fixture = createChatDbFixture();
+    });
+
+    afterEach(() => {
+      fixture.cleanup();
+    });
+
+    it('should notice a new message written to the WAL within a second', async () => {
+      const changed = new Promise(resolve => {
+        watcher = new ChatDbWatcher({
+          dbPath: fixture.dbPath,
+          debounceMs: 50,
+          safetyPollMs: 60000,
+          onChange: ({ source }) => {
+            if (source === 'fs') resolve(Date.now());
+          }
+        });
+      });
+
+      const chatId = fixture.addChat('iMessage;-;+15551234567');
+      watcher.start();
+      const writtenAt = Date.now();
+      fixture.addMessage(chatId, { guid: 'msg-1', text: 'hi', date: 1 });
+
+      expect((await changed) - writtenAt).to.be.below(1000);
+    });
+  });
+});
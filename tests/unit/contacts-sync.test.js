@@ -0,0 +1,149 @@
+/**
+ * Unit tests for syncing AddressBook contacts and enriching threads with them
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { ThreadResolver, buildThreadData, threadHash } = require('../../src/supabase/thread-resolver');
+const { DeviceRegistry } = require('../../src/supabase/devices');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { createAddressBookFixture } = require('../fixtures/address-book');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Contact sync', () => {
+  let chatDb;
+  let book;
+  let local;
+  let reader;
+  let supabase;
+  let store;
+  let outbox;
+  let addressBook;
+  let identities;
+  let resolver;
+  let contacts;
+  let sync;
+  let aliceId;
+
+  const CHAT_A = 'iMessage;-;+15551234567';
+  const GROUP = 'iMessage;+;chat42';
+
+  const contact = handle => supabase.table('contacts').find(row => row.handle === handle);
+  const thread = chatGuid => supabase.table('threads').find(row => row.chat_guid === chatGuid);
+
+  // Contacts.app saves bump the store's mtime; make that visible to the test
+  const touchAddressBook = () => {
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(local.dbPath, later, later);
+  };
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    chatDb = createChatDbFixture();
+    const alice = chatDb.addHandle('+15551234567');
+    const bob = chatDb.addHandle('bob@example.com', 'iMessage');
+    chatDb.addHandle('+15550000000');
+    chatDb.addChat(CHAT_A, { handles: [alice] });
+    chatDb.addChat(GROUP, { handles: [alice, bob], style: 43 });
+
+    book = createAddressBookFixture();
+    local = book.addStore();
+    aliceId = local.addContact({ first_name: 'Alice', last_name: 'Smith', organization: 'Acme', phones: ['(555) 123-4567'] });
+    local.addContact({ first_name: 'Bob', emails: ['Bob@Example.com'] });
+
+    reader = new ChatDbReader({ dbPath: chatDb.dbPath, loggerInstance: logger });
+    supabase = new FakeSupabase({ uniques: { threads: ['chat_guid'], contacts: ['handle'] } });
+    store = new RelayStore({ dbPath: path.join(chatDb.dir, 'store.db'), loggerInstance: logger });
+    outbox = new SupabaseOutbox({ client: supabase, store, loggerInstance: logger });
+    addressBook = new AddressBook({ dir: book.dir, loggerInstance: logger });
+    identities = new IdentityResolver({ store, contacts: addressBook, loggerInstance: logger });
+    const devices = new DeviceRegistry({ client: supabase, store, reader, loggerInstance: logger });
+    resolver = new ThreadResolver({ client: supabase, reader, store, outbox, devices, contacts: addressBook, identities, loggerInstance: logger });
+
+    const stubs = {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true },
+      './thread-resolver': { threadResolver: resolver, buildThreadData, threadHash, '@noCallThru': true },
+      '../store/relay-store': { relayStore: store, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, '@noCallThru': true },
+      '../contacts/address-book': { addressBook, '@noCallThru': true },
+      '../contacts/identity': { identityResolver: identities, '@noCallThru': true }
+    };
+    contacts = proxyquire('../../src/supabase/contacts', stubs);
+    sync = proxyquire('../../src/supabase/sync', stubs);
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    chatDb.cleanup();
+    book.cleanup();
+    sinon.restore();
+  });
+
+  it('should write a contacts row for each handle found in the AddressBook', async () => {
+    expect(await contacts.syncContacts()).to.include({ total: 3, matched: 2, updated: 2 });
+    expect(contact('+15551234567')).to.include({ display_name: 'Alice Smith', organization: 'Acme', contact_id: aliceId });
+    expect(contact('bob@example.com').first_name).to.equal('Bob');
+    expect(contact('+15550000000')).to.be.undefined;
+
+    expect(await contacts.syncContacts()).to.include({ unchanged: 3, updated: 0 });
+  });
+
+  it('should send edited and deleted contacts after the AddressBook changes', async () => {
+    await contacts.syncContacts();
+
+    local.updateContact(aliceId, { organization: 'Globex' });
+    local.deleteContact(local.db.prepare('SELECT ZUNIQUEID FROM ZABCDRECORD WHERE ZFIRSTNAME = ?').get('Bob').ZUNIQUEID);
+    touchAddressBook();
+
+    expect(await contacts.syncContacts()).to.include({ matched: 1, updated: 2 });
+    expect(contact('+15551234567').organization).to.equal('Globex');
+    expect(contact('bob@example.com')).to.include({ display_name: null, contact_id: null });
+  });
+
+  it('should name participants and unnamed 1:1 threads after their contacts', async () => {
+    await sync.syncThreads();
+
+    expect(thread(CHAT_A).display_name).to.equal('Alice Smith');
+    expect(thread(CHAT_A).participants[0]).to.include({
+      identifier: '+15551234567',
+      service: 'iMessage',
+      name: 'Alice Smith',
+      organization: 'Acme'
+    });
+    // Group chats keep their own (missing) name
+    expect(thread(GROUP).display_name).to.be.null;
+    expect(thread(GROUP).participants.map(p => p.name)).to.deep.equal(['Alice Smith', 'Bob']);
+  });
+
+  it('should resync threads when a contact is renamed', async () => {
+    const threadSync = sync.setupThreadSync(60 * 60 * 1000);
+    try {
+      await threadSync.trigger();
+
+      local.updateContact(aliceId, { first_name: 'Alicia' });
+      touchAddressBook();
+      await contacts.syncContacts();
+      await threadSync.trigger();
+
+      expect(thread(CHAT_A).display_name).to.equal('Alicia Smith');
+      expect(thread(GROUP).participants[0].name).to.equal('Alicia Smith');
+      expect(contact('+15551234567').first_name).to.equal('Alicia');
+    } finally {
+      threadSync.stop();
+    }
+    expect(addressBook.listenerCount('change')).to.equal(0);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the outbound service policy and SMS fallback
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader, GROUP_CHAT_STYLE } = require('../../src/chatdb/reader');
+const { dateToAppleTime } = require('../../src/chatdb/timestamps');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { OutboundClaims } = require('../../src/supabase/claims');
+const { DeliveryMonitor } = require('../../src/supabase/delivery-monitor');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('SMS fallback', () => {
+  let fixture;
+  let reader;
+  let store;
+  let outbox;
+  let supabase;
+  let applescript;
+  let sendRoute;
+  let outbound;
+  let directChat;
+
+  const DIRECT_GUID = 'iMessage;-;+15551234567';
+  const TIMEOUT_MS = 60000;
+
+  const createMonitor = () => new DeliveryMonitor({
+    store,
+    reader,
+    outbox,
+    send: sendRoute.sendByRoute,
+    timeoutMs: TIMEOUT_MS,
+    loggerInstance: logger
+  });
+
+  // Threads opt in to SMS fallback unless a test says otherwise
+  const send = async (thread = {}, message = {}) => {
+    const threadRow = supabase.insertRow('threads', {
+      chat_guid: DIRECT_GUID,
+      chat_identifier: '+15551234567',
+      service_policy: 'imessage_then_sms',
+      ...thread
+    });
+    const row = supabase.insertRow('messages_out', { thread_id: threadRow.id, status: 'pending', text: 'See you at 3', ...message });
+    await outbound.processOutboundMessage(row);
+    return () => supabase.tables.messages_out.find(candidate => candidate.id === row.id);
+  };
+
+  // The chat.db row Messages writes for a send
+  const recordSend = (chatId, fields = {}) => fixture.addMessage(chatId, {
+    guid: `sent-${Math.random()}`,
+    text: 'See you at 3',
+    is_from_me: 1,
+    date: dateToAppleTime(new Date()),
+    service: 'iMessage',
+    ...fields
+  });
+
+  const later = ms => new Date(Date.now() + ms);
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    const handle = fixture.addHandle('+15551234567');
+    directChat = fixture.addChat(DIRECT_GUID, { handles: [handle] });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase();
+    outbox = new SupabaseOutbox({ client: supabase, store, loggerInstance: logger });
+
+    applescript = {
+      sendTextMessage: sinon.stub().resolves('sent'),
+      sendMediaMessage: sinon.stub().resolves('sent'),
+      sendToChat: sinon.stub().resolves('sent')
+    };
+    sendRoute = proxyquire('../../src/supabase/send-route', {
+      '../applescript': { ...applescript, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, GROUP_CHAT_STYLE, '@noCallThru': true }
+    });
+
+    outbound = proxyquire('../../src/supabase/outbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true },
+      './send-route': sendRoute,
+      './claims': { outboundClaims: new OutboundClaims({ client: supabase, devices: { deviceId: 'device-1' }, loggerInstance: logger }), '@noCallThru': true },
+      './delivery-monitor': { deliveryMonitor: createMonitor(), '@noCallThru': true },
+      '../applescript/queue': { '@noCallThru': true },
+      '../media/handler': { '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should send over the service the thread policy picks', async () => {
+    const smsOnly = await send({ service_policy: 'sms_only' });
+    expect(applescript.sendTextMessage.calledOnceWithExactly('+15551234567', 'See you at 3', 'SMS')).to.be.true;
+    expect(smsOnly()).to.include({ status: 'sent', route: 'buddy', service: 'SMS' });
+
+    const imessageOnly = await send({ service_policy: 'imessage_only' });
+    expect(applescript.sendToChat.calledOnceWithExactly(DIRECT_GUID, 'See you at 3', '')).to.be.true;
+    expect(imessageOnly()).to.include({ service: 'iMessage' });
+
+    // Only imessage_then_sms follows delivery
+    expect(store.getDeliveryChecks()).to.be.empty;
+  });
+
+  it('should only fall back to SMS when the thread or OUTBOUND_SERVICE_POLICY opts in', async () => {
+    const row = await send({ service_policy: null });
+    expect(row()).to.include({ status: 'sent', service: 'iMessage' });
+    expect(store.getDeliveryChecks()).to.be.empty;
+
+    expect(sendRoute.servicePolicyFor({})).to.equal('imessage_only');
+    expect(sendRoute.servicePolicyFor({}, 'imessage_then_sms')).to.equal('imessage_then_sms');
+  });
+
+  it('should resend as SMS when Messages records an error on the iMessage', async () => {
+    fixture.addChat('SMS;-;+15551234567', { service_name: 'SMS' });
+    const row = await send();
+    expect(row()).to.include({ status: 'sent', service: 'iMessage' });
+
+    recordSend(directChat, { error: 22 });
+    expect(await createMonitor().check()).to.include({ fellBack: 1 });
+
+    expect(applescript.sendToChat.secondCall.args).to.deep.equal(['SMS;-;+15551234567', 'See you at 3', '']);
+    expect(row()).to.include({
+      status: 'sent',
+      service: 'SMS',
+      route: 'chat_id',
+      route_reason: 'SMS fallback: iMessage failed with error 22'
+    });
+    expect(store.getDeliveryChecks()).to.be.empty;
+  });
+
+  it('should resend as SMS once the timeout passes without delivery, even after a restart', async () => {
+    const row = await send();
+    recordSend(directChat);
+
+    expect(await createMonitor().check(later(TIMEOUT_MS / 2))).to.include({ pending: 1 });
+    expect(applescript.sendTextMessage.called).to.be.false;
+
+    // A new monitor (as after a restart) picks the send up from the relay store
+    expect(await createMonitor().check(later(TIMEOUT_MS))).to.include({ fellBack: 1 });
+    expect(applescript.sendTextMessage.calledOnceWithExactly('+15551234567', 'See you at 3', 'SMS')).to.be.true;
+    expect(row()).to.include({ service: 'SMS', route: 'buddy', route_reason: 'SMS fallback: iMessage not delivered within 60s' });
+
+    expect(await createMonitor().check(later(TIMEOUT_MS * 2))).to.deep.equal({ delivered: 0, fellBack: 0, pending: 0 });
+  });
+
+  it('should stop following a send once it is delivered', async () => {
+    const row = await send();
+    recordSend(directChat, { is_delivered: 1 });
+
+    expect(await createMonitor().check(later(TIMEOUT_MS))).to.include({ delivered: 1, fellBack: 0 });
+    expect(applescript.sendTextMessage.called).to.be.false;
+    expect(row().service).to.equal('iMessage');
+  });
+
+  it('should record SMS when Messages sent the message as a text message itself', async () => {
+    const row = await send();
+    recordSend(directChat, { service: 'SMS', is_delivered: 1 });
+
+    await createMonitor().check();
+    expect(row().service).to.equal('SMS');
+    expect(applescript.sendTextMessage.called).to.be.false;
+  });
+
+  it('should not fall back for group chats', async () => {
+    fixture.addChat('iMessage;+;chat1', { style: GROUP_CHAT_STYLE });
+    const row = await send({ chat_guid: 'iMessage;+;chat1', is_group: true });
+
+    expect(row()).to.include({ status: 'sent', service: 'iMessage' });
+    expect(store.getDeliveryChecks()).to.be.empty;
+  });
+
+  it('should mark the message failed when the SMS resend fails', async () => {
+    const row = await send();
+    applescript.sendTextMessage.rejects(new Error('No SMS service'));
+
+    await createMonitor().check(later(TIMEOUT_MS));
+    expect(row()).to.include({ status: 'failed', service: 'SMS' });
+    expect(row().error).to.equal('iMessage not delivered within 60s; SMS fallback failed: No SMS service');
+  });
+});
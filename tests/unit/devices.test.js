@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the device registry and device-scoped routing
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox } = require('../../src/supabase/outbox');
+const { ThreadResolver } = require('../../src/supabase/thread-resolver');
+const { DeviceRegistry } = require('../../src/supabase/devices');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Device registry', () => {
+  let fixture;
+  let reader;
+  let store;
+  let supabase;
+  let devices;
+
+  const CHAT_GUID = 'iMessage;-;+15551234567';
+
+  const registry = (options = {}) => new DeviceRegistry({
+    client: supabase,
+    store,
+    reader,
+    name: 'Front desk Mac',
+    loggerInstance: logger,
+    ...options
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    const handle = fixture.addHandle('+15551234567');
+    fixture.addChat(CHAT_GUID, { handles: [handle], account_login: 'E:desk@icloud.com' });
+    fixture.addChat('SMS;-;+15557654321', { account_login: 'P:+15550001111', service_name: 'SMS' });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase();
+    devices = registry();
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should keep one device ID per Mac', () => {
+    const deviceId = devices.deviceId;
+    expect(deviceId).to.match(/^[0-9a-f-]{36}$/);
+    expect(registry().deviceId).to.equal(deviceId);
+    expect(registry({ deviceId: 'configured-id' }).deviceId).to.equal('configured-id');
+    expect(store.getSetting('device_id')).to.equal('configured-id');
+  });
+
+  it('should register with its name and the accounts its chats use', async () => {
+    expect(await devices.register()).to.be.true;
+
+    const [row] = supabase.tables.devices;
+    expect(row).to.include({ id: devices.deviceId, name: 'Front desk Mac', status: 'online' });
+    expect(row.accounts).to.deep.equal(['+15550001111', 'desk@icloud.com']);
+    expect(row.last_seen_at).to.be.a('string');
+  });
+
+  it('should register on a later heartbeat when Supabase was down', async () => {
+    supabase.stop();
+    expect(await devices.heartbeat()).to.be.false;
+    expect(logger.warn.calledWithMatch('Failed to register device')).to.be.true;
+
+    supabase.start();
+    expect(await devices.heartbeat()).to.be.true;
+    expect(supabase.tables.devices).to.have.lengthOf(1);
+
+    const before = supabase.calls.length;
+    expect(await devices.heartbeat()).to.be.true;
+    expect(supabase.calls.slice(before).map(call => call.operation)).to.deep.equal(['update']);
+  });
+
+  it('should adopt threads from before device routing once, for its own chats only', async () => {
+    const mine = supabase.insertRow('threads', { chat_guid: CHAT_GUID });
+    const other = supabase.insertRow('threads', { chat_guid: 'iMessage;-;+15559990000' });
+    const owned = supabase.insertRow('threads', { chat_guid: 'SMS;-;+15557654321', device_id: 'other-mac' });
+    supabase.insertRow('messages_in', { thread_id: mine.id, message_guid: 'in-1' });
+    supabase.insertRow('messages_out', { thread_id: mine.id, status: 'pending' });
+
+    await devices.register();
+
+    const thread = id => supabase.tables.threads.find(row => row.id === id);
+    expect(thread(mine.id).device_id).to.equal(devices.deviceId);
+    expect(thread(other.id).device_id).to.be.undefined;
+    expect(thread(owned.id).device_id).to.equal('other-mac');
+    expect(supabase.tables.messages_in[0].device_id).to.equal(devices.deviceId);
+    expect(supabase.tables.messages_out[0].device_id).to.equal(devices.deviceId);
+
+    const before = supabase.calls.length;
+    await registry().register();
+    expect(supabase.calls.slice(before).filter(call => call.table === 'threads')).to.be.empty;
+  });
+
+  it('should keep the same chat on two Macs as separate threads', async () => {
+    const resolverFor = deviceId => new ThreadResolver({
+      client: supabase,
+      reader,
+      store: new RelayStore({ dbPath: path.join(fixture.dir, `${deviceId}.db`), loggerInstance: logger }),
+      outbox: new SupabaseOutbox({ client: supabase, store, loggerInstance: logger }),
+      identities: new IdentityResolver({
+        store,
+        contacts: new AddressBook({ dir: path.join(fixture.dir, 'AddressBook'), loggerInstance: logger })
+      }),
+      devices: { deviceId },
+      loggerInstance: logger
+    });
+
+    const a = resolverFor('mac-a');
+    const b = resolverFor('mac-b');
+    const threadA = await a.resolve(CHAT_GUID);
+    const threadB = await b.resolve(CHAT_GUID);
+
+    expect(threadA).to.not.equal(threadB);
+    expect(await resolverFor('mac-a').resolve(CHAT_GUID)).to.equal(threadA);
+    expect(supabase.tables.threads.map(row => row.device_id)).to.deep.equal(['mac-a', 'mac-b']);
+
+    [a, b].forEach(resolver => resolver.store.close());
+  });
+
+  it('should only pick up sends routed to this device', async () => {
+    const { RealtimeManager } = proxyquire('../../src/supabase/realtime', {
+      './client': { supabaseClient: supabase, '@noCallThru': true }
+    });
+    const channel = { on: sinon.stub().returnsThis(), subscribe: sinon.stub().returnsThis() };
+    supabase.channel = sinon.stub().returns(channel);
+
+    supabase.insertRow('messages_out', { id: 'mine', device_id: devices.deviceId, status: 'pending' });
+    supabase.insertRow('messages_out', { id: 'theirs', device_id: 'other-mac', status: 'pending' });
+    supabase.insertRow('messages_out', { id: 'done', device_id: devices.deviceId, status: 'sent' });
+
+    const handled = [];
+    const realtime = new RealtimeManager({ supabaseClientInstance: supabase, devices, loggerInstance: logger });
+    await realtime.initialize(async message => handled.push(message.id));
+
+    expect(handled).to.deep.equal(['mine']);
+    const [, filter, onInsert] = channel.on.firstCall.args;
+    expect(filter.filter).to.equal(`device_id=eq.${devices.deviceId}`);
+
+    onInsert({ new: { id: 'done-too', device_id: devices.deviceId, status: 'sent' } });
+    onInsert({ new: { id: 'new', device_id: devices.deviceId, status: 'pending' } });
+    expect(handled).to.deep.equal(['mine', 'new']);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the daemon entrypoint
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '../..');
+
+// Loaded the way `node src/index.js` loads them, in a fresh process so no
+// module cached by another test can hide a load-time failure
+const MODULES = [
+  './src/index.js',
+  './src/config/loader.js',
+  './src/core/bootstrap.js',
+  './src/core/messageMonitor.js',
+  './src/core/messageProcessor.js',
+  './src/supabase/polling.js'
+];
+
+// What src/index.js takes from each module it requires
+const ENTRYPOINT_IMPORTS = {
+  './utils/logger': ['logger', 'supabaseTransport'],
+  './core/bootstrap': ['runBootstrapChecks'],
+  './core/messageMonitor': ['startMessageMonitor'],
+  './supabase/client': ['supabaseClient'],
+  './media/handler': ['ensureMediaDirExists'],
+  './applescript/queue': ['appleScriptQueue'],
+  './config/loader': ['loadConfig'],
+  './database/schema': ['assertSchema'],
+  './supabase/devices': ['setupDeviceHeartbeat'],
+  './supabase/delivery-monitor': ['setupDeliveryMonitor'],
+  './supabase/scheduler': ['setupOutboundScheduler'],
+  './supabase/inbound': ['setupInboundWatcher'],
+  './supabase/sync': ['setupThreadSync'],
+  './supabase/contacts': ['setupContactsSync']
+};
+
+const loadInFreshProcess = files => {
+  const script = `
+    const loaded = ${JSON.stringify(files)}.map(file => Object.keys(require(file)));
+    process.stdout.write(JSON.stringify(loaded));
+  `;
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: ROOT,
+    env: { ...process.env, SUPABASE_URL: 'http://127.0.0.1:54321', SUPABASE_KEY: 'test-key', LOG_LEVEL: 'error' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return JSON.parse(output);
+};
+
+describe('Daemon entrypoint', () => {
+  it('should load the entrypoint and core modules without starting the daemon', () => {
+    const [entrypoint] = loadInFreshProcess(MODULES);
+    expect(entrypoint).to.include('main');
+  });
+
+  it('should only import names its modules export', () => {
+    const files = Object.keys(ENTRYPOINT_IMPORTS).map(file => path.join('./src', file));
+    const exported = loadInFreshProcess(files.map(file => `./${file}`));
+
+    Object.values(ENTRYPOINT_IMPORTS).forEach((names, index) => {
+      expect(exported[index], files[index]).to.include.members(names);
+    });
+  });
+
+  describe('main', () => {
+    let stubs;
+    let calls;
+    let main;
+
+    const service = () => ({
+      start: sinon.stub(),
+      stop: sinon.stub().resolves(),
+      trigger: sinon.stub().resolves(),
+      isRunning: sinon.stub().returns(true)
+    });
+
+    beforeEach(() => {
+      calls = {
+        heartbeat: service(),
+        deliveryMonitor: service(),
+        scheduler: service(),
+        inboundWatcher: service(),
+        threadSync: service(),
+        contactsSync: service(),
+        messageMonitor: { stop: sinon.stub().resolves() }
+      };
+
+      stubs = {
+        './utils/logger': {
+          logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+          supabaseTransport: { start: sinon.stub(), flush: sinon.stub().resolves() }
+        },
+        './core/bootstrap': { runBootstrapChecks: sinon.stub().resolves({ success: true }) },
+        './core/messageMonitor': { startMessageMonitor: sinon.stub().resolves(calls.messageMonitor) },
+        './supabase/client': { supabaseClient: { from: sinon.stub() } },
+        './media/handler': { ensureMediaDirExists: sinon.stub().resolves() },
+        './applescript/queue': { appleScriptQueue: { clearQueue: sinon.stub() } },
+        './config/loader': { loadConfig: sinon.stub().returns({ POLLING_INTERVAL: 5000 }) },
+        './database/schema': { assertSchema: sinon.stub().resolves({ ok: true }) },
+        './supabase/devices': { setupDeviceHeartbeat: sinon.stub().returns(calls.heartbeat) },
+        './supabase/delivery-monitor': { setupDeliveryMonitor: sinon.stub().returns(calls.deliveryMonitor) },
+        './supabase/scheduler': { setupOutboundScheduler: sinon.stub().returns(calls.scheduler) },
+        './supabase/inbound': { setupInboundWatcher: sinon.stub().returns(calls.inboundWatcher) },
+        './supabase/sync': { setupThreadSync: sinon.stub().returns(calls.threadSync) },
+        './supabase/contacts': { setupContactsSync: sinon.stub().returns(calls.contactsSync) }
+      };
+      Object.values(stubs).forEach(stub => { stub['@noCallThru'] = true; });
+
+      ({ main } = proxyquire('../../src/index', stubs));
+
+      sinon.stub(process, 'on');
+      sinon.stub(process, 'exit');
+      sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should verify the schema before starting any monitor', async () => {
+      await main();
+
+      const { assertSchema } = stubs['./database/schema'];
+      expect(assertSchema.calledOnceWithExactly({ client: stubs['./supabase/client'].supabaseClient })).to.be.true;
+      expect(assertSchema.calledAfter(stubs['./core/bootstrap'].runBootstrapChecks)).to.be.true;
+      [
+        stubs['./supabase/devices'].setupDeviceHeartbeat,
+        stubs['./core/messageMonitor'].startMessageMonitor,
+        stubs['./supabase/delivery-monitor'].setupDeliveryMonitor,
+        stubs['./supabase/scheduler'].setupOutboundScheduler,
+        stubs['./supabase/inbound'].setupInboundWatcher,
+        stubs['./supabase/sync'].setupThreadSync,
+        stubs['./supabase/contacts'].setupContactsSync
+      ].forEach(start => {
+        expect(start.calledOnce).to.be.true;
+        expect(assertSchema.calledBefore(start)).to.be.true;
+      });
+      expect(process.exit.called).to.be.false;
+    });
+
+    it('should exit without starting monitors when the schema does not match', async () => {
+      stubs['./database/schema'].assertSchema.rejects(new Error('Supabase schema does not match'));
+
+      await main();
+
+      expect(process.exit.calledOnceWithExactly(1)).to.be.true;
+      expect(stubs['./supabase/devices'].setupDeviceHeartbeat.called).to.be.false;
+      expect(stubs['./core/messageMonitor'].startMessageMonitor.called).to.be.false;
+      expect(stubs['./supabase/scheduler'].setupOutboundScheduler.called).to.be.false;
+      expect(stubs['./supabase/inbound'].setupInboundWatcher.called).to.be.false;
+      expect(stubs['./supabase/sync'].setupThreadSync.called).to.be.false;
+      expect(stubs['./supabase/contacts'].setupContactsSync.called).to.be.false;
+    });
+
+    it('should stop what it started on SIGTERM and SIGINT', async () => {
+      await main();
+
+      const signals = process.on.args.map(([signal]) => signal);
+      expect(signals).to.include.members(['SIGTERM', 'SIGINT']);
+
+      const [, onSigterm] = process.on.args.find(([signal]) => signal === 'SIGTERM');
+      await onSigterm();
+
+      expect(calls.messageMonitor.stop.calledOnce).to.be.true;
+      expect(calls.inboundWatcher.stop.calledOnce).to.be.true;
+      expect(calls.threadSync.stop.calledOnce).to.be.true;
+      expect(calls.contactsSync.stop.calledOnce).to.be.true;
+      expect(stubs['./applescript/queue'].appleScriptQueue.clearQueue.calledOnce).to.be.true;
+      expect(stubs['./utils/logger'].supabaseTransport.flush.calledOnce).to.be.true;
+      expect(process.exit.calledOnceWithExactly(0)).to.be.true;
+    });
+
+    it('should register the device before sending and mark it offline last on shutdown', async () => {
+      await main();
+
+      expect(calls.heartbeat.trigger.calledOnce).to.be.true;
+      expect(calls.heartbeat.trigger.calledBefore(stubs['./core/messageMonitor'].startMessageMonitor)).to.be.true;
+
+      const [, onSigint] = process.on.args.find(([signal]) => signal === 'SIGINT');
+      await onSigint();
+
+      [calls.scheduler, calls.deliveryMonitor, calls.messageMonitor].forEach(started => {
+        expect(started.stop.calledOnce).to.be.true;
+        expect(started.stop.calledBefore(calls.heartbeat.stop)).to.be.true;
+      });
+      expect(calls.heartbeat.stop.calledOnce).to.be.true;
+      expect(process.exit.calledOnceWithExactly(0)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for handle normalization and person IDs
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { RelayStore } = require('../../src/store/relay-store');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+const { normalizePhoneNumber, normalizeHandle } = require('../../src/contacts/normalize');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { buildThreadData } = require('../../src/supabase/thread-resolver');
+const { createAddressBookFixture } = require('../fixtures/address-book');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+
+describe('Handle normalization', () => {
+  it('should write North American numbers in E.164', () => {
+    ['+1 (555) 123-4567', '5551234567', '1-555-123-4567', '+15551234567', '011 1 555 123 4567']
+      .forEach(value => expect(normalizePhoneNumber(value, 'US')).to.equal('+15551234567'));
+  });
+
+  it('should read national numbers in the default region', () => {
+    expect(normalizePhoneNumber('07700 900123', 'GB')).to.equal('+447700900123');
+    expect(normalizePhoneNumber('00 44 7700 900123', 'GB')).to.equal('+447700900123');
+    expect(normalizePhoneNumber('0412 345 678', 'AU')).to.equal('+61412345678');
+    expect(normalizePhoneNumber('030 1234567', 'DE')).to.equal('+49301234567');
+    expect(normalizePhoneNumber('+44 7700 900123', 'US')).to.equal('+447700900123');
+  });
+
+  it('should leave short codes and unplaceable numbers as digits', () => {
+    expect(normalizePhoneNumber('262966', 'US')).to.equal('262966');
+    expect(normalizePhoneNumber('123-4567', 'US')).to.equal('1234567');
+    expect(normalizePhoneNumber('07700 900123', 'ZZ')).to.equal('07700900123');
+  });
+
+  it('should lowercase emails and pass other handles through', () => {
+    expect(normalizeHandle(' Bob@Example.COM ')).to.equal('bob@example.com');
+    expect(normalizeHandle('urn:biz:Acme')).to.equal('urn:biz:acme');
+    expect(normalizeHandle('+1 555 123 4567 ext. 89', 'US')).to.equal('+15551234567');
+    expect(normalizeHandle(null)).to.be.null;
+  });
+});
+
+describe('IdentityResolver', () => {
+  let dir;
+  let book;
+  let local;
+  let store;
+  let identities;
+
+  const resolver = () => new IdentityResolver({
+    store,
+    contacts: new AddressBook({ dir: book.dir, loggerInstance: logger }),
+    loggerInstance: logger
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+
+    book = createAddressBookFixture();
+    local = book.addStore();
+    dir = fs.mkdtempSync(path.join(book.dir, 'store-'));
+    store = new RelayStore({ dbPath: path.join(dir, 'store.db'), loggerInstance: logger });
+    identities = resolver();
+  });
+
+  afterEach(() => {
+    store.close();
+    book.cleanup();
+    sinon.restore();
+  });
+
+  it('should give every format of a number the same person_id', () => {
+    const personId = identities.personId('+15551234567');
+    expect(personId).to.match(/^[0-9a-f-]{36}$/);
+    expect(identities.personId('(555) 123-4567')).to.equal(personId);
+    expect(identities.personId('bob@example.com')).to.not.equal(personId);
+    expect(identities.personId('')).to.be.null;
+  });
+
+  it('should keep person IDs across restarts', () => {
+    const personId = identities.personId('+15551234567');
+    expect(resolver().personId('5551234567')).to.equal(personId);
+  });
+
+  it('should give handles on one AddressBook card the same person_id', () => {
+    local.addContact({ first_name: 'Alice', phones: ['+15551234567'], emails: ['alice@example.com'] });
+
+    expect(identities.personId('Alice@Example.com')).to.equal(identities.personId('+15551234567'));
+  });
+
+  it('should merge people once a card joins their handles', () => {
+    const phone = identities.personId('+15551234567');
+    const email = identities.personId('alice@example.com');
+    expect(phone).to.not.equal(email);
+
+    local.addContact({ first_name: 'Alice', phones: ['+15551234567'], emails: ['alice@example.com'] });
+    const merging = resolver();
+
+    expect(merging.mergeContacts()).to.deep.equal([{ from: email, to: phone }]);
+    expect(merging.personId('alice@example.com')).to.equal(phone);
+    expect(merging.mergeContacts()).to.deep.equal([]);
+  });
+
+  it('should link SMS and iMessage threads with the same person', () => {
+    const chatDb = createChatDbFixture();
+    try {
+      const imessage = chatDb.addHandle('+15551234567', 'iMessage');
+      const sms = chatDb.addHandle('+15551234567', 'SMS');
+      const a = chatDb.addChat('iMessage;-;+15551234567', { handles: [imessage] });
+      const b = chatDb.addChat('SMS;-;+15551234567', { handles: [sms], service_name: 'SMS' });
+      const reader = new ChatDbReader({ dbPath: chatDb.dbPath, loggerInstance: logger });
+
+      const [smsThread, imessageThread] = [b, a].map(chatId => buildThreadData(
+        reader.getChatThreads().find(chat => chat.chat_id === chatId),
+        reader.getChatParticipants(chatId),
+        { identities }
+      ));
+      reader.close();
+
+      expect(smsThread.person_id).to.be.a('string');
+      expect(smsThread.person_id).to.equal(imessageThread.person_id);
+      expect(smsThread.participants[0]).to.include({ normalized_identifier: '+15551234567', person_id: smsThread.person_id });
+    } finally {
+      chatDb.cleanup();
+    }
+  });
+});
@@ -0,0 +1,782 @@
+/**
+ * Unit tests for inbound processing against a fixture chat.db
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { dateToAppleTime } = require('../../src/chatdb/timestamps');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+const { FakeStorage } = require('../fixtures/fake-storage');
+const { AttachmentUploader } = require('../../src/media/attachment-uploader');
+const { RelayStore, FailureStatus } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { ThreadResolver } = require('../../src/supabase/thread-resolver');
+const { DeviceRegistry } = require('../../src/supabase/devices');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+const { buildBinaryPlist } = require('../fixtures/bplist');
+const { buildAttributedBody } = require('../fixtures/typedstream');
+
+describe('Inbound processing', () => {
+  let fixture;
+  let reader;
+  let supabase;
+  let inbound;
+  let storage;
+  let store;
+  let outbox;
+  let identities;
+  let devices;
+  let threadResolver;
+  let chatId;
+  let handleId;
+
+  const CHAT_GUID = 'iMessage;-;+15551234567';
+
+  // Stands in for the fill_messages_in_thread_id trigger
+  const fillThreadId = (row, db) => {
+    if (row.thread_id) {
+      return row;
+    }
+    const thread = db.table('threads').find(t => t.chat_guid === row.chat_guid && t.device_id === row.device_id);
+    return { ...row, thread_id: thread ? thread.id : null };
+  };
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    handleId = fixture.addHandle('+15551234567');
+    chatId = fixture.addChat(CHAT_GUID, { handles: [handleId] });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    supabase = new FakeSupabase({
+      uniques: { messages_in: ['message_guid'], threads: ['chat_guid'] },
+      triggers: { messages_in: fillThreadId }
+    });
+
+    storage = new FakeStorage();
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), maxAttempts: 2, loggerInstance: logger });
+    outbox = new SupabaseOutbox({ client: supabase, store, maxPending: 3, loggerInstance: logger });
+    const outboxStub = { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true };
+    identities = new IdentityResolver({
+      store,
+      contacts: new AddressBook({ dir: path.join(fixture.dir, 'AddressBook'), loggerInstance: logger })
+    });
+    devices = new DeviceRegistry({ client: supabase, store, reader, loggerInstance: logger });
+    threadResolver = new ThreadResolver({ client: supabase, reader, store, outbox, devices, identities, loggerInstance: logger });
+
+    process.env.RELAY_STATE_FILE = path.join(fixture.dir, 'state.json');
+
+    const outbound = proxyquire('../../src/supabase/outbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': outboxStub,
+      '../applescript': { '@noCallThru': true },
+      '../media/handler': { '@noCallThru': true },
+      '../applescript/queue': { '@noCallThru': true }
+    });
+
+    const reactions = proxyquire('../../src/supabase/reactions', {
+      './outbox': outboxStub
+    });
+
+    const threadEvents = proxyquire('../../src/supabase/thread-events', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': outboxStub
+    });
+
+    inbound = proxyquire('../../src/supabase/inbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, '@noCallThru': true },
+      './outbound': outbound,
+      './reactions': reactions,
+      './thread-events': threadEvents,
+      '../media/attachment-uploader': {
+        attachmentUploader: new AttachmentUploader({ storageClient: storage, bucket: 'inbound-attachments' }),
+        '@noCallThru': true
+      },
+      '../store/relay-store': { relayStore: store, FailureStatus, '@noCallThru': true },
+      './outbox': outboxStub,
+      './thread-resolver': { threadResolver, '@noCallThru': true },
+      '../contacts/identity': { identityResolver: identities, '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.RELAY_STATE_FILE;
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should relay incoming messages with chat.db timestamps', async () => {
+    fixture.addMessage(chatId, {
+      guid: 'in-1',
+      text: 'hello',
+      handle_id: handleId,
+      date: dateToAppleTime('2024-03-01T12:00:00Z'),
+      date_read: dateToAppleTime('2024-03-01T12:05:00Z')
+    });
+
+    const results = await inbound.processInboundMessages();
+
+    expect(results).to.include({ processed: 1, failed: 0 });
+    const [row] = supabase.table('messages_in');
+    expect(row).to.include({
+      message_guid: 'in-1',
+      text: 'hello',
+      sender_id: '+15551234567',
+      direction: 'inbound',
+      origin: null,
+      sent_at: '2024-03-01T12:00:00.000Z',
+      received_at: '2024-03-01T12:00:00.000Z',
+      date_read: '2024-03-01T12:05:00.000Z',
+      date_delivered: null
+    });
+
+    expect(row.person_id).to.equal(identities.personId('(555) 123-4567'));
+
+    const state = JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+    expect(state.lastMessageId).to.be.greaterThan(0);
+  });
+
+  it('should relay a message within a second of it reaching chat.db', async () => {
+    const watcher = inbound.setupInboundWatcher(60000, { debounceMs: 50 });
+
+    try {
+      const writtenAt = Date.now();
+      fixture.addMessage(chatId, { guid: 'fast-1', text: 'ping', handle_id: handleId, date: dateToAppleTime(new Date()) });
+
+      while (supabase.table('messages_in').length === 0 && Date.now() - writtenAt < 2000) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['fast-1']);
+      expect(Date.now() - writtenAt).to.be.below(1000);
+    } finally {
+      watcher.stop();
+    }
+  });
+
+  it('should only hold rows that arrived since the previous cycle to the latency target', async () => {
+    const clock = sinon.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z'), toFake: ['Date'] });
+    try {
+      // Left over from while the daemon was down
+      fixture.addMessage(chatId, { guid: 'old-1', text: 'old', handle_id: handleId, date: dateToAppleTime('2024-03-01T09:00:00Z') });
+      fixture.addMessage(chatId, { guid: 'old-2', text: 'old', handle_id: handleId, date: dateToAppleTime('2024-03-01T10:00:00Z') });
+      expect(await inbound.processInboundMessages()).to.include({ processed: 2, catchUp: 2, maxDetectionLatencyMs: null });
+      expect(logger.info.calledWithMatch('Catching up on chat.db messages from before the last cycle', {
+        messages: 2,
+        oldest_sent_at: '2024-03-01T09:00:00.000Z'
+      })).to.be.true;
+      expect(logger.warn.calledWithMatch('Inbound detection latency above SLA')).to.be.false;
+
+      clock.tick(500);
+      fixture.addMessage(chatId, { guid: 'live-1', text: 'new', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      clock.tick(2500);
+      expect(await inbound.processInboundMessages()).to.include({ processed: 1, catchUp: 0, maxDetectionLatencyMs: 2500 });
+      expect(logger.warn.calledOnceWithMatch('Inbound detection latency above SLA', { messages: 1, max_latency_ms: 2500 })).to.be.true;
+    } finally {
+      clock.restore();
+    }
+  });
+
+  describe('thread resolution', () => {
+    const addText = (chat, guid) => fixture.addMessage(chat, { guid, text: guid, handle_id: handleId, date: dateToAppleTime(new Date()) });
+    const threadLookups = () => supabase.calls.filter(call => call.table === 'threads' && call.operation === 'select').length;
+
+    it('should create the thread from chat.db for a brand-new chat', async () => {
+      const otherHandle = fixture.addHandle('+15557654321');
+      const groupId = fixture.addChat('iMessage;+;chat42', { handles: [handleId, otherHandle], style: 43, display_name: 'Crew' });
+      addText(groupId, 'group-1');
+
+      await inbound.processInboundMessages();
+
+      const [thread] = supabase.table('threads');
+      expect(thread).to.include({ chat_guid: 'iMessage;+;chat42', display_name: 'Crew', is_group: true, service_name: 'iMessage' });
+      expect(thread.participants.map(p => p.identifier)).to.have.members(['+15551234567', '+15557654321']);
+      expect(supabase.table('messages_in')[0].thread_id).to.equal(thread.id);
+    });
+
+    it('should reuse an existing thread and cache the lookup', async () => {
+      const thread = supabase.insertRow('threads', { chat_guid: CHAT_GUID, device_id: devices.deviceId });
+      addText(chatId, 'cached-1');
+      addText(chatId, 'cached-2');
+
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('threads')).to.have.length(1);
+      expect(supabase.table('messages_in').map(m => m.thread_id)).to.deep.equal([thread.id, thread.id]);
+      expect(threadLookups()).to.equal(1);
+      expect(store.getThreadId(CHAT_GUID)).to.equal(thread.id);
+    });
+  });
+
+  describe('failed messages', () => {
+    const readState = () => JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+    const makeDue = () => store.open().prepare('UPDATE inbound_failures SET next_attempt_at = ?')
+      .run(new Date(Date.now() - 1000).toISOString());
+
+    it('should queue rejected rows for retry and relay them once Supabase accepts them', async () => {
+      fixture.addMessage(chatId, { guid: 'lost-1', text: 'one', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      const lastId = fixture.addMessage(chatId, { guid: 'lost-2', text: 'two', handle_id: handleId, date: dateToAppleTime(new Date()) });
+
+      supabase.failOn('messages_in', 'insert');
+      expect((await inbound.processInboundMessages()).failed).to.equal(2);
+      expect(readState().lastMessageId).to.equal(lastId);
+      expect(store.listFailures().map(row => row.message_guid)).to.deep.equal(['lost-1', 'lost-2']);
+
+      supabase.clearFailures();
+      expect(await inbound.processFailedMessages()).to.deep.equal({ recovered: 0, failed: 0, paused: 0, dead: 0 });
+
+      makeDue();
+      expect(await inbound.processFailedMessages()).to.include({ recovered: 2 });
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['lost-1', 'lost-2']);
+      expect(store.listFailures()).to.be.empty;
+    });
+
+    it('should dead-letter rows that keep failing', async () => {
+      fixture.addMessage(chatId, { guid: 'dead-1', text: 'x', handle_id: handleId, date: dateToAppleTime(new Date()) });
+
+      supabase.failOn('messages_in', 'insert');
+      supabase.failOn('messages_in', 'upsert');
+      await inbound.processInboundMessages();
+      makeDue();
+      expect(await inbound.processFailedMessages()).to.include({ dead: 1 });
+      expect(store.listFailures({ status: FailureStatus.DEAD })[0].message_guid).to.equal('dead-1');
+
+      supabase.clearFailures();
+      makeDue();
+      expect((await inbound.processFailedMessages()).recovered).to.equal(0);
+    });
+
+    it('should not move the cursor past a failure it could not store', async () => {
+      const firstId = fixture.addMessage(chatId, { guid: 'ok-1', text: 'ok', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      await inbound.processInboundMessages();
+
+      fixture.addMessage(chatId, { guid: 'held-1', text: 'held', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      fixture.addMessage(chatId, { guid: 'held-2', text: 'held', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      supabase.failOn('messages_in', 'insert');
+      sinon.stub(store, 'recordFailure').throws(new Error('SQLITE_FULL'));
+
+      expect((await inbound.processInboundMessages()).failed).to.equal(1);
+      expect(readState().lastMessageId).to.equal(firstId);
+    });
+  });
+
+  describe('offline store-and-forward', () => {
+    const addText = guid => fixture.addMessage(chatId, { guid, text: guid, handle_id: handleId, date: dateToAppleTime(new Date()) });
+
+    it('should journal messages while Supabase is down and flush them in order', async () => {
+      addText('offline-1');
+      supabase.stop();
+
+      expect(await inbound.processInboundMessages()).to.include({ processed: 1, queued: 1, failed: 0 });
+      expect(store.listFailures()).to.be.empty;
+
+      // Still journaled behind offline-1 even though Supabase is back
+      supabase.start();
+      addText('offline-2');
+      expect(await inbound.processInboundMessages()).to.include({ queued: 1 });
+      expect(supabase.table('messages_in')).to.be.empty;
+
+      // The new chat's thread is journaled first; the messages only name the
+      // chat until Supabase has confirmed the thread
+      expect(threadResolver.cachedId(CHAT_GUID)).to.be.null;
+      expect(await outbox.flush()).to.deep.equal({ flushed: 3, failed: 0, pending: 0 });
+      const [thread] = supabase.table('threads');
+      expect(supabase.table('messages_in').map(m => [m.message_guid, m.thread_id])).to.deep.equal([
+        ['offline-1', thread.id],
+        ['offline-2', thread.id]
+      ]);
+
+      addText('online-1');
+      await inbound.processInboundMessages();
+      expect(supabase.table('messages_in')[2].thread_id).to.equal(thread.id);
+      expect(threadResolver.cachedId(CHAT_GUID)).to.equal(thread.id);
+    });
+
+    it('should use the thread another writer created while the insert was journaled', async () => {
+      addText('offline-1');
+      supabase.stop();
+      await inbound.processInboundMessages();
+
+      // Thread sync on another connection wins; the journaled upsert is ignored
+      supabase.start();
+      const thread = supabase.insertRow('threads', { chat_guid: CHAT_GUID, device_id: devices.deviceId });
+      await outbox.flush();
+
+      expect(supabase.table('threads')).to.have.length(1);
+      expect(supabase.table('messages_in')[0].thread_id).to.equal(thread.id);
+
+      addText('online-1');
+      await inbound.processInboundMessages();
+      expect(supabase.table('messages_in')[1].thread_id).to.equal(thread.id);
+      expect(store.getThreadId(CHAT_GUID)).to.equal(thread.id);
+    });
+
+    it('should journal tapbacks while Supabase is down', async () => {
+      addText('target');
+      await inbound.processInboundMessages();
+
+      fixture.addMessage(chatId, {
+        guid: 'tapback-1',
+        handle_id: handleId,
+        date: dateToAppleTime(new Date()),
+        associated_message_type: 2000,
+        associated_message_guid: 'p:0/target'
+      });
+      supabase.stop();
+
+      expect(await inbound.processInboundMessages()).to.include({ reactions: 1, queued: 1, failed: 0, paused: 0 });
+      expect(store.listFailures()).to.be.empty;
+
+      supabase.start();
+      await outbox.flush();
+      expect(supabase.table('message_reactions').map(r => [r.reaction_guid, r.reaction])).to.deep.equal([['tapback-1', 'love']]);
+    });
+
+    it('should hold group events during an outage without using up their attempts', async () => {
+      const groupId = fixture.addChat('iMessage;+;chat123', { handles: [handleId], style: 43 });
+      supabase.insertRow('threads', { chat_guid: 'iMessage;+;chat123', device_id: devices.deviceId, display_name: null });
+      const eventId = fixture.addMessage(groupId, { guid: 'ev-1', item_type: 2, group_title: 'Launch crew', handle_id: handleId, date: dateToAppleTime(new Date()) });
+      const makeDue = () => store.open().prepare('UPDATE inbound_failures SET next_attempt_at = ?')
+        .run(new Date(Date.now() - 1000).toISOString());
+      supabase.stop();
+
+      expect(await inbound.processInboundMessages()).to.include({ threadEvents: 0, paused: 1, failed: 0 });
+
+      // More outage cycles than the store's maxAttempts of 2
+      for (let cycle = 0; cycle < 3; cycle++) {
+        makeDue();
+        expect(await inbound.processFailedMessages()).to.include({ paused: 1, failed: 0, dead: 0 });
+      }
+      expect(store.getFailure(eventId)).to.include({ status: FailureStatus.PENDING, attempts: 0 });
+
+      supabase.start();
+      makeDue();
+      expect(await inbound.processFailedMessages()).to.include({ recovered: 1 });
+      expect(supabase.table('thread_events')[0]).to.include({ event_guid: 'ev-1', event_type: 'renamed' });
+      expect(supabase.table('threads')[0].display_name).to.equal('Launch crew');
+      expect(store.listFailures()).to.be.empty;
+    });
+
+    it('should stop reading chat.db while the journal is full', async () => {
+      ['a', 'b', 'c'].forEach(addText);
+      supabase.stop();
+      await inbound.processInboundMessages();
+      const { lastMessageId } = JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+
+      addText('d');
+      expect(await inbound.processInboundMessages()).to.include({ backpressured: true });
+      expect(JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8')).lastMessageId).to.equal(lastMessageId);
+
+      supabase.start();
+      await outbox.flush();
+      expect(await inbound.processInboundMessages()).to.include({ processed: 1, queued: 0 });
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('attachments', () => {
+    const addPhoto = (transferState, filePath) => {
+      const messageId = fixture.addMessage(chatId, { guid: 'photo-1', handle_id: handleId, cache_has_attachments: 1, date: 1 });
+      fixture.addAttachment(messageId, {
+        guid: 'att-1',
+        filename: filePath,
+        mime_type: 'image/jpeg',
+        transfer_name: 'IMG_0001.jpeg',
+        total_bytes: 4,
+        transfer_state: transferState
+      });
+    };
+
+    it('should upload attachments and record storage path, checksum and size', async () => {
+      const filePath = path.join(fixture.dir, 'IMG_0001.jpeg');
+      fs.writeFileSync(filePath, 'jpeg');
+      addPhoto(5, filePath);
+
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('messages_in')[0].attachments).to.deep.equal([{
+        attachment_guid: 'att-1',
+        mime_type: 'image/jpeg',
+        filename: 'IMG_0001.jpeg',
+        size_bytes: 4,
+        storage_path: 'inbound-attachments/att-1/IMG_0001.jpeg',
+        sha256: crypto.createHash('sha256').update('jpeg').digest('hex'),
+        upload_status: 'uploaded'
+      }]);
+    });
+
+    it('should defer attachments until Messages has downloaded them', async () => {
+      const filePath = path.join(fixture.dir, 'IMG_0001.jpeg');
+      addPhoto(0, filePath);
+
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('messages_in')[0].attachments[0]).to.include({ upload_status: 'pending', storage_path: null });
+      const state = JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+      expect(state.pendingAttachments).to.have.lengthOf(1);
+      expect(state.pendingAttachments[0]).to.include({ attachment_guid: 'att-1', reason: 'TRANSFER_INCOMPLETE' });
+
+      // Not due yet
+      expect(await inbound.processDeferredAttachments()).to.deep.equal({ uploaded: 0, deferred: 0, failed: 0 });
+
+      // Download finishes and the retry comes due
+      fs.writeFileSync(filePath, 'jpeg');
+      fixture.db.prepare('UPDATE attachment SET transfer_state = 5').run();
+      state.pendingAttachments[0].next_attempt_at = new Date(0).toISOString();
+      fs.writeFileSync(process.env.RELAY_STATE_FILE, JSON.stringify(state));
+
+      expect(await inbound.processDeferredAttachments()).to.include({ uploaded: 1 });
+      expect(supabase.table('messages_in')[0].attachments[0]).to.include({
+        upload_status: 'uploaded',
+        storage_path: 'inbound-attachments/att-1/IMG_0001.jpeg',
+        size_bytes: 4
+      });
+      expect(JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8')).pendingAttachments).to.be.empty;
+    });
+
+    it('should journal deferred attachment updates while Supabase is down without reading the row', async () => {
+      const messageId = fixture.addMessage(chatId, { guid: 'photos-1', handle_id: handleId, cache_has_attachments: 1, date: 1 });
+      const files = ['IMG_0001.jpeg', 'IMG_0002.jpeg'].map(name => path.join(fixture.dir, name));
+      files.forEach((filePath, index) => fixture.addAttachment(messageId, {
+        guid: `att-${index + 1}`,
+        filename: filePath,
+        mime_type: 'image/jpeg',
+        transfer_name: path.basename(filePath),
+        total_bytes: 4,
+        transfer_state: 0
+      }));
+
+      supabase.stop();
+      await inbound.processInboundMessages();
+
+      // Both downloads finish and come due while Supabase is still down
+      files.forEach(filePath => fs.writeFileSync(filePath, 'jpeg'));
+      fixture.db.prepare('UPDATE attachment SET transfer_state = 5').run();
+      const state = JSON.parse(fs.readFileSync(process.env.RELAY_STATE_FILE, 'utf8'));
+      state.pendingAttachments.forEach(entry => { entry.next_attempt_at = new Date(0).toISOString(); });
+      fs.writeFileSync(process.env.RELAY_STATE_FILE, JSON.stringify(state));
+
+      expect(await inbound.processDeferredAttachments()).to.include({ uploaded: 2, deferred: 0 });
+      expect(supabase.calls.filter(call => call.table === 'messages_in' && call.operation === 'select')).to.be.empty;
+
+      supabase.start();
+      await outbox.flush();
+      expect(supabase.table('messages_in')[0].attachments.map(entry => entry.upload_status))
+        .to.deep.equal(['uploaded', 'uploaded']);
+    });
+  });
+
+  describe('is_from_me mirroring', () => {
+    it('should skip sent messages unless mirroring is enabled', async () => {
+      fixture.addMessage(chatId, { guid: 'me-1', text: 'from phone', is_from_me: 1, handle_id: handleId, date: 1 });
+
+      const results = await inbound.processInboundMessages({ includeFromMe: false });
+      expect(results.processed).to.equal(0);
+      expect(supabase.table('messages_in')).to.have.lengthOf(0);
+    });
+
+    it('should mirror messages typed on the owner\'s devices as device-origin', async () => {
+      fixture.addMessage(chatId, { guid: 'me-1', text: 'from phone', is_from_me: 1, handle_id: handleId, date: 1 });
+
+      const results = await inbound.processInboundMessages({ includeFromMe: true });
+
+      expect(results).to.include({ processed: 1, fromMe: 1 });
+      expect(supabase.table('messages_in')[0]).to.include({
+        message_guid: 'me-1',
+        direction: 'outbound',
+        origin: 'device',
+        sender_id: null,
+        messages_out_id: null
+      });
+    });
+
+    it('should mark messages the daemon sent as relay-origin and link them', async () => {
+      const sentAt = new Date();
+      const thread = supabase.insertRow('threads', { chat_guid: CHAT_GUID, device_id: devices.deviceId });
+      const outboundRow = supabase.insertRow('messages_out', {
+        thread_id: thread.id,
+        text: 'sent by agent',
+        status: 'sent',
+        message_guid: null,
+        updated_at: sentAt.toISOString()
+      });
+
+      fixture.addMessage(chatId, { guid: 'me-1', text: 'sent by agent', is_from_me: 1, handle_id: handleId, date: dateToAppleTime(sentAt) });
+      fixture.addMessage(chatId, { guid: 'me-2', text: 'sent by agent', is_from_me: 1, handle_id: handleId, date: dateToAppleTime(sentAt) });
+
+      await inbound.processInboundMessages({ includeFromMe: true });
+
+      const [first, second] = supabase.table('messages_in');
+      expect(first).to.include({ message_guid: 'me-1', origin: 'relay', messages_out_id: outboundRow.id });
+      // The same send cannot be claimed twice; an identical second row came from a device
+      expect(second).to.include({ message_guid: 'me-2', origin: 'device' });
+      expect(supabase.table('messages_out')[0].message_guid).to.equal('me-1');
+    });
+  });
+
+  describe('inline replies', () => {
+    it('should link replies to the parent messages_in row', async () => {
+      fixture.addMessage(chatId, { guid: 'parent', text: 'which day?', handle_id: handleId, date: 1 });
+      fixture.addMessage(chatId, {
+        guid: 'reply',
+        text: 'Tuesday',
+        handle_id: handleId,
+        date: 2,
+        thread_originator_guid: 'parent',
+        thread_originator_part: '0:0:10'
+      });
+
+      await inbound.processInboundMessages();
+
+      const [parent, reply] = supabase.table('messages_in');
+      expect(parent).to.include({ reply_to_message_guid: null, reply_to_id: null });
+      expect(reply).to.include({ reply_to_message_guid: 'parent', reply_to_part: 0, reply_to_id: parent.id });
+    });
+
+    it('should keep the GUID when the parent was never relayed', async () => {
+      fixture.addMessage(chatId, { guid: 'reply', text: 'yes', handle_id: handleId, date: 2, thread_originator_guid: 'unknown' });
+
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('messages_in')[0]).to.include({ reply_to_message_guid: 'unknown', reply_to_id: null });
+    });
+
+    it('should carry a relayed send\'s reply_to_message_guid onto the mirrored row', async () => {
+      const sentAt = new Date();
+      const parent = supabase.insertRow('messages_in', { message_guid: 'parent' });
+      const thread = supabase.insertRow('threads', { chat_guid: CHAT_GUID, device_id: devices.deviceId });
+      supabase.insertRow('messages_out', {
+        thread_id: thread.id,
+        text: 'on it',
+        status: 'sent',
+        message_guid: null,
+        reply_to_message_guid: 'parent',
+        updated_at: sentAt.toISOString()
+      });
+
+      fixture.addMessage(chatId, { guid: 'me-1', text: 'on it', is_from_me: 1, handle_id: handleId, date: dateToAppleTime(sentAt) });
+
+      await inbound.processInboundMessages({ includeFromMe: true });
+
+      expect(supabase.table('messages_in')[1]).to.include({
+        origin: 'relay',
+        reply_to_message_guid: 'parent',
+        reply_to_id: parent.id
+      });
+    });
+  });
+
+  describe('group events', () => {
+    const GROUP_GUID = 'iMessage;+;chat123';
+    let groupId;
+    let thread;
+    let carolId;
+
+    beforeEach(() => {
+      carolId = fixture.addHandle('+15557654321');
+      groupId = fixture.addChat(GROUP_GUID, { handles: [handleId], style: 43 });
+      thread = supabase.insertRow('threads', {
+        chat_guid: GROUP_GUID,
+        device_id: devices.deviceId,
+        display_name: null,
+        participants: [{ identifier: '+15551234567', service: 'iMessage' }]
+      });
+    });
+
+    it('should record joins and leaves and update thread participants', async () => {
+      fixture.addMessage(groupId, { guid: 'ev-1', item_type: 1, group_action_type: 0, handle_id: handleId, other_handle: carolId, date: 1 });
+      fixture.addMessage(groupId, { guid: 'msg-1', text: 'welcome!', handle_id: handleId, date: 2 });
+      fixture.addMessage(groupId, { guid: 'ev-2', item_type: 3, group_action_type: 0, handle_id: handleId, date: 3 });
+
+      const results = await inbound.processInboundMessages();
+
+      expect(results).to.include({ processed: 1, threadEvents: 2, failed: 0 });
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['msg-1']);
+
+      const [joined, left] = supabase.table('thread_events');
+      expect(joined).to.include({ event_type: 'participant_added', actor_id: '+15551234567', participant_id: '+15557654321', thread_id: thread.id });
+      expect(joined.participants.map(p => p.identifier)).to.deep.equal(['+15551234567', '+15557654321']);
+      expect(left).to.include({ event_type: 'participant_left', participant_id: '+15551234567' });
+      expect(left.participants.map(p => p.identifier)).to.deep.equal(['+15557654321']);
+
+      expect(supabase.table('threads')[0].participants).to.deep.equal([{ identifier: '+15557654321', service: 'iMessage' }]);
+    });
+
+    it('should rename the thread, including renames by the owner', async () => {
+      fixture.addMessage(groupId, { guid: 'ev-1', item_type: 2, group_title: 'Launch crew', is_from_me: 1, date: 1 });
+
+      const results = await inbound.processInboundMessages({ includeFromMe: false });
+
+      expect(results.threadEvents).to.equal(1);
+      expect(supabase.table('thread_events')[0]).to.include({ event_type: 'renamed', actor_id: null, display_name: 'Launch crew' });
+      expect(supabase.table('threads')[0].display_name).to.equal('Launch crew');
+    });
+
+    it('should skip and log system rows it cannot parse instead of relaying empty messages', async () => {
+      fixture.addMessage(groupId, { guid: 'ev-1', item_type: 3, group_action_type: 9, handle_id: handleId, date: 1 });
+      fixture.addMessage(groupId, { guid: 'ev-2', item_type: 6, handle_id: handleId, date: 2 });
+      fixture.addMessage(groupId, { guid: 'msg-1', text: 'still here', handle_id: handleId, date: 3 });
+
+      const results = await inbound.processInboundMessages();
+
+      expect(results).to.include({ processed: 1, threadEvents: 0, skipped: 2, failed: 0 });
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['msg-1']);
+      expect(supabase.table('thread_events')).to.be.empty;
+      expect(logger.warn.calledWithMatch('Skipping unrecognised chat.db system row', { item_type: 3, group_action_type: 9 })).to.be.true;
+      expect(store.listFailures()).to.be.empty;
+    });
+  });
+
+  describe('tapbacks', () => {
+    it('should record reactions instead of relaying them as messages', async () => {
+      fixture.addMessage(chatId, { guid: 'target', text: 'dinner?', handle_id: handleId, date: 1 });
+      fixture.addMessage(chatId, {
+        guid: 'tapback-1',
+        text: 'Loved “dinner?”',
+        handle_id: handleId,
+        date: 2,
+        associated_message_type: 2000,
+        associated_message_guid: 'p:0/target'
+      });
+
+      const results = await inbound.processInboundMessages();
+
+      expect(results).to.include({ processed: 1, reactions: 1 });
+      expect(supabase.table('messages_in').map(m => m.message_guid)).to.deep.equal(['target']);
+      expect(supabase.table('message_reactions')[0]).to.include({
+        reaction_guid: 'tapback-1',
+        message_guid: 'target',
+        message_part: 0,
+        sender_id: '+15551234567',
+        reaction: 'love'
+      });
+    });
+
+    it('should replace a sender\'s reaction and delete it on removal', async () => {
+      const tapback = (guid, type, extra = {}) => fixture.addMessage(chatId, {
+        guid,
+        handle_id: handleId,
+        date: 2,
+        associated_message_type: type,
+        associated_message_guid: 'p:1/target',
+        ...extra
+      });
+
+      tapback('t-1', 2001);
+      tapback('t-2', 2006, { associated_message_emoji: '🔥' });
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('message_reactions')).to.have.lengthOf(1);
+      expect(supabase.table('message_reactions')[0]).to.include({ reaction: 'emoji', emoji: '🔥', message_part: 1 });
+
+      tapback('t-3', 3006, { associated_message_emoji: '🔥' });
+      await inbound.processInboundMessages();
+
+      expect(supabase.table('message_reactions')).to.have.lengthOf(0);
+    });
+  });
+
+  describe('edits and unsends', () => {
+    const relay = async (guid, text) => {
+      const messageId = fixture.addMessage(chatId, {
+        guid,
+        text,
+        handle_id: handleId,
+        date: dateToAppleTime(new Date(Date.now() - 60000))
+      });
+      await inbound.processInboundMessages();
+      return messageId;
+    };
+
+    it('should update edited messages with their full history', async () => {
+      const messageId = await relay('edit-1', 'See you at 6');
+      const editedAt = new Date();
+
+      fixture.db.prepare(`
+        UPDATE message SET text = @text, date_edited = @dateEdited, message_summary_info = @summary
+        WHERE ROWID = @messageId
+      `).run({
+        messageId,
+        text: 'See you at 7',
+        dateEdited: dateToAppleTime(editedAt),
+        summary: buildBinaryPlist({
+          ep: [0],
+          ec: {
+            0: [
+              { d: dateToAppleTime(new Date(Date.now() - 60000)), t: buildAttributedBody('See you at 6') },
+              { d: dateToAppleTime(editedAt), t: buildAttributedBody('See you at 7') }
+            ]
+          }
+        })
+      });
+
+      const results = await inbound.processMessageChanges();
+
+      expect(results).to.deep.equal({ edited: 1, retracted: 0, queued: 0, failed: 0 });
+      const [row] = supabase.table('messages_in');
+      expect(row).to.include({ text: 'See you at 7', retracted: false, edited_at: editedAt.toISOString() });
+      expect(row.edit_history.map(entry => entry.text)).to.deep.equal(['See you at 6', 'See you at 7']);
+
+      // Nothing changed since, so the next pass leaves the row alone
+      expect(await inbound.processMessageChanges()).to.deep.equal({ edited: 0, retracted: 0, queued: 0, failed: 0 });
+    });
+
+    it('should mark unsent messages as retracted', async () => {
+      const messageId = await relay('unsend-1', 'oops');
+
+      fixture.db.prepare(`
+        UPDATE message SET text = NULL, date_edited = @now, date_retracted = @now
+        WHERE ROWID = @messageId
+      `).run({ messageId, now: dateToAppleTime(new Date()) });
+
+      const results = await inbound.processMessageChanges();
+
+      expect(results.retracted).to.equal(1);
+      expect(supabase.table('messages_in')[0]).to.include({ message_guid: 'unsend-1', retracted: true, text: null });
+    });
+
+    it('should retry changes that Supabase rejected', async () => {
+      const messageId = await relay('edit-2', 'first');
+      fixture.db.prepare('UPDATE message SET text = \'second\', date_edited = @now WHERE ROWID = @messageId')
+        .run({ messageId, now: dateToAppleTime(new Date()) });
+
+      supabase.failOn('messages_in', 'update');
+      expect((await inbound.processMessageChanges()).failed).to.equal(1);
+
+      supabase.failures = [];
+      expect((await inbound.processMessageChanges()).edited).to.equal(1);
+      expect(supabase.table('messages_in')[0].text).to.equal('second');
+    });
+
+    it('should journal changes while Supabase is down and apply them in order once it is back', async () => {
+      supabase.stop();
+      const messageId = await relay('edit-3', 'first');
+      fixture.db.prepare('UPDATE message SET text = \'second\', date_edited = @now WHERE ROWID = @messageId')
+        .run({ messageId, now: dateToAppleTime(new Date()) });
+
+      expect(await inbound.processMessageChanges()).to.include({ edited: 1, queued: 1, failed: 0 });
+      expect(supabase.table('messages_in')).to.have.lengthOf(0);
+
+      supabase.start();
+      await outbox.flush();
+      expect(supabase.table('messages_in')[0]).to.include({ message_guid: 'edit-3', text: 'second' });
+
+      // Already journaled, so it is not written a second time
+      expect(await inbound.processMessageChanges()).to.include({ edited: 0, queued: 0 });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for binary plist / message_summary_info decoding
+ */
+const { describe, it } = require('mocha');
+const { parseBinaryPlist } = require('../../src/chatdb/bplist');
+const { parseMessageSummary } = require('../../src/chatdb/message-summary');
+const { dateToAppleTime } = require('../../src/chatdb/timestamps');
+const { buildBinaryPlist } = require('../fixtures/bplist');
+const { buildAttributedBody } = require('../fixtures/typedstream');
+
+describe('message_summary_info decoding', () => {
+  describe('parseBinaryPlist', () => {
+    it('should decode nested values', () => {
+      const value = {
+        name: 'café',
+        count: 300,
+        big: 2 ** 40,
+        ratio: 0.5,
+        flags: [true, false, null],
+        data: Buffer.from([1, 2, 3]),
+        when: new Date('2024-03-01T12:00:00Z')
+      };
+
+      expect(parseBinaryPlist(buildBinaryPlist(value))).to.deep.equal(value);
+    });
+
+    it('should reject data that is not a binary plist', () => {
+      expect(() => parseBinaryPlist(Buffer.from('streamtyped'))).to.throw(/Invalid binary plist/);
+    });
+
+    it('should reject truncated data', () => {
+      const plist = buildBinaryPlist({ a: [1, 2, 3] });
+      expect(() => parseBinaryPlist(plist.subarray(0, plist.length - 4))).to.throw(/Invalid binary plist/);
+    });
+  });
+
+  describe('parseMessageSummary', () => {
+    it('should return every version of each edited part', () => {
+      const summary = parseMessageSummary(buildBinaryPlist({
+        ep: [0],
+        ec: {
+          0: [
+            { d: dateToAppleTime('2024-03-01T12:00:00Z'), t: buildAttributedBody('See you at 6') },
+            { d: dateToAppleTime('2024-03-01T12:01:00Z'), t: buildAttributedBody('See you at 7') }
+          ]
+        }
+      }));
+
+      expect(summary.editedParts).to.deep.equal([0]);
+      expect(summary.retractedParts).to.deep.equal([]);
+      expect(summary.edits).to.deep.equal([
+        { part: 0, edited_at: '2024-03-01T12:00:00.000Z', text: 'See you at 6' },
+        { part: 0, edited_at: '2024-03-01T12:01:00.000Z', text: 'See you at 7' }
+      ]);
+    });
+
+    it('should report unsent parts', () => {
+      const summary = parseMessageSummary(buildBinaryPlist({ rp: [1, 0], otr: {} }));
+      expect(summary.retractedParts).to.deep.equal([0, 1]);
+      expect(summary.edits).to.deep.equal([]);
+    });
+
+    it('should treat empty columns as unchanged', () => {
+      expect(parseMessageSummary(null)).to.deep.equal({ edits: [], editedParts: [], retractedParts: [] });
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Unit tests for the migration runner and startup schema verification
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { AppError } = require('../../src/utils/error-handler');
+const { Migrator, loadMigrations } = require('../../src/database/migrator');
+const { verifySchema, assertSchema, EXPECTED_SCHEMA } = require('../../src/database/schema');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+/**
+ * Stand-in for pg.Client that keeps schema_migrations in memory
+ */
+class FakePgClient {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async connect() {
+    this.database.connections++;
+  }
+
+  async end() {
+    this.database.connections--;
+  }
+
+  async query(sql, params = []) {
+    this.database.queries.push(sql.trim());
+    if (this.database.failOn && sql.includes(this.database.failOn)) {
+      throw new Error('syntax error at or near "BROKEN"');
+    }
+    if (sql.startsWith('SELECT version, checksum FROM schema_migrations')) {
+      return { rows: [...this.database.applied] };
+    }
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = params;
+      this.database.applied.push({ version, name, checksum });
+    }
+    return { rows: [] };
+  }
+}
+
+/**
+ * Columns created by the migration files, from their CREATE TABLE and
+ * ADD COLUMN statements
+ */
+function migratedColumns(migrations) {
+  const tables = {};
+  migrations.forEach(({ sql }) => {
+    for (const [, table, body] of sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*?)\n\);/g)) {
+      tables[table] = body.split('\n')
+        .map(line => line.trim().match(/^(\w+)\s+[A-Z]/))
+        .filter(Boolean)
+        .map(match => match[1])
+        .filter(column => !['UNIQUE', 'PRIMARY', 'CONSTRAINT'].includes(column));
+    }
+    for (const [, table, column] of sql.matchAll(/ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+)/g)) {
+      tables[table].push(column);
+    }
+  });
+  return tables;
+}
+
+describe('Migrations', () => {
+  let dir;
+  let database;
+  let migrator;
+
+  const writeMigration = (name, sql) => fs.writeFileSync(path.join(dir, name), sql);
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration('01_create_things.sql', 'CREATE TABLE things (id INT);');
+    writeMigration('02_add_name.sql', 'ALTER TABLE things ADD COLUMN name TEXT;');
+    writeMigration('README.md', 'not a migration');
+
+    database = { applied: [], queries: [], connections: 0, failOn: null };
+    migrator = new Migrator({
+      connectionString: 'postgres://localhost/test',
+      migrationsDir: dir,
+      ClientClass: class extends FakePgClient {
+        constructor() {
+          super(database);
+        }
+      },
+      loggerInstance: logger
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  it('should ship migrations with unique versions that create every column the code uses', () => {
+    const migrations = loadMigrations();
+    expect(migrations.map(m => m.version)).to.deep.equal(migrations.map((m, i) => i + 1));
+
+    const tables = migratedColumns(migrations);
+    Object.entries(EXPECTED_SCHEMA).forEach(([table, columns]) => {
+      expect(tables, table).to.have.property(table);
+      expect(tables[table], table).to.include.members(columns);
+    });
+  });
+
+  it('should keep chat_guid unique among threads without a device', async () => {
+    // Upserts on (device_id, chat_guid) never match a NULL device_id, as in Postgres
+    const supabase = new FakeSupabase();
+    const legacy = { chat_guid: 'iMessage;-;+15551234567', device_id: null };
+    await supabase.from('threads').upsert(legacy, { onConflict: 'device_id,chat_guid' });
+    await supabase.from('threads').upsert(legacy, { onConflict: 'device_id,chat_guid' });
+    expect(supabase.table('threads')).to.have.lengthOf(2);
+
+    // So the device-scoped index needs a partial one for those rows
+    const { sql } = loadMigrations().find(m => m.name === '17_create_devices.sql');
+    expect(sql).to.match(/CREATE UNIQUE INDEX IF NOT EXISTS \w+ ON threads\(chat_guid\) WHERE device_id IS NULL;/);
+  });
+
+  it('should apply pending migrations in order, each in a transaction', async () => {
+    expect(await migrator.migrate()).to.deep.equal(['01_create_things.sql', '02_add_name.sql']);
+
+    const statements = database.queries.filter(sql => !sql.includes('pg_advisory') && !sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations'));
+    expect(statements.slice(1, 5).map(sql => sql.split(' (')[0])).to.deep.equal([
+      'BEGIN',
+      'CREATE TABLE things',
+      'INSERT INTO schema_migrations',
+      'COMMIT'
+    ]);
+    expect(statements).to.include("NOTIFY pgrst, 'reload schema'");
+    expect(database.applied.map(row => row.version)).to.deep.equal([1, 2]);
+    expect(database.connections).to.equal(0);
+
+    writeMigration('03_add_size.sql', 'ALTER TABLE things ADD COLUMN size INT;');
+    expect(await migrator.migrate()).to.deep.equal(['03_add_size.sql']);
+    expect(await migrator.migrate()).to.deep.equal([]);
+  });
+
+  it('should roll back and stop at a failing migration', async () => {
+    writeMigration('02_add_name.sql', 'ALTER TABLE things ADD COLUMN BROKEN;');
+    writeMigration('03_add_size.sql', 'ALTER TABLE things ADD COLUMN size INT;');
+    database.failOn = 'BROKEN';
+
+    const error = await migrator.migrate().catch(e => e);
+    expect(error).to.be.instanceOf(AppError);
+    expect(error.message).to.include('02_add_name.sql');
+    expect(database.queries).to.include('ROLLBACK');
+    expect(database.applied.map(row => row.version)).to.deep.equal([1]);
+    expect(database.connections).to.equal(0);
+  });
+
+  it('should report pending and edited migrations', async () => {
+    await migrator.migrate({ target: 1 });
+    writeMigration('01_create_things.sql', 'CREATE TABLE things (id BIGINT);');
+
+    const status = await migrator.status();
+    expect(status.pending.map(m => m.name)).to.deep.equal(['02_add_name.sql']);
+    expect(status.modified.map(m => m.name)).to.deep.equal(['01_create_things.sql']);
+  });
+
+  it('should record a baseline without running anything', async () => {
+    expect(await migrator.baseline(1)).to.deep.equal(['01_create_things.sql']);
+    expect(database.queries).to.not.include('CREATE TABLE things (id INT);');
+    expect(await migrator.migrate()).to.deep.equal(['02_add_name.sql']);
+  });
+
+  it('should require DATABASE_URL', async () => {
+    const unconfigured = new Migrator({ connectionString: undefined, migrationsDir: dir });
+    const error = await unconfigured.migrate().catch(e => e);
+    expect(error.message).to.include('DATABASE_URL');
+  });
+});
+
+describe('Schema verification', () => {
+  const migrations = loadMigrations();
+  const applied = migrations.map(({ version, checksum }) => ({ version, checksum }));
+  let schema;
+  let supabase;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+
+    schema = { schema_migrations: ['version', 'checksum'] };
+    Object.entries(EXPECTED_SCHEMA).forEach(([table, columns]) => {
+      schema[table] = [...columns, 'created_at'];
+    });
+    supabase = new FakeSupabase({ schema });
+    supabase.tables.schema_migrations = applied.map(row => ({ ...row }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass when every table and column exists', async () => {
+    const result = await assertSchema({ client: supabase });
+    expect(result).to.include({ ok: true, diff: '' });
+  });
+
+  it('should list every missing column and table', async () => {
+    schema.messages_out = schema.messages_out.filter(column => column !== 'recipient');
+    schema.threads = schema.threads.filter(column => !['is_group', 'participants'].includes(column));
+    delete schema.contacts;
+
+    const result = await verifySchema({ client: supabase });
+    expect(result.ok).to.be.false;
+    expect(result.missingTables).to.deep.equal(['contacts']);
+    expect(result.missingColumns).to.deep.equal({ threads: ['is_group', 'participants'], messages_out: ['recipient'] });
+    expect(result.diff.split('\n')).to.deep.equal([
+      '- table contacts',
+      '- column threads.is_group',
+      '- column threads.participants',
+      '- column messages_out.recipient'
+    ]);
+
+    const error = await assertSchema({ client: supabase }).catch(e => e);
+    expect(error).to.be.instanceOf(AppError);
+    expect(error.message).to.include('- column messages_out.recipient');
+  });
+
+  it('should only warn about pending migrations when the columns exist', async () => {
+    supabase.tables.schema_migrations.pop();
+
+    const result = await assertSchema({ client: supabase });
+    expect(result.ok).to.be.true;
+    expect(result.diff).to.equal(`! pending migration ${migrations[migrations.length - 1].name}`);
+    expect(logger.warn.calledWithMatch('Supabase schema has pending migrations')).to.be.true;
+  });
+
+  it('should explain how to start tracking migrations on an existing database', async () => {
+    delete schema.schema_migrations;
+    const result = await verifySchema({ client: supabase });
+    expect(result.diff).to.include('--baseline');
+  });
+
+  it('should not refuse to start while Supabase is unreachable', async () => {
+    supabase.stop();
+    expect(await assertSchema({ client: supabase })).to.deep.equal({ ok: true, skipped: true });
+  });
+});
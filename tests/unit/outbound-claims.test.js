@@ -0,0 +1,186 @@
+/**
+ * Unit tests for claiming outbound messages before they are sent
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader, GROUP_CHAT_STYLE } = require('../../src/chatdb/reader');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { OutboundClaims } = require('../../src/supabase/claims');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Outbound claims', () => {
+  let fixture;
+  let reader;
+  let store;
+  let supabase;
+  let applescript;
+  let devices;
+  let claims;
+  let outbound;
+  let thread;
+
+  const GROUP_GUID = 'iMessage;+;chat123456';
+  const LEASE_MS = 60000;
+
+  const pendingRow = (values = {}) => supabase.insertRow('messages_out', {
+    thread_id: thread.id,
+    device_id: devices.deviceId,
+    status: 'pending',
+    text: 'Hello',
+    ...values
+  });
+
+  const rowById = id => supabase.tables.messages_out.find(row => row.id === id);
+
+  const realtimeManager = () => {
+    const { RealtimeManager } = proxyquire('../../src/supabase/realtime', {
+      './client': { supabaseClient: supabase, '@noCallThru': true }
+    });
+    const channel = { on: sinon.stub().returnsThis(), subscribe: sinon.stub().returnsThis() };
+    supabase.channel = sinon.stub().returns(channel);
+    return {
+      realtime: new RealtimeManager({ supabaseClientInstance: supabase, devices, claims, loggerInstance: logger }),
+      channel
+    };
+  };
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    const alice = fixture.addHandle('+15551234567');
+    const bob = fixture.addHandle('bob@example.com');
+    fixture.addChat(GROUP_GUID, { handles: [alice, bob], style: GROUP_CHAT_STYLE });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase();
+    devices = { deviceId: 'device-1' };
+    claims = new OutboundClaims({ client: supabase, devices, leaseMs: LEASE_MS, pid: 100, loggerInstance: logger });
+    thread = supabase.insertRow('threads', { chat_guid: GROUP_GUID, is_group: true, device_id: devices.deviceId });
+
+    applescript = {
+      sendTextMessage: sinon.stub().resolves('sent'),
+      sendMediaMessage: sinon.stub().resolves('sent'),
+      sendToChat: sinon.stub().resolves('sent')
+    };
+    const sendRoute = proxyquire('../../src/supabase/send-route', {
+      '../applescript': { ...applescript, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, GROUP_CHAT_STYLE, '@noCallThru': true }
+    });
+
+    outbound = proxyquire('../../src/supabase/outbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': {
+        supabaseOutbox: new SupabaseOutbox({ client: supabase, store, loggerInstance: logger }),
+        isConnectivityError,
+        '@noCallThru': true
+      },
+      './send-route': sendRoute,
+      './claims': { outboundClaims: claims, '@noCallThru': true },
+      './delivery-monitor': { deliveryMonitor: { watch: sinon.stub() }, '@noCallThru': true },
+      '../applescript/queue': { '@noCallThru': true },
+      '../media/handler': { '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should send once when Realtime, polling and the message monitor fire at once', async () => {
+    const row = pendingRow();
+    const results = [];
+    const handle = message => {
+      const result = outbound.processOutboundMessage(message);
+      results.push(result);
+      return result;
+    };
+
+    const { realtime, channel } = realtimeManager();
+    realtime.messageHandler = handle;
+    realtime.setupRealtimeSubscription();
+    const [, , onInsert] = channel.on.firstCall.args;
+
+    sinon.stub(global, 'setInterval').returns(1);
+    sinon.stub(global, 'clearInterval');
+    const { startMessageMonitor } = proxyquire('../../src/core/messageMonitor', {
+      '../supabase/outbound': { processOutboundMessage: handle, '@noCallThru': true },
+      '../supabase/claims': { outboundClaims: claims, '@noCallThru': true },
+      '../supabase/devices': { deviceRegistry: devices, '@noCallThru': true }
+    });
+    await startMessageMonitor({
+      supabase,
+      config: {},
+      realtime: { initialize: sinon.stub().resolves(), shutdown: sinon.stub() }
+    });
+    const [pollOutgoing] = global.setInterval.firstCall.args;
+
+    // Another daemon process on the same Mac claiming the row directly
+    const otherProcess = new OutboundClaims({ client: supabase, devices, pid: 200, loggerInstance: logger });
+
+    // Both polls read the row as pending before anyone has claimed it
+    const [, , , other] = await Promise.all([
+      realtime.pollPendingMessages(),
+      pollOutgoing(),
+      onInsert({ new: { ...row } }),
+      otherProcess.claim({ ...row })
+    ]);
+    const outcomes = await Promise.all(results);
+
+    expect(applescript.sendToChat.calledOnceWithExactly(GROUP_GUID, 'Hello', '')).to.be.true;
+    expect(outcomes.filter(outcome => outcome.success)).to.have.lengthOf(1);
+    expect(outcomes.filter(outcome => outcome.skipped)).to.have.lengthOf(2);
+    expect(other).to.be.null;
+    expect(rowById(row.id)).to.include({ status: 'sent', claimed_by: 'device-1:100' });
+    expect(rowById(row.id).lease_expires_at).to.be.a('string');
+  });
+
+  it('should reclaim and send a message whose lease expired', async () => {
+    const now = new Date();
+    const row = pendingRow({
+      status: 'processing',
+      claimed_by: 'device-1:99',
+      claimed_at: new Date(now.getTime() - 2 * LEASE_MS).toISOString(),
+      lease_expires_at: new Date(now.getTime() - LEASE_MS).toISOString()
+    });
+
+    const { realtime } = realtimeManager();
+    realtime.messageHandler = message => outbound.processOutboundMessage(message);
+    await realtime.pollPendingMessages();
+
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+    expect(rowById(row.id)).to.include({ status: 'sent', claimed_by: 'device-1:100' });
+    expect(logger.warn.calledWithMatch('Took over an expired claim')).to.be.true;
+  });
+
+  it('should not take over a message under a live lease', async () => {
+    const now = new Date();
+    const row = pendingRow({
+      status: 'processing',
+      claimed_by: 'device-1:99',
+      claimed_at: now.toISOString(),
+      lease_expires_at: new Date(now.getTime() + LEASE_MS).toISOString()
+    });
+
+    const { realtime } = realtimeManager();
+    realtime.messageHandler = message => outbound.processOutboundMessage(message);
+    await realtime.pollPendingMessages();
+    const result = await outbound.processOutboundMessage({ ...row });
+
+    expect(result).to.deep.equal({ success: false, skipped: true });
+    expect(applescript.sendToChat.called).to.be.false;
+    expect(rowById(row.id)).to.include({ status: 'processing', claimed_by: 'device-1:99' });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for outbound routing: chat id addressing and the buddy fallback
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader, GROUP_CHAT_STYLE } = require('../../src/chatdb/reader');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { OutboundClaims } = require('../../src/supabase/claims');
+const { DeliveryMonitor } = require('../../src/supabase/delivery-monitor');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Outbound routing', () => {
+  let fixture;
+  let reader;
+  let store;
+  let supabase;
+  let applescript;
+  let downloadAndValidateMedia;
+  let monitor;
+  let outbound;
+
+  const GROUP_GUID = 'iMessage;+;chat123456';
+  const DIRECT_GUID = 'iMessage;-;+15551234567';
+
+  const send = async (thread, message = {}) => {
+    const threadRow = supabase.insertRow('threads', thread);
+    const row = supabase.insertRow('messages_out', { thread_id: threadRow.id, status: 'pending', text: 'Hi "there"', ...message });
+    const result = await outbound.processOutboundMessage(row);
+    return { result, row: supabase.tables.messages_out.find(candidate => candidate.id === row.id) };
+  };
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    const alice = fixture.addHandle('+15551234567');
+    const bob = fixture.addHandle('bob@example.com');
+    fixture.addChat(GROUP_GUID, { handles: [alice, bob], style: GROUP_CHAT_STYLE, display_name: 'Book club' });
+    fixture.addChat(DIRECT_GUID, { handles: [alice] });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase();
+    const outbox = new SupabaseOutbox({ client: supabase, store, loggerInstance: logger });
+
+    applescript = {
+      sendTextMessage: sinon.stub().resolves('sent'),
+      sendMediaMessage: sinon.stub().resolves('sent'),
+      sendToChat: sinon.stub().resolves('sent')
+    };
+    downloadAndValidateMedia = sinon.stub().resolves({ success: true, filePath: '/tmp/photo.jpg' });
+
+    const sendRoute = proxyquire('../../src/supabase/send-route', {
+      '../applescript': { ...applescript, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, GROUP_CHAT_STYLE, '@noCallThru': true }
+    });
+    monitor = new DeliveryMonitor({ store, reader, outbox, send: sendRoute.sendByRoute, timeoutMs: 60000, loggerInstance: logger });
+
+    outbound = proxyquire('../../src/supabase/outbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true },
+      './send-route': sendRoute,
+      './claims': { outboundClaims: new OutboundClaims({ client: supabase, devices: { deviceId: 'device-1' }, loggerInstance: logger }), '@noCallThru': true },
+      './delivery-monitor': { deliveryMonitor: monitor, '@noCallThru': true },
+      '../applescript/queue': { '@noCallThru': true },
+      '../media/handler': { downloadAndValidateMedia, '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should send to a group chat by its chat id and record why', async () => {
+    const { result, row } = await send({ chat_guid: GROUP_GUID, chat_identifier: 'chat123456', is_group: true });
+
+    expect(result.success).to.be.true;
+    expect(applescript.sendToChat.calledOnceWithExactly(GROUP_GUID, 'Hi "there"', '')).to.be.true;
+    expect(applescript.sendTextMessage.called).to.be.false;
+    expect(row).to.include({ status: 'sent', route: 'chat_id', route_reason: 'Group chat found in chat.db' });
+  });
+
+  it('should send media to a group chat by its chat id', async () => {
+    await send(
+      { chat_guid: GROUP_GUID, chat_identifier: 'chat123456', is_group: true },
+      { media_url: 'https://example.com/photo.jpg', media_type: 'image/jpeg' }
+    );
+
+    expect(applescript.sendToChat.calledOnceWithExactly(GROUP_GUID, 'Hi "there"', '/tmp/photo.jpg')).to.be.true;
+    expect(applescript.sendMediaMessage.called).to.be.false;
+  });
+
+  it('should send to an existing 1:1 chat by its chat id', async () => {
+    const { row } = await send({ chat_guid: DIRECT_GUID, chat_identifier: '+15551234567', display_name: 'Alice' });
+
+    expect(applescript.sendToChat.calledOnceWithExactly(DIRECT_GUID, 'Hi "there"', '')).to.be.true;
+    expect(row).to.include({ route: 'chat_id', route_reason: '1:1 chat found in chat.db' });
+  });
+
+  it('should use another 1:1 chat with the same handle before starting a new one', async () => {
+    const { row } = await send({ chat_guid: 'iMessage;-;5551234567', chat_identifier: '(555) 123-4567' });
+
+    expect(applescript.sendToChat.calledOnceWithExactly(DIRECT_GUID, 'Hi "there"', '')).to.be.true;
+    expect(row).to.include({ route: 'chat_id', route_reason: '1:1 chat with thread handle found in chat.db' });
+  });
+
+  it('should start a new 1:1 conversation from the normalized handle only when no chat exists', async () => {
+    const { row } = await send({ chat_guid: 'iMessage;-;+15550001111', chat_identifier: '555-000-1111', display_name: 'Carol' });
+
+    expect(applescript.sendToChat.called).to.be.false;
+    expect(applescript.sendTextMessage.calledOnceWithExactly('+15550001111', 'Hi "there"', 'iMessage')).to.be.true;
+    expect(row).to.include({
+      status: 'sent',
+      route: 'buddy',
+      route_reason: 'No chat with recipient in chat.db; starting a new conversation'
+    });
+  });
+
+  it('should send to messages_out.recipient instead of the thread chat', async () => {
+    await send({ chat_guid: GROUP_GUID, chat_identifier: 'chat123456', is_group: true }, { recipient: '555.123.4567' });
+    expect(applescript.sendToChat.calledOnceWithExactly(DIRECT_GUID, 'Hi "there"', '')).to.be.true;
+
+    const { row } = await send({ chat_guid: GROUP_GUID, is_group: true }, { recipient: 'New.Person@Example.com' });
+    expect(applescript.sendTextMessage.calledOnceWithExactly('new.person@example.com', 'Hi "there"', 'iMessage')).to.be.true;
+    expect(row.route).to.equal('buddy');
+  });
+
+  it('should fail sends it cannot address instead of guessing', async () => {
+    const missingGroup = await send({ chat_guid: 'iMessage;+;chat999', chat_identifier: 'chat999', is_group: true });
+    expect(missingGroup.row).to.include({ status: 'failed', error: 'Group chat not found in chat.db' });
+
+    // display_name is a label, not a recipient
+    const nameOnly = await send({ chat_guid: null, chat_identifier: null, display_name: 'Mom' });
+    expect(nameOnly.row).to.include({ status: 'failed', error: 'No valid recipient' });
+
+    expect(applescript.sendToChat.called).to.be.false;
+    expect(applescript.sendTextMessage.called).to.be.false;
+  });
+
+  it('should record the route when the send itself fails', async () => {
+    applescript.sendToChat.rejects(new Error('Messages got an error: Can’t get chat id'));
+
+    const { result, row } = await send({ chat_guid: GROUP_GUID, is_group: true });
+
+    expect(result.success).to.be.false;
+    expect(row).to.include({ status: 'failed', route: 'chat_id' });
+    expect(row.error).to.include('Can’t get chat id');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the local relay store and atomic state writes
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { RelayStore, FailureStatus } = require('../../src/store/relay-store');
+const { writeFileAtomic } = require('../../src/utils/atomic-file');
+
+describe('RelayStore', () => {
+  let dir;
+  let store;
+
+  const message = (id = 1) => ({ message_id: id, message_guid: `guid-${id}`, chat_guid: 'iMessage;-;+15551234567' });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'error');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-store-'));
+    store = new RelayStore({ dbPath: path.join(dir, 'store.db'), maxAttempts: 3, loggerInstance: logger });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  it('should record failures with backoff and keep them across reopen', () => {
+    const first = store.recordFailure(message(), new Error('fetch failed'));
+    expect(first).to.include({ message_id: 1, message_guid: 'guid-1', status: FailureStatus.PENDING, attempts: 1, last_error: 'fetch failed' });
+    expect(new Date(first.next_attempt_at).getTime()).to.be.greaterThan(Date.now());
+
+    const second = store.recordFailure(message(), 'timeout');
+    expect(second.attempts).to.equal(2);
+    expect(second.first_failed_at).to.equal(first.first_failed_at);
+    expect(new Date(second.next_attempt_at) - new Date(second.last_failed_at))
+      .to.equal(2 * (new Date(first.next_attempt_at) - new Date(first.last_failed_at)));
+
+    store.close();
+    const reopened = new RelayStore({ dbPath: store.dbPath, loggerInstance: logger });
+    expect(reopened.getFailure(1).attempts).to.equal(2);
+    reopened.close();
+  });
+
+  it('should only return pending failures that are due', () => {
+    store.recordFailure(message(1), 'error');
+    store.recordFailure(message(2), 'error');
+    store.db.prepare('UPDATE inbound_failures SET next_attempt_at = ? WHERE message_id = 2')
+      .run(new Date(Date.now() - 1000).toISOString());
+
+    expect(store.getDueFailures().map(row => row.message_id)).to.deep.equal([2]);
+  });
+
+  it('should dead-letter after the maximum attempts and requeue on request', () => {
+    store.recordFailure(message(1), 'error');
+    store.recordFailure(message(1), 'error');
+    expect(store.recordFailure(message(1), 'still failing').status).to.equal(FailureStatus.DEAD);
+    expect(logger.error.calledWithMatch('Inbound message dead-lettered')).to.be.true;
+
+    expect(store.getDueFailures()).to.be.empty;
+    expect(store.listFailures({ status: FailureStatus.DEAD })).to.have.length(1);
+    expect(store.getCounts()).to.deep.equal({ pending: 0, dead: 1 });
+
+    expect(store.requeue(1)).to.equal(1);
+    expect(store.getDueFailures()[0]).to.include({ message_id: 1, attempts: 0, status: FailureStatus.PENDING });
+  });
+
+  it('should hold rows during an outage without counting attempts', () => {
+    store.recordFailure(message(1), 'rejected');
+    const paused = store.pauseFailure(message(1), new Error('fetch failed'));
+    expect(paused).to.include({ status: FailureStatus.PENDING, attempts: 1, last_error: 'fetch failed' });
+
+    store.pauseFailure(message(2), 'fetch failed');
+    store.pauseFailure(message(2), 'fetch failed');
+    store.pauseFailure(message(2), 'fetch failed');
+    expect(store.getFailure(2)).to.include({ status: FailureStatus.PENDING, attempts: 0 });
+    expect(new Date(store.getFailure(2).next_attempt_at).getTime()).to.be.greaterThan(Date.now());
+  });
+
+  it('should forget a failure once it succeeds', () => {
+    store.recordFailure(message(1), 'error');
+    store.markSucceeded(1);
+    expect(store.listFailures()).to.be.empty;
+  });
+
+  describe('writeFileAtomic', () => {
+    it('should replace the file without leaving temporary files behind', async () => {
+      const file = path.join(dir, 'state.json');
+      fs.writeFileSync(file, '{"lastMessageId": 1}');
+
+      await writeFileAtomic(file, '{"lastMessageId": 2}');
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).lastMessageId).to.equal(2);
+      expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).to.be.empty;
+    });
+
+    it('should leave the old contents when the write fails', async () => {
+      const file = path.join(dir, 'state.json');
+      fs.writeFileSync(file, '{"lastMessageId": 1}');
+      const handle = { writeFile: sinon.stub().rejects(new Error('ENOSPC')), close: sinon.stub().resolves() };
+      sinon.stub(fs.promises, 'open').resolves(handle);
+
+      let caught = null;
+      try {
+        await writeFileAtomic(file, '{"lastMessageId": 2}');
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught.message).to.equal('ENOSPC');
+      expect(handle.close.calledOnce).to.be.true;
+      expect(fs.readFileSync(file, 'utf8')).to.equal('{"lastMessageId": 1}');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for scheduled outbound messages
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader, GROUP_CHAT_STYLE } = require('../../src/chatdb/reader');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { OutboundClaims } = require('../../src/supabase/claims');
+const { OutboundScheduler } = require('../../src/supabase/scheduler');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Outbound scheduler', () => {
+  let clock;
+  let monotonic;
+  let fixture;
+  let reader;
+  let store;
+  let supabase;
+  let applescript;
+  let devices;
+  let outbound;
+  let thread;
+
+  const GROUP_GUID = 'iMessage;+;chat123456';
+  const NOW = new Date('2026-03-02T09:00:00.000Z');
+  const at = offsetMs => new Date(NOW.getTime() + offsetMs);
+  const MINUTE = 60 * 1000;
+
+  const scheduledRow = (values = {}) => supabase.insertRow('messages_out', {
+    thread_id: thread.id,
+    device_id: devices.deviceId,
+    status: 'pending',
+    text: 'Your appointment is tomorrow at 10',
+    ...values
+  });
+
+  const rowById = id => supabase.tables.messages_out.find(row => row.id === id);
+
+  const createScheduler = () => new OutboundScheduler({
+    client: supabase,
+    devices,
+    send: message => outbound.processOutboundMessage(message),
+    refreshMs: MINUTE,
+    monotonicNow: () => monotonic,
+    loggerInstance: logger
+  });
+
+  // Move both clocks forward, as time passing normally does
+  const advance = ms => {
+    clock.tick(ms);
+    monotonic += ms;
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    monotonic = 1000;
+
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    const alice = fixture.addHandle('+15551234567');
+    const bob = fixture.addHandle('bob@example.com');
+    fixture.addChat(GROUP_GUID, { handles: [alice, bob], style: GROUP_CHAT_STYLE });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase();
+    devices = { deviceId: 'device-1' };
+    thread = supabase.insertRow('threads', { chat_guid: GROUP_GUID, is_group: true, device_id: devices.deviceId });
+
+    applescript = {
+      sendTextMessage: sinon.stub().resolves('sent'),
+      sendMediaMessage: sinon.stub().resolves('sent'),
+      sendToChat: sinon.stub().resolves('sent')
+    };
+    const sendRoute = proxyquire('../../src/supabase/send-route', {
+      '../applescript': { ...applescript, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, GROUP_CHAT_STYLE, '@noCallThru': true }
+    });
+
+    outbound = proxyquire('../../src/supabase/outbound', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': {
+        supabaseOutbox: new SupabaseOutbox({ client: supabase, store, loggerInstance: logger }),
+        isConnectivityError,
+        '@noCallThru': true
+      },
+      './send-route': sendRoute,
+      './claims': { outboundClaims: new OutboundClaims({ client: supabase, devices, loggerInstance: logger }), '@noCallThru': true },
+      './delivery-monitor': { deliveryMonitor: { watch: sinon.stub() }, '@noCallThru': true },
+      '../applescript/queue': { '@noCallThru': true },
+      '../media/handler': { '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+    clock.restore();
+  });
+
+  it('should hold a row from Realtime until its send_at, then send it once', async () => {
+    const scheduler = createScheduler();
+    const { RealtimeManager } = proxyquire('../../src/supabase/realtime', {
+      './client': { supabaseClient: supabase, '@noCallThru': true }
+    });
+    const channel = { on: sinon.stub().returnsThis(), subscribe: sinon.stub().returnsThis() };
+    supabase.channel = sinon.stub().returns(channel);
+    const handler = sinon.stub().resolves();
+    const realtime = new RealtimeManager({ supabaseClientInstance: supabase, devices, scheduler, loggerInstance: logger });
+    realtime.messageHandler = handler;
+    realtime.setupRealtimeSubscription();
+    const [, , onInsert] = channel.on.firstCall.args;
+
+    const row = scheduledRow({ send_at: at(30 * 1000).toISOString() });
+    onInsert({ new: { ...row } });
+    expect(handler.called).to.be.false;
+
+    // Polling does not pick it up early either
+    await realtime.pollPendingMessages();
+    expect(handler.called).to.be.false;
+
+    await scheduler.tick();
+    advance(29 * 1000);
+    await scheduler.tick();
+    expect(applescript.sendToChat.called).to.be.false;
+    expect(rowById(row.id).status).to.equal('pending');
+
+    advance(1000);
+    expect(await scheduler.tick()).to.deep.equal({ dispatched: 1, scheduled: 0 });
+    advance(1000);
+    await scheduler.tick();
+
+    expect(applescript.sendToChat.calledOnceWithExactly(GROUP_GUID, row.text, '')).to.be.true;
+    expect(rowById(row.id).status).to.equal('sent');
+  });
+
+  it('should send what fell due while it was down, once, after a restart', async () => {
+    const overdue = scheduledRow({ send_at: at(-5 * MINUTE).toISOString() });
+    scheduledRow({ send_at: at(-MINUTE).toISOString(), status: 'sent' });
+    const later = scheduledRow({ send_at: at(10 * MINUTE).toISOString() });
+
+    await createScheduler().tick();
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+    expect(rowById(overdue.id).status).to.equal('sent');
+
+    // Restarted daemon
+    const restarted = createScheduler();
+    await restarted.tick();
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+
+    advance(10 * MINUTE);
+    await restarted.tick();
+    expect(applescript.sendToChat.calledTwice).to.be.true;
+    expect(rowById(later.id).status).to.equal('sent');
+  });
+
+  it('should expire rows whose send window has passed instead of sending them late', async () => {
+    const missed = scheduledRow({ send_at: at(-10 * MINUTE).toISOString(), expires_at: at(-5 * MINUTE).toISOString() });
+    const open = scheduledRow({ send_at: at(-10 * MINUTE).toISOString(), expires_at: at(5 * MINUTE).toISOString() });
+
+    await createScheduler().tick();
+
+    expect(rowById(missed.id).status).to.equal('expired');
+    expect(rowById(missed.id).error).to.include('expires_at');
+    expect(rowById(open.id).status).to.equal('sent');
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+
+    // Unscheduled rows picked up by polling expire the same way
+    const stale = scheduledRow({ expires_at: at(-MINUTE).toISOString() });
+    expect(await outbound.processOutboundMessage({ ...stale })).to.deep.equal({ success: false, expired: true });
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+  });
+
+  it('should not send a row cancelled before it was dispatched', async () => {
+    const scheduler = createScheduler();
+    const row = scheduledRow({ send_at: at(30 * 1000).toISOString() });
+    await scheduler.tick();
+    expect(scheduler.scheduled.has(row.id)).to.be.true;
+
+    rowById(row.id).status = 'cancelled';
+    advance(30 * 1000);
+    await scheduler.tick();
+
+    expect(applescript.sendToChat.called).to.be.false;
+    expect(rowById(row.id).status).to.equal('cancelled');
+  });
+
+  it('should reload the schedule when the system clock is set back', async () => {
+    const scheduler = createScheduler();
+    await scheduler.tick();
+
+    // Inserted while Realtime was down, due shortly after the new clock time
+    const row = scheduledRow({ send_at: at(-MINUTE + 30 * 1000).toISOString() });
+    clock.setSystemTime(at(-MINUTE + 30 * 1000));
+    monotonic += 1000;
+    await scheduler.tick();
+
+    expect(logger.warn.calledWithMatch('System clock changed')).to.be.true;
+    expect(applescript.sendToChat.calledOnce).to.be.true;
+    expect(rowById(row.id).status).to.equal('sent');
+  });
+});
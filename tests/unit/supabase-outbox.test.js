@@ -0,0 +1,141 @@
+/**
+ * Unit tests for offline journaling of Supabase writes
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../../src/utils/logger');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { FakeSupabase, NETWORK_ERROR } = require('../fixtures/fake-supabase');
+
+describe('SupabaseOutbox', () => {
+  let dir;
+  let store;
+  let supabase;
+  let outbox;
+
+  const statusUpdate = (id, status) => ({
+    table: 'messages_out',
+    operation: 'update',
+    values: { status },
+    match: { id }
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    store = new RelayStore({ dbPath: path.join(dir, 'store.db'), loggerInstance: logger });
+    supabase = new FakeSupabase({ uniques: { messages_in: ['message_guid'] } });
+    outbox = new SupabaseOutbox({ client: supabase, store, maxPending: 2, loggerInstance: logger });
+
+    supabase.table('messages_out').push({ id: 'out-1', status: 'pending' });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  it('should write straight through while Supabase is reachable', async () => {
+    expect(await outbox.write(statusUpdate('out-1', 'sent'))).to.deep.equal({ success: true, queued: false, error: null });
+    expect(supabase.table('messages_out')[0].status).to.equal('sent');
+    expect(outbox.pendingCount()).to.equal(0);
+  });
+
+  it('should return rejections without journaling them', async () => {
+    supabase.failOn('messages_out', 'update');
+    const result = await outbox.write(statusUpdate('out-1', 'sent'));
+    expect(result.success).to.be.false;
+    expect(result.error.code).to.equal('XX000');
+    expect(outbox.pendingCount()).to.equal(0);
+  });
+
+  it('should journal writes during an outage and replay them in order', async () => {
+    supabase.stop();
+    expect((await outbox.write(statusUpdate('out-1', 'processing'))).queued).to.be.true;
+    expect((await outbox.write(statusUpdate('out-1', 'failed'))).queued).to.be.true;
+
+    // Nothing is sent while offline
+    expect(await outbox.flush()).to.deep.equal({ flushed: 0, failed: 0, pending: 2 });
+    expect(outbox.isBackpressured()).to.be.true;
+
+    supabase.start();
+    expect((await outbox.write(statusUpdate('out-1', 'sent'))).queued).to.be.true;
+    expect(await outbox.flush()).to.deep.equal({ flushed: 3, failed: 0, pending: 0 });
+
+    const updates = supabase.calls.filter(call => call.table === 'messages_out').map(call => call.payload.status);
+    expect(updates.slice(-3)).to.deep.equal(['processing', 'failed', 'sent']);
+    expect(supabase.table('messages_out')[0].status).to.equal('sent');
+  });
+
+  it('should journal deletes and match null columns with IS NULL', async () => {
+    supabase.table('message_reactions').push(
+      { id: 'r-1', message_guid: 'm-1', sender_id: null },
+      { id: 'r-2', message_guid: 'm-1', sender_id: '+15551234567' }
+    );
+
+    supabase.stop();
+    const remove = { table: 'message_reactions', operation: 'delete', match: { message_guid: 'm-1', sender_id: null } };
+    expect((await outbox.write(remove)).queued).to.be.true;
+
+    supabase.start();
+    expect((await outbox.flush()).flushed).to.equal(1);
+    expect(supabase.table('message_reactions').map(row => row.id)).to.deep.equal(['r-2']);
+  });
+
+  it('should survive a restart', async () => {
+    supabase.stop();
+    await outbox.write({ table: 'messages_in', operation: 'insert', values: { message_guid: 'g-1' } });
+    store.close();
+
+    supabase.start();
+    const restarted = new SupabaseOutbox({ client: supabase, store: new RelayStore({ dbPath: store.dbPath }), loggerInstance: logger });
+    expect((await restarted.flush()).flushed).to.equal(1);
+    expect(supabase.table('messages_in')[0].message_guid).to.equal('g-1');
+    restarted.store.close();
+  });
+
+  it('should treat duplicate-key rejections on replay as already applied', async () => {
+    supabase.stop();
+    await outbox.write({ table: 'messages_in', operation: 'insert', values: { message_guid: 'g-1' } });
+    supabase.start();
+    supabase.table('messages_in').push({ id: 'existing', message_guid: 'g-1' });
+
+    expect(await outbox.flush()).to.deep.equal({ flushed: 1, failed: 0, pending: 0 });
+  });
+
+  it('should hold the queue on a rejected write, then park it as failed', async () => {
+    supabase.stop();
+    await outbox.write(statusUpdate('out-1', 'processing'));
+    await outbox.write(statusUpdate('out-1', 'sent'));
+    supabase.start();
+    supabase.failOn('messages_out', 'update');
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect(await outbox.flush()).to.deep.equal({ flushed: 0, failed: 0, pending: 2 });
+    }
+
+    // Fifth rejection parks it; the next write is then attempted (and rejected once)
+    expect(await outbox.flush()).to.deep.equal({ flushed: 0, failed: 1, pending: 1 });
+    expect(store.listFailedWrites()[0]).to.include({ table_name: 'messages_out', attempts: 5 });
+
+    supabase.clearFailures();
+    expect(await outbox.flush()).to.deep.equal({ flushed: 1, failed: 0, pending: 0 });
+    expect(supabase.table('messages_out')[0].status).to.equal('sent');
+  });
+
+  it('should recognise connectivity failures', () => {
+    expect(isConnectivityError(NETWORK_ERROR, 0)).to.be.true;
+    expect(isConnectivityError({ message: 'Bad gateway' }, 502)).to.be.true;
+    expect(isConnectivityError({ message: 'connect ECONNREFUSED 127.0.0.1:54321' })).to.be.true;
+    expect(isConnectivityError({ message: 'duplicate key', code: '23505' }, 409)).to.be.false;
+    expect(isConnectivityError(null, 0)).to.be.false;
+  });
+});
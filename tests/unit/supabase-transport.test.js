@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the Supabase log transport
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const winston = require('winston');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { SupabaseTransport } = require('../../src/utils/supabase-transport');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('SupabaseTransport', () => {
+  let supabase;
+  let stderr;
+  let transport;
+  let remoteLogger;
+
+  const createTransport = (options = {}) => {
+    transport = new SupabaseTransport({
+      client: supabase,
+      host: 'relay-mac',
+      flushIntervalMs: 0,
+      stderr,
+      ...options
+    });
+    // Same formats as the daemon's logger, so entries arrive redacted
+    remoteLogger = winston.createLogger({ level: 'debug', format: logger.format, transports: [transport] });
+    return transport;
+  };
+
+  beforeEach(() => {
+    supabase = new FakeSupabase();
+    stderr = { lines: [], write: line => stderr.lines.push(line) };
+    createTransport();
+  });
+
+  it('should insert redacted entries at or above its level in batches', async () => {
+    createTransport({ batchSize: 2 });
+    remoteLogger.info('Sent message to 555-123-4567', { thread_id: 't1', error: new Error('boom') });
+    remoteLogger.debug('Polling chat.db');
+    remoteLogger.warn('Outbox backing up', { pending: 12 });
+    remoteLogger.error('Send failed');
+    await transport.flush();
+
+    const inserts = supabase.calls.filter(call => call.table === 'logs');
+    expect(inserts.map(call => call.payload.length)).to.deep.equal([2, 1]);
+
+    const rows = supabase.tables.logs;
+    expect(rows.map(row => row.level)).to.deep.equal(['info', 'warn', 'error']);
+    expect(rows[0].message).to.equal('Sent message to ***-***-XXXX');
+    expect(rows[0].metadata).to.include({ host: 'relay-mac', thread_id: 't1' });
+    expect(rows[0].metadata.error).to.include({ message: 'boom' });
+    expect(rows[0].created_at).to.be.a('string');
+    expect(rows[1].metadata.pending).to.equal(12);
+  });
+
+  it('should keep entries while Supabase is down and report the outage once on stderr', async () => {
+    supabase.stop();
+    remoteLogger.info('first');
+    await transport.flush();
+    remoteLogger.info('second');
+    await transport.flush();
+
+    expect(transport.buffer.map(row => row.message)).to.deep.equal(['first', 'second']);
+    expect(stderr.lines).to.have.lengthOf(1);
+    expect(stderr.lines[0]).to.include('Supabase logging paused');
+
+    supabase.start();
+    expect(await transport.flush()).to.equal(2);
+    expect(supabase.tables.logs.map(row => row.message)).to.deep.equal(['first', 'second']);
+    expect(stderr.lines[1]).to.include('Supabase logging resumed');
+  });
+
+  it('should not retry before the backoff delay has passed', async () => {
+    createTransport({ flushIntervalMs: 60000 });
+    supabase.stop();
+    remoteLogger.info('first');
+    await transport.flush();
+    supabase.start();
+
+    expect(await transport.flush()).to.equal(0);
+    expect(transport.buffer).to.have.lengthOf(1);
+  });
+
+  it('should drop the least important entries when the buffer is full and say so', async () => {
+    createTransport({ level: 'debug', bufferSize: 3 });
+    remoteLogger.debug('debug 1');
+    remoteLogger.info('info 1');
+    remoteLogger.debug('debug 2');
+    remoteLogger.error('error 1');
+    remoteLogger.warn('warn 1');
+    remoteLogger.debug('debug 3');
+
+    expect(transport.buffer.map(row => row.message)).to.deep.equal(['info 1', 'error 1', 'warn 1']);
+
+    await transport.flush();
+    const summary = supabase.tables.logs[supabase.tables.logs.length - 1];
+    expect(summary.level).to.equal('warn');
+    expect(summary.message).to.include('Dropped 3 log entries');
+    expect(summary.metadata.dropped).to.deep.equal({ debug: 3 });
+  });
+
+  it('should not hold up logging while an insert is in flight', async () => {
+    let release;
+    const inFlight = new Promise(resolve => {
+      release = resolve;
+    });
+    createTransport({
+      client: { from: () => ({ insert: () => inFlight }) }
+    });
+    remoteLogger.info('first');
+    const flushing = transport.flush();
+
+    remoteLogger.info('second');
+    expect(transport.flush()).to.equal(flushing);
+    expect(transport.buffer.map(row => row.message)).to.deep.equal(['second']);
+
+    release({ error: null, status: 201 });
+    expect(await flushing).to.equal(2);
+  });
+
+  describe('daemon logger', () => {
+    afterEach(() => {
+      delete process.env.ENABLE_SUPABASE_LOGGING;
+    });
+
+    it('should only ship logs to Supabase when ENABLE_SUPABASE_LOGGING is true', () => {
+      const loadLogger = value => {
+        if (value === undefined) {
+          delete process.env.ENABLE_SUPABASE_LOGGING;
+        } else {
+          process.env.ENABLE_SUPABASE_LOGGING = value;
+        }
+        return proxyquire('../../src/utils/logger', {});
+      };
+
+      expect(loadLogger(undefined).supabaseTransport).to.be.null;
+      expect(loadLogger('1').supabaseTransport).to.be.null;
+      expect(loadLogger('false').supabaseTransport).to.be.null;
+
+      const enabled = loadLogger('true');
+      expect(enabled.supabaseTransport).to.be.an.instanceOf(SupabaseTransport);
+      expect(enabled.logger.transports).to.include(enabled.supabaseTransport);
+    });
+  });
+});
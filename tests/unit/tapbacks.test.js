@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the chat.db tapback parser
+ */
+const { describe, it } = require('mocha');
+const { parseTapback, parseAssociatedGuid, isTapback } = require('../../src/chatdb/tapbacks');
+
+describe('Tapback parser', () => {
+  describe('parseAssociatedGuid', () => {
+    it('should parse part-prefixed, balloon and bare GUIDs', () => {
+      expect(parseAssociatedGuid('p:2/ABC-123')).to.deep.equal({ guid: 'ABC-123', part: 2 });
+      expect(parseAssociatedGuid('bp:ABC-123')).to.deep.equal({ guid: 'ABC-123', part: 0 });
+      expect(parseAssociatedGuid('ABC-123')).to.deep.equal({ guid: 'ABC-123', part: 0 });
+      expect(parseAssociatedGuid(null)).to.be.null;
+    });
+  });
+
+  describe('parseTapback', () => {
+    it('should recognise every classic tapback and its removal', () => {
+      const names = ['love', 'like', 'dislike', 'laugh', 'emphasize', 'question'];
+
+      names.forEach((name, offset) => {
+        const added = parseTapback({ associated_message_type: 2000 + offset, associated_message_guid: 'p:0/G' });
+        const removed = parseTapback({ associated_message_type: 3000 + offset, associated_message_guid: 'p:0/G' });
+
+        expect(added).to.include({ action: 'add', reaction: name, targetGuid: 'G', targetPart: 0 });
+        expect(removed).to.include({ action: 'remove', reaction: name });
+      });
+    });
+
+    it('should carry the emoji for emoji tapbacks', () => {
+      const tapback = parseTapback({
+        associated_message_type: 2006,
+        associated_message_guid: 'p:0/G',
+        associated_message_emoji: '🎉'
+      });
+
+      expect(tapback).to.include({ action: 'add', reaction: 'emoji', emoji: '🎉' });
+    });
+
+    it('should ignore regular messages and other associated types', () => {
+      expect(parseTapback({ associated_message_type: 0, associated_message_guid: null })).to.be.null;
+      expect(isTapback({ associated_message_type: 1000 })).to.be.false;
+      expect(isTapback({ associated_message_type: 2010 })).to.be.false;
+      expect(parseTapback({ associated_message_type: 2000, associated_message_guid: null })).to.be.null;
+    });
+  });
+});
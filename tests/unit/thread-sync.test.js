@@ -0,0 +1,166 @@
+/**
+ * Unit tests for incremental thread sync against a fixture chat.db
+ */
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { logger } = require('../../src/utils/logger');
+const { ChatDbReader } = require('../../src/chatdb/reader');
+const { dateToAppleTime } = require('../../src/chatdb/timestamps');
+const { RelayStore } = require('../../src/store/relay-store');
+const { SupabaseOutbox, isConnectivityError } = require('../../src/supabase/outbox');
+const { ThreadResolver, buildThreadData, threadHash } = require('../../src/supabase/thread-resolver');
+const { DeviceRegistry } = require('../../src/supabase/devices');
+const { AddressBook } = require('../../src/contacts/address-book');
+const { IdentityResolver } = require('../../src/contacts/identity');
+const { createChatDbFixture } = require('../fixtures/chat-db');
+const { FakeSupabase } = require('../fixtures/fake-supabase');
+
+describe('Thread sync', () => {
+  let fixture;
+  let reader;
+  let supabase;
+  let store;
+  let outbox;
+  let devices;
+  let resolver;
+  let sync;
+  let alice;
+  let bob;
+  let chatA;
+  let group;
+
+  const CHAT_A = 'iMessage;-;+15551234567';
+  const GROUP = 'iMessage;+;chat42';
+
+  const threadWrites = () => supabase.calls.filter(call => call.table === 'threads' && call.operation !== 'select');
+  const thread = chatGuid => supabase.table('threads').find(row => row.chat_guid === chatGuid);
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    fixture = createChatDbFixture();
+    alice = fixture.addHandle('+15551234567');
+    bob = fixture.addHandle('+15557654321');
+    chatA = fixture.addChat(CHAT_A, { handles: [alice] });
+    group = fixture.addChat(GROUP, { handles: [alice, bob], style: 43, display_name: 'Crew' });
+
+    reader = new ChatDbReader({ dbPath: fixture.dbPath, loggerInstance: logger });
+    supabase = new FakeSupabase({ uniques: { threads: ['chat_guid'] } });
+    store = new RelayStore({ dbPath: path.join(fixture.dir, 'store.db'), loggerInstance: logger });
+    outbox = new SupabaseOutbox({ client: supabase, store, loggerInstance: logger });
+    const addressBook = new AddressBook({ dir: path.join(fixture.dir, 'AddressBook'), loggerInstance: logger });
+    const identities = new IdentityResolver({ store, contacts: addressBook });
+    devices = new DeviceRegistry({ client: supabase, store, reader, loggerInstance: logger });
+    resolver = new ThreadResolver({ client: supabase, reader, store, outbox, devices, contacts: addressBook, identities, loggerInstance: logger });
+
+    sync = proxyquire('../../src/supabase/sync', {
+      './client': { supabaseClient: supabase, '@noCallThru': true },
+      './outbox': { supabaseOutbox: outbox, isConnectivityError, '@noCallThru': true },
+      './thread-resolver': { threadResolver: resolver, buildThreadData, threadHash, '@noCallThru': true },
+      '../store/relay-store': { relayStore: store, '@noCallThru': true },
+      '../chatdb/reader': { chatDbReader: reader, '@noCallThru': true },
+      '../contacts/address-book': { addressBook, '@noCallThru': true },
+      '../contacts/identity': { identityResolver: identities, '@noCallThru': true }
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+    reader.close();
+    fixture.cleanup();
+    sinon.restore();
+  });
+
+  it('should create every thread in one batch, then skip unchanged threads', async () => {
+    expect(await sync.syncThreads()).to.include({ total: 2, unchanged: 0, inserted: 2, failed: 0 });
+    expect(threadWrites()).to.have.length(1);
+    expect(thread(GROUP)).to.include({ display_name: 'Crew', is_group: true });
+    expect(thread(GROUP).participants.map(p => p.identifier)).to.deep.equal(['+15551234567', '+15557654321']);
+    expect(resolver.cachedId(GROUP)).to.equal(thread(GROUP).id);
+
+    const lastSynced = thread(CHAT_A).last_synced;
+    expect(await sync.syncThreads()).to.include({ unchanged: 2, inserted: 0, updated: 0 });
+    expect(threadWrites()).to.have.length(1);
+    expect(thread(CHAT_A).last_synced).to.equal(lastSynced);
+  });
+
+  it('should send only threads whose name, participants or last message changed', async () => {
+    await sync.syncThreads();
+    const groupId = thread(GROUP).id;
+
+    fixture.db.prepare('UPDATE chat SET display_name = ? WHERE ROWID = ?').run('Crew 2', group);
+    fixture.addMessage(chatA, { guid: 'new-1', text: 'hi', handle_id: alice, date: dateToAppleTime('2024-05-01T00:00:00Z') });
+
+    expect(await sync.syncThreads()).to.include({ unchanged: 0, updated: 2 });
+    expect(threadWrites()[1].payload.map(row => row.chat_guid).sort()).to.deep.equal([CHAT_A, GROUP].sort());
+    expect(thread(GROUP)).to.include({ id: groupId, display_name: 'Crew 2' });
+    expect(thread(CHAT_A).last_message_at).to.equal('2024-05-01T00:00:00.000Z');
+
+    fixture.insert('chat_handle_join', { chat_id: chatA, handle_id: bob });
+    expect(await sync.syncThreads()).to.include({ unchanged: 1, updated: 1 });
+    expect(supabase.table('threads')).to.have.length(2);
+  });
+
+  it('should not rescan chats while chat.db is unchanged since a confirmed sync', async () => {
+    await sync.syncThreads();
+    sinon.spy(reader, 'getChatThreads');
+    sinon.spy(reader, 'getAllChatParticipants');
+
+    expect(await sync.syncThreads()).to.include({ total: 2, unchanged: 2, skipped: true });
+    expect(reader.getChatThreads.called).to.be.false;
+    expect(reader.getAllChatParticipants.called).to.be.false;
+
+    fixture.addMessage(chatA, { guid: 'new-1', text: 'hi', handle_id: alice, date: dateToAppleTime('2024-05-01T00:00:00Z') });
+    expect(await sync.syncThreads()).to.include({ unchanged: 1, updated: 1 });
+    expect(reader.getChatThreads.calledOnce).to.be.true;
+
+    // A forced sync always reads chat.db again
+    expect(await sync.syncThreads({ force: true })).to.include({ updated: 2 });
+    expect(reader.getChatThreads.calledTwice).to.be.true;
+  });
+
+  it('should update threads that already exist without changing their IDs', async () => {
+    const existing = supabase.insertRow('threads', { chat_guid: CHAT_A, device_id: devices.deviceId, display_name: null });
+
+    expect(await sync.syncThreads()).to.include({ inserted: 1, updated: 1 });
+    expect(thread(CHAT_A).id).to.equal(existing.id);
+    expect(thread(CHAT_A).chat_identifier).to.equal('+15551234567');
+  });
+
+  it('should journal threads while Supabase is down and resend unconfirmed creates later', async () => {
+    supabase.stop();
+    expect(await sync.syncThreads()).to.include({ queued: 2, failed: 0 });
+
+    supabase.start();
+    await outbox.flush();
+    expect(supabase.table('threads')).to.have.length(2);
+    // Journaled IDs are not used until Supabase has confirmed them
+    expect(resolver.cachedId(GROUP)).to.be.null;
+
+    expect(await sync.syncThreads()).to.include({ updated: 2 });
+    expect(resolver.cachedId(GROUP)).to.equal(thread(GROUP).id);
+    expect(await sync.syncThreads()).to.include({ unchanged: 2 });
+  });
+
+  it('should sync early when inbound relay sees an unknown chat', async () => {
+    const scheduler = sync.setupThreadSync(60 * 60 * 1000);
+    try {
+      await scheduler.trigger();
+      const writes = threadWrites().length;
+
+      fixture.db.prepare('UPDATE chat SET display_name = ? WHERE ROWID = ?').run('Renamed', group);
+      resolver.emit('unknown-chat', GROUP);
+      await scheduler.trigger();
+
+      expect(threadWrites().length).to.be.greaterThan(writes);
+      expect(thread(GROUP).display_name).to.equal('Renamed');
+    } finally {
+      scheduler.stop();
+    }
+    expect(resolver.listenerCount('unknown-chat')).to.equal(0);
+  });
+});
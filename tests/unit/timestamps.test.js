@@ -0,0 +1,57 @@
+/**
+ * Unit tests for chat.db timestamp conversion
+ */
+const { describe, it } = require('mocha');
+const {
+  appleTimeToDate,
+  appleTimeToISOString,
+  dateToAppleTime,
+  detectUnit
+} = require('../../src/chatdb/timestamps');
+
+describe('chat.db timestamps', () => {
+  // 2024-03-01T12:00:00Z is 730987200 seconds after 2001-01-01
+  const SECONDS = 730987200;
+  const NANOSECONDS = SECONDS * 1e9;
+  const ISO = '2024-03-01T12:00:00.000Z';
+
+  describe('detectUnit', () => {
+    it('should detect nanoseconds and seconds', () => {
+      expect(detectUnit(NANOSECONDS)).to.equal('ns');
+      expect(detectUnit(SECONDS)).to.equal('s');
+    });
+  });
+
+  describe('appleTimeToDate', () => {
+    it('should convert nanosecond timestamps (macOS 10.13+)', () => {
+      expect(appleTimeToISOString(NANOSECONDS)).to.equal(ISO);
+    });
+
+    it('should convert second timestamps (older schemas)', () => {
+      expect(appleTimeToISOString(SECONDS)).to.equal(ISO);
+    });
+
+    it('should convert BigInt values', () => {
+      expect(appleTimeToISOString(BigInt(SECONDS) * 1000000000n + 123456789n))
+        .to.equal('2024-03-01T12:00:00.123Z');
+    });
+
+    it('should keep millisecond precision', () => {
+      expect(appleTimeToISOString(NANOSECONDS + 250e6)).to.equal('2024-03-01T12:00:00.250Z');
+    });
+
+    it('should treat 0 and null as unknown', () => {
+      expect(appleTimeToDate(0)).to.be.null;
+      expect(appleTimeToDate(null)).to.be.null;
+      expect(appleTimeToISOString(undefined)).to.be.null;
+    });
+  });
+
+  describe('dateToAppleTime', () => {
+    it('should round-trip with appleTimeToDate', () => {
+      expect(dateToAppleTime(ISO)).to.equal(NANOSECONDS);
+      expect(dateToAppleTime(ISO, 's')).to.equal(SECONDS);
+      expect(appleTimeToISOString(dateToAppleTime(ISO))).to.equal(ISO);
+    });
+  });
+});